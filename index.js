@@ -23,4 +23,5 @@ export { CarapaceRunner, runIsolated } from './lib/agent-runner.js';
 export { WarmPool, getGlobalPool, stopGlobalPool } from './lib/warm-pool.js';
 export { createSeedISO, buildISO } from './lib/seed-iso.js';
 export { ControlServer } from './lib/control-server.js';
+export { VMNetwork } from './lib/vm-network.js';
 // Image fetcher: use CLI `carapace-fetch` or script `npm run fetch-image`
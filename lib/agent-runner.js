@@ -20,20 +20,43 @@
  * - Works on Linux/Mac with QEMU
  */
 
-import { spawn, execSync } from 'child_process';
-import { mkdirSync, writeFileSync, unlinkSync, existsSync, copyFileSync, readFileSync } from 'fs';
+import { spawn, execSync, execFileSync } from 'child_process';
+import { mkdirSync, writeFileSync, unlinkSync, existsSync, copyFileSync, readFileSync, statSync, lstatSync, renameSync, chmodSync, constants as fsConstants } from 'fs';
+import { Transform } from 'stream';
 import { tmpdir } from 'os';
-import { join, dirname, resolve } from 'path';
+import { join, dirname, resolve, basename } from 'path';
 import { fileURLToPath } from 'url';
-import { createConnection } from 'net';
+import { createConnection, createServer, isIP } from 'net';
 import { createSeedISO } from './seed-iso.js';
+import { ShellSession } from './shell-session.js';
+import { SftpClient, RemoteFS } from './sftp.js';
+import { SerialConsole } from './serial-console.js';
+import { reservePort, parsePortRange, DEFAULT_SSH_PORT_RANGE, registerVM, unregisterVM, checkPrivatePath, ensurePrivateDir } from './host-state.js';
+import { loadTemplate, writeTemplateMeta, TEMPLATE_FILES, TEMPLATE_SNAPSHOT } from './template.js';
+import { generateKeyPair, writeKeyPair, loadSharedKeys, KEY_POLICIES } from './ssh-keys.js';
+import { DnsResponder, DNS_GUEST_ADDR, dnsStubSeed } from './dns-responder.js';
+import { NetworkRelay, NetworkLog } from './network-relay.js';
+import { EgressLimiter, normalizeEgressLimits } from './egress-limits.js';
+import { VMNetwork } from './vm-network.js';
+import { EgressProxy, PROXY_GUEST_ADDR, PROXY_PORT, PROXY_PROFILE_PATH, normalizeProxyRules, proxySeed } from './egress-proxy.js';
+import { batchSeedFiles, batchStartCommand, createResultsDisk, resultsDiskQemuArgs, readResultsDisk, DEFAULT_MAX_OUTPUT } from './batch.js';
+import {
+  connectGuestAgent, guestAgentQemuArgs, guestAgentStartCommand, GUEST_AGENT_SCRIPT, GUEST_AGENT_PATH,
+} from './guest-agent.js';
+import { randomBytes, createHash } from 'crypto';
+import { EventEmitter } from 'events';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+// QEMU runs this per guest connection to join guestfwd rules to in-process servers
+const GUESTFWD_BRIDGE = join(__dirname, 'guestfwd-bridge.js');
 
 const DEFAULT_SSH_TIMEOUT = 120; // seconds to wait for SSH
 const DEFAULT_TASK_TIMEOUT = 300; // seconds for task execution
 const DEFAULT_MEMORY = '512';    // MB
-const DEFAULT_SSH_PORT_BASE = 12200; // base port, incremented per instance
+// QEMU fails to start when the SSH hostfwd port was taken after we reserved it
+const HOSTFWD_BIND_ERROR_RE = /could not set up host forwarding rule/i;
+const SSH_PORT_ATTEMPTS = 3;
+const BATCH_EXIT_GRACE_MS = 30_000; // past boot + job timeout before a batch VM is killed
 
 /**
  * Network modes for VM isolation:
@@ -48,13 +71,34 @@ const DEFAULT_SSH_PORT_BASE = 12200; // base port, incremented per instance
  * - 'allowlist' — Like isolated, but with specific hosts/ports allowed.
  *                Uses QEMU `restrict=on` + `hostfwd` + `guestfwd` rules.
  *                Specify allowed destinations in opts.networkAllow[].
- *                Each entry: { host, port } — forwarded through QEMU SLIRP.
+ *                Each entry: { host, port } — relayed in-process (lib/network-relay.js)
+ *                and recorded in the network audit log.
+ *                Allowed hostnames resolve in the guest (lib/dns-responder.js);
+ *                every other name is NXDOMAIN.
+ *
+ * - 'proxy'    — Like isolated, but the guest can reach a host-side HTTP(S)
+ *                proxy (lib/egress-proxy.js) that filters by domain, with
+ *                *.domain wildcards and method/path rules for plain HTTP.
+ *                opts.networkAllow[] holds the rules; the seed points
+ *                HTTP(S)_PROXY, npm and git at the proxy.
  *
  * - 'none'     — No network device at all. VM has zero networking.
- *                SSH will NOT work — commands must be injected via seed ISO.
- *                Use for maximum isolation (not practical for most agent tasks).
+ *                SSH will NOT work — commands go through the guest agent over
+ *                virtio-serial instead (transport 'serial', selected automatically).
+ *
+ * Independent of the mode, opts.vmNetwork (lib/vm-network.js) adds a second
+ * NIC on a private segment shared with the other VMs on that network.
+ */
+const NETWORK_MODES = new Set(['nat', 'isolated', 'allowlist', 'proxy', 'none']);
+
+/**
+ * How the host talks to the guest:
+ * - 'ssh'    — sshd over the SLIRP host forward (all features)
+ * - 'serial' — the guest agent (vm-image/carapace-agent.cjs) over a
+ *              virtio-serial port: run(), upload(), download() and the
+ *              archive helpers; no network device needed
  */
-const NETWORK_MODES = new Set(['nat', 'isolated', 'allowlist', 'none']);
+const TRANSPORTS = new Set(['ssh', 'serial']);
 
 /**
  * Detect the host architecture and return the appropriate QEMU binary + machine flags.
@@ -88,8 +132,6 @@ function detectQemuConfig() {
   };
 }
 
-let _portCounter = 0;
-
 /**
  * Execute a shell command synchronously, return stdout.
  * Throws on non-zero exit.
@@ -98,54 +140,96 @@ function sh(cmd, opts = {}) {
   return execSync(cmd, { encoding: 'utf8', ...opts }).trim();
 }
 
-/**
- * Find a free TCP port starting from base
- */
-function allocPort() {
-  // Use random port in range 12200-12299
-  return DEFAULT_SSH_PORT_BASE + (_portCounter++ % 100);
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/** Bytes in a qemu-img size string ('10G', '4294967296') */
+function sizeBytes(size) {
+  const unit = SIZE_UNITS[size.at(-1)];
+  return unit ? Number(size.slice(0, -1)) * unit : Number(size);
 }
 
 /**
  * Create a temporary overlay image (copy-on-write on top of base)
  * so each VM run is isolated and doesn't modify the base image.
+ *
+ * An optional size (see normalizeDiskSize()) grows the virtual disk. One
+ * below the base image's virtual size is refused: qemu-img would create it,
+ * but the guest's root filesystem would then run past the end of the disk.
+ *
+ * @param {string} baseImage
+ * @param {string} overlayPath
+ * @param {string|null} [size]
  */
-function createOverlay(baseImage, overlayPath) {
-  sh(`qemu-img create -f qcow2 -b "${resolve(baseImage)}" -F qcow2 "${overlayPath}"`);
+export function createOverlay(baseImage, overlayPath, size = null) {
+  const base = resolve(baseImage);
+  if (size) {
+    const info = JSON.parse(execFileSync('qemu-img', ['info', '-U', '--output=json', base], { encoding: 'utf8' }));
+    const baseSize = info['virtual-size'];
+    if (sizeBytes(size) < baseSize) {
+      throw new Error(`diskSize ${size} is smaller than the base image ${baseImage} (${baseSize} bytes); it can only grow the disk`);
+    }
+  }
+  sh(`qemu-img create -f qcow2 -b "${base}" -F qcow2 "${overlayPath}"${size ? ` ${size}` : ''}`);
 }
 
 /**
- * Generate a fresh ephemeral SSH key pair
+ * Generate a fresh ephemeral ed25519 key pair (also used for guest host keys)
  */
-function generateSSHKey(keyPath) {
-  if (existsSync(keyPath)) unlinkSync(keyPath);
-  if (existsSync(keyPath + '.pub')) unlinkSync(keyPath + '.pub');
-  sh(`ssh-keygen -t ed25519 -N "" -f "${keyPath}" -C "carapaceos-ephemeral" 2>/dev/null`);
-  return readFileSync(keyPath + '.pub', 'utf8').trim();
+function generateSSHKey(keyPath, comment = 'carapaceos-ephemeral') {
+  const pair = generateKeyPair(comment);
+  writeKeyPair(keyPath, pair);
+  return pair.publicKey;
 }
 
 /**
- * Create a minimal cloud-init seed ISO with a given SSH public key.
- * Uses our built-in Node.js ISO generator — no external tools required.
+ * Create a minimal cloud-init seed ISO with a given SSH public key and
+ * guest host key. Uses our built-in Node.js ISO generator — no external tools required.
  */
-function makeSeedISO(pubKey, outputPath) {
+function makeSeedISO(pubKey, outputPath, { runcmd = [], growRootfs = false, hostKey, files = [], hostname = 'carapaceos' } = {}) {
   createSeedISO({
     sshPublicKey: pubKey,
     outputPath,
-    hostname: 'carapaceos',
+    hostname,
     instanceId: `carapaceos-${Date.now()}`,
+    runcmd,
+    growRootfs,
+    hostKey,
+    files,
+  });
+}
+
+/**
+ * Ask the kernel for a free TCP port on the loopback interface.
+ * @returns {Promise<number>}
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
   });
 }
 
+function assertPort(name, value) {
+  if (!Number.isInteger(value) || value < 1 || value > 65535) {
+    throw new Error(`Invalid ${name}: must be an integer between 1 and 65535`);
+  }
+}
+
 /**
  * Check if a TCP port is open (SSH available)
  */
-async function waitForPort(port, host = '127.0.0.1', timeoutMs = 120000) {
+async function waitForPort(port, host = '127.0.0.1', timeoutMs = 120000, { isCancelled, intervalMs = 2000 } = {}) {
   const { createConnection } = await import('net');
   const start = Date.now();
   
   return new Promise((resolve, reject) => {
     const attempt = () => {
+      if (isCancelled?.()) return;
       const socket = createConnection({ port, host });
       socket.once('connect', () => {
         socket.destroy();
@@ -156,7 +240,7 @@ async function waitForPort(port, host = '127.0.0.1', timeoutMs = 120000) {
         if (Date.now() - start > timeoutMs) {
           reject(new Error(`Timeout waiting for port ${port}`));
         } else {
-          setTimeout(attempt, 2000);
+          setTimeout(attempt, intervalMs);
         }
       });
     };
@@ -165,37 +249,544 @@ async function waitForPort(port, host = '127.0.0.1', timeoutMs = 120000) {
 }
 
 /**
- * Run SSH command, return { stdout, stderr, code }
+ * Quote a value as a single POSIX shell word.
+ *   shellQuote("it's") → 'it'\''s'
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * The `cmd:` target of a guestfwd rule that bridges to a Unix socket. QEMU
+ * runs it through /bin/sh, so each path is shell-quoted, and commas are
+ * doubled because they would otherwise end the -netdev option.
+ * @param {string} socketPath
+ */
+function guestfwdCommand(socketPath) {
+  const command = [process.execPath, GUESTFWD_BRIDGE, socketPath].map(shellQuote).join(' ');
+  return `cmd:${command.replace(/,/g, ',,')}`;
+}
+
+/** Valid names for exec opts.env keys */
+export const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+/** Valid guest user names for exec opts.user */
+export const USER_NAME_RE = /^[a-z_][a-z0-9_-]*\$?$/i;
+
+/**
+ * Build the remote shell script for a command plus exec options.
+ *
+ * @param {string|null} command - raw shell string (ignored when argv is given)
+ * @param {object} [opts]
+ * @param {string[]} [opts.argv] - program + arguments, each quoted safely
+ * @param {Object<string,string>} [opts.env] - environment variables to set
+ * @param {string} [opts.cwd] - working directory (command fails if missing)
+ * @param {string} [opts.user] - run as this user (via sudo)
+ * @returns {string}
+ */
+function buildRemoteCommand(command, { argv, env, cwd, user } = {}) {
+  let body;
+  if (argv !== undefined) {
+    if (command) throw new Error('Pass either a command string or argv, not both');
+    if (!Array.isArray(argv) || argv.length === 0 || !argv.every(a => typeof a === 'string')) {
+      throw new Error('argv must be a non-empty array of strings');
+    }
+    body = argv.map(shellQuote).join(' ');
+  } else {
+    if (typeof command !== 'string' || !command) throw new Error('command must be a non-empty string');
+    body = command;
+  }
+
+  const lines = [];
+  if (env !== undefined) {
+    if (typeof env !== 'object' || env === null || Array.isArray(env)) {
+      throw new Error('env must be an object of { NAME: value }');
+    }
+    for (const [name, value] of Object.entries(env)) {
+      if (!ENV_NAME_RE.test(name)) throw new Error(`Invalid env variable name: ${JSON.stringify(name)}`);
+      lines.push(`export ${name}=${shellQuote(value)}`);
+    }
+  }
+  if (cwd !== undefined) {
+    if (typeof cwd !== 'string' || !cwd) throw new Error('cwd must be a non-empty string');
+    lines.push(`cd -- ${shellQuote(cwd)} || exit 1`);
+  }
+  lines.push(body);
+
+  const script = lines.join('\n');
+  if (user === undefined) return script;
+
+  if (typeof user !== 'string' || !USER_NAME_RE.test(user)) {
+    throw new Error(`Invalid user name: ${JSON.stringify(user)}`);
+  }
+  return `sudo -n -H -u ${shellQuote(user)} -- sh -c ${shellQuote(script)}`;
+}
+
+/**
+ * Files under dir that git would not ignore: tracked plus untracked,
+ * honouring .gitignore, relative to dir. Entries deleted from the working
+ * tree are skipped.
+ */
+function listGitFiles(dir) {
+  let out;
+  try {
+    out = execFileSync('git', ['-C', dir, 'ls-files', '-z', '--cached', '--others', '--exclude-standard'], {
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (e) {
+    throw new Error(`gitignore: true requires ${dir} to be inside a git work tree (${e.stderr?.toString().trim() || e.message})`);
+  }
+  return [...new Set(out.toString('utf8').split('\0').filter(Boolean))]
+    .filter(f => { try { lstatSync(join(dir, f)); return true; } catch { return false; } });
+}
+
+/**
+ * Throw unless paths is a non-empty array of paths relative to (and inside)
+ * an archived directory — createArchive()/downloadDir() `include`.
+ * @param {string[]} paths
+ */
+export function assertRelativePaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0) throw new Error('include must be a non-empty array of paths');
+  for (const p of paths) {
+    if (typeof p !== 'string' || !p || p.startsWith('/') || p.split('/').includes('..')) {
+      throw new Error(`include paths must be relative to the archived directory: ${JSON.stringify(p)}`);
+    }
+  }
+}
+
+/**
+ * Prefix a remote script so it records its process group in pidFile.
+ *
+ * sshd starts every non-PTY session with setsid(), so the remote shell is a
+ * process group leader and `$$` is the group id of everything it spawns.
+ */
+function withProcessGroupFile(script, pidFile) {
+  return [
+    `echo $$ > ${pidFile}`,
+    `trap 'rm -f ${pidFile}' EXIT`,
+    script,
+  ].join('\n');
+}
+
+/**
+ * Remote script that kills the process group recorded in pidFile:
+ * SIGTERM first, SIGKILL if anything survives the grace period.
+ * Prints the signal that ended the group (TERM/KILL), or nothing if the
+ * group had already exited. Tries sudo first so processes started via
+ * `user` are reachable too.
+ */
+function killProcessGroupScript(pidFile, graceMs = 2000, { removePidFile = true } = {}) {
+  const polls = Math.max(1, Math.ceil(graceMs / 100));
+  const cleanup = removePidFile ? `rm -f ${pidFile}` : ':';
+  return [
+    `pg=$(cat ${pidFile} 2>/dev/null)`,
+    '[ -n "$pg" ] || exit 0',
+    KILL_HELPER,
+    GROUP_ALIVE_HELPER,
+    'group_alive "$pg" || exit 0',
+    'k -TERM "-$pg"',
+    'i=0',
+    `while [ $i -lt ${polls} ]; do`,
+    `  group_alive "$pg" || { echo TERM; ${cleanup}; exit 0; }`,
+    '  sleep 0.1',
+    '  i=$((i + 1))',
+    'done',
+    'k -KILL "-$pg"',
+    'echo KILL',
+    cleanup,
+  ].join('\n');
+}
+
+// Shell function: kill via sudo when possible, so groups owned by other users are reachable.
+// Always the shell builtin: kill(1) binaries disagree on parsing `-SIG -PGID`.
+const KILL_HELPER = `k() { sudo -n sh -c 'kill "$@"' k "$@" 2>/dev/null || kill "$@" 2>/dev/null; }`;
+
+// Shell function: does process group $1 have any live (non-zombie) member?
+// Reads /proc directly; `kill -0` would also count zombies nobody has reaped yet.
+const GROUP_ALIVE_HELPER = [
+  'group_alive() {',
+  '  for f in /proc/[0-9]*/stat; do',
+  '    { read -r s < "$f"; } 2>/dev/null || continue',
+  '    s=${s##*) }',        // drop "pid (comm) " — comm may contain spaces
+  '    st=${s%% *}; s=${s#* }; s=${s#* }',
+  '    [ "${s%% *}" = "$1" ] && [ "$st" != Z ] && return 0',
+  '  done',
+  '  return 1',
+  '}',
+].join('\n');
+
+// ─── Background jobs ─────────────────────────────────────────────────────────
+//
+// Each job lives in its own directory in the guest:
+//
+//   ~/.carapace/jobs/<id>/
+//     meta.json   - { id, command, argv, cwd, user } as passed to startJob()
+//     script      - the remote command (see buildRemoteCommand)
+//     pid         - process group id (the job runs in its own session)
+//     stdout, stderr
+//     started, ended - epoch seconds (guest clock)
+//     exit        - exit code, once the command finishes
+//     signal      - SIGTERM/SIGKILL, if the job was killed via killJob()
+//
+// The job is detached with setsid and its stdio goes to files, so it keeps
+// running — and its output stays readable — across SSH disconnects.
+
+const JOBS_DIR = '$HOME/.carapace/jobs';
+const JOB_ID_RE = /^[a-z0-9][a-z0-9-]*$/i;
+
+function jobDir(id) {
+  if (typeof id !== 'string' || !JOB_ID_RE.test(id)) throw new Error(`Invalid job id: ${JSON.stringify(id)}`);
+  return `"${JOBS_DIR}/${id}"`;
+}
+
+/**
+ * Remote script printing the state of each job directory given in "$@",
+ * one block per job:
+ *   @job <id>
+ *   started=… pid=… exit=… ended=… signal=… (each only if present)
+ *   alive=1 (if the process group still exists)
+ *   meta=<json>
+ */
+const JOB_INFO_SCRIPT = [
+  GROUP_ALIVE_HELPER,
+  'for d in "$@"; do',
+  '  [ -d "$d" ] || continue',
+  '  echo "@job ${d##*/}"',
+  '  for f in started pid exit ended signal; do',
+  '    [ -s "$d/$f" ] && echo "$f=$(cat "$d/$f")"',
+  '  done',
+  '  pg=$(cat "$d/pid" 2>/dev/null)',
+  '  [ -n "$pg" ] && group_alive "$pg" && echo alive=1',
+  '  echo "meta=$(cat "$d/meta.json" 2>/dev/null)"',
+  'done',
+].join('\n');
+
+function parseJobInfo(output) {
+  const jobs = [];
+  let raw = null;
+  for (const line of output.split('\n')) {
+    if (line.startsWith('@job ')) {
+      raw = { id: line.slice(5) };
+      jobs.push(raw);
+    } else if (raw && line.includes('=')) {
+      const eq = line.indexOf('=');
+      raw[line.slice(0, eq)] = line.slice(eq + 1);
+    }
+  }
+
+  return jobs.map(r => {
+    let meta = {};
+    try { meta = JSON.parse(r.meta); } catch { /* written by an older runner, or truncated */ }
+    const epoch = v => (v ? new Date(parseInt(v, 10) * 1000).toISOString() : null);
+
+    let state;
+    if (r.exit !== undefined) state = 'exited';
+    else if (r.signal) state = 'killed';
+    else if (r.alive) state = 'running';
+    else if (!r.pid) state = 'starting';
+    else state = 'lost'; // process vanished without recording an exit (e.g. VM restored from a snapshot)
+
+    return {
+      ...meta,
+      id: r.id,
+      state,
+      pid: r.pid ? parseInt(r.pid, 10) : null,
+      exitCode: r.exit !== undefined ? parseInt(r.exit, 10) : null,
+      signal: r.signal || null,
+      startedAt: epoch(r.started),
+      endedAt: epoch(r.ended),
+    };
+  });
+}
+
+function parseLogOffsets(since) {
+  if (since === undefined || since === null) return { stdout: 0, stderr: 0 };
+  if (typeof since === 'number') since = { stdout: since, stderr: since };
+  const out = {};
+  for (const stream of ['stdout', 'stderr']) {
+    const v = since[stream] ?? 0;
+    if (!Number.isInteger(v) || v < 0) throw new Error(`since.${stream} must be a non-negative integer byte offset`);
+    out[stream] = v;
+  }
+  return out;
+}
+
+/**
+ * Length of buf without a UTF-8 sequence cut off at its end, so a log read
+ * that stops inside a character leaves it for the next read.
+ */
+function completeUtf8Length(buf) {
+  for (let i = buf.length - 1; i >= Math.max(0, buf.length - 4); i--) {
+    const byte = buf[i];
+    if ((byte & 0xc0) === 0x80) continue; // continuation byte
+    // ASCII, or a byte no valid character starts with: nothing to wait for
+    if (byte < 0xc2 || byte > 0xf4) return buf.length;
+    const need = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : 2;
+    return i + need > buf.length ? i : buf.length;
+  }
+  return buf.length;
+}
+
+/**
+ * Run SSH command, return { stdout, stderr, code, timedOut }
+ *
+ * Output is delivered to the optional onStdout/onStderr callbacks as it
+ * arrives (utf8 strings), in addition to being buffered for the result.
+ * stdin may be a string, Buffer or readable stream; without it the remote
+ * command sees EOF immediately. If stdoutStream is given, raw stdout bytes
+ * are piped into it instead of being buffered (result.stdout is then '').
+ *
+ * When timeoutMs elapses, onTimeout (if given) is awaited so the caller can
+ * clean up the remote side; its return value is merged into the result.
+ * The local ssh client is then killed if it hasn't exited on its own, and
+ * the result comes back with timedOut: true and code: null. Aborting
+ * `signal` does the same, with aborted: true instead.
  */
-function sshExec(sshArgs, command, timeoutMs = 30000) {
+function sshExec(sshArgs, command, timeoutMs = 30000, { onStdout, onStderr, stdin, stdoutStream, onTimeout, signal } = {}) {
   return new Promise((resolve, reject) => {
     const args = [
       ...sshArgs,
       command,
     ];
     
-    const proc = spawn('ssh', args, { timeout: timeoutMs });
+    const proc = spawn('ssh', args);
     let stdout = '';
     let stderr = '';
+    let timedOut = false;
+    let aborted = false;
+    let timeoutInfo = {};
+    let forceKill = null;
+    let cleanup = null;
+
+    const stop = () => {
+      cleanup ??= Promise.resolve()
+        .then(() => onTimeout?.())
+        .then(info => { timeoutInfo = info || {}; }, () => {})
+        .then(() => {
+          // Remote side is gone; give ssh a moment to flush and exit by itself
+          forceKill = setTimeout(() => proc.kill('SIGKILL'), onTimeout ? 2000 : 0);
+        });
+    };
+    const timer = setTimeout(() => {
+      if (aborted) return;
+      timedOut = true;
+      stop();
+    }, timeoutMs);
+    const onAbort = () => {
+      if (timedOut) return;
+      aborted = true;
+      stop();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) onAbort();
+
+    proc.stderr.setEncoding('utf8');
+    proc.stderr.on('data', d => { stderr += d; onStderr?.(d); });
+
+    if (stdoutStream) {
+      proc.stdout.pipe(stdoutStream);
+    } else {
+      proc.stdout.setEncoding('utf8');
+      proc.stdout.on('data', d => { stdout += d; onStdout?.(d); });
+    }
     
-    proc.stdout.on('data', d => { stdout += d; });
-    proc.stderr.on('data', d => { stderr += d; });
-    
-    proc.on('close', code => {
-      resolve({ stdout: stdout.trim(), stderr: stderr.trim(), code });
+    proc.on('close', async code => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (cleanup) await cleanup;
+      clearTimeout(forceKill);
+      const result = { stdout: stdout.trim(), stderr: stderr.trim(), code: cleanup ? null : code, timedOut };
+      if (timedOut) resolve({ ...result, ...timeoutInfo });
+      else if (aborted) resolve({ ...result, aborted, ...timeoutInfo });
+      else resolve(result);
     });
     
-    proc.on('error', err => reject(err));
+    proc.on('error', err => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+
+    // The remote side may exit without reading all of its input
+    proc.stdin.on('error', () => {});
+    if (stdin === undefined || stdin === null) {
+      proc.stdin.end();
+    } else if (typeof stdin === 'string' || Buffer.isBuffer(stdin)) {
+      proc.stdin.end(stdin);
+    } else if (typeof stdin.pipe === 'function') {
+      stdin.pipe(proc.stdin);
+    } else {
+      proc.kill();
+      reject(new Error('stdin must be a string, Buffer or readable stream'));
+    }
+  });
+}
+
+// ─── Serial console ──────────────────────────────────────────────────────────
+
+const CONSOLE_TAIL_LINES = 20; // console lines included in boot errors
+
+/**
+ * What boot() looks for on the serial console.
+ */
+const CONSOLE_PATTERNS = {
+  ready: /CARAPACEOS_READY/,
+  runcmdFailed: /CARAPACEOS_RUNCMD_FAILED (\d+)/,
+  panic: /Kernel panic/,
+  cloudInitError: /Failed to run module|Failed running \S+|cloud-init\[\d+\]:.*\b(?:ERROR|CRITICAL)\b|Traceback \(most recent call last\)/,
+  cloudInitFinished: /Cloud-init v\. \S+ finished/,
+};
+
+// ─── Boot timeline ───────────────────────────────────────────────────────────
+
+/**
+ * Boot phases in order. Each is measured from the end of the previous one,
+ * so the phase durations add up to the total boot time:
+ *   seed      — SSH key + cloud-init seed ISO
+ *   overlay   — qemu-img overlay creation
+ *   qemuStart — QEMU spawned until its host SSH port accepts connections
+ *   guest     — kernel + cloud-init, until the ready marker
+ *   ssh       — SSH handshake and ControlMaster
+ *   shares    — shared directories mounted
+ */
+export const BOOT_PHASES = ['seed', 'overlay', 'qemuStart', 'guest', 'ssh', 'shares'];
+
+// ─── VM resources ────────────────────────────────────────────────────────────
+
+const DISK_SIZE_RE = /^\d+[KMGT]?$/;
+
+/**
+ * I/O limit keys → QEMU -drive throttling options.
+ * QEMU rejects a total limit combined with a read/write limit of the same kind.
+ */
+const IO_LIMIT_OPTIONS = {
+  iops: 'iops-total',
+  iopsRead: 'iops-read',
+  iopsWrite: 'iops-write',
+  bps: 'bps-total',
+  bpsRead: 'bps-read',
+  bpsWrite: 'bps-write',
+};
+
+/**
+ * Validate opts.diskSize ('10G', '512M' or a byte count) → qemu-img size string.
+ */
+function normalizeDiskSize(size) {
+  if (size === undefined || size === null) return null;
+  const str = typeof size === 'number' ? String(size) : String(size).toUpperCase();
+  if (!DISK_SIZE_RE.test(str) || /^0+[KMGT]?$/.test(str)) {
+    throw new Error(`Invalid diskSize "${size}" (expected a size like "10G" or a byte count)`);
+  }
+  return str;
+}
+
+/**
+ * Validate opts.ioLimits: { iops, iopsRead, iopsWrite, bps, bpsRead, bpsWrite }.
+ */
+function normalizeIoLimits(limits) {
+  if (limits === undefined || limits === null) return null;
+  if (typeof limits !== 'object' || Array.isArray(limits)) throw new Error('ioLimits must be an object');
+  const out = {};
+  for (const [key, value] of Object.entries(limits)) {
+    if (!(key in IO_LIMIT_OPTIONS)) {
+      throw new Error(`Unknown ioLimits key "${key}". Valid: ${Object.keys(IO_LIMIT_OPTIONS).join(', ')}`);
+    }
+    if (!Number.isInteger(value) || value <= 0) throw new Error(`ioLimits.${key} must be a positive integer`);
+    out[key] = value;
+  }
+  for (const kind of ['iops', 'bps']) {
+    if (out[kind] && (out[`${kind}Read`] || out[`${kind}Write`])) {
+      throw new Error(`ioLimits.${kind} cannot be combined with ${kind}Read/${kind}Write`);
+    }
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// ─── Shared directories (virtio-9p) ──────────────────────────────────────────
+
+const SHARE_MOUNT_TIMEOUT = 20_000; // ms to wait for runcmd to mount shares after SSH is up
+
+/**
+ * Validate and normalise opts.shares.
+ * Each entry becomes { hostPath (absolute), guestPath, readonly, tag }.
+ *
+ * @param {Array<{ hostPath: string, guestPath: string, readonly?: boolean }>} shares
+ * @returns {Array<{ hostPath: string, guestPath: string, readonly: boolean, tag: string }>}
+ */
+function normalizeShares(shares) {
+  if (!Array.isArray(shares)) throw new Error('shares must be an array');
+  const guestPaths = new Set();
+
+  return shares.map((share, i) => {
+    const { hostPath, guestPath, readonly = true } = share || {};
+    if (typeof hostPath !== 'string' || !hostPath) {
+      throw new Error(`shares[${i}].hostPath must be a non-empty string`);
+    }
+    let st;
+    try { st = statSync(hostPath); } catch {
+      throw new Error(`shares[${i}].hostPath does not exist: ${hostPath}`);
+    }
+    if (!st.isDirectory()) throw new Error(`shares[${i}].hostPath is not a directory: ${hostPath}`);
+
+    if (typeof guestPath !== 'string' || !guestPath.startsWith('/') || guestPath === '/') {
+      throw new Error(`shares[${i}].guestPath must be an absolute path below /`);
+    }
+    if (/[\0\n]/.test(guestPath)) throw new Error(`shares[${i}].guestPath contains invalid characters`);
+    const normalized = guestPath.replace(/\/+$/, '');
+    if (guestPaths.has(normalized)) throw new Error(`shares[${i}].guestPath is used twice: ${guestPath}`);
+    guestPaths.add(normalized);
+
+    if (typeof readonly !== 'boolean') throw new Error(`shares[${i}].readonly must be a boolean`);
+
+    return { hostPath: resolve(hostPath), guestPath: normalized, readonly, tag: `share${i}` };
   });
 }
 
+/**
+ * Parse a CLI share spec: HOST_DIR:GUEST_DIR[:ro|:rw] (read-only by default).
+ *   parseShareSpec('./src:/work') → { hostPath: './src', guestPath: '/work', readonly: true }
+ */
+export function parseShareSpec(spec) {
+  const m = /^(.+?):(\/[^:]*)(?::(ro|rw))?$/.exec(spec);
+  if (!m) throw new Error(`Invalid share "${spec}" (expected HOST_DIR:GUEST_DIR[:ro|:rw])`);
+  return { hostPath: m[1], guestPath: m[2], readonly: m[3] !== 'rw' };
+}
+
+/**
+ * Escape a value for a QEMU -option list (commas are doubled).
+ */
+function qemuOptValue(value) {
+  return String(value).replace(/,/g, ',,');
+}
+
 /**
  * Main CarapaceRunner class
  */
-export class CarapaceRunner {
+export class CarapaceRunner extends EventEmitter {
+  /**
+   * Events:
+   *   'console' (line: string) — each line the guest prints on its serial console
+   *   'dns' ({ name, type, rcode, answer }) — each DNS query in allowlist mode
+   *   'proxy' ({ vm, method, host, port, path, allowed, reason }) — each request
+   *     through the egress proxy in proxy mode
+   *   'connection' ({ time, guest, host, port, bytesOut, bytesIn, durationMs, error? }) —
+   *     each allowlist connection once it has closed
+   *   'network:limit' ({ limit, value, host, port, bytes, connections }) — an
+   *     egress limit cut the VM's connections (see opts.egressLimits)
+   */
   constructor(opts = {}) {
-    this.baseImage = opts.image || join(__dirname, '../vm-image/carapaceos.qcow2');
-    this.memory = opts.memory || DEFAULT_MEMORY;
+    super();
+    // Boot template (see saveTemplate()): restore a saved running VM instead of
+    // booting; it fixes the base image, memory, cpus and diskSize
+    this.template = opts.template ? loadTemplate(opts.template) : null;
+    this.baseImage = opts.image || this.template?.baseImage || join(__dirname, '../vm-image/carapaceos.qcow2');
+    this.memory = opts.memory || this.template?.memory || DEFAULT_MEMORY;
+    this.cpus = opts.cpus ?? this.template?.cpus ?? 1;
+    if (!Number.isInteger(this.cpus) || this.cpus < 1) throw new Error('cpus must be a positive integer');
+    // Overlay size (e.g. '10G'); the guest grows its root filesystem to match at boot
+    this.diskSize = normalizeDiskSize(opts.diskSize ?? this.template?.diskSize ?? undefined);
+    // Disk throttling: { iops, iopsRead, iopsWrite, bps, bpsRead, bpsWrite }
+    this.ioLimits = normalizeIoLimits(opts.ioLimits);
     this.sshTimeout = (opts.sshTimeout || DEFAULT_SSH_TIMEOUT) * 1000;
     this.taskTimeout = (opts.taskTimeout || DEFAULT_TASK_TIMEOUT) * 1000;
     this.user = opts.user || 'agent';
@@ -213,20 +804,98 @@ export class CarapaceRunner {
     }
     // Allowlist entries: [{ host: 'registry.npmjs.org', port: 443 }, ...]
     this.networkAllow = opts.networkAllow || [];
-    if (this.networkMode === 'allowlist' && this.networkAllow.length === 0) {
-      throw new Error('networkMode "allowlist" requires at least one entry in networkAllow[]');
+    if ((this.networkMode === 'allowlist' || this.networkMode === 'proxy') && this.networkAllow.length === 0) {
+      throw new Error(`networkMode "${this.networkMode}" requires at least one entry in networkAllow[]`);
+    }
+    // Proxy rules: 'host', '*.domain' or { host, port, methods, paths }
+    if (this.networkMode === 'proxy') this.networkAllow = normalizeProxyRules(this.networkAllow);
+    // Egress limits: { maxBytes, bytesPerSecond, maxConnections } for the whole
+    // session, enforced by the relay or proxy that guest traffic goes through
+    this.egressLimits = normalizeEgressLimits(opts.egressLimits);
+    if (this.egressLimits && this.networkMode !== 'allowlist' && this.networkMode !== 'proxy') {
+      throw new Error(`egressLimits need networkMode "allowlist" or "proxy" (got "${this.networkMode}")`);
     }
     // DNS server override (useful for allowlist mode — resolve before restricting)
     this.dnsServer = opts.dnsServer || null;
 
+    // Host ↔ guest transport; without a network device only the guest agent works
+    this.transport = opts.transport ?? (this.networkMode === 'none' ? 'serial' : 'ssh');
+    if (!TRANSPORTS.has(this.transport)) {
+      throw new Error(`Invalid transport "${this.transport}". Valid: ${[...TRANSPORTS].join(', ')}`);
+    }
+    if (this.transport === 'ssh' && this.networkMode === 'none') {
+      throw new Error('networkMode "none" has no network for SSH; use transport "serial"');
+    }
+
+    // Private L2 network shared with other VMs (lib/vm-network.js): a second NIC
+    // with a fixed address and hostname. Internet access still follows networkMode.
+    this.vmNetwork = opts.vmNetwork ?? null;
+    if (this.vmNetwork && !(this.vmNetwork instanceof VMNetwork)) throw new Error('vmNetwork must be a VMNetwork');
+    if (opts.hostname !== undefined && !this.vmNetwork) throw new Error('hostname needs a vmNetwork');
+    if (this.vmNetwork && this.template) {
+      throw new Error('vmNetwork needs a full boot: a template was saved without the second network device');
+    }
+
+    // SSH connection multiplexing: one persistent ControlMaster connection per VM,
+    // so each run()/upload()/download() skips the TCP + key exchange handshake.
+    this.multiplex = opts.multiplex !== undefined ? opts.multiplex : true;
+
+    // Host directories exposed to the guest over virtio-9p:
+    // [{ hostPath, guestPath, readonly = true }]
+    this.shares = normalizeShares(opts.shares || []);
+    if (this.template) this._checkTemplate();
+
+    // Host ports the SSH forward may use: [min, max] or 'MIN-MAX'.
+    // Reserved host-wide at boot, so concurrent processes never collide.
+    this.sshPortRange = parsePortRange(opts.sshPortRange ?? process.env.CARAPACE_SSH_PORT_RANGE ?? DEFAULT_SSH_PORT_RANGE);
+
+    // SSH keys: 'ephemeral' (fresh key pair and host key per VM) or 'shared'
+    // (one host-wide set, faster, opt-in). Template clones are always re-keyed.
+    this.keyPolicy = opts.keyPolicy ?? process.env.CARAPACE_KEY_POLICY ?? 'ephemeral';
+    if (!KEY_POLICIES.has(this.keyPolicy)) {
+      throw new Error(`Invalid keyPolicy "${this.keyPolicy}". Valid: ${[...KEY_POLICIES].join(', ')}`);
+    }
+
     // Runtime state
-    this._sshPort = allocPort();
+    this._sshPort = null; // reserved in boot()
+    this._sshPortLease = null;
     this._workDir = join(tmpdir(), `carapace-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`);
     this._overlayImage = join(this._workDir, 'overlay.qcow2');
     this._sshKeyPath = join(this._workDir, 'id_ed25519');
+    // The guest's SSH host key is generated here and pinned in a per-VM known_hosts
+    this._hostKeyPath = join(this._workDir, 'ssh_host_ed25519_key');
+    this._knownHostsPath = join(this._workDir, 'known_hosts');
+    this._hostPubKey = null; // "ssh-ed25519 AAAA...", set once pinned
     this._seedISO = join(this._workDir, 'seed.iso');
     this._qmpSocket = join(this._workDir, 'qmp.sock');
+    this._agentSocket = join(this._workDir, 'agent.sock'); // guest agent (transport 'serial')
+    this._agent = null; // GuestAgentClient once connected
+    this._dnsSocket = join(this._workDir, 'dns.sock'); // DNS responder (allowlist mode)
+    this._dns = null;
+    this._proxySocket = join(this._workDir, 'proxy.sock'); // egress proxy (proxy mode)
+    this._proxy = null;
+    this._relay = null; // allowlist relay (see _allowlistRoutes())
+    this._limiter = null; // EgressLimiter shared by the relay or proxy
+    // Audit log of connections, DNS queries, proxy decisions and limits hit (networkLog());
+    // opts.networkLogPath keeps it outside the work dir, past shutdown()
+    this._networkLog = new NetworkLog(opts.networkLogPath ?? join(this._workDir, 'network.jsonl'));
+    this._sshControlPath = join(this._workDir, 'ssh.ctl');
+    this._sshMaster = null;
+    /** @type {Map<number, { hostPort: number, guestPort: number, createdAt: number }>} */
+    this._forwards = new Map(); // runtime port forwards, keyed by host port
+    this._fs = null; // RemoteFS, created on first access to runner.fs
     this._qemuProc = null;
+    this._qemuStderr = '';
+    this._console = null; // SerialConsole following boot.log
+    this._onBootEvent = null; // set while boot() waits on the console
+    this._bootMarks = null; // { start, seed, overlay, ... } epoch ms per finished phase
+    this._kvm = null; // whether QEMU was started with -enable-kvm
+    this.hostname = null; // guest hostname, set when a template clone is refreshed
+    // { hostname, ip, mac } on opts.vmNetwork, reserved until shutdown()
+    this._lan = this.vmNetwork?.join(this, { hostname: opts.hostname }) ?? null;
+    if (this._lan) this.hostname = this._lan.hostname;
+    // What the console has told us about provisioning
+    this.cloudInit = { ready: false, finished: false, errors: [] };
     this._bootLog = '';
     this._booted = false;
     
@@ -238,6 +907,29 @@ export class CarapaceRunner {
     if (this.verbose) console.error('[CarapaceRunner]', ...args);
   }
 
+  /**
+   * A restored VM must match the hardware the template was saved with.
+   */
+  _checkTemplate() {
+    const t = this.template;
+    const mismatch = (what, ours, theirs) => {
+      throw new Error(`${what} ${ours} does not match template ${t.dir} (${theirs})`);
+    };
+    if (resolve(this.baseImage) !== t.baseImage) mismatch('image', resolve(this.baseImage), t.baseImage);
+    if (String(this.memory) !== t.memory) mismatch('memory', this.memory, t.memory);
+    if (this.cpus !== t.cpus) mismatch('cpus', this.cpus, t.cpus);
+    if ((this.diskSize ?? null) !== t.diskSize) mismatch('diskSize', this.diskSize, t.diskSize);
+    if (this.shares.length > 0) throw new Error('Templates cannot be combined with shares (9p mounts block savevm)');
+    if (this.networkMode === 'none') throw new Error('Templates need networking: clones are re-keyed over SSH');
+    // Clones keep the template's seed, so the guest has the DNS stub (allowlist)
+    // or proxy settings (proxy) only if the template was saved in that mode
+    const seedNetwork = mode => (mode === 'allowlist' || mode === 'proxy' ? mode : 'nat or isolated');
+    if (seedNetwork(this.networkMode) !== seedNetwork(t.networkMode)) {
+      mismatch('networkMode', this.networkMode, t.networkMode);
+    }
+    if (this.transport !== 'ssh') throw new Error('Templates need the SSH transport: clones are re-keyed over SSH');
+  }
+
   /**
    * Build QEMU network arguments based on networkMode.
    *
@@ -259,223 +951,1377 @@ export class CarapaceRunner {
 
     let netdevSpec = `user,id=net0,hostfwd=tcp::${this._sshPort}-:22`;
 
-    if (this.networkMode === 'isolated') {
-      // Block all guest-initiated outbound connections
-      // SSH still works because hostfwd is host-side
-      netdevSpec += ',restrict=on';
-      this._log('Network mode: isolated (restrict=on, no outbound)');
-    } else if (this.networkMode === 'allowlist') {
-      // Restricted + selective forwarding via guestfwd
-      // Each allowed entry creates a guestfwd rule that tunnels
-      // guest connections to specific external hosts through QEMU
-      netdevSpec += ',restrict=on';
+    if (this.networkMode === 'isolated') {
+      // Block all guest-initiated outbound connections
+      // SSH still works because hostfwd is host-side
+      netdevSpec += ',restrict=on';
+      this._log('Network mode: isolated (restrict=on, no outbound)');
+    } else if (this.networkMode === 'allowlist') {
+      // Restricted + selective forwarding via guestfwd
+      // Each allowed entry creates a guestfwd rule that tunnels
+      // guest connections to specific external hosts through QEMU
+      netdevSpec += ',restrict=on';
+
+      // guestfwd binds a guest-visible address to an external host.
+      // We use 10.0.2.x addresses (QEMU SLIRP internal subnet), one per host.
+      // Guest connects to guestAddr:port → QEMU starts the bridge, which joins
+      // the connection to the in-process relay (lib/network-relay.js) → host:port.
+      for (const { port, guestAddr, socketPath } of this._allowlistRoutes()) {
+        netdevSpec += `,guestfwd=tcp:${guestAddr}:${port}-${guestfwdCommand(socketPath)}`;
+      }
+      // The guest's DNS stub reaches the host-side responder here, so allowed
+      // hostnames resolve to their guest addresses
+      netdevSpec += `,guestfwd=tcp:${DNS_GUEST_ADDR}:53-${guestfwdCommand(this._dnsSocket)}`;
+
+      if (this.dnsServer) {
+        netdevSpec += `,dns=${this.dnsServer}`;
+      }
+
+      this._log(`Network mode: allowlist (${this.networkAllow.length} rules, restrict=on)`);
+      this._log(`  Allowed: ${this.networkAllow.map(e => `${e.host}:${e.port}`).join(', ')}`);
+    } else if (this.networkMode === 'proxy') {
+      // Restricted; the only way out is the egress proxy
+      netdevSpec += ',restrict=on';
+      netdevSpec += `,guestfwd=tcp:${PROXY_GUEST_ADDR}:${PROXY_PORT}-${guestfwdCommand(this._proxySocket)}`;
+      this._log(`Network mode: proxy (${this.networkAllow.length} rules, restrict=on)`);
+    } else {
+      // 'nat' — default, full outbound access
+      this._log('Network mode: nat (full outbound access)');
+    }
+
+    return [
+      '-netdev', netdevSpec,
+      '-device', 'virtio-net,netdev=net0',
+    ];
+  }
+
+  /**
+   * Allowlist entries with their guest-visible addresses: one SLIRP address
+   * (10.0.2.100+) per distinct host, shared by all of that host's ports, so
+   * a hostname can resolve to a single address. Each entry has its own
+   * relay socket in the work dir.
+   * @returns {Array<{ host: string, port: number, guestAddr: string, socketPath: string }>}
+   */
+  _allowlistRoutes() {
+    const addrs = new Map();
+    return this.networkAllow.map(({ host, port }, i) => {
+      if (!host || !port) {
+        throw new Error(`networkAllow[${i}] must have { host, port }`);
+      }
+      const key = host.toLowerCase();
+      if (!addrs.has(key)) addrs.set(key, `10.0.2.${100 + addrs.size}`);
+      return { host, port, guestAddr: addrs.get(key), socketPath: join(this._workDir, `relay-${i}.sock`) };
+    });
+  }
+
+  /**
+   * Append to the network audit log. Never throws: a full disk or a removed
+   * work dir must not take the relay down with it.
+   */
+  _audit(type, fields) {
+    try {
+      this._networkLog.append(type, fields);
+    } catch (err) {
+      this._log(`Could not write network log: ${err.message}`);
+    }
+  }
+
+  /**
+   * The session's EgressLimiter, or null without opts.egressLimits.
+   * Limits that are hit are logged, audited and emitted as 'network:limit'.
+   */
+  _egressLimiter() {
+    if (!this.egressLimits) return null;
+    if (this._limiter) return this._limiter;
+    this._limiter = new EgressLimiter(this.egressLimits);
+    this._limiter.on('limit', e => {
+      this._log(`Egress limit ${e.limit} (${e.value}) hit${e.host ? ` by ${e.host}:${e.port}` : ''}`);
+      this._audit('limit', e);
+      this.emit('network:limit', e);
+    });
+    return this._limiter;
+  }
+
+  /**
+   * Start the allowlist relay on its sockets in the work dir.
+   */
+  async _startRelay() {
+    this._relay = new NetworkRelay(this._allowlistRoutes(), { limiter: this._egressLimiter() });
+    this._relay.on('connection', c => {
+      this._log(`Connection to ${c.host}:${c.port}: ${c.bytesOut} B out, ${c.bytesIn} B in, ${c.durationMs} ms${c.error ? ` (${c.error})` : ''}`);
+      this._audit('connection', c);
+      this.emit('connection', c);
+    });
+    await this._relay.listen();
+  }
+
+  /**
+   * Start the allowlist DNS responder on its socket in the work dir.
+   */
+  async _startDns() {
+    const records = {};
+    for (const { host, guestAddr } of this._allowlistRoutes()) {
+      if (!isIP(host)) records[host] = guestAddr;
+    }
+    this._dns = new DnsResponder(records);
+    this._dns.on('query', q => {
+      const { type: qtype, ...rest } = q;
+      this._audit('dns', { ...rest, qtype });
+      this.emit('dns', q);
+    });
+    await this._dns.listen(this._dnsSocket);
+    this._log(`DNS responder: ${Object.keys(records).join(', ') || '(no hostnames)'}`);
+  }
+
+  /**
+   * Start the egress proxy on its socket in the work dir.
+   */
+  async _startProxy() {
+    this._proxy = new EgressProxy(this.networkAllow, { vm: basename(this._workDir), limiter: this._egressLimiter() });
+    this._proxy.on('request', r => {
+      if (!r.allowed) this._log(`Proxy denied ${r.method} ${r.host}:${r.port}${r.path ?? ''}: ${r.reason}`);
+      const { vm, ...fields } = r; // the log is per VM already
+      this._audit('proxy', fields);
+      this.emit('proxy', r);
+    });
+    await this._proxy.listen(this._proxySocket);
+  }
+
+  /**
+   * Build the QEMU -drive arguments for the overlay disk, including any
+   * opts.ioLimits. Limits are applied through a named throttle group so
+   * every disk attached to this VM draws from the same budget.
+   */
+  _buildDriveArgs() {
+    let spec = `file=${this._overlayImage},if=virtio,format=qcow2`;
+    if (this.ioLimits) {
+      for (const [key, value] of Object.entries(this.ioLimits)) {
+        spec += `,throttling.${IO_LIMIT_OPTIONS[key]}=${value}`;
+      }
+      spec += ',throttling.group=carapace-io';
+      this._log(`I/O limits: ${JSON.stringify(this.ioLimits)}`);
+    }
+    return ['-drive', spec];
+  }
+
+  /**
+   * Build QEMU arguments for opts.shares.
+   *
+   * Each share becomes a `local` fsdev plus a virtio-9p-pci device whose
+   * mount_tag the guest uses to find it. `readonly=on` is enforced by QEMU
+   * on the host side, so even root in the guest cannot write through a
+   * read-only share (remounting it rw in the guest does not help).
+   *
+   * Returns an array of QEMU CLI args (e.g. ['-fsdev', 'local,...', '-device', 'virtio-9p-pci,...'])
+   */
+  _buildShareArgs() {
+    const args = [];
+    for (const { hostPath, readonly, tag } of this.shares) {
+      let fsdev = `local,id=fs${tag},path=${qemuOptValue(hostPath)},security_model=none`;
+      if (readonly) fsdev += ',readonly=on';
+      args.push(
+        '-fsdev', fsdev,
+        '-device', `virtio-9p-pci,fsdev=fs${tag},mount_tag=${tag}`,
+      );
+      this._log(`Share: ${hostPath} → ${tag}${readonly ? ' (read-only)' : ''}`);
+    }
+    return args;
+  }
+
+  /**
+   * Seed ISO runcmd lines that mount opts.shares in the guest at boot.
+   * @returns {string[]}
+   */
+  _shareMountCommands() {
+    return this.shares.map(({ guestPath, readonly, tag }) => {
+      const mountOpts = `trans=virtio,version=9p2000.L,msize=524288${readonly ? ',ro' : ''}`;
+      return `mkdir -p ${shellQuote(guestPath)} && mount -t 9p -o ${mountOpts} ${tag} ${shellQuote(guestPath)}`;
+    });
+  }
+
+  /**
+   * runcmd may still be running when sshd comes up; wait until every share
+   * is mounted so callers can use them as soon as boot() resolves.
+   */
+  async _waitForShares() {
+    if (this.shares.length === 0) return;
+    const checks = this.shares.map(s => `mountpoint -q ${shellQuote(s.guestPath)}`).join(' && ');
+    const tries = Math.ceil(SHARE_MOUNT_TIMEOUT / 250);
+    const r = await this._exec(
+      `i=0; while [ $i -lt ${tries} ]; do ${checks} && exit 0; i=$((i+1)); sleep 0.25; done; exit 1`,
+      SHARE_MOUNT_TIMEOUT + 10_000);
+    if (r.code !== 0) {
+      const paths = this.shares.map(s => s.guestPath).join(', ');
+      throw new Error(`Shared directories were not mounted in the guest: ${paths}`);
+    }
+  }
+
+  /**
+   * Boot the VM. Returns when SSH is available.
+   */
+  async boot() {
+    this._bootMarks = { start: Date.now() };
+    mkdirSync(this._workDir, { recursive: true });
+    this._log(`Work dir: ${this._workDir}`);
+    if (this.networkMode !== 'none') {
+      await this._reserveSshPort();
+      this._log(`SSH port: ${this._sshPort}`);
+    }
+    this._register();
+
+    // Shares (runcmd mounts), diskSize (rootfs grow) and the guest agent go into the seed
+    const seedOpts = this._seedOptions();
+
+    if (this.template) {
+      // The saved guest already ran cloud-init; it is re-keyed once SSH is up
+      copyFileSync(this.template.files.seed, this._seedISO);
+      copyFileSync(this.template.files.key, this._sshKeyPath);
+      sh(`chmod 600 "${this._sshKeyPath}"`);
+      this._writeKnownHosts(readFileSync(this.template.files.hostKey, 'utf8'));
+      this._log(`Restoring from template ${this.template.dir}`);
+    } else if (this.keyPolicy === 'shared') {
+      const shared = loadSharedKeys();
+      copyFileSync(shared.keyPath, this._sshKeyPath);
+      chmodSync(this._sshKeyPath, 0o600);
+      this._writeKnownHosts(shared.hostKey.publicKey);
+      this._copySharedSeed(shared, seedOpts);
+      this._log(`Using shared SSH keys from ${shared.dir}`);
+    } else {
+      // Generate fresh key + host key + seed
+      this._log('Generating fresh SSH keys...');
+      const pubKey = generateSSHKey(this._sshKeyPath);
+      const hostKey = {
+        publicKey: generateSSHKey(this._hostKeyPath, 'carapaceos-host'),
+        privateKey: readFileSync(this._hostKeyPath, 'utf8'),
+      };
+      this._writeKnownHosts(hostKey.publicKey);
+      this._log('Creating seed ISO (Node.js built-in, no external tools)...');
+      makeSeedISO(pubKey, this._seedISO, { ...seedOpts, hostKey });
+    }
+    this._markBoot('seed');
+
+    // Create overlay (copy-on-write, base image untouched). A template's overlay
+    // carries the saved memory state, so each clone gets its own copy
+    // (a reflink where the filesystem supports it).
+    this._log('Creating overlay image...');
+    if (this.template) {
+      copyFileSync(this.template.files.disk, this._overlayImage, fsConstants.COPYFILE_FICLONE);
+    } else {
+      createOverlay(this.baseImage, this._overlayImage, this.diskSize);
+    }
+    this._markBoot('overlay');
+
+    // Detect QEMU binary + machine flags for the host architecture
+    const { binary: qemuBinary, machineArgs, detectedArch } = detectQemuConfig();
+    this._log(`Host arch: ${detectedArch}, QEMU binary: ${qemuBinary}, machine: ${machineArgs.join(' ')}`);
+
+    const kvmArgs = this._kvmArgs();
+    if (this.template && this._kvm !== this.template.kvm) {
+      this._releaseSshPort();
+      throw new Error(`Template ${this.template.dir} was saved with ${this.template.kvm ? 'KVM' : 'TCG'} ` +
+        `but this host would use ${this._kvm ? 'KVM' : 'TCG'}`);
+    }
+    const restoreArgs = this.template ? ['-loadvm', this.template.snapshot] : [];
+
+    // Allowed connections go through the relay; allowed hostnames resolve
+    // through a host-side DNS responder
+    if (this.networkMode === 'allowlist') {
+      await this._startRelay();
+      await this._startDns();
+    }
+    if (this.networkMode === 'proxy') await this._startProxy();
+
+    // Boot in background, capture serial output for debugging
+    const bootLogPath = join(this._workDir, 'boot.log');
+    // Guest agent port (transport 'serial')
+    const deviceArgs = this.transport === 'serial' ? guestAgentQemuArgs(this._agentSocket) : [];
+
+    // Another process can grab the reserved SSH port before QEMU binds it;
+    // QEMU then exits at once and we retry on a different port
+    for (let attempt = 1; ; attempt++) {
+      this._sshArgs = this._buildSshArgs();
+      this._startQemu(qemuBinary, [...machineArgs, ...kvmArgs, ...restoreArgs], bootLogPath, deviceArgs);
+
+      // Wait for the guest: ready marker on the console (or the SSH port, for
+      // template clones), failing fast on panics and provisioning errors
+      this._log(`Waiting for guest (console + SSH port ${this._sshPort})...`);
+      try {
+        await this._waitForReady({ requireMarker: !this.template });
+        if (this.template) this.cloudInit.ready = true; // provisioned before it was saved
+        break;
+      } catch (err) {
+        this._qemuProc?.kill('SIGKILL');
+        this._qemuProc = null;
+        if (attempt < SSH_PORT_ATTEMPTS && HOSTFWD_BIND_ERROR_RE.test(this._qemuStderr)) {
+          this._log(`SSH port ${this._sshPort} was taken before QEMU bound it, retrying`);
+          await this._reserveSshPort();
+          continue;
+        }
+        this._releaseSshPort();
+        throw err;
+      }
+    }
+
+    this._markBoot('guest');
+
+    if (this.transport === 'serial') {
+      await this._connectAgent();
+    } else {
+      // Wait for SSH to actually accept connections (a few more seconds)
+      await this._waitForSSH();
+      if (this.template) await this._refreshClone();
+    }
+    this._markBoot('ssh');
+    await this._waitForShares();
+    this._markBoot('shares');
+
+    this._booted = true;
+    if (this._lan) {
+      // VMs that booted before this one do not know its hostname yet
+      const stale = await this.vmNetwork.syncHosts();
+      if (stale.length > 0) this._log(`Could not update /etc/hosts on ${stale.join(', ')}`);
+    }
+    this._log(`VM booted successfully in ${this.bootTimeline.totalMs}ms`);
+    return this;
+  }
+
+  /**
+   * -enable-kvm when wanted and /dev/kvm is usable; records the choice in _kvm.
+   * @returns {string[]}
+   */
+  _kvmArgs() {
+    this._kvm = false;
+    if (this.enableKVM) {
+      try {
+        sh('test -r /dev/kvm');
+        this._kvm = true;
+        this._log('KVM enabled');
+      } catch {
+        this._log('KVM not available, using TCG (slower)');
+      }
+    }
+    return this._kvm ? ['-enable-kvm'] : [];
+  }
+
+  /**
+   * What this VM's seed needs besides keys: runcmd (guest agent start, DNS
+   * stub or proxy settings, VM network, share mounts), files (guest agent,
+   * DNS stub, proxy config), growRootfs and the hostname on a VM network.
+   */
+  _seedOptions() {
+    const serial = this.transport === 'serial';
+    const net = this.networkMode === 'allowlist' ? dnsStubSeed()
+      : this.networkMode === 'proxy' ? proxySeed()
+        : { files: [], runcmd: [] };
+    // The guest agent passes its environment on to commands, proxy variables included
+    const agentStart = this.networkMode === 'proxy'
+      ? `. ${PROXY_PROFILE_PATH}; ${guestAgentStartCommand()}`
+      : guestAgentStartCommand();
+    return {
+      runcmd: [
+        ...(serial ? [agentStart] : []),
+        ...net.runcmd,
+        ...(this._lan ? this.vmNetwork.seedCommands(this) : []),
+        ...this._shareMountCommands(),
+      ],
+      files: [
+        ...(serial ? [{ path: GUEST_AGENT_PATH, content: readFileSync(GUEST_AGENT_SCRIPT, 'utf8'), permissions: '0755' }] : []),
+        ...net.files,
+      ],
+      growRootfs: Boolean(this.diskSize),
+      ...(this._lan && { hostname: this._lan.hostname }),
+    };
+  }
+
+  /**
+   * Copy the seed for the shared key set into the work dir, building and
+   * caching it first if no VM with these seed options has used it yet.
+   */
+  _copySharedSeed(shared, seedOpts) {
+    const hash = createHash('sha256').update(JSON.stringify(seedOpts)).digest('hex').slice(0, 16);
+    const cached = join(shared.seedsDir, `${hash}.iso`);
+    ensurePrivateDir(shared.seedsDir, 'Shared seed directory');
+    if (existsSync(cached)) {
+      checkPrivatePath(cached, 'Cached seed'); // it goes into every VM booted with the shared keys
+    } else {
+      const tmp = `${cached}.${process.pid}.tmp`;
+      makeSeedISO(shared.publicKey, tmp, { ...seedOpts, hostKey: shared.hostKey });
+      renameSync(tmp, cached); // atomic: concurrent builders write the same seed
+    }
+    copyFileSync(cached, this._seedISO);
+  }
+
+  /**
+   * Make a VM restored from a template unique: its own SSH key pair and host
+   * key, hostname, cloud-init instance-id, clock and fresh entropy — every
+   * clone starts from the same saved memory.
+   */
+  async _refreshClone() {
+    const newKey = `${this._sshKeyPath}.new`;
+    const pubKey = generateSSHKey(newKey);
+    const hostPubKey = generateSSHKey(this._hostKeyPath, 'carapaceos-host');
+    // The host private key goes over stdin so it never shows up in a command line
+    const r = await sshExec(this._sshArgs, this._cloneRefreshCommand(pubKey, hostPubKey), 30_000, {
+      stdin: readFileSync(this._hostKeyPath),
+    });
+    if (r.code !== 0) throw new Error(`Template clone refresh failed: ${(r.stderr || r.stdout).trim()}`);
+
+    // The template key no longer works; reconnect with the new one and pin the new host key
+    this._stopSSHMaster();
+    renameSync(newKey, this._sshKeyPath);
+    renameSync(`${newKey}.pub`, `${this._sshKeyPath}.pub`);
+    this._writeKnownHosts(hostPubKey);
+    await this._waitForSSH();
+  }
+
+  /**
+   * Guest command run by _refreshClone() (as the SSH user; root parts via sudo).
+   * Reads the new host private key from stdin.
+   * @param {string} pubKey - the clone's new authorized key
+   * @param {string} hostPubKey - public half of the clone's new host key
+   */
+  _cloneRefreshCommand(pubKey, hostPubKey) {
+    const suffix = randomBytes(4).toString('hex');
+    this.hostname = `carapaceos-${suffix}`;
+    const rootScript = [
+      'set -e',
+      `printf '%s' ${randomBytes(64).toString('hex')} > /dev/urandom`,
+      `date -s @${Math.floor(Date.now() / 1000)} >/dev/null`,
+      `echo ${this.hostname} > /etc/hostname`,
+      `hostname ${this.hostname}`,
+      'mkdir -p /var/lib/cloud/data',
+      `echo carapaceos-${Date.now()}-${suffix} > /var/lib/cloud/data/instance-id`,
+      'rm -f /etc/ssh/ssh_host_*',
+      'cat > /etc/ssh/ssh_host_ed25519_key',
+      `printf '%s\\n' ${shellQuote(hostPubKey)} > /etc/ssh/ssh_host_ed25519_key.pub`,
+      'chmod 600 /etc/ssh/ssh_host_ed25519_key',
+      'chmod 644 /etc/ssh/ssh_host_ed25519_key.pub',
+      // The listener re-execs with the new key; open sessions (this one) survive
+      'rc-service sshd reload >/dev/null || kill -HUP "$(cat /run/sshd.pid)"',
+    ].join('\n');
+    return `umask 077 && printf '%s\\n' ${shellQuote(pubKey)} > ~/.ssh/authorized_keys && ` +
+      `sudo -n sh -c ${shellQuote(rootScript)}`;
+  }
+
+  /**
+   * Reserve a host-wide SSH port from sshPortRange, dropping any previous
+   * reservation (its port is skipped).
+   */
+  async _reserveSshPort() {
+    const previous = this._sshPort;
+    this._releaseSshPort();
+    this._sshPortLease = await reservePort({
+      range: this.sshPortRange,
+      exclude: previous ? [previous] : [],
+    });
+    this._sshPort = this._sshPortLease.port;
+  }
+
+  _releaseSshPort() {
+    this._sshPortLease?.release();
+    this._sshPortLease = null;
+  }
+
+  /**
+   * Record this VM in the host-wide registry, so carapace-gc can clean up
+   * after us if this process dies without shutdown().
+   */
+  _register() {
+    try {
+      registerVM({
+        id: basename(this._workDir),
+        workDir: this._workDir,
+        qemuPid: this._qemuProc?.pid ?? null,
+        sshPort: this._sshPort,
+      });
+    } catch (err) {
+      this._log(`Could not register VM: ${err.message}`);
+    }
+  }
+
+  /**
+   * Spawn QEMU with the current SSH port and start following its console.
+   * @param {string} qemuBinary
+   * @param {string[]} hostArgs - machine and accelerator flags
+   * @param {string} bootLogPath - file the serial console is written to
+   * @param {string[]} [deviceArgs] - extra devices (guest agent port, results disk)
+   */
+  _startQemu(qemuBinary, hostArgs, bootLogPath, deviceArgs = []) {
+    this._log('Booting QEMU...');
+    const qemuArgs = [
+      ...hostArgs,
+      ...this._buildDriveArgs(),
+      '-cdrom', this._seedISO,
+      '-m', this.memory,
+      '-smp', String(this.cpus),
+      '-display', 'none',
+      '-serial', 'pipe:/dev/stdin', // capture serial output
+      // Network configuration — varies by networkMode
+      ...this._buildNetArgs(),
+      // Second NIC on the private VM network, if any
+      ...(this._lan ? this.vmNetwork.qemuArgs(this) : []),
+      // Host directories shared over virtio-9p
+      ...this._buildShareArgs(),
+      ...deviceArgs,
+      // QMP monitor socket — enables savevm/loadvm (checkpoint/restore)
+      '-qmp', `unix:${this._qmpSocket},server=on,wait=off`,
+    ];
+
+    // Fix serial arg  
+    const finalArgs = qemuArgs.map(a => 
+      a === 'pipe:/dev/stdin' ? `file:${bootLogPath}` : a
+    );
+
+    this._startConsole(bootLogPath);
+
+    const proc = spawn(qemuBinary, finalArgs, {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      detached: false,
+    });
+    this._qemuProc = proc;
+    this._qemuStderr = '';
+    this._register();
+
+    // Keep the tail of QEMU's own stderr for error reports (bad device args etc.)
+    proc.stderr.on('data', chunk => {
+      this._qemuStderr = (this._qemuStderr + chunk).slice(-2048);
+    });
+
+    proc.on('exit', (code) => {
+      this._log(`QEMU exited with code ${code}`);
+      if (proc !== this._qemuProc) return; // an earlier attempt we already gave up on
+      this._booted = false;
+      const detail = this._qemuStderr.trim();
+      this._onBootEvent?.({ error: `QEMU exited with code ${code}${detail ? `: ${detail}` : ''}` });
+    });
+  }
+
+  /**
+   * Follow the serial console log and classify what the guest prints.
+   * @param {string} path
+   */
+  _startConsole(path) {
+    this._console?.stop();
+    this.cloudInit = { ready: false, finished: false, errors: [] };
+    this._console = new SerialConsole(path);
+    this._console.on('line', line => this._onConsoleLine(line));
+    this._console.start();
+  }
+
+  _onConsoleLine(line) {
+    this.emit('console', line);
+
+    if (CONSOLE_PATTERNS.ready.test(line)) {
+      this.cloudInit.ready = true;
+      this._onBootEvent?.({ ready: true });
+    } else if (CONSOLE_PATTERNS.runcmdFailed.test(line)) {
+      this.cloudInit.errors.push(line);
+      const step = CONSOLE_PATTERNS.runcmdFailed.exec(line)[1];
+      this._onBootEvent?.({ error: `cloud-init runcmd step ${step} failed` });
+    } else if (CONSOLE_PATTERNS.panic.test(line)) {
+      this._onBootEvent?.({ error: 'Kernel panic' });
+    } else if (CONSOLE_PATTERNS.cloudInitError.test(line)) {
+      this.cloudInit.errors.push(line);
+      this._onBootEvent?.({ error: 'cloud-init reported an error' });
+    } else if (CONSOLE_PATTERNS.cloudInitFinished.test(line)) {
+      this.cloudInit.finished = true;
+    }
+  }
+
+  /**
+   * Resolve once the guest is up, or reject with the last console lines.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.requireMarker=true] - wait for CARAPACEOS_READY; when
+   *   false (seeds we didn't build) an open SSH port is enough
+   */
+  _waitForReady({ requireMarker = true } = {}) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this._onBootEvent = null;
+        if (!err) return resolve();
+        reject(this._consoleError(`Boot failed: ${err}`));
+      };
+
+      const timer = setTimeout(() => {
+        settle(`guest not ready after ${Math.round(this.sshTimeout / 1000)}s`);
+      }, this.sshTimeout);
+
+      this._onBootEvent = ({ ready, error }) => {
+        if (error) settle(error);
+        else if (ready) settle();
+      };
+      if (this.cloudInit.ready) return settle();
+
+      // QEMU accepts on the host port as soon as it is up (hostfwd is host-side),
+      // which also ends the qemuStart phase of the boot timeline
+      if (this.networkMode !== 'none') {
+        waitForPort(this._sshPort, '127.0.0.1', this.sshTimeout, { isCancelled: () => settled, intervalMs: 250 })
+          .then(() => {
+            if (settled) return;
+            this._markBoot('qemuStart');
+            if (!requireMarker) settle();
+          }, () => { /* the timer reports timeouts */ });
+      }
+    });
+  }
+
+  /**
+   * An Error for a failed boot or batch job, with the last console lines
+   * appended to the message and in `consoleTail`.
+   */
+  _consoleError(message) {
+    this._console?.poll(); // include anything printed since the last tick
+    const tail = this._console?.tail(CONSOLE_TAIL_LINES) ?? [];
+    const e = new Error(message +
+      (tail.length ? `\n--- last ${tail.length} console lines ---\n${tail.join('\n')}` : ''));
+    e.consoleTail = tail;
+    return e;
+  }
+
+  _markBoot(phase) {
+    if (this._bootMarks && !this._bootMarks[phase]) this._bootMarks[phase] = Date.now();
+  }
+
+  /**
+   * Where the last boot() spent its time (see BOOT_PHASES), or null before boot.
+   * Phases that didn't happen (e.g. qemuStart with networkMode 'none') are null
+   * and their time is counted in the next phase.
+   *
+   * @returns {{ startedAt: number, totalMs: number|null, phases: Object<string, number|null> }|null}
+   */
+  get bootTimeline() {
+    const marks = this._bootMarks;
+    if (!marks) return null;
+    const phases = {};
+    let prev = marks.start;
+    for (const phase of BOOT_PHASES) {
+      if (marks[phase]) {
+        phases[phase] = marks[phase] - prev;
+        prev = marks[phase];
+      } else {
+        phases[phase] = null;
+      }
+    }
+    return {
+      startedAt: marks.start,
+      totalMs: marks.shares ? marks.shares - marks.start : null,
+      phases,
+    };
+  }
+
+  /**
+   * The guest's serial console output (kernel, init, cloud-init).
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.lines] - only the last N lines
+   * @returns {string}
+   */
+  consoleLog({ lines } = {}) {
+    if (!this._console) return '';
+    this._console.poll();
+    return this._console.tail(lines).join('\n');
+  }
+
+  /**
+   * The VM's network audit log: allowlist connections ({ type: 'connection',
+   * guest, host, port, bytesOut, bytesIn, durationMs, error? }), DNS queries
+   * ({ type: 'dns', name, qtype, rcode, answer }), proxy decisions
+   * ({ type: 'proxy', method, host, port, path, allowed, reason? }) and egress
+   * limits hit ({ type: 'limit', limit, value, host, port, bytes, connections }),
+   * oldest first, each with an ISO 8601 `time`.
+   * Pass the last entry's `time` as `since` to page through it or poll for more.
+   *
+   * @param {object} [opts]
+   * @param {string} [opts.type] - only entries of this type
+   * @param {string} [opts.since] - only entries after this ISO 8601 time
+   * @param {number} [opts.limit] - at most this many entries
+   * @returns {Promise<object[]>}
+   */
+  async networkLog({ type, since, limit } = {}) {
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      throw new Error(`Invalid since "${since}" (expected an ISO 8601 time)`);
+    }
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      throw new Error(`Invalid limit "${limit}" (expected a positive integer)`);
+    }
+    return this._networkLog.read({ type, since, limit });
+  }
+
+  async _waitForSSH(maxAttempts = 20) {
+    for (let i = 0; i < maxAttempts; i++) {
+      try {
+        const r = await sshExec(this._sshArgs, 'echo SSH_OK', 8000);
+        if (r.stdout.includes('SSH_OK')) {
+          if (this.multiplex) await this._startSSHMaster();
+          return;
+        }
+      } catch { /* not yet */ }
+      await new Promise(r => setTimeout(r, 3000));
+    }
+    throw new Error('SSH never became ready');
+  }
+
+  /**
+   * Connect to the guest agent (transport 'serial'). The seed starts it
+   * before the ready marker, so it answers within moments of boot.
+   */
+  async _connectAgent() {
+    this._agent = await connectGuestAgent(this._agentSocket, {
+      timeoutMs: 30_000,
+      isCancelled: () => !this._qemuProc,
+    });
+    this._log('Guest agent connected');
+  }
+
+  /**
+   * Run a command over whichever transport this VM uses.
+   * Same arguments and result as sshExec() (onTimeout only applies to SSH;
+   * the guest agent kills timed-out commands itself).
+   */
+  _exec(command, timeoutMs, opts = {}) {
+    if (this.transport === 'serial') {
+      if (!this._agent) return Promise.reject(new Error('Guest agent not connected'));
+      const { onTimeout, ...agentOpts } = opts;
+      return this._agent.exec(command, { ...agentOpts, timeoutMs });
+    }
+    return sshExec(this._sshArgs, command, timeoutMs, opts);
+  }
+
+  /** Throw for SSH-only features on a VM using the guest agent. */
+  _requireSSH(feature) {
+    if (this.transport !== 'ssh') {
+      throw new Error(`${feature} needs the SSH transport (this VM uses transport "${this.transport}")`);
+    }
+  }
+
+  /**
+   * Pin the guest's host key: write this VM's known_hosts, keyed by
+   * HostKeyAlias rather than 127.0.0.1:<port> (ports are reused across VMs).
+   * @param {string} hostPubKey - "ssh-ed25519 AAAA... [comment]"
+   */
+  _writeKnownHosts(hostPubKey) {
+    const [type, key] = hostPubKey.trim().split(/\s+/);
+    if (!type || !key) throw new Error(`Invalid SSH host key: ${hostPubKey}`);
+    this._hostPubKey = `${type} ${key}`;
+    writeFileSync(this._knownHostsPath, `${this._hostKeyAlias} ${this._hostPubKey}\n`);
+  }
+
+  /** Name the guest's host key is pinned under in known_hosts. */
+  get _hostKeyAlias() {
+    return basename(this._workDir);
+  }
+
+  /**
+   * Options shared by every ssh/scp invocation (no port or destination).
+   * Host keys are checked strictly against this VM's known_hosts.
+   * With multiplexing on, ControlPath points at the master's socket; clients
+   * use it when the master is up and fall back to a direct connection if not.
+   */
+  _sshCommonOpts() {
+    const opts = [
+      '-i', this._sshKeyPath,
+      '-o', 'StrictHostKeyChecking=yes',
+      '-o', `UserKnownHostsFile=${this._knownHostsPath}`,
+      '-o', 'GlobalKnownHostsFile=/dev/null',
+      '-o', `HostKeyAlias=${this._hostKeyAlias}`,
+      '-o', 'HostKeyAlgorithms=ssh-ed25519',
+      '-o', 'LogLevel=ERROR',
+      '-o', `ConnectTimeout=10`,
+    ];
+    if (this.multiplex) {
+      opts.push('-o', `ControlPath=${this._sshControlPath}`);
+    }
+    return opts;
+  }
+
+  _buildSshArgs() {
+    return [
+      ...this._sshCommonOpts(),
+      '-p', String(this._sshPort),
+      `${this.user}@127.0.0.1`,
+    ];
+  }
+
+  _buildScpArgs(from, to) {
+    return [
+      ...this._sshCommonOpts(),
+      '-P', String(this._sshPort),
+      from,
+      to,
+    ];
+  }
+
+  /**
+   * Start the persistent ControlMaster connection for this VM.
+   * Resolves once the control socket exists. Failure is not fatal:
+   * commands simply keep using direct connections.
+   */
+  async _startSSHMaster(timeoutMs = 10000) {
+    if (this._sshMaster) return;
+
+    const master = spawn('ssh', [
+      '-o', 'ControlMaster=yes',
+      '-o', 'ControlPersist=no',
+      '-N',
+      ...this._sshArgs,
+    ], { stdio: 'ignore' });
+    this._sshMaster = master;
+
+    master.on('exit', code => {
+      if (this._sshMaster === master) this._sshMaster = null;
+      this._log(`SSH master exited (code ${code}); falling back to direct connections`);
+    });
+    master.on('error', err => this._log(`SSH master error: ${err.message}`));
+
+    const start = Date.now();
+    while (Date.now() - start < timeoutMs) {
+      if (existsSync(this._sshControlPath)) {
+        this._log('SSH master connection established');
+        return;
+      }
+      if (this._sshMaster !== master) return; // exited early
+      await new Promise(r => setTimeout(r, 50));
+    }
+    this._log('SSH master did not come up in time; using direct connections');
+  }
+
+  _stopSSHMaster() {
+    if (!this._sshMaster) return;
+    try { this._sshMaster.kill('SIGTERM'); } catch { /* already dead */ }
+    this._sshMaster = null;
+  }
+
+  /**
+   * Run a command inside the VM.
+   * Returns { stdout, stderr, code, duration, timedOut }
+   *
+   * On timeout the command's entire process group in the guest is killed
+   * (SIGTERM, then SIGKILL) and the result is { timedOut: true, code: null,
+   * signal } — the VM stays usable for the next command.
+   *
+   * The command is either a shell string, or an argv array whose elements are
+   * quoted safely (no shell interpretation):
+   *
+   *   await runner.run('ls -la | wc -l');
+   *   await runner.run(['grep', '-r', userInput, '.'], { cwd: '/home/agent/workspace' });
+   *
+   * @param {string|string[]} command - shell string, or argv array
+   * @param {object} [opts]
+   * @param {number} [opts.timeout]            - timeout in seconds (default: taskTimeout)
+   * @param {string[]} [opts.argv]             - alternative to passing an array as `command`
+   * @param {Object<string,string>} [opts.env] - environment variables for the command
+   * @param {string} [opts.cwd]                - working directory (fails with exit 1 if missing)
+   * @param {string|Buffer|import('stream').Readable} [opts.stdin] - data for the command's stdin
+   * @param {import('stream').Writable} [opts.stdout] - pipe raw stdout here instead of buffering it
+   * @param {string} [opts.user]               - run as another guest user (via sudo)
+   * @param {(chunk: string) => void} [opts.onStdout] - called with stdout chunks as they arrive
+   * @param {(chunk: string) => void} [opts.onStderr] - called with stderr chunks as they arrive
+   * @param {AbortSignal} [opts.signal] - abort the command: its process group is killed as on a
+   *   timeout and the result has aborted: true (SSH transport; the guest agent runs it to its timeout)
+   */
+  async run(command, opts = {}) {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+
+    const argv = Array.isArray(command) ? command : opts.argv;
+    const remoteCommand = buildRemoteCommand(Array.isArray(command) ? null : command, {
+      argv,
+      env: opts.env,
+      cwd: opts.cwd,
+      user: opts.user,
+    });
+    
+    const timeoutMs = opts.timeout ? opts.timeout * 1000 : this.taskTimeout;
+    const pidFile = `/tmp/.carapace-run-${Math.random().toString(36).slice(2, 10)}.pid`;
+    const start = Date.now();
+
+    // The guest agent runs each command in its own process group already
+    const wrapped = this.transport === 'serial' ? remoteCommand : withProcessGroupFile(remoteCommand, pidFile);
+    const result = await this._exec(wrapped, timeoutMs, {
+      onStdout: opts.onStdout,
+      onStderr: opts.onStderr,
+      stdin: opts.stdin,
+      stdoutStream: opts.stdout,
+      onTimeout: () => this._killRemoteGroup(pidFile),
+      signal: opts.signal,
+    });
+    result.duration = Date.now() - start;
+    if (result.timedOut) this._log(`Command timed out after ${timeoutMs}ms (${result.signal || 'already exited'})`);
+    
+    return result;
+  }
+
+  /**
+   * Kill a timed-out command's whole process tree inside the guest.
+   * Runs over a fresh SSH channel so it works even while the original
+   * command is still holding its session.
+   * @returns {Promise<{ signal: string|null }>}
+   */
+  async _killRemoteGroup(pidFile) {
+    try {
+      const r = await sshExec(this._sshArgs, killProcessGroupScript(pidFile), 15000);
+      const sig = r.stdout.split('\n').pop();
+      return { signal: sig === 'TERM' || sig === 'KILL' ? `SIG${sig}` : null };
+    } catch (e) {
+      this._log(`Failed to kill timed-out command: ${e.message}`);
+      return { signal: null };
+    }
+  }
+
+  /**
+   * Run a shell command and iterate over its output as it arrives.
+   * Yields { stream: 'stdout'|'stderr', data } chunks; the generator's
+   * return value is the final { code, duration } (plus timedOut/signal on timeout).
+   * Leaving the loop early (break, return or a throw) aborts the command,
+   * as with run()'s opts.signal.
+   *
+   * @example
+   * for await (const { stream, data } of runner.stream('npm install')) {
+   *   process[stream].write(data);
+   * }
+   *
+   * @param {string|string[]} command - shell string, or argv array
+   * @param {object} [opts] - same options as run() (onStdout/onStderr are ignored)
+   */
+  async *stream(command, opts = {}) {
+    const queue = [];
+    let wake = null;
+    let done = false;
+    let stopped = false;
+
+    const abort = new AbortController();
+    opts.signal?.addEventListener('abort', () => abort.abort(), { once: true });
+    if (opts.signal?.aborted) abort.abort();
+
+    const push = stream => data => {
+      if (stopped) return;
+      queue.push({ stream, data });
+      wake?.();
+    };
+
+    const pending = this.run(command, {
+      ...opts,
+      signal: abort.signal,
+      onStdout: push('stdout'),
+      onStderr: push('stderr'),
+    }).finally(() => {
+      done = true;
+      wake?.();
+    });
+    // Errors are re-thrown from the final await below
+    pending.catch(() => {});
+
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift();
+          continue;
+        }
+        if (done) break;
+        await new Promise(r => { wake = r; });
+        wake = null;
+      }
+    } finally {
+      if (!done) {
+        // The consumer stopped iterating: kill the command instead of letting it run on unread
+        stopped = true;
+        queue.length = 0;
+        abort.abort();
+        await pending.catch(() => {});
+      }
+    }
+
+    const { code, duration, timedOut, signal } = await pending;
+    return timedOut ? { code, duration, timedOut, signal } : { code, duration };
+  }
+
+  /**
+   * Open an interactive PTY shell in the VM.
+   * Returns a Duplex stream (terminal input/output) with resize(cols, rows)
+   * and an 'exit' event carrying the shell's exit code.
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.cols=80]
+   * @param {number} [opts.rows=24]
+   * @param {string} [opts.term='xterm-256color']
+   * @param {string} [opts.shell] - shell to start (default: login shell)
+   * @returns {Promise<ShellSession>}
+   */
+  async shell(opts = {}) {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+    this._requireSSH('shell()');
+    return new ShellSession({
+      ...opts,
+      sshArgs: this._sshArgs,
+      exec: command => this.run(command, { timeout: 10 }),
+    });
+  }
+
+  // ─── Background jobs ───────────────────────────────────────────────────────
+
+  /**
+   * Start a long-running command (dev server, watcher, …) in the background.
+   * Takes the same command forms and options as run() (argv, env, cwd, user);
+   * returns the new job's status. Output is written to files in the guest and
+   * read back with jobLogs().
+   *
+   * @example
+   * const job = await runner.startJob('npm run dev', { cwd: '/home/agent/workspace/app' });
+   * const { stdout } = await runner.jobLogs(job.id);
+   * await runner.killJob(job.id);
+   *
+   * @param {string|string[]} command - shell string, or argv array
+   * @param {object} [opts] - argv, env, cwd, user (see run())
+   * @returns {Promise<object>} job status (see jobStatus())
+   */
+  async startJob(command, opts = {}) {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+
+    const argv = Array.isArray(command) ? command : opts.argv;
+    const script = buildRemoteCommand(Array.isArray(command) ? null : command, {
+      argv,
+      env: opts.env,
+      cwd: opts.cwd,
+      user: opts.user,
+    });
+
+    const id = `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const meta = {
+      id,
+      command: argv ? argv.join(' ') : command,
+      ...(argv && { argv }),
+      ...(opts.cwd && { cwd: opts.cwd }),
+      ...(opts.user && { user: opts.user }),
+    };
+
+    const wrapper = [
+      'd="$1"',
+      'echo $$ > "$d/pid"',
+      'sh "$d/script" > "$d/stdout" 2> "$d/stderr" < /dev/null',
+      'code=$?',
+      'date +%s > "$d/ended"',
+      'echo $code > "$d/exit"',
+    ].join('; ');
 
-      // guestfwd binds a guest-visible address to an external host.
-      // We use 10.0.2.x addresses (QEMU SLIRP internal subnet) for each entry.
-      // Guest connects to 10.0.2.100+i:port → QEMU forwards to external host:port.
-      for (let i = 0; i < this.networkAllow.length; i++) {
-        const { host, port } = this.networkAllow[i];
-        if (!host || !port) {
-          throw new Error(`networkAllow[${i}] must have { host, port }`);
-        }
-        // guestfwd: guest connects to guestAddr:port → QEMU proxies to host:port
-        const guestAddr = `10.0.2.${100 + i}`;
-        netdevSpec += `,guestfwd=tcp:${guestAddr}:${port}-cmd:netcat ${host} ${port}`;
-      }
+    const r = await this.run([
+      `d=${jobDir(id)}`,
+      'mkdir -p "$d" || exit 1',
+      `printf '%s\\n' ${shellQuote(JSON.stringify(meta))} > "$d/meta.json"`,
+      `printf '%s\\n' ${shellQuote(script)} > "$d/script"`,
+      ': > "$d/stdout"; : > "$d/stderr"',
+      'date +%s > "$d/started"',
+      `setsid sh -c ${shellQuote(wrapper)} sh "$d" < /dev/null > /dev/null 2>&1 &`,
+      // Wait for the pid so the first status call already sees the job running
+      'i=0',
+      'while [ ! -s "$d/pid" ] && [ $i -lt 50 ]; do sleep 0.1; i=$((i + 1)); done',
+    ].join('\n'), { timeout: 15 });
+    if (r.code !== 0) throw new Error(`Failed to start job (exit ${r.code}): ${r.stderr}`);
 
-      if (this.dnsServer) {
-        netdevSpec += `,dns=${this.dnsServer}`;
-      }
+    this._log(`Started job ${id}: ${meta.command}`);
+    return this.jobStatus(id);
+  }
 
-      this._log(`Network mode: allowlist (${this.networkAllow.length} rules, restrict=on)`);
-      this._log(`  Allowed: ${this.networkAllow.map(e => `${e.host}:${e.port}`).join(', ')}`);
-    } else {
-      // 'nat' — default, full outbound access
-      this._log('Network mode: nat (full outbound access)');
-    }
+  /**
+   * Get a job's status.
+   * Returns { id, command, state, pid, exitCode, signal, startedAt, endedAt },
+   * or null if no such job exists. state is one of
+   * 'starting' | 'running' | 'exited' | 'killed' | 'lost'.
+   *
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async jobStatus(id) {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+    const dir = jobDir(id);
+    const r = await this.run(`set -- ${dir}\n${JOB_INFO_SCRIPT}`, { timeout: 15 });
+    return parseJobInfo(r.stdout)[0] ?? null;
+  }
 
-    return [
-      '-netdev', netdevSpec,
-      '-device', 'virtio-net,netdev=net0',
-    ];
+  /**
+   * List all jobs started in this VM, oldest first.
+   * @returns {Promise<object[]>}
+   */
+  async listJobs() {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+    const r = await this.run(`set -- "${JOBS_DIR}"/*\n${JOB_INFO_SCRIPT}`, { timeout: 15 });
+    return parseJobInfo(r.stdout).sort((a, b) => (a.startedAt ?? '').localeCompare(b.startedAt ?? ''));
   }
 
   /**
-   * Boot the VM. Returns when SSH is available.
+   * Read a job's output.
+   * Pass the previous call's `next` as `since` to get only new output.
+   * A character whose bytes are not all written yet is left for the next
+   * read (`next` stops before it), so chunks never split one.
+   *
+   * @param {string} id
+   * @param {object} [opts]
+   * @param {number|{ stdout: number, stderr: number }} [opts.since] - byte offsets to read from
+   * @returns {Promise<{ stdout: string, stderr: string, next: { stdout: number, stderr: number } }|null>}
+   *   null if no such job exists
    */
-  async boot() {
-    mkdirSync(this._workDir, { recursive: true });
-    this._log(`Work dir: ${this._workDir}`);
-    this._log(`SSH port: ${this._sshPort}`);
+  async jobLogs(id, { since } = {}) {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+    const dir = jobDir(id);
+    const offsets = parseLogOffsets(since);
 
-    // Check if existing seed ISO is available (pre-built with our key)
-    const existingSeed = join(dirname(this.baseImage), 'build', 'seed.iso');
-    const existingKey = join(dirname(this.baseImage), 'build', 'test_key');
+    // Size first, then read up to that size, so `next` never skips bytes
+    // written while we were reading.
+    const read = stream => [
+      `size=$(wc -c < "$d/${stream}")`,
+      `from=${offsets[stream]}`,
+      '[ "$from" -gt "$size" ] && from=$size',
+      `printf '${stream} %s ' "$size"`,
+      `tail -c +$((from + 1)) "$d/${stream}" | head -c $((size - from)) | base64 | tr -d '\\n'`,
+      'echo',
+    ].join('\n');
 
-    let usingExistingKey = false;
-    if (existsSync(existingSeed) && existsSync(existingKey)) {
-      // Use pre-built seed + key (faster, avoids ISO creation tool requirement)
-      copyFileSync(existingSeed, this._seedISO);
-      copyFileSync(existingKey, this._sshKeyPath);
-      sh(`chmod 600 "${this._sshKeyPath}"`);
-      usingExistingKey = true;
-      this._log('Using pre-built seed ISO and SSH key');
-    } else {
-      // Generate fresh key + seed
-      this._log('Generating fresh SSH key...');
-      const pubKey = generateSSHKey(this._sshKeyPath);
-      this._log('Creating seed ISO (Node.js built-in, no external tools)...');
-      makeSeedISO(pubKey, this._seedISO);
-    }
+    const r = await this.run([
+      `d=${dir}`,
+      '[ -d "$d" ] || exit 3',
+      read('stdout'),
+      read('stderr'),
+    ].join('\n'), { timeout: 30 });
+    if (r.code === 3) return null;
+    if (r.code !== 0) throw new Error(`Failed to read job logs (exit ${r.code}): ${r.stderr}`);
 
-    // Create overlay (copy-on-write, base image untouched)
-    this._log('Creating overlay image...');
-    createOverlay(this.baseImage, this._overlayImage);
+    const result = { stdout: '', stderr: '', next: { stdout: 0, stderr: 0 } };
+    for (const line of r.stdout.split('\n')) {
+      const [stream, size, b64 = ''] = line.split(' ');
+      if (stream !== 'stdout' && stream !== 'stderr') continue;
+      const bytes = Buffer.from(b64, 'base64');
+      const complete = completeUtf8Length(bytes);
+      result[stream] = bytes.subarray(0, complete).toString('utf8');
+      result.next[stream] = parseInt(size, 10) - (bytes.length - complete);
+    }
+    return result;
+  }
 
-    // SSH args
-    this._sshArgs = [
-      '-i', this._sshKeyPath,
-      '-o', 'StrictHostKeyChecking=no',
-      '-o', 'UserKnownHostsFile=/dev/null',
-      '-o', 'LogLevel=ERROR',
-      '-o', `ConnectTimeout=10`,
-      '-p', String(this._sshPort),
-      `${this.user}@127.0.0.1`,
-    ];
+  /**
+   * Kill a job's whole process group (SIGTERM, then SIGKILL after graceMs).
+   * Returns the job's final status plus `cancelled` (whether this call
+   * signalled it), or null if no such job exists. Killing a job that has
+   * already finished is a no-op (cancelled: false).
+   *
+   * @param {string} id
+   * @param {object} [opts]
+   * @param {number} [opts.graceMs=2000] - time to wait after SIGTERM before SIGKILL
+   * @returns {Promise<(object & { cancelled: boolean })|null>}
+   */
+  async killJob(id, { graceMs = 2000 } = {}) {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+    const dir = jobDir(id);
+    const killScript = killProcessGroupScript('"$d/pid"', graceMs, { removePidFile: false });
 
-    // Detect QEMU binary + machine flags for the host architecture
-    const { binary: qemuBinary, machineArgs, detectedArch } = detectQemuConfig();
-    this._log(`Host arch: ${detectedArch}, QEMU binary: ${qemuBinary}, machine: ${machineArgs.join(' ')}`);
+    const r = await this.run([
+      `d=${dir}`,
+      '[ -d "$d" ] || exit 3',
+      '[ -f "$d/exit" ] && exit 0',
+      `sig=$(${killScript}\n)`,
+      '[ -n "$sig" ] && { echo "SIG$sig" > "$d/signal"; date +%s > "$d/ended"; echo cancelled; }',
+      'exit 0',
+    ].join('\n'), { timeout: Math.ceil(graceMs / 1000) + 15 });
+    if (r.code === 3) return null;
+    if (r.code !== 0) throw new Error(`Failed to kill job (exit ${r.code}): ${r.stderr}`);
 
-    // Boot QEMU
-    this._log('Booting QEMU...');
-    const qemuArgs = [
-      ...machineArgs,
-      '-drive', `file=${this._overlayImage},if=virtio,format=qcow2`,
-      '-cdrom', this._seedISO,
-      '-m', this.memory,
-      '-display', 'none',
-      '-serial', 'pipe:/dev/stdin', // capture serial output
-      // Network configuration — varies by networkMode
-      ...this._buildNetArgs(),
-      // QMP monitor socket — enables savevm/loadvm (checkpoint/restore)
-      '-qmp', `unix:${this._qmpSocket},server=on,wait=off`,
-    ];
+    const cancelled = r.stdout === 'cancelled';
+    if (cancelled) this._log(`Killed job ${id}`);
+    return { ...await this.jobStatus(id), cancelled };
+  }
 
-    if (this.enableKVM) {
-      try {
-        sh('test -r /dev/kvm');
-        qemuArgs.push('-enable-kvm');
-        this._log('KVM enabled');
-      } catch {
-        this._log('KVM not available, using TCG (slower)');
-      }
+  /**
+   * Upload a file to the VM
+   */
+  async upload(localPath, remotePath) {
+    if (!this._booted) throw new Error('VM not booted.');
+    if (this.transport === 'serial') {
+      return this._agent.writeFile(remotePath, readFileSync(localPath), { mode: statSync(localPath).mode & 0o777 });
     }
+    return this._scp(localPath, `${this.user}@127.0.0.1:${remotePath}`);
+  }
 
-    // Boot in background, capture serial output for debugging
-    const bootLogPath = join(this._workDir, 'boot.log');
-    
-    // Fix serial arg  
-    const finalArgs = qemuArgs.map(a => 
-      a === 'pipe:/dev/stdin' ? `file:${bootLogPath}` : a
-    );
+  /**
+   * Download a file from the VM
+   */
+  async download(remotePath, localPath) {
+    if (!this._booted) throw new Error('VM not booted.');
+    if (this.transport === 'serial') {
+      writeFileSync(localPath, await this._agent.readFile(remotePath));
+      return;
+    }
+    return this._scp(`${this.user}@127.0.0.1:${remotePath}`, localPath);
+  }
 
-    this._qemuProc = spawn(qemuBinary, finalArgs, {
-      stdio: ['ignore', 'ignore', 'ignore'],
-      detached: false,
-    });
+  /**
+   * File API for the guest filesystem, backed by SFTP over the VM's SSH
+   * connection: readFile, writeFile, readdir, stat, lstat, mkdir, rm,
+   * rename, chmod, exists. Connects on first use.
+   *
+   * @example
+   * await runner.fs.writeFile('/home/agent/input.json', JSON.stringify(data));
+   * const out = await runner.fs.readFile('/home/agent/output.json', 'utf8');
+   *
+   * @type {RemoteFS}
+   */
+  get fs() {
+    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
+    this._requireSSH('runner.fs');
+    this._fs ??= new RemoteFS(() => SftpClient.spawn(this._sshArgs));
+    return this._fs;
+  }
 
-    this._qemuProc.on('exit', (code) => {
-      this._log(`QEMU exited with code ${code}`);
-      this._booted = false;
-    });
+  // ─── Directory transfer ────────────────────────────────────────────────────
 
-    // Wait for SSH port to open
-    this._log(`Waiting for SSH on port ${this._sshPort}...`);
-    await waitForPort(this._sshPort, '127.0.0.1', this.sshTimeout);
+  /**
+   * Upload a directory tree into the VM as a tar stream over SSH.
+   * File modes and symlinks are preserved; remoteDir is created if missing.
+   *
+   * @example
+   * await runner.uploadDir('./my-repo', '/home/agent/workspace/my-repo', {
+   *   gitignore: true,
+   *   exclude: ['*.log'],
+   * });
+   *
+   * @param {string} localDir
+   * @param {string} remoteDir
+   * @param {object} [opts]
+   * @param {string[]} [opts.exclude]   - tar --exclude patterns (e.g. 'node_modules', '*.log')
+   * @param {boolean} [opts.gitignore=false] - only send files git doesn't ignore
+   *                                      (tracked + untracked, honouring .gitignore); needs git
+   * @param {number} [opts.timeout]     - timeout in seconds (default: taskTimeout)
+   * @returns {Promise<{ bytes: number, duration: number }>}
+   */
+  async uploadDir(localDir, remoteDir, { exclude = [], gitignore = false, timeout } = {}) {
+    if (!this._booted) throw new Error('VM not booted.');
+    if (!statSync(localDir).isDirectory()) throw new Error(`Not a directory: ${localDir}`);
 
-    // Wait for SSH to actually accept connections (a few more seconds)
-    await this._waitForSSH();
+    const tarArgs = ['-c', '-f', '-', '-C', localDir, ...exclude.map(p => `--exclude=${p}`)];
+    let fileList = null;
+    if (gitignore) {
+      fileList = listGitFiles(localDir);
+      tarArgs.push('--null', '--no-recursion', '-T', '-');
+    } else {
+      tarArgs.push('.');
+    }
 
-    this._booted = true;
-    this._log('VM booted successfully');
-    return this;
-  }
+    const tar = spawn('tar', tarArgs, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let tarStderr = '';
+    let bytes = 0;
+    tar.stderr.on('data', d => { tarStderr += d; });
+    tar.stdout.on('data', d => { bytes += d.length; });
+    if (fileList) tar.stdin.end(fileList.map(f => `${f}\0`).join(''));
+    else tar.stdin.end();
+    const tarDone = new Promise((resolve, reject) => {
+      tar.on('error', reject);
+      tar.on('close', resolve);
+    });
 
-  async _waitForSSH(maxAttempts = 20) {
-    for (let i = 0; i < maxAttempts; i++) {
-      try {
-        const r = await sshExec(this._sshArgs, 'echo SSH_OK', 8000);
-        if (r.stdout.includes('SSH_OK')) return;
-      } catch { /* not yet */ }
-      await new Promise(r => setTimeout(r, 3000));
+    const start = Date.now();
+    try {
+      await this.extractArchive(remoteDir, tar.stdout, { timeout });
+    } catch (e) {
+      tar.kill();
+      throw new Error(`uploadDir failed: ${e.message}`);
     }
-    throw new Error('SSH never became ready');
+    const tarCode = await tarDone;
+    if (tarCode !== 0) throw new Error(`uploadDir: local tar failed (exit ${tarCode}): ${tarStderr.trim()}`);
+    this._log(`Uploaded ${localDir} → ${remoteDir} (${bytes} bytes tar)`);
+    return { bytes, duration: Date.now() - start };
   }
 
   /**
-   * Run a shell command inside the VM.
-   * Returns { stdout, stderr, code, duration }
+   * Download a directory tree from the VM as a tar stream over SSH.
+   * File modes and symlinks are preserved; localDir is created if missing.
+   *
+   * @param {string} remoteDir
+   * @param {string} localDir
+   * @param {object} [opts]
+   * @param {string[]} [opts.include]   - paths relative to remoteDir to fetch (default: everything)
+   * @param {number} [opts.timeout]     - timeout in seconds (default: taskTimeout)
+   * @returns {Promise<{ bytes: number, duration: number }>}
    */
-  async run(command, opts = {}) {
-    if (!this._booted) throw new Error('VM not booted. Call boot() first.');
-    
-    const timeoutMs = opts.timeout ? opts.timeout * 1000 : this.taskTimeout;
+  async downloadDir(remoteDir, localDir, { include = ['.'], timeout } = {}) {
+    if (!this._booted) throw new Error('VM not booted.');
+    assertRelativePaths(include);
+    mkdirSync(localDir, { recursive: true });
+
+    const tar = spawn('tar', ['-x', '-p', '-f', '-', '-C', localDir], { stdio: ['pipe', 'ignore', 'pipe'] });
+    let tarStderr = '';
+    let bytes = 0;
+    tar.stderr.on('data', d => { tarStderr += d; });
+    tar.stdin.on('error', () => { /* reported via tar's exit code */ });
+    const counter = new Transform({
+      transform(chunk, _enc, cb) { bytes += chunk.length; cb(null, chunk); },
+    });
+    counter.pipe(tar.stdin);
+    const tarDone = new Promise((resolve, reject) => {
+      tar.on('error', reject);
+      tar.on('close', resolve);
+    });
+
     const start = Date.now();
-    
-    const result = await sshExec(this._sshArgs, command, timeoutMs);
-    result.duration = Date.now() - start;
-    
-    return result;
+    try {
+      await this.createArchive(remoteDir, counter, { include, timeout });
+    } catch (e) {
+      tar.kill();
+      throw new Error(`downloadDir failed: ${e.message}`);
+    }
+    const tarCode = await tarDone;
+    if (tarCode !== 0) throw new Error(`downloadDir: local tar failed (exit ${tarCode}): ${tarStderr.trim()}`);
+    this._log(`Downloaded ${remoteDir} → ${localDir} (${bytes} bytes tar)`);
+    return { bytes, duration: Date.now() - start };
   }
 
   /**
-   * Upload a file to the VM
+   * Extract a tar stream into remoteDir in the VM (created if missing).
+   * The building block for uploadDir(); also lets callers stream archives
+   * they already have (e.g. an HTTP request body) without a temp file.
+   *
+   * @param {string} remoteDir
+   * @param {import('stream').Readable} tarStream
+   * @param {object} [opts]
+   * @param {number} [opts.timeout] - timeout in seconds (default: taskTimeout)
    */
-  async upload(localPath, remotePath) {
+  async extractArchive(remoteDir, tarStream, { timeout } = {}) {
     if (!this._booted) throw new Error('VM not booted.');
-    
-    return new Promise((resolve, reject) => {
-      const scpArgs = [
-        '-i', this._sshKeyPath,
-        '-o', 'StrictHostKeyChecking=no',
-        '-o', 'UserKnownHostsFile=/dev/null',
-        '-o', 'LogLevel=ERROR',
-        '-P', String(this._sshPort),
-        localPath,
-        `${this.user}@127.0.0.1:${remotePath}`,
-      ];
-      
-      const proc = spawn('scp', scpArgs);
-      proc.on('close', code => {
-        if (code === 0) resolve();
-        else reject(new Error(`scp failed with code ${code}`));
-      });
+    const r = await this.run(`mkdir -p -- ${shellQuote(remoteDir)} && tar -x -p -f - -C ${shellQuote(remoteDir)}`, {
+      stdin: tarStream,
+      timeout,
     });
+    if (r.code !== 0) throw new Error(r.timedOut ? 'tar timed out' : `tar exited ${r.code}: ${r.stderr}`);
   }
 
   /**
-   * Download a file from the VM
+   * Write a tar archive of remoteDir (or the given paths inside it) to a
+   * writable stream. The building block for downloadDir().
+   *
+   * @param {string} remoteDir
+   * @param {import('stream').Writable} outStream
+   * @param {object} [opts]
+   * @param {string[]} [opts.include] - paths relative to remoteDir (default: everything)
+   * @param {number} [opts.timeout]   - timeout in seconds (default: taskTimeout)
    */
-  async download(remotePath, localPath) {
+  async createArchive(remoteDir, outStream, { include = ['.'], timeout } = {}) {
     if (!this._booted) throw new Error('VM not booted.');
-    
+    assertRelativePaths(include);
+    const r = await this.run(`tar -c -f - -C ${shellQuote(remoteDir)} -- ${include.map(shellQuote).join(' ')}`, {
+      stdout: outStream,
+      timeout,
+    });
+    if (r.code !== 0) throw new Error(r.timedOut ? 'tar timed out' : `tar exited ${r.code}: ${r.stderr}`);
+  }
+
+  _scp(from, to) {
     return new Promise((resolve, reject) => {
-      const scpArgs = [
-        '-i', this._sshKeyPath,
-        '-o', 'StrictHostKeyChecking=no',
-        '-o', 'UserKnownHostsFile=/dev/null',
-        '-o', 'LogLevel=ERROR',
-        '-P', String(this._sshPort),
-        `${this.user}@127.0.0.1:${remotePath}`,
-        localPath,
-      ];
-      
-      const proc = spawn('scp', scpArgs);
+      const proc = spawn('scp', this._buildScpArgs(from, to));
       proc.on('close', code => {
         if (code === 0) resolve();
         else reject(new Error(`scp failed with code ${code}`));
       });
+      proc.on('error', err => reject(err));
     });
   }
 
@@ -617,6 +2463,131 @@ export class CarapaceRunner {
     sh(`qemu-img snapshot -d "${safeName}" "${this._overlayImage}"`);
   }
 
+  /**
+   * Save this running VM as a boot template (see lib/template.js) and shut it
+   * down. VMs created with `{ template: dir }` restore it instead of booting.
+   *
+   * Anything set up beforehand (packages, files, running jobs) is part of the
+   * template. Port forwards are dropped first; shares are not supported.
+   *
+   * @param {string} dir - directory to create the template in (must not hold one yet)
+   * @returns {Promise<object>} the template metadata
+   */
+  async saveTemplate(dir) {
+    if (!this._booted) throw new Error('VM not booted.');
+    this._requireSSH('saveTemplate()');
+    if (this.shares.length > 0) throw new Error('Templates cannot be combined with shares (9p mounts block savevm)');
+    const root = resolve(dir);
+    if (existsSync(join(root, TEMPLATE_FILES.meta))) throw new Error(`Template already exists: ${root}`);
+
+    for (const hostPort of this._forwards.keys()) {
+      await this.removeForward(hostPort).catch(() => {});
+    }
+    await this.run('sync', { timeout: 60 });
+    // Close our own connections so clones don't inherit half-open sessions
+    this._fs?.close();
+    this._fs = null;
+    this._stopSSHMaster();
+
+    this._log(`Saving template to ${root}...`);
+    const out = await this._qmp('human-monitor-command', { 'command-line': `savevm ${TEMPLATE_SNAPSHOT}` });
+    if (typeof out === 'string' && out.trim()) throw new Error(`savevm failed: ${out.trim()}`);
+
+    // Quit QEMU so the overlay is flushed and closed before it is copied
+    const proc = this._qemuProc;
+    const exited = new Promise(r => proc.exitCode !== null ? r() : proc.once('exit', r));
+    await this._qmp('quit').catch(() => {}); // QEMU may close the socket before replying
+    await exited;
+    this._qemuProc = null;
+    this._booted = false;
+
+    mkdirSync(root, { recursive: true });
+    copyFileSync(this._overlayImage, join(root, TEMPLATE_FILES.disk), fsConstants.COPYFILE_FICLONE);
+    copyFileSync(this._seedISO, join(root, TEMPLATE_FILES.seed));
+    copyFileSync(this._sshKeyPath, join(root, TEMPLATE_FILES.key));
+    chmodSync(join(root, TEMPLATE_FILES.key), 0o600);
+    writeFileSync(join(root, TEMPLATE_FILES.hostKey), `${this._hostPubKey}\n`);
+    const meta = writeTemplateMeta(root, {
+      baseImage: this.baseImage,
+      memory: this.memory,
+      cpus: this.cpus,
+      diskSize: this.diskSize,
+      kvm: this._kvm,
+      networkMode: this.networkMode,
+    });
+    this._log(`Template saved: ${root}`);
+
+    await this.shutdown();
+    return { dir: root, ...meta };
+  }
+
+  /**
+   * Forward a host port to a guest TCP port while the VM is running
+   * (e.g. to reach a dev server started with startJob()).
+   *
+   * Uses the SLIRP `hostfwd_add` monitor command over QMP, so no reboot is
+   * needed. The host side binds 127.0.0.1 only.
+   *
+   * @param {number} guestPort
+   * @param {object} [opts]
+   * @param {number} [opts.hostPort] - host port to use (default: a free port)
+   * @returns {Promise<number>} the host port
+   */
+  async forwardPort(guestPort, { hostPort } = {}) {
+    if (!this._booted) throw new Error('VM not booted.');
+    if (this.networkMode === 'none') throw new Error('Port forwarding requires a network device (networkMode is "none")');
+    assertPort('guestPort', guestPort);
+
+    if (hostPort === undefined) {
+      hostPort = await findFreePort();
+    } else {
+      assertPort('hostPort', hostPort);
+    }
+    if (hostPort === this._sshPort || this._forwards.has(hostPort)) {
+      const e = new Error(`Host port ${hostPort} is already forwarded`);
+      e.code = 'EADDRINUSE';
+      throw e;
+    }
+
+    const out = await this._qmp('human-monitor-command', {
+      'command-line': `hostfwd_add net0 tcp:127.0.0.1:${hostPort}-:${guestPort}`,
+    });
+    // HMP reports failures as text rather than a QMP error
+    if (typeof out === 'string' && out.trim()) {
+      const e = new Error(`hostfwd_add failed: ${out.trim()}`);
+      if (/could not set up/i.test(out)) e.code = 'EADDRINUSE';
+      throw e;
+    }
+
+    this._forwards.set(hostPort, { hostPort, guestPort, createdAt: Date.now() });
+    this._log(`Forwarding 127.0.0.1:${hostPort} → guest:${guestPort}`);
+    return hostPort;
+  }
+
+  /**
+   * Remove a forward created by forwardPort().
+   * @param {number} hostPort
+   * @returns {Promise<boolean>} false if no such forward exists
+   */
+  async removeForward(hostPort) {
+    if (!this._forwards.has(hostPort)) return false;
+    const out = await this._qmp('human-monitor-command', {
+      'command-line': `hostfwd_remove net0 tcp:127.0.0.1:${hostPort}`,
+    });
+    if (typeof out === 'string' && out.trim()) throw new Error(`hostfwd_remove failed: ${out.trim()}`);
+    this._forwards.delete(hostPort);
+    this._log(`Removed forward 127.0.0.1:${hostPort}`);
+    return true;
+  }
+
+  /**
+   * List active runtime forwards (the SSH forward is not included).
+   * @returns {Array<{ hostPort: number, guestPort: number, createdAt: number }>}
+   */
+  listForwards() {
+    return [...this._forwards.values()].map(f => ({ ...f }));
+  }
+
   /**
    * Run a multi-step task with structured output.
    * Each step is { name, command, optional } 
@@ -628,6 +2599,9 @@ export class CarapaceRunner {
       try {
         const r = await this.run(step.command, step.opts);
         results.push({ name: step.name, ...r, success: r.code === 0 });
+        if (r.timedOut && !step.optional) {
+          throw new Error(`Step "${step.name}" timed out after ${r.duration}ms (${r.signal || 'no signal sent'})`);
+        }
         if (r.code !== 0 && !step.optional) {
           throw new Error(`Step "${step.name}" failed (exit ${r.code}): ${r.stderr}`);
         }
@@ -642,14 +2616,133 @@ export class CarapaceRunner {
     return results;
   }
 
+  /**
+   * Run one command air-gapped: boot a VM with no network device and no
+   * SSH or guest agent, run the command and power off (see lib/batch.js).
+   * The command, stdin and input files travel in the seed ISO, so keep
+   * inputs small — use `shares` for large ones. Works on a runner that is
+   * not booted and cleans up after itself, like shutdown().
+   *
+   *   const runner = new CarapaceRunner({ image, networkMode: 'none' });
+   *   const r = await runner.runBatch('sort /home/agent/in.txt', {
+   *     files: [{ path: '/home/agent/in.txt', content: 'b\na\n' }],
+   *   });
+   *
+   * @param {string|string[]} command - shell string, or argv array
+   * @param {object} [opts]
+   * @param {number} [opts.timeout]            - timeout in seconds (default: taskTimeout)
+   * @param {string[]} [opts.argv]             - alternative to passing an array as `command`
+   * @param {Object<string,string>} [opts.env] - environment variables for the command
+   * @param {string} [opts.cwd]                - working directory (fails with exit 1 if missing)
+   * @param {string|Buffer} [opts.stdin]       - data for the command's stdin
+   * @param {string} [opts.user]               - guest user to run as (default: runner.user)
+   * @param {Array<{ path: string, content: string|Buffer, mode?: number }>} [opts.files] - input files
+   * @param {number} [opts.maxOutput]          - bytes kept per stream (default 16 MiB)
+   * @returns {Promise<{ stdout, stderr, code, duration, timedOut, signal?, truncated }>}
+   *   duration covers the whole VM, boot included
+   */
+  async runBatch(command, opts = {}) {
+    if (this.networkMode !== 'none') throw new Error('runBatch() is air-gapped: use networkMode "none"');
+    if (this._qemuProc || this._booted) throw new Error('runBatch() boots its own VM; this runner is already running');
+
+    const argv = Array.isArray(command) ? command : opts.argv;
+    const script = buildRemoteCommand(Array.isArray(command) ? null : command, { argv, env: opts.env, cwd: opts.cwd });
+    const user = opts.user ?? this.user;
+    if (typeof user !== 'string' || !USER_NAME_RE.test(user)) {
+      throw new Error(`Invalid user name: ${JSON.stringify(user)}`);
+    }
+    const timeoutMs = opts.timeout ? opts.timeout * 1000 : this.taskTimeout;
+    const maxOutput = opts.maxOutput ?? DEFAULT_MAX_OUTPUT;
+    const files = batchSeedFiles({ script, user, timeoutMs, maxOutput, stdin: opts.stdin, files: opts.files });
+
+    const start = Date.now();
+    this._bootMarks = { start };
+    mkdirSync(this._workDir, { recursive: true });
+    this._log(`Work dir: ${this._workDir}`);
+    this._register();
+    const resultsDisk = join(this._workDir, 'results.img');
+
+    try {
+      // cloud-init wants an authorized key, even though nothing logs in
+      const pubKey = generateSSHKey(this._sshKeyPath);
+      makeSeedISO(pubKey, this._seedISO, {
+        runcmd: [
+          ...(this._lan ? this.vmNetwork.seedCommands(this) : []),
+          ...this._shareMountCommands(),
+          batchStartCommand(),
+        ],
+        files,
+        growRootfs: Boolean(this.diskSize),
+        ...(this._lan && { hostname: this._lan.hostname }),
+      });
+      this._markBoot('seed');
+
+      createOverlay(this.baseImage, this._overlayImage, this.diskSize);
+      createResultsDisk(resultsDisk, maxOutput);
+      this._markBoot('overlay');
+
+      const { binary: qemuBinary, machineArgs } = detectQemuConfig();
+      this._startQemu(qemuBinary, [...machineArgs, ...this._kvmArgs()], join(this._workDir, 'boot.log'),
+        resultsDiskQemuArgs(resultsDisk));
+      this._log('Waiting for the batch job to power off the VM...');
+      await this._waitForBatch(this.sshTimeout + timeoutMs + BATCH_EXIT_GRACE_MS);
+
+      const result = readResultsDisk(resultsDisk);
+      if (!result) throw this._consoleError('Batch job failed: the guest wrote no results');
+      if (result.timedOut) this._log(`Batch command timed out after ${timeoutMs}ms (${result.signal})`);
+      return { ...result, duration: Date.now() - start };
+    } finally {
+      await this.shutdown();
+    }
+  }
+
+  /**
+   * Resolve once QEMU exits cleanly (the guest powered off), or reject with
+   * the last console lines on provisioning errors, crashes and timeouts.
+   */
+  _waitForBatch(limitMs) {
+    const proc = this._qemuProc;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this._onBootEvent = null;
+        if (!err) return resolve();
+        proc.kill('SIGKILL');
+        reject(this._consoleError(`Batch job failed: ${err}`));
+      };
+      const timer = setTimeout(() => settle(`VM still running after ${Math.round(limitMs / 1000)}s`), limitMs);
+
+      this._onBootEvent = ({ ready, error }) => {
+        if (ready) this._markBoot('guest');
+        else if (error && proc.exitCode === null) settle(error); // exits are handled below
+      };
+      proc.once('exit', (code) => {
+        this._qemuProc = null;
+        const detail = this._qemuStderr.trim();
+        settle(code === 0 ? null : `QEMU exited with code ${code}${detail ? `: ${detail}` : ''}`);
+      });
+    });
+  }
+
   /**
    * Shutdown the VM and clean up temporary files.
+   * @param {boolean} [keepWorkDir=false] - leave the work dir on disk; it stays
+   *   registered as kept, so only `carapace-gc --kept` deletes it
    */
   async shutdown(keepWorkDir = false) {
+    // Release forwarded host ports before powering off
+    for (const hostPort of this._forwards.keys()) {
+      await this.removeForward(hostPort).catch(() => {});
+    }
+    this._forwards.clear();
+
     if (this._qemuProc) {
       try {
-        // Graceful shutdown via SSH first
-        await sshExec(this._sshArgs, 'sudo poweroff', 3000).catch(() => {});
+        // Graceful shutdown via SSH (or the guest agent) first
+        await this._exec('sudo poweroff', 3000).catch(() => {});
       } catch { /* ignore */ }
       
       // Give it 3 seconds, then kill
@@ -661,8 +2754,23 @@ export class CarapaceRunner {
       
       this._qemuProc = null;
     }
-    
+
+    this._releaseSshPort();
+    this._fs?.close();
+    this._fs = null;
+    this._console?.stop(); // keeps its lines for consoleLog()
+    this._stopSSHMaster();
+    this._agent?.close();
+    this._agent = null;
+    await this._relay?.close(); // records the connections it cuts
+    this._relay = null;
+    await this._dns?.close();
+    this._dns = null;
+    await this._proxy?.close();
+    this._proxy = null;
     this._booted = false;
+    this.vmNetwork?.leave(this); // frees the address and hostname
+    this._lan = null;
     
     if (!keepWorkDir) {
       // Copy boot log to /tmp for CI artifact collection before cleanup
@@ -675,6 +2783,16 @@ export class CarapaceRunner {
         sh(`rm -rf "${this._workDir}"`);
       } catch { /* best effort */ }
     }
+    if (keepWorkDir && existsSync(this._workDir)) {
+      // Still registered, so carapace-gc leaves it alone (`carapace-gc --kept` deletes it)
+      try {
+        registerVM({ id: basename(this._workDir), workDir: this._workDir, kept: true });
+      } catch (err) {
+        this._log(`Could not register kept work dir: ${err.message}`);
+      }
+    } else {
+      unregisterVM(basename(this._workDir));
+    }
   }
 
   /**
@@ -684,16 +2802,30 @@ export class CarapaceRunner {
     return {
       baseImage: this.baseImage,
       memory: this.memory,
+      cpus: this.cpus,
+      diskSize: this.diskSize || undefined,
+      ioLimits: this.ioLimits || undefined,
       sshPort: this._sshPort,
       workDir: this._workDir,
       booted: this._booted,
+      multiplexed: Boolean(this._sshMaster),
+      forwards: this.listForwards(),
+      cloudInit: { ...this.cloudInit, errors: this.cloudInit.errors.slice() },
+      bootTimeline: this.bootTimeline,
+      template: this.template?.dir,
+      keyPolicy: this.keyPolicy,
+      transport: this.transport,
+      hostname: this.hostname ?? undefined,
       network: {
         mode: this.networkMode,
         allowlist: this.networkAllow.length > 0
-          ? this.networkAllow.map(e => `${e.host}:${e.port}`)
+          ? this.networkAllow.map(e => (e.port ? `${e.host}:${e.port}` : e.host))
           : undefined,
         dns: this.dnsServer || undefined,
+        limits: this.egressLimits || undefined,
+        vmNetwork: this._lan ? { name: this.vmNetwork.name, ...this._lan } : undefined,
       },
+      shares: this.shares.map(({ hostPath, guestPath, readonly }) => ({ hostPath, guestPath, readonly })),
     };
   }
 }
@@ -701,13 +2833,22 @@ export class CarapaceRunner {
 /**
  * High-level convenience: boot VM, run task, shutdown, return results.
  * 
+ * With networkMode 'none' a command string runs as an air-gapped batch job
+ * (see runBatch()); opts.files and opts.stdin are passed to it.
+ *
  * @param {string|string[]} command - command(s) to run
  * @param {object} opts - CarapaceRunner options (including networkMode, networkAllow)
  * @returns {object} - { results, stdout, stderr, code }
  */
 export async function runIsolated(command, opts = {}) {
   const runner = new CarapaceRunner({ verbose: true, ...opts });
-  
+
+  // Without a network device, a single command runs as an air-gapped batch
+  // job; pass transport: 'serial' to use the guest agent instead
+  if (typeof command === 'string' && runner.networkMode === 'none' && opts.transport === undefined) {
+    return runner.runBatch(command, { files: opts.files, stdin: opts.stdin });
+  }
+
   try {
     await runner.boot();
     
@@ -0,0 +1,219 @@
+/**
+ * CarapaceOS — Air-gapped batch jobs
+ *
+ * runner.runBatch() runs one command in a VM that has no network device and
+ * no host ↔ guest channel at all. The command, its stdin and any input files
+ * go in through the cloud-init seed ISO; the guest runs the command, writes
+ * the exit code, stdout and stderr to a raw "results" disk and powers off.
+ * The host parses that disk once QEMU has exited.
+ *
+ * Results disk layout (written by BATCH_RUN_SCRIPT):
+ *   CARAPACE-BATCH 1
+ *   code <exit code, or - on timeout>
+ *   signal <SIGTERM|SIGKILL, or - >
+ *   stdout <bytes>
+ *   stderr <bytes>
+ *   truncated <0|1>
+ *   <empty line>
+ *   <stdout bytes><stderr bytes>
+ *
+ * Usage:
+ *   const runner = new CarapaceRunner({ image, networkMode: 'none' });
+ *   const { stdout, code } = await runner.runBatch('node /home/agent/job.js', {
+ *     files: [{ path: '/home/agent/job.js', content: source }],
+ *   });
+ */
+
+import { openSync, closeSync, ftruncateSync, readFileSync } from 'fs';
+
+/** Guest directory the seed writes the job to */
+export const BATCH_DIR = '/var/lib/carapace/batch';
+/** virtio-blk serial number the guest finds the results disk by */
+export const RESULTS_DISK_SERIAL = 'carapace-results';
+/** Per-stream output limit; longer output is cut and flagged `truncated` */
+export const DEFAULT_MAX_OUTPUT = 16 * 1024 * 1024;
+
+const RESULTS_MAGIC = 'CARAPACE-BATCH 1\n';
+const HEADER_SIZE = 4096; // room reserved for the header on the results disk
+
+/**
+ * Guest side of a batch job, run as root from the seed's runcmd. Sources
+ * setup.sh (settings, input file ownership), runs command.sh as the job
+ * user with a watchdog for the timeout, writes the results disk and powers
+ * off. The results device can be given as $1 instead of being looked up.
+ */
+export const BATCH_RUN_SCRIPT = `#!/bin/sh
+dir=$(dirname "$0")
+. "$dir/setup.sh" # timeout (s), max_output (bytes), user
+
+dev=$1
+if [ -z "$dev" ]; then
+  for d in /sys/block/*; do
+    [ "$(cat "$d/serial" 2>/dev/null)" = ${RESULTS_DISK_SERIAL} ] && dev=/dev/\${d##*/}
+  done
+fi
+if [ -z "$dev" ]; then
+  echo "CARAPACEOS_BATCH_FAILED no results disk"
+  exec poweroff -f
+fi
+
+out=$(mktemp -d)
+sudo -n -H -u "$user" -- sh -c 'cd "$HOME" 2>/dev/null; exec sh "$1"' sh "$dir/command.sh" \\
+  <"$dir/stdin" >"$out/stdout" 2>"$out/stderr" &
+pid=$!
+(
+  sleep "$timeout"
+  echo SIGTERM > "$out/signal"; kill -TERM $pid
+  sleep 2
+  echo SIGKILL > "$out/signal"; kill -KILL $pid
+) 2>/dev/null &
+watchdog=$!
+wait $pid 2>/dev/null
+code=$?
+kill $watchdog 2>/dev/null
+
+signal=-
+if [ -f "$out/signal" ]; then
+  signal=$(cat "$out/signal")
+  code=-
+fi
+truncated=0
+stdout_len=$(wc -c < "$out/stdout")
+stderr_len=$(wc -c < "$out/stderr")
+if [ "$stdout_len" -gt "$max_output" ]; then stdout_len=$max_output; truncated=1; fi
+if [ "$stderr_len" -gt "$max_output" ]; then stderr_len=$max_output; truncated=1; fi
+
+{
+  printf 'CARAPACE-BATCH 1\\ncode %s\\nsignal %s\\nstdout %s\\nstderr %s\\ntruncated %s\\n\\n' \\
+    "$code" "$signal" "$stdout_len" "$stderr_len" "$truncated"
+  head -c "$stdout_len" "$out/stdout"
+  head -c "$stderr_len" "$out/stderr"
+} > "$dev"
+sync
+echo "CARAPACEOS_BATCH_DONE code=$code signal=$signal"
+exec poweroff -f
+`;
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Seed ISO files (see createSeedISO's `files`) that install a batch job.
+ *
+ * @param {object} job
+ * @param {string} job.script - shell script to run (env/cwd already applied)
+ * @param {string} job.user - guest user to run it as
+ * @param {number} job.timeoutMs
+ * @param {number} [job.maxOutput=DEFAULT_MAX_OUTPUT]
+ * @param {string|Buffer} [job.stdin]
+ * @param {Array<{ path: string, content: string|Buffer, mode?: number }>} [job.files] -
+ *   input files, owned by the job user
+ * @returns {Array<{ path: string, content: string|Buffer, permissions: string }>}
+ */
+export function batchSeedFiles({ script, user, timeoutMs, maxOutput = DEFAULT_MAX_OUTPUT, stdin, files = [] }) {
+  if (!Array.isArray(files)) throw new Error('files must be an array of { path, content, mode }');
+  for (const f of files) {
+    if (typeof f?.path !== 'string' || !f.path.startsWith('/')) {
+      throw new Error(`Input file paths must be absolute guest paths: ${JSON.stringify(f?.path)}`);
+    }
+    if (typeof f.content !== 'string' && !Buffer.isBuffer(f.content)) {
+      throw new Error(`Input file ${f.path} needs string or Buffer content`);
+    }
+  }
+  if (!Number.isInteger(maxOutput) || maxOutput < 1) throw new Error('maxOutput must be a positive integer (bytes)');
+
+  const setup = [
+    `timeout=${Math.max(1, Math.ceil(timeoutMs / 1000))}`,
+    `max_output=${maxOutput}`,
+    `user=${shellQuote(user)}`,
+    ...files.map(f => `chown ${shellQuote(user)} ${shellQuote(f.path)}`),
+  ].join('\n') + '\n';
+
+  return [
+    { path: `${BATCH_DIR}/run.sh`, content: BATCH_RUN_SCRIPT, permissions: '0755' },
+    { path: `${BATCH_DIR}/setup.sh`, content: setup, permissions: '0644' },
+    { path: `${BATCH_DIR}/command.sh`, content: script + '\n', permissions: '0644' },
+    { path: `${BATCH_DIR}/stdin`, content: stdin ?? '', permissions: '0644' },
+    ...files.map(f => ({
+      path: f.path,
+      content: f.content,
+      permissions: `0${(f.mode ?? 0o644).toString(8)}`,
+    })),
+  ];
+}
+
+/**
+ * runcmd line that starts the job once provisioning is done, detached so
+ * cloud-init can finish; its own messages go to the serial console.
+ */
+export function batchStartCommand() {
+  return `setsid ${BATCH_DIR}/run.sh </dev/null >/dev/ttyS0 2>&1 &`;
+}
+
+/**
+ * Create an empty (sparse) results disk big enough for both streams.
+ * @param {string} path
+ * @param {number} [maxOutput=DEFAULT_MAX_OUTPUT]
+ */
+export function createResultsDisk(path, maxOutput = DEFAULT_MAX_OUTPUT) {
+  const size = Math.ceil((HEADER_SIZE + 2 * maxOutput) / 512) * 512;
+  const fd = openSync(path, 'w');
+  try {
+    ftruncateSync(fd, size);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * QEMU arguments attaching the results disk as a raw virtio-blk device.
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function resultsDiskQemuArgs(path) {
+  return [
+    '-drive', `file=${path.replace(/,/g, ',,')},if=none,id=results,format=raw`,
+    '-device', `virtio-blk-pci,drive=results,serial=${RESULTS_DISK_SERIAL}`,
+  ];
+}
+
+/**
+ * Parse a results disk image.
+ *
+ * @param {Buffer} buf
+ * @returns {{ stdout: string, stderr: string, code: number|null, timedOut: boolean,
+ *             signal?: string, truncated: boolean } | null} null if the guest wrote nothing
+ */
+export function parseResults(buf) {
+  if (buf.toString('latin1', 0, RESULTS_MAGIC.length) !== RESULTS_MAGIC) return null;
+  const end = buf.indexOf('\n\n');
+  if (end < 0 || end > HEADER_SIZE) return null;
+
+  const fields = {};
+  for (const line of buf.toString('utf8', RESULTS_MAGIC.length, end).split('\n')) {
+    const [key, value] = line.split(' ');
+    fields[key] = value;
+  }
+  const stdoutLen = Number(fields.stdout);
+  const stderrLen = Number(fields.stderr);
+  if (!Number.isInteger(stdoutLen) || !Number.isInteger(stderrLen)) return null;
+
+  const body = end + 2;
+  const result = {
+    stdout: buf.toString('utf8', body, body + stdoutLen).trim(),
+    stderr: buf.toString('utf8', body + stdoutLen, body + stdoutLen + stderrLen).trim(),
+    code: fields.code === '-' ? null : Number(fields.code),
+    timedOut: fields.signal !== '-',
+    truncated: fields.truncated === '1',
+  };
+  return result.timedOut ? { ...result, signal: fields.signal } : result;
+}
+
+/**
+ * Read and parse the results disk at `path`.
+ * @param {string} path
+ */
+export function readResultsDisk(path) {
+  return parseResults(readFileSync(path));
+}
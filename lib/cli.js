@@ -9,24 +9,27 @@
  *   carapace-run --memory 1024 "npm test"
  *   carapace-run --image /path/to/custom.qcow2 "echo hello"
  *   carapace-run --keep "bash"   # keep VM running after (useful for debugging)
+ *   carapace-run --save-template ./tpl "sudo apk add git"   # then: --template ./tpl
  */
 
-import { CarapaceRunner } from './agent-runner.js';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { CarapaceRunner, parseShareSpec } from './agent-runner.js';
 
 function parseArgs(argv) {
   const args = argv.slice(2);
   const opts = {
-    image: join(__dirname, '../vm-image/carapaceos.qcow2'),
-    memory: '512',
+    image: undefined, // runner default: vm-image/carapaceos.qcow2 (or the template's)
+    memory: undefined, // runner default (or the template's)
+    cpus: undefined,
+    diskSize: undefined,
     verbose: false,
     keep: false,
     timeout: 120,
     networkMode: 'nat',
     networkAllow: [],
+    shares: [],
+    template: undefined,
+    saveTemplate: undefined,
+    keyPolicy: undefined, // runner default: ephemeral (or $CARAPACE_KEY_POLICY)
   };
   const commands = [];
 
@@ -34,14 +37,21 @@ function parseArgs(argv) {
     switch (args[i]) {
       case '--image':  opts.image = args[++i]; break;
       case '--memory': opts.memory = args[++i]; break;
+      case '--cpus':   opts.cpus = parseInt(args[++i]); break;
+      case '--disk-size': opts.diskSize = args[++i]; break;
       case '--timeout': opts.timeout = parseInt(args[++i]); break;
       case '--network': opts.networkMode = args[++i]; break;
       case '--allow': {
         const val = args[++i];
         const [host, port] = val.split(':');
-        opts.networkAllow.push({ host, port: parseInt(port) });
+        // Proxy rules may leave the port out (80 and 443)
+        opts.networkAllow.push(port === undefined ? { host } : { host, port: parseInt(port) });
         break;
       }
+      case '--share': opts.shares.push(parseShareSpec(args[++i])); break;
+      case '--template': opts.template = args[++i]; break;
+      case '--save-template': opts.saveTemplate = args[++i]; break;
+      case '--key-policy': opts.keyPolicy = args[++i]; break;
       case '--verbose': case '-v': opts.verbose = true; break;
       case '--keep': opts.keep = true; break;
       case '--help': case '-h': printHelp(); process.exit(0); break;
@@ -62,9 +72,19 @@ Usage:
 Options:
   --image <path>       Path to CarapaceOS qcow2 image
   --memory <MB>        VM memory in MB (default: 512)
-  --timeout <sec>      Command timeout in seconds (default: 120)
-  --network <mode>     Network mode: nat (default), isolated, allowlist, none
-  --allow <host:port>  Allow outbound to host:port (use with --network allowlist)
+  --cpus <n>           Number of vCPUs (default: 1)
+  --disk-size <size>   Grow the VM disk, e.g. 10G (default: base image size)
+  --timeout <sec>      Command timeout in seconds (default: 120; exits 124 on timeout)
+  --network <mode>     Network mode: nat (default), isolated, allowlist, proxy, none
+  --allow <host:port>  Allow outbound to host:port (use with --network allowlist);
+                       with --network proxy: a host or *.domain, port optional
+  --share <host:guest[:rw]>
+                       Share a host directory at a guest path (read-only unless :rw)
+  --template <dir>     Start from a boot template instead of booting (seconds, not ~25s)
+  --save-template <dir>
+                       After a successful command, save the running VM as a boot template
+  --key-policy <policy>
+                       SSH keys: ephemeral (default, fresh per VM) or shared (one cached set, faster)
   --verbose, -v        Verbose output
   --keep               Don't shutdown VM after run (for debugging)
   --help, -h           Show this help
@@ -72,9 +92,14 @@ Options:
 Examples:
   carapace-run "node --version"
   carapace-run --memory 1024 "npm install && npm test"
+  carapace-run --cpus 4 --disk-size 10G "npm ci && npm run build"
   carapace-run --network isolated "cat /etc/resolv.conf"
   carapace-run --network allowlist --allow registry.npmjs.org:443 "npm install"
+  carapace-run --network proxy --allow registry.npmjs.org --allow '*.github.com' "npm install"
   carapace-run --verbose "cat /etc/carapaceos-version"
+  carapace-run --share .:/src "grep -rn TODO /src"
+  carapace-run --save-template ./tpl/git "sudo apk add git"
+  carapace-run --template ./tpl/git "git --version"
 `);
 }
 
@@ -89,36 +114,50 @@ async function main() {
   const runner = new CarapaceRunner({
     image: opts.image,
     memory: opts.memory,
+    cpus: opts.cpus,
+    diskSize: opts.diskSize,
     verbose: opts.verbose,
     taskTimeout: opts.timeout,
     networkMode: opts.networkMode,
     networkAllow: opts.networkAllow,
+    shares: opts.shares,
+    template: opts.template,
+    keyPolicy: opts.keyPolicy,
   });
 
   if (opts.verbose) {
-    console.error(`[carapace-run] Image: ${opts.image}`);
-    console.error(`[carapace-run] Memory: ${opts.memory}MB`);
+    runner.on('console', line => console.error(`[console] ${line}`));
+    console.error(`[carapace-run] Image: ${runner.baseImage}`);
+    console.error(`[carapace-run] Memory: ${runner.memory}MB`);
     console.error(`[carapace-run] Command: ${command}`);
-    console.error(`[carapace-run] SSH port: ${runner.info.sshPort}`);
   }
 
   try {
     if (opts.verbose) console.error('[carapace-run] Booting VM...');
     await runner.boot();
-    if (opts.verbose) console.error('[carapace-run] VM ready');
-
-    const result = await runner.run(command, { timeout: opts.timeout });
-
-    if (result.stdout) process.stdout.write(result.stdout + '\n');
-    if (result.stderr) process.stderr.write(result.stderr + '\n');
+    if (opts.verbose) console.error(`[carapace-run] VM ready (SSH port ${runner.info.sshPort})`);
+
+    // Stream output live so long-running commands show progress
+    const result = await runner.run(command, {
+      timeout: opts.timeout,
+      onStdout: chunk => process.stdout.write(chunk),
+      onStderr: chunk => process.stderr.write(chunk),
+    });
     
-    if (!opts.keep) {
+    if (opts.saveTemplate && result.code === 0) {
+      const template = await runner.saveTemplate(opts.saveTemplate);
+      console.error(`[carapace-run] Template saved to ${template.dir}`);
+    } else if (!opts.keep) {
       await runner.shutdown();
     } else {
       console.error(`[carapace-run] VM kept running on SSH port ${runner.info.sshPort}`);
-      console.error(`[carapace-run] Connect: ssh -p ${runner.info.sshPort} agent@127.0.0.1`);
+      console.error(`[carapace-run] Connect: ssh ${runner._sshCommonOpts().join(' ')} -p ${runner.info.sshPort} agent@127.0.0.1`);
     }
 
+    if (result.timedOut) {
+      console.error(`[carapace-run] Command timed out after ${opts.timeout}s (${result.signal || 'no signal sent'})`);
+      process.exit(124);
+    }
     process.exit(result.code);
 
   } catch (err) {
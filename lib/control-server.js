@@ -11,17 +11,27 @@
  *
  * ## API
  *
- * POST /vms/acquire                    — Acquire a warm VM (returns vmId + connection info)
- * POST /vms/:id/run                    — Run a command in a VM (body: { command, timeoutMs? })
- * POST /vms/:id/pipeline               — Run multiple commands in sequence
- * POST /vms/:id/upload                 — Upload a file into the VM (body: { content, path, encoding? })
+ * POST /vms/acquire                    — Acquire a warm VM (returns vmId + connection info; body: { network?, hostname?, ... })
+ * POST /vms/:id/run                    — Run a command in a VM (body: { command | argv, env?, cwd?, stdin?, user?, timeoutMs? })
+ * POST /vms/:id/pipeline               — Run multiple commands in sequence (body: { commands, stopOnError?, timeoutMs? })
+ * POST /vms/:id/upload                 — Write a file into the VM via SFTP (body: { content, path, encoding? })
  * GET  /vms/:id/download?path=         — Download a file from the VM (returns base64 content)
+ * PUT  /vms/:id/archive?path=          — Extract a streamed tar body (application/x-tar) into a VM directory
+ * GET  /vms/:id/archive?path=&include= — Stream a VM directory back as a tar archive
  * POST /vms/:id/snapshots              — Save a VM snapshot/checkpoint (body: { name })
  * GET  /vms/:id/snapshots              — List all snapshots for a VM
  * POST /vms/:id/snapshots/:snap/restore — Restore a VM to a named snapshot
  * DELETE /vms/:id/snapshots/:snap      — Delete a named snapshot
  * POST /vms/:id/release                — Release (destroy) a VM
+ * POST /vms/:id/jobs                   — Start a background job (body: { command | argv, env?, cwd?, user? })
+ * GET  /vms/:id/jobs                   — List background jobs
+ * GET  /vms/:id/jobs/:job              — Job status
+ * GET  /vms/:id/jobs/:job/logs?stdout=&stderr= — Job output from the given byte offsets
+ * POST /vms/:id/jobs/:job/cancel       — Kill a job's process group
+ * GET  /vms/:id/network-log?type=&since=&limit= — Network audit log (connections, DNS queries, proxy decisions)
+ * GET  /vms/:id/tty?cols=&rows=        — Interactive PTY shell (WebSocket upgrade)
  * GET  /vms                            — List active VMs
+ * GET  /networks                       — Private VM networks and their members
  * GET  /pool/status                    — Pool health stats
  * POST /pool/resize                    — Resize the warm pool (body: { size })
  * GET  /health                         — Health check
@@ -57,14 +67,24 @@
  *
  *   // Release
  *   await fetch(`http://127.0.0.1:7375/vms/${vmId}/release`, { method: 'POST' });
+ *
+ * ## TTY WebSocket protocol
+ *
+ *   Client → server: binary frames are terminal input; text frames are JSON
+ *                    control messages: { type: 'resize', cols, rows } or
+ *                    { type: 'input', data }.
+ *   Server → client: binary frames are terminal output; when the shell exits
+ *                    a text frame { type: 'exit', code } is sent and the
+ *                    socket is closed.
  */
 
 import { createServer } from 'http';
-import { writeFileSync, readFileSync, unlinkSync, existsSync } from 'fs';
-import { join } from 'path';
-import { tmpdir } from 'os';
+import { PassThrough } from 'stream';
 import { WarmPool } from './warm-pool.js';
-import { CarapaceRunner } from './agent-runner.js';
+import { CarapaceRunner, parseShareSpec, assertRelativePaths, BOOT_PHASES, ENV_NAME_RE, USER_NAME_RE } from './agent-runner.js';
+import { acceptWebSocket } from './websocket.js';
+import { normalizeEgressLimits } from './egress-limits.js';
+import { VMNetwork } from './vm-network.js';
 
 const DEFAULT_PORT = 7375;
 const DEFAULT_HOST = '127.0.0.1';
@@ -104,6 +124,99 @@ function parseBody(req, maxBytes = MAX_BODY_BYTES) {
   });
 }
 
+/**
+ * Validate and convert the exec options of a /run request body into
+ * CarapaceRunner.run() options. Throws on malformed input (→ 400).
+ *
+ * Body fields: argv, env, cwd, user, timeoutMs, stdin, stdinEncoding ('utf8' | 'base64')
+ */
+function parseExecOptions(body) {
+  const opts = {};
+  if (body.command !== undefined && body.argv !== undefined) {
+    throw new Error('body.command and body.argv are mutually exclusive');
+  }
+  if (body.command !== undefined && typeof body.command !== 'string') {
+    throw new Error('body.command must be a string');
+  }
+  if (body.argv !== undefined) {
+    if (!Array.isArray(body.argv) || body.argv.length === 0 || !body.argv.every(a => typeof a === 'string')) {
+      throw new Error('body.argv must be a non-empty array of strings');
+    }
+    opts.argv = body.argv;
+  }
+  if (body.env !== undefined) {
+    if (typeof body.env !== 'object' || body.env === null || Array.isArray(body.env)) {
+      throw new Error('body.env must be an object of { NAME: value }');
+    }
+    const badName = Object.keys(body.env).find(name => !ENV_NAME_RE.test(name));
+    if (badName !== undefined) throw new Error(`body.env has an invalid variable name: ${JSON.stringify(badName)}`);
+    opts.env = Object.fromEntries(Object.entries(body.env).map(([k, v]) => [k, String(v)]));
+  }
+  if (body.cwd !== undefined) {
+    if (typeof body.cwd !== 'string') throw new Error('body.cwd must be a string');
+    opts.cwd = body.cwd;
+  }
+  if (body.user !== undefined) {
+    if (typeof body.user !== 'string' || !USER_NAME_RE.test(body.user)) {
+      throw new Error(`body.user must be a user name, got ${JSON.stringify(body.user)}`);
+    }
+    opts.user = body.user;
+  }
+  if (body.stdin !== undefined) {
+    if (typeof body.stdin !== 'string') throw new Error('body.stdin must be a string');
+    const encoding = body.stdinEncoding ?? 'utf8';
+    if (encoding !== 'utf8' && encoding !== 'base64') {
+      throw new Error('body.stdinEncoding must be "utf8" or "base64"');
+    }
+    opts.stdin = Buffer.from(body.stdin, encoding);
+  }
+  if (body.timeoutMs !== undefined) {
+    if (typeof body.timeoutMs !== 'number' || !(body.timeoutMs > 0)) {
+      throw new Error('body.timeoutMs must be a positive number');
+    }
+    opts.timeout = body.timeoutMs / 1000;
+  }
+  return opts;
+}
+
+/**
+ * Validate the per-VM resource fields of an acquire request body.
+ * Throws on malformed input (→ 400); returns WarmPool.acquire() overrides.
+ *
+ * Body fields: memory (MB), cpus, diskSize ('10G' or bytes), ioLimits ({ iops, bps, ... }),
+ * egressLimits ({ maxBytes, bytesPerSecond, maxConnections })
+ */
+function parseResourceOptions(body) {
+  const opts = {};
+  for (const key of ['memory', 'cpus']) {
+    if (body[key] === undefined) continue;
+    if (!Number.isInteger(body[key]) || body[key] < 1) throw new Error(`body.${key} must be a positive integer`);
+    opts[key] = key === 'memory' ? String(body[key]) : body[key];
+  }
+  if (body.diskSize !== undefined) {
+    if (!/^\d+[KMGT]?$/i.test(String(body.diskSize))) {
+      throw new Error('body.diskSize must be a size like "10G" or a byte count');
+    }
+    opts.diskSize = body.diskSize;
+  }
+  if (body.ioLimits !== undefined) {
+    const limits = body.ioLimits;
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)
+        || !Object.values(limits).every(v => Number.isInteger(v) && v > 0)) {
+      throw new Error('body.ioLimits must be an object of positive integers');
+    }
+    opts.ioLimits = limits;
+  }
+  if (body.egressLimits !== undefined) {
+    try {
+      opts.egressLimits = normalizeEgressLimits(body.egressLimits) ?? undefined;
+    } catch (e) {
+      throw new Error(`body.${e.message}`);
+    }
+  }
+  return opts;
+}
+
 function send(res, status, data) {
   const body = JSON.stringify(data, null, 2);
   res.writeHead(status, {
@@ -157,9 +270,17 @@ export class ControlServer {
    * @param {string} [opts.host]          - Bind host (default 127.0.0.1)
    * @param {number} [opts.poolSize=2]    - Number of warm VMs to pre-boot
    * @param {number} [opts.vmMemory=512]  - RAM per VM in MB
-   * @param {string} [opts.networkMode='nat'] - VM network mode: nat|isolated|allowlist|none
-   * @param {Array}  [opts.networkAllow=[]]   - Allowlist entries: [{ host, port }]
+   * @param {number} [opts.vmCpus=1]       - vCPUs per VM
+   * @param {string} [opts.vmDiskSize]     - Overlay disk size per VM (e.g. '10G')
+   * @param {object} [opts.vmIoLimits]     - Disk throttling per VM: { iops, bps, ... }
+   * @param {object} [opts.vmEgressLimits] - Network egress limits per VM: { maxBytes, bytesPerSecond, maxConnections }
+   * @param {string} [opts.vmNetworkSubnet]  - Subnet of the private VM networks (default 192.168.77.0/24)
+   * @param {string} [opts.networkMode='nat'] - VM network mode: nat|isolated|allowlist|proxy|none
+   * @param {Array}  [opts.networkAllow=[]]   - Allowlist entries: [{ host, port }] (proxy rules in proxy mode)
    * @param {string} [opts.dnsServer]         - DNS server override for allowlist mode
+   * @param {Array}  [opts.shares=[]]          - Host directories to share: [{ hostPath, guestPath, readonly }]
+   * @param {string} [opts.sshPortRange]        - Host SSH ports for VMs, 'MIN-MAX' (default 12200-12299)
+   * @param {string} [opts.template]            - Boot template dir for pool refills (see runner.saveTemplate())
    * @param {boolean} [opts.verbose=false] - Verbose logging
    */
   constructor(opts = {}) {
@@ -168,9 +289,25 @@ export class ControlServer {
     this.host = opts.host ?? DEFAULT_HOST;
     this.poolSize = opts.poolSize ?? DEFAULT_POOL_SIZE;
     this.vmMemory = String(opts.vmMemory ?? 512);
+    this.vmCpus = opts.vmCpus ?? 1;
+    this.vmDiskSize = opts.vmDiskSize ?? null;
+    this.vmIoLimits = opts.vmIoLimits ?? null;
+    try {
+      this.vmEgressLimits = normalizeEgressLimits(opts.vmEgressLimits);
+    } catch (e) {
+      throw new Error(`Invalid vmEgressLimits: ${e.message}`);
+    }
+    this.vmNetworkSubnet = opts.vmNetworkSubnet ?? undefined;
+    /** @type {Map<string, VMNetwork>} private VM networks by name, while they have members */
+    this.vmNetworks = new Map();
+    /** @type {Map<VMNetwork, Array<string|undefined>>} hostnames of acquires that have not joined yet */
+    this._pendingJoins = new Map();
     this.networkMode = opts.networkMode ?? 'nat';
     this.networkAllow = opts.networkAllow ?? [];
     this.dnsServer = opts.dnsServer ?? null;
+    this.shares = opts.shares ?? [];
+    this.sshPortRange = opts.sshPortRange ?? undefined;
+    this.template = opts.template ?? null;
     this.verbose = opts.verbose ?? false;
 
     /** @type {Map<string, { vm: CarapaceRunner, acquiredAt: number, meta: object }>} */
@@ -188,6 +325,7 @@ export class ControlServer {
       releaseTotal: 0,
       runTotal: 0,
       runErrors: 0,
+      runTimeouts: 0,
       acquireErrors: 0,
       uploadTotal: 0,
       downloadTotal: 0,
@@ -195,9 +333,19 @@ export class ControlServer {
       snapshotTotal: 0,
       restoreTotal: 0,
       snapshotErrors: 0,
+      ttySessionsTotal: 0,
+      jobsStarted: 0,
+      jobsCancelled: 0,
       startTime: Date.now(),
     };
 
+    // Boot timelines of every VM the pool booted: count + summed ms per phase
+    this._bootStats = {
+      count: 0,
+      totalMs: 0,
+      phases: Object.fromEntries(BOOT_PHASES.map(p => [p, { count: 0, sumMs: 0 }])),
+    };
+
     // Route table
     this._routes = [
       [route('GET',  '/health'),            this._handleHealth.bind(this)],
@@ -208,14 +356,34 @@ export class ControlServer {
       [route('POST', '/vms/:id/pipeline'),  this._handlePipeline.bind(this)],
       [route('POST',   '/vms/:id/upload'),                     this._handleUpload.bind(this)],
       [route('GET',    '/vms/:id/download'),                   this._handleDownload.bind(this)],
+      [route('PUT',    '/vms/:id/archive'),                    this._handleArchiveUpload.bind(this)],
+      [route('GET',    '/vms/:id/archive'),                    this._handleArchiveDownload.bind(this)],
       [route('POST',   '/vms/:id/snapshots'),                  this._handleSnapshotSave.bind(this)],
       [route('GET',    '/vms/:id/snapshots'),                  this._handleSnapshotList.bind(this)],
       [route('POST',   '/vms/:id/snapshots/:snap/restore'),    this._handleSnapshotRestore.bind(this)],
       [route('DELETE', '/vms/:id/snapshots/:snap'),            this._handleSnapshotDelete.bind(this)],
+      [route('POST',   '/vms/:id/jobs'),                       this._handleJobStart.bind(this)],
+      [route('GET',    '/vms/:id/jobs'),                       this._handleJobList.bind(this)],
+      [route('GET',    '/vms/:id/jobs/:job'),                  this._handleJobStatus.bind(this)],
+      [route('GET',    '/vms/:id/jobs/:job/logs'),             this._handleJobLogs.bind(this)],
+      [route('POST',   '/vms/:id/jobs/:job/cancel'),           this._handleJobCancel.bind(this)],
+      [route('POST',   '/vms/:id/forwards'),                   this._handleForwardAdd.bind(this)],
+      [route('GET',    '/vms/:id/forwards'),                   this._handleForwardList.bind(this)],
+      [route('DELETE', '/vms/:id/forwards/:port'),             this._handleForwardRemove.bind(this)],
+      [route('GET',    '/vms/:id/network-log'),                this._handleNetworkLog.bind(this)],
       [route('POST',   '/vms/:id/release'),                    this._handleRelease.bind(this)],
+      [route('GET',  '/networks'),          this._handleNetworks.bind(this)],
       [route('GET',  '/pool/status'),       this._handlePoolStatus.bind(this)],
       [route('POST', '/pool/resize'),       this._handlePoolResize.bind(this)],
     ];
+
+    // WebSocket (upgrade) routes
+    this._upgradeRoutes = [
+      [route('GET', '/vms/:id/tty'),        this._handleTTY.bind(this)],
+    ];
+
+    /** @type {Set<import('./shell-session.js').ShellSession>} */
+    this._ttySessions = new Set();
   }
 
   // ─── Lifecycle ──────────────────────────────────────────────────────────────
@@ -228,17 +396,36 @@ export class ControlServer {
       image: this.image,
       size: this.poolSize,
       memory: this.vmMemory,
+      cpus: this.vmCpus,
+      diskSize: this.vmDiskSize,
+      ioLimits: this.vmIoLimits,
+      egressLimits: this.vmEgressLimits,
       verbose: this.verbose,
       networkMode: this.networkMode,
       networkAllow: this.networkAllow,
       dnsServer: this.dnsServer,
+      shares: this.shares,
+      sshPortRange: this.sshPortRange,
+      template: this.template ?? undefined,
+    });
+
+    this.pool.on('slot:warm', ({ bootTimeline }) => this._recordBoot(bootTimeline));
+    this.pool.on('pool:acquired', ({ dedicated, bootTimeline }) => {
+      if (dedicated) this._recordBoot(bootTimeline);
+    });
+    this.pool.on('pool:gc', ({ killed, removedDirs, removedLogs, failed }) => {
+      if (killed.length || removedDirs.length || removedLogs.length) {
+        console.log(`[ControlServer] Reaped ${killed.length} orphaned QEMU process(es), ` +
+          `${removedDirs.length} work dir(s), ${removedLogs.length} boot log(s)`);
+      }
+      for (const { path, error } of failed) console.error(`[ControlServer] Could not remove ${path}: ${error}`);
     });
 
     if (this.verbose) console.log(`[ControlServer] Starting warm pool (size=${this.poolSize})...`);
     await this.pool.start();
 
     // Start HTTP server
-    this.server = createServer((req, res) => this._dispatch(req, res));
+    this.server = this._createServer();
     await new Promise((resolve, reject) => {
       this.server.listen(this.port, this.host, (err) => {
         if (err) return reject(err);
@@ -253,6 +440,10 @@ export class ControlServer {
   async stop() {
     if (this.verbose) console.log('[ControlServer] Shutting down...');
 
+    // Hang up interactive sessions
+    for (const session of this._ttySessions) session.close();
+    this._ttySessions.clear();
+
     // Release all active VMs
     const shutdowns = [...this.activeVMs.values()].map(({ vm }) =>
       vm.shutdown().catch(e => console.error('[ControlServer] VM shutdown error:', e))
@@ -275,6 +466,16 @@ export class ControlServer {
     console.log('[ControlServer] Stopped.');
   }
 
+  /**
+   * Create the HTTP server with request and WebSocket upgrade handlers attached.
+   * @returns {import('http').Server}
+   */
+  _createServer() {
+    const server = createServer((req, res) => this._dispatch(req, res));
+    server.on('upgrade', (req, socket, head) => this._dispatchUpgrade(req, socket, head));
+    return server;
+  }
+
   // ─── Dispatcher ─────────────────────────────────────────────────────────────
 
   async _dispatch(req, res) {
@@ -300,6 +501,28 @@ export class ControlServer {
     err(res, 404, `Not found: ${method} ${path}`);
   }
 
+  async _dispatchUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${this.host}`);
+    const path = url.pathname;
+
+    if (this.verbose) console.log(`[ControlServer] UPGRADE ${path}`);
+
+    for (const [matcher, handler] of this._upgradeRoutes) {
+      const params = matcher(req.method, path);
+      if (params !== null) {
+        try {
+          await handler(req, socket, head, params, url);
+        } catch (e) {
+          console.error(`[ControlServer] Upgrade error for ${path}:`, e.message);
+          socket.destroy();
+        }
+        return;
+      }
+    }
+
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+  }
+
   // ─── Handlers ───────────────────────────────────────────────────────────────
 
   async _handleHealth(req, res) {
@@ -312,13 +535,30 @@ export class ControlServer {
       network: {
         mode: this.networkMode,
         allowlist: this.networkAllow.length > 0
-          ? this.networkAllow.map(e => `${e.host}:${e.port}`)
+          ? this.networkAllow.map(e => (typeof e === 'string' ? e : e.port ? `${e.host}:${e.port}` : e.host))
           : undefined,
         dns: this.dnsServer || undefined,
+        limits: this.vmEgressLimits || undefined,
       },
     });
   }
 
+  /**
+   * Fold one VM's boot timeline into the /metrics boot summaries.
+   * @param {{ totalMs: number|null, phases: Object<string, number|null> }|null} timeline
+   */
+  _recordBoot(timeline) {
+    if (!timeline || timeline.totalMs === null) return;
+    const stats = this._bootStats;
+    stats.count++;
+    stats.totalMs += timeline.totalMs;
+    for (const [phase, ms] of Object.entries(timeline.phases)) {
+      if (ms === null || !stats.phases[phase]) continue;
+      stats.phases[phase].count++;
+      stats.phases[phase].sumMs += ms;
+    }
+  }
+
   async _handleMetrics(req, res) {
     const m = this._metrics;
     const poolStats = this.pool ? this.pool.stats() : {};
@@ -341,6 +581,10 @@ export class ControlServer {
       '# TYPE carapace_run_errors_total counter',
       `carapace_run_errors_total ${m.runErrors}`,
       '',
+      '# HELP carapace_run_timeouts_total Commands killed after exceeding their timeout',
+      '# TYPE carapace_run_timeouts_total counter',
+      `carapace_run_timeouts_total ${m.runTimeouts}`,
+      '',
       '# HELP carapace_acquire_errors_total Total acquire errors',
       '# TYPE carapace_acquire_errors_total counter',
       `carapace_acquire_errors_total ${m.acquireErrors}`,
@@ -381,6 +625,34 @@ export class ControlServer {
       '# TYPE carapace_snapshot_errors_total counter',
       `carapace_snapshot_errors_total ${m.snapshotErrors}`,
       '',
+      '# HELP carapace_tty_sessions_total Total interactive TTY sessions opened',
+      '# TYPE carapace_tty_sessions_total counter',
+      `carapace_tty_sessions_total ${m.ttySessionsTotal}`,
+      '',
+      '# HELP carapace_tty_sessions_active Currently open TTY sessions',
+      '# TYPE carapace_tty_sessions_active gauge',
+      `carapace_tty_sessions_active ${this._ttySessions.size}`,
+      '',
+      '# HELP carapace_jobs_started_total Total background jobs started',
+      '# TYPE carapace_jobs_started_total counter',
+      `carapace_jobs_started_total ${m.jobsStarted}`,
+      '',
+      '# HELP carapace_jobs_cancelled_total Total background jobs cancelled',
+      '# TYPE carapace_jobs_cancelled_total counter',
+      `carapace_jobs_cancelled_total ${m.jobsCancelled}`,
+      '',
+      '# HELP carapace_boot_seconds Total VM boot time',
+      '# TYPE carapace_boot_seconds summary',
+      `carapace_boot_seconds_sum ${(this._bootStats.totalMs / 1000).toFixed(3)}`,
+      `carapace_boot_seconds_count ${this._bootStats.count}`,
+      '',
+      '# HELP carapace_boot_phase_seconds Time spent in each VM boot phase',
+      '# TYPE carapace_boot_phase_seconds summary',
+      ...Object.entries(this._bootStats.phases).flatMap(([phase, { count, sumMs }]) => [
+        `carapace_boot_phase_seconds_sum{phase="${phase}"} ${(sumMs / 1000).toFixed(3)}`,
+        `carapace_boot_phase_seconds_count{phase="${phase}"} ${count}`,
+      ]),
+      '',
       '# HELP carapace_uptime_seconds Server uptime in seconds',
       '# TYPE carapace_uptime_seconds gauge',
       `carapace_uptime_seconds ${uptime}`,
@@ -411,11 +683,41 @@ export class ControlServer {
     const timeoutMs = body.timeoutMs ?? 120_000;
     const meta = body.meta ?? {};
 
+    let resources;
+    let vmNetwork;
+    try {
+      resources = parseResourceOptions(body);
+      // Only the allowlist relay and the egress proxy see guest traffic
+      if (resources.egressLimits && this.networkMode !== 'allowlist' && this.networkMode !== 'proxy') {
+        throw new Error(`body.egressLimits need networkMode "allowlist" or "proxy" (this pool uses "${this.networkMode}")`);
+      }
+      vmNetwork = this._vmNetworkFor(body);
+    } catch (e) {
+      return err(res, 400, e.message);
+    }
+    if (vmNetwork) {
+      // The VM joins only once the pool has built it, so claim the hostname
+      // now; a concurrent acquire for the same name gets the 409
+      const pending = this._pendingJoins.get(vmNetwork) ?? [];
+      if (body.hostname !== undefined
+          && (vmNetwork.members.some(m => m.hostname === body.hostname) || pending.includes(body.hostname))) {
+        return err(res, 409, `Hostname "${body.hostname}" is already taken on network "${vmNetwork.name}"`);
+      }
+      this._pendingJoins.set(vmNetwork, [...pending, body.hostname]);
+      Object.assign(resources, { vmNetwork, hostname: body.hostname });
+    }
+
     try {
-      const vm = await this.pool.acquire({ timeoutMs });
+      let vm;
+      try {
+        vm = await this.pool.acquire({ timeoutMs, ...resources });
+      } finally {
+        if (vmNetwork) this._endJoin(vmNetwork, body.hostname);
+      }
       const vmId = randomId();
-      this.activeVMs.set(vmId, { vm, acquiredAt: Date.now(), meta });
+      this.activeVMs.set(vmId, { vm, acquiredAt: Date.now(), meta, vmNetwork });
       this._metrics.acquireTotal++;
+      const lan = vmNetwork?.memberOf(vm);
 
       send(res, 200, {
         vmId,
@@ -424,10 +726,15 @@ export class ControlServer {
         endpoints: {
           run: `/vms/${vmId}/run`,
           pipeline: `/vms/${vmId}/pipeline`,
+          jobs: `/vms/${vmId}/jobs`,
+          forwards: `/vms/${vmId}/forwards`,
+          tty: `/vms/${vmId}/tty`,
           release: `/vms/${vmId}/release`,
         },
+        ...(lan && { network: { name: vmNetwork.name, hostname: lan.hostname, ip: lan.ip } }),
       });
     } catch (e) {
+      if (vmNetwork) this._dropEmptyNetwork(vmNetwork);
       this._metrics.acquireErrors++;
       err(res, 503, `Failed to acquire VM: ${e.message}`);
     }
@@ -444,13 +751,19 @@ export class ControlServer {
       return err(res, 400, e.message);
     }
 
-    if (!body.command) return err(res, 400, 'body.command is required');
+    if (!body.command && !body.argv) return err(res, 400, 'body.command or body.argv is required');
 
-    const { command, timeoutMs } = body;
+    let opts;
+    try {
+      opts = parseExecOptions(body);
+    } catch (e) {
+      return err(res, 400, e.message);
+    }
 
     try {
-      const result = await entry.vm.run(command, timeoutMs ? { timeout: Math.floor(timeoutMs / 1000) } : {});
+      const result = await entry.vm.run(body.argv ? null : body.command, opts);
       this._metrics.runTotal++;
+      if (result.timedOut) this._metrics.runTimeouts++;
       send(res, 200, result);
     } catch (e) {
       this._metrics.runErrors++;
@@ -475,21 +788,32 @@ export class ControlServer {
 
     const { commands, stopOnError = true } = body;
 
+    let opts;
+    try {
+      opts = parseExecOptions({ timeoutMs: body.timeoutMs });
+    } catch (e) {
+      return err(res, 400, e.message);
+    }
+
+    // stopReason distinguishes a command that was killed for running too long
+    // ('timeout') from one that exited non-zero ('exit') or couldn't run ('error')
     const results = [];
     for (const command of commands) {
       try {
-        const result = await entry.vm.run(command);
+        const result = await entry.vm.run(command, opts);
         this._metrics.runTotal++;
+        if (result.timedOut) this._metrics.runTimeouts++;
         results.push({ command, ...result, error: null });
         if (result.code !== 0 && stopOnError) {
-          send(res, 200, { results, stopped: true, stoppedAt: command });
+          const stopReason = result.timedOut ? 'timeout' : 'exit';
+          send(res, 200, { results, stopped: true, stoppedAt: command, stopReason });
           return;
         }
       } catch (e) {
         this._metrics.runErrors++;
         results.push({ command, stdout: '', stderr: '', code: -1, error: e.message });
         if (stopOnError) {
-          send(res, 200, { results, stopped: true, stoppedAt: command });
+          send(res, 200, { results, stopped: true, stoppedAt: command, stopReason: 'error' });
           return;
         }
       }
@@ -513,15 +837,12 @@ export class ControlServer {
     if (!content) return err(res, 400, 'body.content is required');
     if (!remotePath) return err(res, 400, 'body.path (remote destination) is required');
 
-    // Write content to a temp file on the host, then scp it into the VM
-    const tmpFile = join(tmpdir(), `carapace-upload-${Date.now()}-${Math.random().toString(36).slice(2)}`);
     try {
       const data = encoding === 'base64'
         ? Buffer.from(content, 'base64')
         : Buffer.from(content, 'utf8');
 
-      writeFileSync(tmpFile, data);
-      await entry.vm.upload(tmpFile, remotePath);
+      await entry.vm.fs.writeFile(remotePath, data);
       this._metrics.uploadTotal++;
 
       send(res, 200, {
@@ -533,9 +854,6 @@ export class ControlServer {
     } catch (e) {
       this._metrics.transferErrors++;
       err(res, 500, `Upload failed: ${e.message}`);
-    } finally {
-      // Clean up temp file on host
-      try { if (existsSync(tmpFile)) unlinkSync(tmpFile); } catch { /* ignore */ }
     }
   }
 
@@ -547,10 +865,8 @@ export class ControlServer {
     const remotePath = url.searchParams.get('path');
     if (!remotePath) return err(res, 400, 'Query param "path" (remote file path) is required');
 
-    const tmpFile = join(tmpdir(), `carapace-download-${Date.now()}-${Math.random().toString(36).slice(2)}`);
     try {
-      await entry.vm.download(remotePath, tmpFile);
-      const data = readFileSync(tmpFile);
+      const data = await entry.vm.fs.readFile(remotePath);
       this._metrics.downloadTotal++;
 
       send(res, 200, {
@@ -563,8 +879,67 @@ export class ControlServer {
     } catch (e) {
       this._metrics.transferErrors++;
       err(res, 500, `Download failed: ${e.message}`);
-    } finally {
-      try { if (existsSync(tmpFile)) unlinkSync(tmpFile); } catch { /* ignore */ }
+    }
+  }
+
+  // Tar archives stream straight through to the VM, so unlike /upload they
+  // are not subject to MAX_UPLOAD_BYTES.
+  async _handleArchiveUpload(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    const url = new URL(req.url, `http://${this.host}`);
+    const remoteDir = url.searchParams.get('path');
+    if (!remoteDir) return err(res, 400, 'Query param "path" (remote directory) is required');
+
+    let bytes = 0;
+    req.on('data', chunk => { bytes += chunk.length; });
+    try {
+      await entry.vm.extractArchive(remoteDir, req);
+      this._metrics.uploadTotal++;
+      send(res, 200, { message: 'Archive extracted', vmId: id, path: remoteDir, bytes });
+    } catch (e) {
+      this._metrics.transferErrors++;
+      req.resume();
+      err(res, 500, `Archive upload failed: ${e.message}`);
+    }
+  }
+
+  async _handleArchiveDownload(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    const url = new URL(req.url, `http://${this.host}`);
+    const remoteDir = url.searchParams.get('path');
+    if (!remoteDir) return err(res, 400, 'Query param "path" (remote directory) is required');
+    const include = url.searchParams.getAll('include');
+    if (include.length) {
+      try {
+        assertRelativePaths(include);
+      } catch (e) {
+        return err(res, 400, e.message);
+      }
+    }
+
+    // Hold the response headers back until the first byte arrives, so a
+    // failure before any output (e.g. missing directory) can still be a 500.
+    const out = new PassThrough();
+    out.once('data', chunk => {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-tar',
+        'X-Powered-By': 'CarapaceOS',
+      });
+      res.write(chunk);
+      out.pipe(res);
+    });
+
+    try {
+      await entry.vm.createArchive(remoteDir, out, include.length ? { include } : {});
+      this._metrics.downloadTotal++;
+    } catch (e) {
+      this._metrics.transferErrors++;
+      if (res.headersSent) res.destroy(e);
+      else err(res, 500, `Archive download failed: ${e.message}`);
     }
   }
 
@@ -643,6 +1018,236 @@ export class ControlServer {
     }
   }
 
+  // ─── Background Job Handlers ────────────────────────────────────────────────
+
+  async _handleJobStart(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    let body;
+    try {
+      body = await parseBody(req);
+    } catch (e) {
+      return err(res, 400, e.message);
+    }
+
+    if (!body.command && !body.argv) return err(res, 400, 'body.command or body.argv is required');
+    if (body.stdin !== undefined || body.timeoutMs !== undefined) {
+      return err(res, 400, 'Background jobs do not take stdin or timeoutMs — cancel them instead');
+    }
+
+    let opts;
+    try {
+      opts = parseExecOptions(body);
+    } catch (e) {
+      return err(res, 400, e.message);
+    }
+
+    try {
+      const job = await entry.vm.startJob(body.argv ? null : body.command, opts);
+      this._metrics.jobsStarted++;
+      send(res, 201, { vmId: id, job });
+    } catch (e) {
+      err(res, 500, `Failed to start job: ${e.message}`);
+    }
+  }
+
+  async _handleJobList(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    try {
+      const jobs = await entry.vm.listJobs();
+      send(res, 200, { vmId: id, jobs });
+    } catch (e) {
+      err(res, 500, `Failed to list jobs: ${e.message}`);
+    }
+  }
+
+  async _handleJobStatus(req, res, { id, job: jobId }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    try {
+      const job = await entry.vm.jobStatus(jobId);
+      if (!job) return err(res, 404, `Job not found: ${jobId}`);
+      send(res, 200, { vmId: id, job });
+    } catch (e) {
+      err(res, e.message.startsWith('Invalid job id') ? 400 : 500, e.message);
+    }
+  }
+
+  async _handleJobLogs(req, res, { id, job: jobId }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    const url = new URL(req.url, `http://${this.host}`);
+    const since = {};
+    for (const stream of ['stdout', 'stderr']) {
+      const v = url.searchParams.get(stream);
+      if (v === null) continue;
+      if (!/^\d+$/.test(v)) return err(res, 400, `Query param "${stream}" must be a byte offset`);
+      since[stream] = parseInt(v, 10);
+    }
+
+    try {
+      const logs = await entry.vm.jobLogs(jobId, { since });
+      if (!logs) return err(res, 404, `Job not found: ${jobId}`);
+      send(res, 200, { vmId: id, jobId, ...logs });
+    } catch (e) {
+      err(res, e.message.startsWith('Invalid job id') ? 400 : 500, e.message);
+    }
+  }
+
+  async _handleJobCancel(req, res, { id, job: jobId }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    try {
+      const job = await entry.vm.killJob(jobId);
+      if (!job) return err(res, 404, `Job not found: ${jobId}`);
+      if (job.cancelled) this._metrics.jobsCancelled++;
+      send(res, 200, { message: job.cancelled ? 'Job cancelled' : 'Job had already finished', vmId: id, job });
+    } catch (e) {
+      err(res, e.message.startsWith('Invalid job id') ? 400 : 500, e.message);
+    }
+  }
+
+  // ─── Port forwarding ────────────────────────────────────────────────────────
+
+  async _handleForwardAdd(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    let body;
+    try {
+      body = await parseBody(req);
+    } catch (e) {
+      return err(res, 400, e.message);
+    }
+    if (body.guestPort === undefined) return err(res, 400, 'body.guestPort is required');
+
+    try {
+      const hostPort = await entry.vm.forwardPort(body.guestPort, { hostPort: body.hostPort });
+      send(res, 201, { vmId: id, forward: { hostPort, guestPort: body.guestPort } });
+    } catch (e) {
+      if (e.code === 'EADDRINUSE') return err(res, 409, e.message);
+      err(res, e.message.startsWith('Invalid ') ? 400 : 500, e.message);
+    }
+  }
+
+  async _handleForwardList(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+    send(res, 200, { vmId: id, forwards: entry.vm.listForwards() });
+  }
+
+  async _handleNetworkLog(req, res, { id }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+    const url = new URL(req.url, `http://${this.host}`);
+    const type = url.searchParams.get('type') ?? undefined;
+    const since = url.searchParams.get('since') ?? undefined;
+    const limit = url.searchParams.get('limit');
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      return err(res, 400, 'Query param "since" must be an ISO 8601 time');
+    }
+    if (limit !== null && !/^[1-9]\d*$/.test(limit)) {
+      return err(res, 400, 'Query param "limit" must be a positive integer');
+    }
+
+    try {
+      const entries = await entry.vm.networkLog({ type, since, limit: limit === null ? undefined : parseInt(limit, 10) });
+      send(res, 200, { vmId: id, entries });
+    } catch (e) {
+      err(res, e.message.startsWith('Invalid ') ? 400 : 500, e.message);
+    }
+  }
+
+  async _handleForwardRemove(req, res, { id, port }) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) return err(res, 404, `VM not found: ${id}`);
+
+    try {
+      const removed = await entry.vm.removeForward(Number(port));
+      if (!removed) return err(res, 404, `Forward not found: ${port}`);
+      send(res, 200, { message: 'Forward removed', vmId: id, hostPort: Number(port) });
+    } catch (e) {
+      err(res, 500, e.message);
+    }
+  }
+
+  // ─── Interactive TTY ────────────────────────────────────────────────────────
+
+  async _handleTTY(req, socket, head, { id }, url) {
+    const entry = this.activeVMs.get(id);
+    if (!entry) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const cols = parseInt(url.searchParams.get('cols') ?? '80');
+    const rows = parseInt(url.searchParams.get('rows') ?? '24');
+
+    let session;
+    try {
+      session = await entry.vm.shell({ cols, rows });
+    } catch (e) {
+      socket.end('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+      this._metrics.runErrors++;
+      return;
+    }
+
+    const ws = acceptWebSocket(req, socket, head);
+    if (!ws) {
+      session.close();
+      return;
+    }
+
+    this._ttySessions.add(session);
+    this._metrics.ttySessionsTotal++;
+
+    session.on('data', chunk => ws.send(Buffer.from(chunk)));
+    session.on('exit', code => {
+      this._ttySessions.delete(session);
+      ws.send(JSON.stringify({ type: 'exit', code }));
+      ws.close(1000);
+    });
+    session.on('error', e => {
+      this._ttySessions.delete(session);
+      ws.close(1011, e.message);
+    });
+    session.on('close', () => {
+      this._ttySessions.delete(session);
+      ws.close(1001, 'Session closed');
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        session.write(data);
+        return;
+      }
+      let msg;
+      try { msg = JSON.parse(data); } catch {
+        // Plain text frames are treated as terminal input
+        session.write(data);
+        return;
+      }
+      if (msg.type === 'resize') {
+        session.resize(msg.cols, msg.rows).catch(e => {
+          ws.send(JSON.stringify({ type: 'error', error: `resize failed: ${e.message}` }));
+        });
+      } else if (msg.type === 'input' && typeof msg.data === 'string') {
+        session.write(msg.data);
+      }
+    });
+    ws.on('close', () => {
+      this._ttySessions.delete(session);
+      session.close();
+    });
+    ws.on('error', () => session.close());
+  }
+
   // ─── VM Lifecycle ────────────────────────────────────────────────────────────
 
   async _handleRelease(req, res, { id }) {
@@ -654,6 +1259,7 @@ export class ControlServer {
 
     try {
       await this.pool.release(entry.vm);
+      if (entry.vmNetwork) this._dropEmptyNetwork(entry.vmNetwork);
       this._metrics.releaseTotal++;
       send(res, 200, { message: 'VM released and destroyed', vmId: id, ageMs });
     } catch (e) {
@@ -662,6 +1268,54 @@ export class ControlServer {
     }
   }
 
+  /**
+   * The private network an acquire body asks for ({ network, hostname }),
+   * created on first use; null without body.network.
+   */
+  _vmNetworkFor(body) {
+    if (body.network === undefined) {
+      if (body.hostname !== undefined) throw new Error('body.hostname needs body.network');
+      return null;
+    }
+    if (typeof body.network !== 'string') throw new Error('body.network must be a network name');
+    if (body.hostname !== undefined && typeof body.hostname !== 'string') throw new Error('body.hostname must be a string');
+    let vmNetwork = this.vmNetworks.get(body.network);
+    if (!vmNetwork) {
+      vmNetwork = new VMNetwork(body.network, { subnet: this.vmNetworkSubnet });
+      this.vmNetworks.set(body.network, vmNetwork);
+    }
+    return vmNetwork;
+  }
+
+  /** An acquire for vmNetwork has joined it or failed */
+  _endJoin(vmNetwork, hostname) {
+    const pending = this._pendingJoins.get(vmNetwork) ?? [];
+    pending.splice(pending.indexOf(hostname), 1);
+    if (pending.length === 0) this._pendingJoins.delete(vmNetwork);
+  }
+
+  /** Forget a network once its last VM is gone and no acquire is still joining it */
+  _dropEmptyNetwork(vmNetwork) {
+    if (vmNetwork.members.length === 0 && !this._pendingJoins.has(vmNetwork)
+        && this.vmNetworks.get(vmNetwork.name) === vmNetwork) {
+      this.vmNetworks.delete(vmNetwork.name);
+    }
+  }
+
+  async _handleNetworks(req, res) {
+    const networks = [...this.vmNetworks.values()].map(n => ({
+      name: n.name,
+      subnet: n.subnet,
+      members: [...this.activeVMs.entries()]
+        .filter(([, { vmNetwork }]) => vmNetwork === n)
+        .map(([vmId, { vm }]) => {
+          const { hostname, ip } = n.memberOf(vm);
+          return { vmId, hostname, ip };
+        }),
+    }));
+    send(res, 200, { networks, total: networks.length });
+  }
+
   async _handlePoolStatus(req, res) {
     if (!this.pool) return err(res, 503, 'Pool not initialized');
     const stats = this.pool.stats();
@@ -707,6 +1361,19 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const verbose = args.includes('--verbose') || args.includes('-v');
   const networkMode = args.find(a => a.startsWith('--network='))?.split('=')[1] ?? 'nat';
   const dnsServer = args.find(a => a.startsWith('--dns='))?.split('=')[1] ?? null;
+  const vmMemory = args.find(a => a.startsWith('--memory='))?.split('=')[1];
+  const vmCpus = parseInt(args.find(a => a.startsWith('--cpus='))?.split('=')[1] ?? '1');
+  const vmDiskSize = args.find(a => a.startsWith('--disk-size='))?.split('=')[1] ?? null;
+  const sshPortRange = args.find(a => a.startsWith('--ssh-ports='))?.split('=')[1];
+  const template = args.find(a => a.startsWith('--template='))?.slice('--template='.length);
+  const vmNetworkSubnet = args.find(a => a.startsWith('--vm-subnet='))?.split('=')[1];
+
+  // --egress-max-bytes=N, --egress-rate=BYTES_PER_SEC, --egress-max-conns=N
+  const egressFlags = { maxBytes: '--egress-max-bytes=', bytesPerSecond: '--egress-rate=', maxConnections: '--egress-max-conns=' };
+  const vmEgressLimits = Object.fromEntries(Object.entries(egressFlags)
+    .map(([key, flag]) => [key, args.find(a => a.startsWith(flag))?.slice(flag.length)])
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, Number(value)]));
 
   // Parse --allow=host:port entries into networkAllow[]
   const networkAllow = args
@@ -714,28 +1381,54 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     .map(a => {
       const val = a.split('=')[1];
       const [host, port] = val.split(':');
-      return { host, port: parseInt(port) };
+      // Proxy rules may leave the port out (80 and 443)
+      return port === undefined ? { host } : { host, port: parseInt(port) };
     });
 
+  // Parse --share=HOST_DIR:GUEST_DIR[:rw] entries into shares[] (read-only unless :rw)
+  const shares = args
+    .filter(a => a.startsWith('--share='))
+    .map(a => parseShareSpec(a.slice('--share='.length)));
+
   if (!image) {
     console.error('Usage: control-server.js <path-to-carapaceos.qcow2> [options]');
     console.error('');
     console.error('Options:');
     console.error('  --port=7375       HTTP port to listen on');
     console.error('  --pool=2          Number of warm VMs to pre-boot');
-    console.error('  --network=MODE    Network mode: nat (default), isolated, allowlist, none');
-    console.error('  --allow=HOST:PORT Allow outbound to HOST:PORT (requires --network=allowlist)');
+    console.error('  --memory=512      RAM per VM in MB');
+    console.error('  --cpus=1          vCPUs per VM');
+    console.error('  --disk-size=SIZE  Disk size per VM (e.g. 10G; default: the base image size)');
+    console.error('  --network=MODE    Network mode: nat (default), isolated, allowlist, proxy, none');
+    console.error('  --allow=HOST:PORT Allow outbound to HOST:PORT (requires --network=allowlist or proxy;');
+    console.error('                    proxy rules can be *.domain and leave out the port)');
     console.error('  --dns=IP          DNS server override');
+    console.error('  --egress-max-bytes=N  Cut a VM\'s outbound traffic after N bytes (allowlist/proxy)');
+    console.error('  --egress-rate=N   Throttle a VM\'s outbound traffic to N bytes/s');
+    console.error('  --egress-max-conns=N  Max concurrent outbound connections per VM');
+    console.error('  --share=HOST:GUEST[:rw] Share host dir HOST at GUEST in every VM (read-only unless :rw)');
+    console.error('  --vm-subnet=CIDR  Subnet of private VM networks (default: 192.168.77.0/24)');
+    console.error('  --ssh-ports=MIN-MAX Host ports for VM SSH forwards (default: 12200-12299)');
+    console.error('  --template=DIR    Refill the pool from a boot template (memory/cpus/disk come from it)');
     console.error('  --verbose, -v     Verbose logging');
     console.error('');
     console.error('  Or set CARAPACE_IMAGE env var');
     process.exit(1);
   }
 
-  const server = new ControlServer({
-    image, port, poolSize, verbose,
-    networkMode, networkAllow, dnsServer,
-  });
+  let server;
+  try {
+    server = new ControlServer({
+      image, port, poolSize, verbose,
+      vmMemory, vmCpus, vmDiskSize,
+      vmEgressLimits: Object.keys(vmEgressLimits).length ? vmEgressLimits : null,
+      vmNetworkSubnet,
+      networkMode, networkAllow, dnsServer, shares, sshPortRange, template,
+    });
+  } catch (e) {
+    console.error(`[ControlServer] ${e.message}`);
+    process.exit(1);
+  }
 
   process.on('SIGINT', async () => {
     console.log('\n[ControlServer] SIGINT received, shutting down...');
@@ -0,0 +1,219 @@
+/**
+ * CarapaceOS — DNS responder for allowlist mode
+ *
+ * In allowlist mode each allowed host is reachable at a synthetic SLIRP
+ * address (10.0.2.100+). This responder answers A queries for exactly those
+ * hostnames with their mapped addresses and NXDOMAINs everything else, so
+ * guest code can use real hostnames (and TLS SNI keeps working).
+ *
+ * SLIRP drops all guest UDP under restrict=on, so queries travel over TCP:
+ * the guest's DNS stub (vm-image/carapace-dns.cjs) listens on
+ * 127.0.0.1:53 and forwards queries over one connection to DNS_GUEST_ADDR:53, which a
+ * guestfwd rule connects to this responder's Unix socket in the VM work dir
+ * (through lib/guestfwd-bridge.js).
+ *
+ * Usage:
+ *   import { DnsResponder } from './lib/dns-responder.js';
+ *   const dns = new DnsResponder({ 'registry.npmjs.org': '10.0.2.100' });
+ *   dns.on('query', q => console.log(q.name, q.type, q.rcode));
+ *   await dns.listen('/tmp/carapace-.../dns.sock');
+ */
+
+import { createServer, isIPv4 } from 'net';
+import { EventEmitter } from 'events';
+import { existsSync, unlinkSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/** Guest-visible address the guest's DNS stub forwards queries to */
+export const DNS_GUEST_ADDR = '10.0.2.99';
+
+const TTL = 60;
+const TYPE_A = 1;
+const TYPE_ANY = 255;
+const TYPE_NAMES = { 1: 'A', 5: 'CNAME', 15: 'MX', 16: 'TXT', 28: 'AAAA', 33: 'SRV', 65: 'HTTPS', 255: 'ANY' };
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4 };
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Parse the header and single question of a DNS query.
+ * @param {Buffer} buf
+ * @returns {{ id: number, flags: number, qdcount: number, name: string, type: number, questionEnd: number } | null}
+ *   null when the message is too malformed to answer at all
+ */
+export function parseQuery(buf) {
+  if (buf.length < 12) return null;
+  const query = { id: buf.readUInt16BE(0), flags: buf.readUInt16BE(2), qdcount: buf.readUInt16BE(4) };
+  if (query.qdcount !== 1) return { ...query, name: '', type: 0, questionEnd: 12 };
+
+  const labels = [];
+  let offset = 12;
+  for (;;) {
+    if (offset >= buf.length) return null;
+    const len = buf[offset];
+    if (len === 0) break;
+    if (len > 63) return null; // compression pointers don't belong in a question
+    labels.push(buf.toString('latin1', offset + 1, offset + 1 + len));
+    offset += 1 + len;
+  }
+  if (offset + 5 > buf.length) return null;
+  return { ...query, name: labels.join('.'), type: buf.readUInt16BE(offset + 1), questionEnd: offset + 5 };
+}
+
+export class DnsResponder extends EventEmitter {
+  /**
+   * Events:
+   *   'query' ({ name, type, rcode, answer }) — every question answered
+   *
+   * @param {Object<string, string>|Map<string, string>} records - hostname → IPv4 address
+   */
+  constructor(records = {}) {
+    super();
+    this._records = new Map();
+    for (const [name, address] of records instanceof Map ? records : Object.entries(records)) {
+      if (!isIPv4(address)) throw new Error(`DNS record for ${name} needs an IPv4 address, got ${JSON.stringify(address)}`);
+      this._records.set(normalizeName(name), address);
+    }
+    this._server = null;
+    this._socketPath = null;
+    this._connections = new Set();
+  }
+
+  /** Address a hostname resolves to, or undefined. */
+  lookup(name) {
+    return this._records.get(normalizeName(name));
+  }
+
+  /**
+   * Build the response to a DNS query message.
+   * @param {Buffer} msg
+   * @returns {Buffer|null} null if the message can't be answered
+   */
+  answer(msg) {
+    const q = parseQuery(msg);
+    if (!q || q.flags & 0x8000) return null; // garbage, or a response
+
+    const opcode = (q.flags >> 11) & 0xf;
+    let rcode = 'NOERROR';
+    let address = null;
+    if (opcode !== 0) rcode = 'NOTIMP';
+    else if (q.qdcount !== 1) rcode = 'FORMERR';
+    else {
+      address = this.lookup(q.name) ?? null;
+      if (address === null) rcode = 'NXDOMAIN';
+      // Allowed names have an A record only; other types get an empty answer
+      else if (q.type !== TYPE_A && q.type !== TYPE_ANY) address = null;
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(q.id, 0);
+    // QR, opcode and RD from the query, AA + RA, rcode
+    header.writeUInt16BE(0x8000 | (q.flags & 0x7900) | 0x0400 | 0x0080 | RCODES[rcode], 2);
+    header.writeUInt16BE(q.qdcount === 1 ? 1 : 0, 4);
+    header.writeUInt16BE(address ? 1 : 0, 6);
+    const question = q.qdcount === 1 ? msg.subarray(12, q.questionEnd) : Buffer.alloc(0);
+
+    let record = Buffer.alloc(0);
+    if (address) {
+      record = Buffer.alloc(16);
+      record.writeUInt16BE(0xc00c, 0); // name: pointer to the question
+      record.writeUInt16BE(TYPE_A, 2);
+      record.writeUInt16BE(1, 4); // class IN
+      record.writeUInt32BE(TTL, 6);
+      record.writeUInt16BE(4, 10);
+      address.split('.').forEach((octet, i) => { record[12 + i] = Number(octet); });
+    }
+
+    if (q.qdcount === 1) {
+      this.emit('query', { name: normalizeName(q.name), type: TYPE_NAMES[q.type] ?? q.type, rcode, answer: address });
+    }
+    return Buffer.concat([header, question, record]);
+  }
+
+  /**
+   * Answer DNS-over-TCP messages (2-byte length prefix) on a stream until
+   * it closes. Several queries may share one connection.
+   * @param {import('net').Socket} sock
+   */
+  serve(sock) {
+    this._connections.add(sock);
+    sock.on('close', () => this._connections.delete(sock));
+    let buf = Buffer.alloc(0);
+    sock.on('data', chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      while (buf.length >= 2 && buf.length >= 2 + buf.readUInt16BE(0)) {
+        const len = buf.readUInt16BE(0);
+        const response = this.answer(buf.subarray(2, 2 + len));
+        buf = buf.subarray(2 + len);
+        if (!response) {
+          sock.destroy();
+          return;
+        }
+        const prefix = Buffer.alloc(2);
+        prefix.writeUInt16BE(response.length);
+        sock.write(Buffer.concat([prefix, response]));
+      }
+    });
+    sock.on('error', () => {}); // the guest hung up
+  }
+
+  /**
+   * Serve on a Unix socket. The server does not keep the process alive.
+   * @param {string} socketPath
+   */
+  async listen(socketPath) {
+    if (this._server) throw new Error('DNS responder is already listening');
+    if (existsSync(socketPath)) unlinkSync(socketPath);
+    const server = createServer(sock => this.serve(sock));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    server.unref();
+    this._server = server;
+    this._socketPath = socketPath;
+  }
+
+  async close() {
+    const server = this._server;
+    if (!server) return;
+    this._server = null;
+    for (const sock of this._connections) sock.destroy();
+    await new Promise(resolve => server.close(() => resolve()));
+    try { unlinkSync(this._socketPath); } catch { /* already gone */ }
+  }
+}
+
+// ─── Guest side ──────────────────────────────────────────────────────────────
+
+/** Guest DNS stub source, installed in the guest through the seed ISO */
+export const DNS_STUB_SCRIPT = join(__dirname, '../vm-image/carapace-dns.cjs');
+/** Where the seed ISO installs the stub in the guest */
+export const DNS_STUB_PATH = '/usr/local/bin/carapace-dns';
+
+/**
+ * Seed ISO files and runcmd lines that make the guest resolve through the
+ * stub: install and start it, point resolv.conf at it and stop udhcpc from
+ * rewriting resolv.conf on lease renewals.
+ * @returns {{ files: Array<{ path: string, content: string, permissions: string }>, runcmd: string[] }}
+ */
+export function dnsStubSeed() {
+  return {
+    files: [
+      { path: DNS_STUB_PATH, content: readFileSync(DNS_STUB_SCRIPT, 'utf8'), permissions: '0755' },
+      { path: '/etc/udhcpc/udhcpc.conf', content: 'RESOLV_CONF="no"\n', permissions: '0644' },
+    ],
+    runcmd: [
+      `setsid ${DNS_STUB_PATH} --upstream ${DNS_GUEST_ADDR}:53 </dev/null >/var/log/carapace-dns.log 2>&1 &`,
+      "echo 'nameserver 127.0.0.1' > /etc/resolv.conf",
+    ],
+  };
+}
@@ -149,12 +149,6 @@ check('SSH client', () => {
   return { ok: true, detail: ver || path };
 });
 
-check('ssh-keygen', () => {
-  const path = which('ssh-keygen');
-  if (!path) return { ok: false, detail: 'ssh-keygen not found' };
-  return { ok: true, detail: path };
-});
-
 check('KVM acceleration', () => {
   if (existsSync('/dev/kvm')) {
     try {
@@ -0,0 +1,147 @@
+/**
+ * CarapaceOS — per-VM egress limits
+ *
+ * Guest traffic leaves the VM through the host only in allowlist mode (the
+ * relay, lib/network-relay.js) and proxy mode (lib/egress-proxy.js). Both
+ * hand every outbound connection to one EgressLimiter per VM session:
+ *
+ *   maxBytes       — bytes relayed per session, both directions. Crossing it
+ *                    resets every open connection and refuses new ones.
+ *   bytesPerSecond — throttle shared by all connections, both directions.
+ *                    Traffic is slowed down, never cut.
+ *   maxConnections — concurrent outbound connections. One more is reset.
+ *
+ * Usage:
+ *   const limiter = new EgressLimiter({ maxBytes: 100 * 1024 * 1024, maxConnections: 8 });
+ *   limiter.on('limit', e => console.log(e.limit, e.value));
+ *   const lease = limiter.open({ host, port });
+ *   if (lease.refused) return guestSock.destroy();
+ *   lease.attach(guestSock, upstream);
+ *   limiter.pipe(guestSock, upstream);
+ *   limiter.pipe(upstream, guestSock);
+ *   guestSock.on('close', () => lease.release());
+ */
+
+import { EventEmitter } from 'events';
+
+/** Valid egressLimits keys */
+export const EGRESS_LIMIT_KEYS = ['maxBytes', 'bytesPerSecond', 'maxConnections'];
+
+/**
+ * Validate opts.egressLimits: { maxBytes, bytesPerSecond, maxConnections }.
+ * @returns {object|null} null when no limit is set
+ */
+export function normalizeEgressLimits(limits) {
+  if (limits === undefined || limits === null) return null;
+  if (typeof limits !== 'object' || Array.isArray(limits)) throw new Error('egressLimits must be an object');
+  const out = {};
+  for (const [key, value] of Object.entries(limits)) {
+    if (!EGRESS_LIMIT_KEYS.includes(key)) {
+      throw new Error(`Unknown egressLimits key "${key}". Valid: ${EGRESS_LIMIT_KEYS.join(', ')}`);
+    }
+    if (!Number.isInteger(value) || value <= 0) throw new Error(`egressLimits.${key} must be a positive integer`);
+    out[key] = value;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+export class EgressLimiter extends EventEmitter {
+  /**
+   * Events:
+   *   'limit' ({ limit, value, host, port, bytes, connections }) — maxBytes was
+   *     crossed (once per session) or a connection was refused at maxConnections
+   *
+   * @param {{ maxBytes?: number, bytesPerSecond?: number, maxConnections?: number }} limits
+   */
+  constructor(limits) {
+    super();
+    this.limits = normalizeEgressLimits(limits) ?? {};
+    this.bytes = 0;
+    this.exhausted = false; // maxBytes crossed; everything is refused from now on
+    this._leases = new Set();
+    this._availableAt = 0; // throttle clock: when the next byte may go
+  }
+
+  /** Open connections */
+  get connections() {
+    return this._leases.size;
+  }
+
+  /**
+   * Ask to open an outbound connection.
+   * @param {{ host: string, port: number }} dest
+   * @returns {{ refused?: string, attach: Function, release: Function }}
+   *   `refused` is the reason when the connection must be reset
+   */
+  open({ host, port }) {
+    const { maxBytes, maxConnections } = this.limits;
+    if (this.exhausted) {
+      return { refused: `egress limit maxBytes (${maxBytes}) reached`, attach() {}, release() {} };
+    }
+    if (maxConnections && this._leases.size >= maxConnections) {
+      this._emitLimit('maxConnections', { host, port });
+      return { refused: `egress limit maxConnections (${maxConnections}) reached`, attach() {}, release() {} };
+    }
+    const lease = {
+      dest: { host, port },
+      streams: [],
+      /** Streams to cut when maxBytes is crossed */
+      attach: (...streams) => { lease.streams.push(...streams); },
+      release: () => { this._leases.delete(lease); },
+    };
+    this._leases.add(lease);
+    return lease;
+  }
+
+  /**
+   * Like src.pipe(dst), counting bytes against maxBytes and throttling to
+   * bytesPerSecond.
+   * @param {import('stream').Readable} src
+   * @param {import('stream').Writable} dst
+   * @param {{ host: string, port: number }} [dest] - reported if this crosses maxBytes
+   */
+  pipe(src, dst, dest = {}) {
+    const { maxBytes, bytesPerSecond } = this.limits;
+    if (!maxBytes && !bytesPerSecond) return src.pipe(dst);
+
+    src.on('data', chunk => {
+      if (this.exhausted) return;
+      this.bytes += chunk.length;
+      if (maxBytes && this.bytes > maxBytes) return this._exhaust(dest);
+
+      const flushed = dst.write(chunk);
+      const delay = bytesPerSecond ? this._throttle(chunk.length, bytesPerSecond) : 0;
+      if (flushed && delay === 0) return;
+      src.pause();
+      const waits = [];
+      if (!flushed) waits.push(new Promise(resolve => dst.once('drain', resolve)));
+      if (delay > 0) waits.push(new Promise(resolve => setTimeout(resolve, delay)));
+      Promise.all(waits).then(() => src.resume());
+    });
+    src.on('end', () => dst.end());
+    return dst;
+  }
+
+  /** Reserve time for n bytes; returns how long (ms) the sender should wait. */
+  _throttle(n, bytesPerSecond) {
+    const now = Date.now();
+    this._availableAt = Math.max(this._availableAt, now) + (n * 1000) / bytesPerSecond;
+    return Math.max(0, Math.floor(this._availableAt - now));
+  }
+
+  /** maxBytes crossed: reset every connection and refuse the rest of the session */
+  _exhaust(dest) {
+    this.exhausted = true;
+    this._emitLimit('maxBytes', dest);
+    for (const lease of this._leases) {
+      for (const stream of lease.streams) stream.destroy();
+    }
+    this._leases.clear();
+  }
+
+  _emitLimit(limit, { host, port } = {}) {
+    this.emit('limit', {
+      limit, value: this.limits[limit], host, port, bytes: this.bytes, connections: this._leases.size,
+    });
+  }
+}
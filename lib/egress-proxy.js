@@ -0,0 +1,339 @@
+/**
+ * CarapaceOS — domain-filtering egress proxy for proxy network mode
+ *
+ * In networkMode 'proxy' the guest is restrict=on and its only way out is
+ * this HTTP proxy: CONNECT tunnels for HTTPS and absolute-form requests for
+ * plain HTTP. Each VM gets its own proxy instance, so every decision is
+ * attributed to the VM that made the request.
+ *
+ * Rules (networkAllow entries):
+ *   'registry.npmjs.org'                      — ports 80 and 443
+ *   '*.github.com'                            — any subdomain (not github.com itself)
+ *   { host: 'api.example.com', port: 8443 }   — one port
+ *   { host: 'example.com', methods: ['GET'], paths: ['/v1/*'] }
+ *
+ * The proxy only sees the host and port of a CONNECT tunnel, so method and
+ * path rules apply to plain HTTP; an entry with methods or paths never
+ * allows CONNECT.
+ *
+ * The guest reaches the proxy at PROXY_GUEST_ADDR:PROXY_PORT, which a
+ * guestfwd rule connects to the proxy's Unix socket in the VM work dir
+ * (through lib/guestfwd-bridge.js).
+ *
+ * With an EgressLimiter (lib/egress-limits.js) the bytes of tunnels and
+ * request/response bodies count against the VM's egress limits.
+ *
+ * Usage:
+ *   import { EgressProxy } from './lib/egress-proxy.js';
+ *   const proxy = new EgressProxy(['*.github.com'], { vm: 'carapace-123' });
+ *   proxy.on('request', r => console.log(r.vm, r.method, r.host, r.allowed));
+ *   await proxy.listen('/tmp/carapace-.../proxy.sock');
+ */
+
+import { createServer, request as httpRequest } from 'http';
+import { connect } from 'net';
+import { EventEmitter } from 'events';
+import { existsSync, unlinkSync } from 'fs';
+
+/** Guest-visible proxy address */
+export const PROXY_GUEST_ADDR = '10.0.2.98';
+export const PROXY_PORT = 3128;
+/** Proxy URL as the guest sees it */
+export const PROXY_URL = `http://${PROXY_GUEST_ADDR}:${PROXY_PORT}`;
+
+const DEFAULT_PORTS = [80, 443];
+const HOST_PATTERN_RE = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+const METHOD_RE = /^[A-Z]+$/;
+// Hop-by-hop headers are not forwarded (RFC 9110 §7.6.1), nor are proxy credentials
+const HOP_BY_HOP = new Set([
+  'connection', 'proxy-connection', 'keep-alive', 'proxy-authorization', 'proxy-authenticate',
+  'te', 'trailer', 'transfer-encoding', 'upgrade',
+]);
+
+function normalizeHost(host) {
+  return host.toLowerCase().replace(/\.$/, '');
+}
+
+/** '/v1/*' → /^\/v1\/.*$/ */
+function pathPattern(glob) {
+  return new RegExp(`^${glob.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+/**
+ * Validate proxy rules and bring them into one shape.
+ *
+ * @param {Array<string|{ host: string, port?: number, methods?: string[], paths?: string[] }>} entries
+ * @returns {Array<{ host: string, port?: number, methods?: string[], paths?: string[] }>}
+ */
+export function normalizeProxyRules(entries) {
+  if (!Array.isArray(entries)) throw new Error('networkAllow must be an array');
+  return entries.map((entry, i) => {
+    const rule = typeof entry === 'string' ? { host: entry } : entry;
+    if (typeof rule?.host !== 'string' || !HOST_PATTERN_RE.test(normalizeHost(rule.host))) {
+      throw new Error(`networkAllow[${i}].host must be a hostname or *.domain pattern, got ${JSON.stringify(rule?.host)}`);
+    }
+    const out = { host: normalizeHost(rule.host) };
+    if (rule.port !== undefined) {
+      if (!Number.isInteger(rule.port) || rule.port < 1 || rule.port > 65535) {
+        throw new Error(`networkAllow[${i}].port must be a port number`);
+      }
+      out.port = rule.port;
+    }
+    if (rule.methods !== undefined) {
+      if (!Array.isArray(rule.methods) || rule.methods.length === 0
+        || !rule.methods.every(m => typeof m === 'string' && METHOD_RE.test(m.toUpperCase()))) {
+        throw new Error(`networkAllow[${i}].methods must be a non-empty array of HTTP methods`);
+      }
+      out.methods = rule.methods.map(m => m.toUpperCase());
+    }
+    if (rule.paths !== undefined) {
+      if (!Array.isArray(rule.paths) || rule.paths.length === 0
+        || !rule.paths.every(p => typeof p === 'string' && p.startsWith('/'))) {
+        throw new Error(`networkAllow[${i}].paths must be a non-empty array of paths starting with /`);
+      }
+      out.paths = rule.paths.slice();
+    }
+    return out;
+  });
+}
+
+function hostMatches(pattern, host) {
+  return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+}
+
+export class EgressProxy extends EventEmitter {
+  /**
+   * Events:
+   *   'request' ({ vm, method, host, port, path, allowed, reason }) — every
+   *     request or tunnel the guest asks for; path is null for CONNECT and
+   *     reason is set when it was denied
+   *
+   * @param {Array} rules - see normalizeProxyRules()
+   * @param {object} [opts]
+   * @param {string} [opts.vm] - VM id reported with every request
+   * @param {import('./egress-limits.js').EgressLimiter} [opts.limiter] - egress limits;
+   *   an allowed request it refuses has its guest connection cut
+   */
+  constructor(rules, { vm = null, limiter = null } = {}) {
+    super();
+    this.rules = normalizeProxyRules(rules).map(r => ({ ...r, _paths: r.paths?.map(pathPattern) }));
+    this.vm = vm;
+    this.limiter = limiter;
+    this._server = null;
+    this._socketPath = null;
+    this._sockets = new Set();
+  }
+
+  /**
+   * Decide whether a request may leave the VM.
+   *
+   * @param {object} req
+   * @param {string} req.method - 'CONNECT' for HTTPS tunnels
+   * @param {string} req.host
+   * @param {number} req.port
+   * @param {string} [req.path] - plain HTTP only, without the query string
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  check({ method, host, port, path }) {
+    host = normalizeHost(host);
+    const forHost = this.rules.filter(r => hostMatches(r.host, host));
+    if (forHost.length === 0) return { allowed: false, reason: `host ${host} is not allowed` };
+
+    const forPort = forHost.filter(r => (r.port ? r.port === port : DEFAULT_PORTS.includes(port)));
+    if (forPort.length === 0) return { allowed: false, reason: `port ${port} is not allowed for ${host}` };
+
+    if (method === 'CONNECT') {
+      if (forPort.some(r => !r.methods && !r.paths)) return { allowed: true };
+      return { allowed: false, reason: `${host} is limited to method/path rules, which need plain HTTP` };
+    }
+    const ok = forPort.some(r =>
+      (!r.methods || r.methods.includes(method)) && (!r._paths || r._paths.some(re => re.test(path))));
+    return ok ? { allowed: true } : { allowed: false, reason: `${method} ${path} is not allowed for ${host}` };
+  }
+
+  _decide(method, host, port, path) {
+    const decision = this.check({ method, host, port, path });
+    this.emit('request', { vm: this.vm, method, host: normalizeHost(host), port, path: path ?? null, ...decision });
+    return decision;
+  }
+
+  /** Tunnel a CONNECT request, or refuse it with 403 */
+  _onConnect(req, sock, head) {
+    sock.on('error', () => {}); // the guest hung up
+    const m = /^\[?([^\]]+?)\]?:(\d+)$/.exec(req.url);
+    if (!m) return refuse(sock, 400, 'CONNECT needs HOST:PORT');
+    const [, host, port] = m;
+    const decision = this._decide('CONNECT', host, Number(port));
+    if (!decision.allowed) return refuse(sock, 403, decision.reason);
+    const dest = { host, port: Number(port) };
+    const lease = this.limiter?.open(dest);
+    if (lease?.refused) return sock.destroy();
+
+    const upstream = connect(Number(port), host);
+    lease?.attach(sock, upstream);
+    let connected = false;
+    upstream.once('connect', () => {
+      connected = true;
+      sock.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      this._pipe(upstream, sock, dest);
+      this._pipe(sock, upstream, dest);
+    });
+    upstream.on('error', err => {
+      if (connected) sock.destroy();
+      else refuse(sock, 502, `Could not reach ${host}:${port}: ${err.message}`);
+    });
+    sock.on('close', () => {
+      upstream.destroy();
+      lease?.release();
+    });
+    upstream.on('close', () => { if (connected) sock.destroy(); });
+  }
+
+  _pipe(src, dst, dest) {
+    return this.limiter ? this.limiter.pipe(src, dst, dest) : src.pipe(dst);
+  }
+
+  /** Forward a plain HTTP request, or refuse it with 403 */
+  _onRequest(req, res) {
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch {
+      url = null;
+    }
+    if (url?.protocol !== 'http:') {
+      return reply(res, 400, 'Only absolute http:// URLs can be proxied (use CONNECT for HTTPS)');
+    }
+    // The rules are checked against the URL; a different Host header would
+    // reach another virtual host behind the same address
+    if (req.headers.host !== undefined && hostHeader(req.headers.host) !== hostHeader(url.host)) {
+      return reply(res, 400, `Host header ${req.headers.host} does not match the URL (${url.host})`);
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const port = Number(url.port) || 80;
+    const decision = this._decide(req.method, host, port, url.pathname);
+    if (!decision.allowed) return reply(res, 403, decision.reason);
+    const lease = this.limiter?.open({ host, port });
+    if (lease?.refused) return req.socket.destroy();
+
+    const upstream = httpRequest({
+      host,
+      port,
+      method: req.method,
+      path: url.pathname + url.search,
+      headers: { ...forwardHeaders(req.headers), host: url.host },
+      agent: false,
+    }, upRes => {
+      res.writeHead(upRes.statusCode, upRes.statusMessage, forwardHeaders(upRes.headers));
+      this._pipe(upRes, res, { host, port });
+    });
+    lease?.attach(req.socket, upstream);
+    upstream.on('error', err => {
+      if (!res.headersSent) reply(res, 502, `Could not reach ${host}:${port}: ${err.message}`);
+      else res.destroy();
+    });
+    res.on('close', () => {
+      upstream.destroy();
+      lease?.release();
+    });
+    this._pipe(req, upstream, { host, port });
+  }
+
+  /**
+   * Serve on a Unix socket. The server does not keep the process alive.
+   * @param {string} socketPath
+   */
+  async listen(socketPath) {
+    if (this._server) throw new Error('Egress proxy is already listening');
+    if (existsSync(socketPath)) unlinkSync(socketPath);
+    const server = createServer((req, res) => this._onRequest(req, res));
+    server.on('connect', (req, sock, head) => this._onConnect(req, sock, head));
+    server.on('connection', sock => {
+      this._sockets.add(sock);
+      sock.on('close', () => this._sockets.delete(sock));
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    server.unref();
+    this._server = server;
+    this._socketPath = socketPath;
+  }
+
+  async close() {
+    const server = this._server;
+    if (!server) return;
+    this._server = null;
+    for (const sock of this._sockets) sock.destroy();
+    await new Promise(resolve => server.close(() => resolve()));
+    try { unlinkSync(this._socketPath); } catch { /* already gone */ }
+  }
+}
+
+function forwardHeaders(headers) {
+  const hop = new Set(HOP_BY_HOP);
+  // Headers named in Connection are hop-by-hop too
+  for (const name of String(headers.connection ?? '').split(',')) hop.add(name.trim().toLowerCase());
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !hop.has(name)));
+}
+
+/** 'Example.COM.:80' → 'example.com' (null if unparseable) */
+function hostHeader(value) {
+  try {
+    const { hostname, port } = new URL(`http://${value}`);
+    return `${normalizeHost(hostname)}${port ? `:${port}` : ''}`;
+  } catch {
+    return null;
+  }
+}
+
+function reply(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain', Connection: 'close' });
+  res.end(`carapace proxy: ${message}\n`);
+}
+
+function refuse(sock, status, message) {
+  const reason = { 400: 'Bad Request', 403: 'Forbidden', 502: 'Bad Gateway' }[status];
+  const body = `carapace proxy: ${message}\n`;
+  sock.end(`HTTP/1.1 ${status} ${reason}\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+}
+
+// ─── Guest side ──────────────────────────────────────────────────────────────
+
+/** Guest shell profile that exports the proxy variables */
+export const PROXY_PROFILE_PATH = '/etc/profile.d/carapace-proxy.sh';
+
+/**
+ * Seed ISO files and runcmd lines that point the guest at the proxy: proxy
+ * variables for login shells and SSH sessions, plus system-wide git and npm
+ * config so both work even where the variables are dropped (e.g. sudo).
+ * @returns {{ files: Array<{ path: string, content: string, permissions: string }>, runcmd: string[] }}
+ */
+export function proxySeed() {
+  const vars = {
+    HTTP_PROXY: PROXY_URL, HTTPS_PROXY: PROXY_URL, http_proxy: PROXY_URL, https_proxy: PROXY_URL,
+    NO_PROXY: 'localhost,127.0.0.1', no_proxy: 'localhost,127.0.0.1',
+  };
+  const setEnv = Object.entries(vars).map(([k, v]) => `${k}=${v}`).join(' ');
+  return {
+    files: [
+      {
+        path: PROXY_PROFILE_PATH,
+        content: Object.entries(vars).map(([k, v]) => `export ${k}=${v}\n`).join(''),
+        permissions: '0644',
+      },
+      { path: '/etc/gitconfig', content: `[http]\n\tproxy = ${PROXY_URL}\n`, permissions: '0644' },
+      // npm's global config is $PREFIX/etc/npmrc; node is installed under /usr
+      { path: '/usr/etc/npmrc', content: `proxy=${PROXY_URL}\nhttps-proxy=${PROXY_URL}\n`, permissions: '0644' },
+    ],
+    runcmd: [
+      // ssh sessions don't read /etc/profile for non-interactive commands
+      `echo 'SetEnv ${setEnv}' >> /etc/ssh/sshd_config && (rc-service sshd reload || kill -HUP "$(cat /run/sshd.pid)")`,
+    ],
+  };
+}
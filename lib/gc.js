@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * carapace-gc — reap what crashed runner processes left behind
+ *
+ * A CarapaceRunner registers each VM in the host state directory (see
+ * lib/host-state.js) and removes the entry on shutdown(). When the owning
+ * Node process dies without shutting down, its QEMU keeps running and its
+ * work dir (overlay images can be GBs) stays in the temp dir. This module:
+ *
+ *   - kills QEMU processes whose owner is gone (SIGTERM, then SIGKILL)
+ *   - deletes their work dirs and registry entries
+ *   - deletes unregistered `carapace-<ts>-<id>` work dirs no process uses
+ *   - deletes boot logs (`carapace-<ts>.log`) older than logMaxAgeMs
+ *
+ * Registry entries are only trusted as far as they can be checked: gc acts
+ * on `<tmpDir>/carapace-<ts>-<id>` dirs owned by this user, and only kills a
+ * pid whose command line is a qemu-system binary using that exact work dir.
+ * Anything else in the registry is reported in `failed` and left alone.
+ *
+ * Work dirs kept with shutdown(true) stay registered as kept and are left
+ * alone unless removeKept is set. Anything that cannot be removed is
+ * reported in `failed` and retried on the next run.
+ *
+ * WarmPool runs it on start(). From the shell:
+ *
+ *   carapace-gc [--dry-run] [--kept] [--log-max-age=HOURS]
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readdirSync, statSync, lstatSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, dirname, join, resolve } from 'path';
+import { stateDir, listVMs, unregisterVM, isProcessAlive, checkPrivatePath } from './host-state.js';
+
+const WORK_DIR_RE = /^carapace-\d+-[a-z0-9]{5}$/;
+const BOOT_LOG_RE = /^carapace-\d+\.log$/;
+
+const DEFAULT_LOG_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+// Unregistered work dirs younger than this may belong to a boot in progress
+const DEFAULT_STALE_AFTER = 10 * 60 * 1000;
+const KILL_GRACE_MS = 3000;
+
+/**
+ * Command lines of all processes, by pid (empty if `ps` is unavailable).
+ * @returns {Map<number, string>}
+ */
+function processTable() {
+  const table = new Map();
+  let out;
+  try {
+    out = execFileSync('ps', ['-A', '-o', 'pid=,args='], { encoding: 'utf8', maxBuffer: 16 * 1024 * 1024 });
+  } catch {
+    return table;
+  }
+  for (const line of out.split('\n')) {
+    const m = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (m) table.set(Number(m[1]), m[2]);
+  }
+  return table;
+}
+
+function pathSize(path) {
+  let st;
+  try { st = lstatSync(path); } catch { return 0; }
+  if (!st.isDirectory()) return st.blocks !== undefined ? st.blocks * 512 : st.size;
+  let total = 0;
+  for (const name of readdirSync(path)) total += pathSize(join(path, name));
+  return total;
+}
+
+/** Whether a `ps` command line is a QEMU whose arguments use workDir */
+function isQemuOf(commandLine, workDir) {
+  const binary = basename(commandLine.split(' ')[0]);
+  return binary.startsWith('qemu-system-') && commandLine.includes(`${workDir}/`);
+}
+
+/** Whether path is this user's own, unshared file or directory */
+function isOurs(path) {
+  try {
+    checkPrivatePath(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function killQemu(pid) {
+  try { process.kill(pid, 'SIGTERM'); } catch { return; }
+  const deadline = Date.now() + KILL_GRACE_MS;
+  while (Date.now() < deadline) {
+    if (!isProcessAlive(pid)) return;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  try { process.kill(pid, 'SIGKILL'); } catch { /* exited meanwhile */ }
+}
+
+/**
+ * Reap orphaned VMs, work dirs and old boot logs.
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun=false]    - report what would be removed, change nothing
+ * @param {number} [opts.logMaxAgeMs=1 day] - boot logs older than this are deleted
+ * @param {number} [opts.staleAfterMs=10 min] - minimum age of an unregistered work dir
+ * @param {boolean} [opts.removeKept=false] - also delete work dirs kept with shutdown(true)
+ * @param {string} [opts.dir=stateDir()]   - state directory holding the VM registry
+ * @param {string} [opts.tmpDir=tmpdir()]  - where runners create work dirs and logs
+ * @param {(msg: string) => void} [opts.log] - called for each action
+ * @returns {Promise<{ killed: number[], removedDirs: string[], removedLogs: string[], freedBytes: number,
+ *   failed: Array<{ path: string, error: string }> }>}
+ */
+export async function collectGarbage({
+  dryRun = false,
+  logMaxAgeMs = DEFAULT_LOG_MAX_AGE,
+  staleAfterMs = DEFAULT_STALE_AFTER,
+  removeKept = false,
+  dir = stateDir(),
+  tmpDir = tmpdir(),
+  log = () => {},
+} = {}) {
+  const report = { killed: [], removedDirs: [], removedLogs: [], freedBytes: 0, failed: [] };
+  if (existsSync(dir)) checkPrivatePath(dir, 'State directory');
+  tmpDir = resolve(tmpDir);
+  const processes = processTable();
+  const keep = new Set(); // work dirs of VMs whose owner is alive, and kept ones
+
+  const fail = (path, err) => {
+    log(`Could not remove ${path}: ${err.message}`);
+    report.failed.push({ path, error: err.message });
+  };
+
+  /** Delete a path; false (and reported in `failed`) if that did not work */
+  const remove = (path, list) => {
+    try {
+      const size = pathSize(path);
+      if (!dryRun) rmSync(path, { recursive: true, force: true });
+      report.freedBytes += size;
+      list.push(path);
+      return true;
+    } catch (err) {
+      fail(path, err);
+      return false;
+    }
+  };
+
+  /** Why an entry's work dir is not one a runner of ours created, or null */
+  const untrusted = workDir => {
+    if (typeof workDir !== 'string' || dirname(workDir) !== tmpDir || !WORK_DIR_RE.test(basename(workDir))) {
+      return `not a carapace work dir in ${tmpDir}`;
+    }
+    if (!existsSync(workDir)) return null;
+    try {
+      if (!checkPrivatePath(workDir, 'Work dir').isDirectory()) return 'not a directory';
+    } catch (err) {
+      return err.message;
+    }
+    return null;
+  };
+
+  // 1. Registered VMs whose owning process has died, and kept work dirs if asked
+  for (const vm of listVMs({ dir })) {
+    const reason = untrusted(vm.workDir);
+    if (reason) {
+      log(`Ignoring registry entry ${vm.id}: ${vm.workDir} is ${reason}`);
+      report.failed.push({ path: String(vm.workDir), error: `Registry entry ${vm.id}: ${reason}` });
+      continue;
+    }
+    try {
+      if (vm.kept ? !removeKept && existsSync(vm.workDir) : isProcessAlive(vm.ownerPid)) {
+        keep.add(vm.workDir);
+        continue;
+      }
+      // Only kill the pid if it is still that VM's QEMU (pids get reused)
+      if (Number.isInteger(vm.qemuPid) && isQemuOf(processes.get(vm.qemuPid) ?? '', vm.workDir)) {
+        log(`Killing orphaned QEMU ${vm.qemuPid} (owner ${vm.ownerPid} is gone)`);
+        report.killed.push(vm.qemuPid);
+        if (!dryRun) await killQemu(vm.qemuPid);
+      }
+      log(`Removing ${vm.kept ? 'kept ' : ''}work dir ${vm.workDir}`);
+      // Keep the entry of a dir we could not delete, so the next run tries again
+      if (remove(vm.workDir, report.removedDirs) && !dryRun) unregisterVM(vm.id, { dir });
+    } catch (err) {
+      fail(vm.workDir, err);
+    }
+  }
+  const handled = path => keep.has(path) || report.removedDirs.includes(path) || report.failed.some(f => f.path === path);
+
+  // 2. Unregistered work dirs and old boot logs in the temp dir
+  const commandLines = [...processes.values()];
+  const now = Date.now();
+  let names = [];
+  try { names = readdirSync(tmpDir); } catch { /* no temp dir */ }
+  for (const name of names) {
+    const path = join(tmpDir, name);
+    if (WORK_DIR_RE.test(name)) {
+      if (handled(path) || !isOurs(path)) continue;
+      let mtime;
+      try { mtime = statSync(path).mtimeMs; } catch { continue; }
+      if (now - mtime < staleAfterMs) continue;
+      if (commandLines.some(cmd => cmd.includes(path))) continue; // a QEMU still uses it
+      log(`Removing stale work dir ${path}`);
+      remove(path, report.removedDirs);
+    } else if (BOOT_LOG_RE.test(name)) {
+      let mtime;
+      try { mtime = statSync(path).mtimeMs; } catch { continue; }
+      if (now - mtime < logMaxAgeMs || !isOurs(path)) continue;
+      remove(path, report.removedLogs);
+    }
+  }
+
+  return report;
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: carapace-gc [--dry-run] [--kept] [--log-max-age=HOURS]');
+    console.log('');
+    console.log('Kills QEMU processes left by crashed runners and deletes their work dirs,');
+    console.log('stale carapace-* work dirs and old boot logs in the temp dir.');
+    console.log('');
+    console.log('  --dry-run            Only list what would be removed');
+    console.log('  --kept               Also delete work dirs kept with shutdown(true) / --keep');
+    console.log('  --log-max-age=HOURS  Delete boot logs older than this (default: 24)');
+    process.exit(0);
+  }
+  const dryRun = args.includes('--dry-run');
+  const logHours = Number(args.find(a => a.startsWith('--log-max-age='))?.split('=')[1] ?? 24);
+  if (!(logHours >= 0)) {
+    console.error('--log-max-age must be a number of hours');
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = await collectGarbage({
+      dryRun,
+      removeKept: args.includes('--kept'),
+      logMaxAgeMs: logHours * 60 * 60 * 1000,
+      log: msg => console.log(`${dryRun ? '[dry-run] ' : ''}${msg}`),
+    });
+  } catch (err) {
+    console.error(`carapace-gc: ${err.message}`);
+    process.exit(1);
+  }
+  const mb = (report.freedBytes / 1024 / 1024).toFixed(1);
+  console.log(`${dryRun ? 'Would free' : 'Freed'} ${mb} MB: ${report.killed.length} QEMU process(es), ` +
+    `${report.removedDirs.length} work dir(s), ${report.removedLogs.length} boot log(s)`);
+  if (report.failed.length) {
+    for (const { path, error } of report.failed) console.error(`Could not remove ${path}: ${error}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * CarapaceOS — Guest agent client (virtio-serial transport)
+ *
+ * Host side of vm-image/carapace-agent.cjs. QEMU exposes the guest's
+ * virtio-serial port as a Unix socket in the VM work dir; this client speaks
+ * newline-delimited JSON-RPC 2.0 over it to run commands and read/write
+ * files. It needs no network device, so it works with networkMode 'none'.
+ *
+ * Usage:
+ *   import { connectGuestAgent } from './lib/guest-agent.js';
+ *   const agent = await connectGuestAgent('/tmp/carapace-.../agent.sock');
+ *   const { stdout, code } = await agent.exec('uname -a', { timeoutMs: 10000 });
+ *   await agent.writeFile('/home/agent/in.txt', 'hello');
+ *   agent.close();
+ */
+
+import { createConnection } from 'net';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { StringDecoder } from 'string_decoder';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/** virtio-serial port name the guest agent listens on */
+export const GUEST_AGENT_PORT = 'org.carapaceos.agent.0';
+/** Guest agent source, installed in the guest through the seed ISO */
+export const GUEST_AGENT_SCRIPT = join(__dirname, '../vm-image/carapace-agent.cjs');
+/** Where the seed ISO installs the agent in the guest */
+export const GUEST_AGENT_PATH = '/usr/local/bin/carapace-agent';
+
+// exec() gives the guest this long past its own timeout to report back
+const EXEC_REPLY_GRACE_MS = 15_000;
+// Longest line accepted from the guest; a readFile reply carries the whole file in base64
+const MAX_LINE_LENGTH = 256 * 1024 * 1024;
+
+/**
+ * QEMU arguments for the agent's virtio-serial port, backed by a Unix socket.
+ * @param {string} socketPath
+ * @returns {string[]}
+ */
+export function guestAgentQemuArgs(socketPath) {
+  return [
+    '-device', 'virtio-serial-pci,id=agent-serial',
+    '-chardev', `socket,id=agent0,path=${socketPath.replace(/,/g, ',,')},server=on,wait=off`,
+    '-device', `virtserialport,bus=agent-serial.0,chardev=agent0,name=${GUEST_AGENT_PORT}`,
+  ];
+}
+
+/**
+ * Shell command (for the seed's runcmd) that starts the agent in the
+ * background, detached from cloud-init.
+ */
+export function guestAgentStartCommand() {
+  return `setsid ${GUEST_AGENT_PATH} </dev/null >/var/log/carapace-agent.log 2>&1 &`;
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', c => chunks.push(Buffer.from(c)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+export class GuestAgentClient {
+  /**
+   * Everything the guest sends is untrusted: a malformed message closes the
+   * connection (failing pending calls) instead of throwing in the host.
+   *
+   * @param {import('net').Socket} sock - connected agent socket
+   * @param {object} [opts]
+   * @param {number} [opts.maxLineLength=256 MiB] - longest message line accepted from the guest
+   */
+  constructor(sock, { maxLineLength = MAX_LINE_LENGTH } = {}) {
+    this._sock = sock;
+    this._nextId = 1;
+    /** @type {Map<number, { resolve, reject, onNotification?, timer? }>} */
+    this._pending = new Map();
+    this._closed = false;
+    this._closeReason = null;
+
+    let buf = '';
+    sock.setEncoding('utf8');
+    sock.on('data', chunk => {
+      if (this._closeReason) return;
+      buf += chunk;
+      const lines = buf.split('\n');
+      buf = lines.pop();
+      try {
+        for (const line of lines) {
+          if (line.trim()) this._onMessage(line);
+        }
+        if (buf.length > maxLineLength) throw new Error(`line longer than ${maxLineLength} bytes`);
+      } catch (err) {
+        this._closeReason = err;
+        buf = '';
+        sock.destroy();
+      }
+    });
+    sock.on('error', () => {}); // surfaces as 'close'
+    sock.on('close', () => {
+      this._closed = true;
+      const reason = this._closeReason ? `: guest sent a bad message (${this._closeReason.message})` : '';
+      for (const call of this._pending.values()) {
+        clearTimeout(call.timer);
+        call.reject(new Error(`Guest agent connection closed${reason}`));
+      }
+      this._pending.clear();
+    });
+  }
+
+  /**
+   * Connect to the agent socket (one attempt).
+   * @param {string} socketPath
+   * @param {object} [opts] - see the constructor
+   * @returns {Promise<GuestAgentClient>}
+   */
+  static connect(socketPath, opts) {
+    return new Promise((resolve, reject) => {
+      const sock = createConnection(socketPath);
+      sock.once('connect', () => {
+        sock.removeListener('error', reject);
+        resolve(new GuestAgentClient(sock, opts));
+      });
+      sock.once('error', reject);
+    });
+  }
+
+  get closed() {
+    return this._closed;
+  }
+
+  /** Handle one line from the guest; throws on a message that breaks the protocol */
+  _onMessage(line) {
+    let msg;
+    try { msg = JSON.parse(line); } catch { return; }
+    const isObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+    if (!isObject(msg)) throw new Error('message is not an object');
+    if (msg.method !== undefined) {
+      if (typeof msg.method !== 'string' || !isObject(msg.params)) throw new Error('malformed notification');
+      this._pending.get(msg.params.id)?.onNotification?.(msg.method, msg.params);
+      return;
+    }
+    const call = this._pending.get(msg.id);
+    if (!call) return; // e.g. a reply to a ping we stopped waiting for
+    this._pending.delete(msg.id);
+    clearTimeout(call.timer);
+    if (msg.error) call.reject(new Error(`Guest agent: ${isObject(msg.error) ? msg.error.message : String(msg.error)}`));
+    else call.resolve(msg.result);
+  }
+
+  /**
+   * Send a JSON-RPC request.
+   * @param {string} method
+   * @param {object} [params]
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] - reject if no reply arrives in time
+   * @param {(method: string, params: object) => void} [opts.onNotification]
+   * @returns {Promise<any>} the result
+   */
+  call(method, params = {}, { timeoutMs, onNotification } = {}) {
+    if (this._closed) return Promise.reject(new Error('Guest agent connection closed'));
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const call = { resolve, reject, onNotification };
+      if (timeoutMs) {
+        call.timer = setTimeout(() => {
+          this._pending.delete(id);
+          reject(new Error(`Guest agent did not answer ${method} within ${timeoutMs}ms`));
+        }, timeoutMs);
+      }
+      this._pending.set(id, call);
+      this._sock.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    });
+  }
+
+  /** @returns {Promise<{ version: number }>} */
+  ping({ timeoutMs = 5000 } = {}) {
+    return this.call('ping', {}, { timeoutMs });
+  }
+
+  /**
+   * Run a shell command in the guest. Same result shape as an SSH exec:
+   * { stdout, stderr, code, timedOut, signal? }.
+   *
+   * @param {string} command
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs=30000] - the guest kills the command's process group after this
+   * @param {string|Buffer|import('stream').Readable} [opts.stdin]
+   * @param {(chunk: string) => void} [opts.onStdout]
+   * @param {(chunk: string) => void} [opts.onStderr]
+   * @param {import('stream').Writable} [opts.stdoutStream] - raw stdout goes here instead of the result
+   */
+  async exec(command, { timeoutMs = 30000, stdin, onStdout, onStderr, stdoutStream } = {}) {
+    let input;
+    if (stdin === undefined || stdin === null) input = undefined;
+    else if (typeof stdin === 'string' || Buffer.isBuffer(stdin)) input = Buffer.from(stdin);
+    else if (typeof stdin.pipe === 'function') input = await readAll(stdin);
+    else throw new Error('stdin must be a string, Buffer or readable stream');
+
+    let stdout = '';
+    let stderr = '';
+    const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+    const onNotification = (method, { stream, data }) => {
+      if (method !== 'output') return;
+      if ((stream !== 'stdout' && stream !== 'stderr') || typeof data !== 'string') {
+        throw new Error('malformed output notification');
+      }
+      const bytes = Buffer.from(data, 'base64');
+      if (stream === 'stdout' && stdoutStream) {
+        stdoutStream.write(bytes);
+        return;
+      }
+      const text = decoders[stream].write(bytes);
+      if (!text) return;
+      if (stream === 'stdout') { stdout += text; onStdout?.(text); }
+      else { stderr += text; onStderr?.(text); }
+    };
+
+    const result = await this.call('exec', {
+      command,
+      stdin: input?.toString('base64'),
+      timeoutMs,
+    }, { timeoutMs: timeoutMs + EXEC_REPLY_GRACE_MS, onNotification });
+
+    stdout += decoders.stdout.end();
+    stderr += decoders.stderr.end();
+    if (stdoutStream) stdoutStream.end();
+    const out = { stdout: stdout.trim(), stderr: stderr.trim(), code: result.code, timedOut: result.timedOut };
+    return result.timedOut ? { ...out, signal: result.signal } : out;
+  }
+
+  /**
+   * @param {string} path - guest path
+   * @returns {Promise<Buffer>}
+   */
+  async readFile(path, { timeoutMs = 60000 } = {}) {
+    const { data } = await this.call('readFile', { path }, { timeoutMs });
+    return Buffer.from(data, 'base64');
+  }
+
+  /**
+   * @param {string} path - guest path
+   * @param {string|Buffer} data
+   * @param {object} [opts]
+   * @param {number} [opts.mode] - chmod the file afterwards
+   */
+  async writeFile(path, data, { mode, timeoutMs = 60000 } = {}) {
+    await this.call('writeFile', { path, data: Buffer.from(data).toString('base64'), mode }, { timeoutMs });
+  }
+
+  close() {
+    this._sock.destroy();
+  }
+}
+
+/**
+ * Connect to a guest agent and wait until it answers a ping. The socket
+ * exists as soon as QEMU starts, but the agent only replies once the guest
+ * has booted far enough to start it.
+ *
+ * @param {string} socketPath
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=60000]
+ * @param {() => boolean} [opts.isCancelled] - stop waiting early (e.g. QEMU exited)
+ * @returns {Promise<GuestAgentClient>}
+ */
+export async function connectGuestAgent(socketPath, { timeoutMs = 60000, isCancelled } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let client = null;
+  while (Date.now() < deadline && !isCancelled?.()) {
+    try {
+      if (!client || client.closed) {
+        client = existsSync(socketPath) ? await GuestAgentClient.connect(socketPath) : null;
+      }
+      if (client) {
+        await client.ping({ timeoutMs: 1000 });
+        return client;
+      }
+    } catch { /* not up yet */ }
+    await new Promise(r => setTimeout(r, 250));
+  }
+  client?.close();
+  throw new Error(`Guest agent did not respond within ${timeoutMs / 1000}s`);
+}
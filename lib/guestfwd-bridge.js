@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * CarapaceOS — guestfwd bridge
+ *
+ * QEMU starts this for every guest connection matching a
+ * `guestfwd=tcp:ADDR:PORT-cmd:...` rule, with the connection on
+ * stdin/stdout. It joins that stream to a Unix socket served in-process by
+ * the runner (e.g. the allowlist DNS responder), so the host needs no
+ * netcat for it.
+ *
+ * Usage: node lib/guestfwd-bridge.js <socket-path>
+ */
+
+import { createConnection } from 'net';
+
+const socketPath = process.argv[2];
+if (!socketPath) {
+  console.error('Usage: guestfwd-bridge.js <socket-path>');
+  process.exit(2);
+}
+
+const sock = createConnection(socketPath);
+process.stdin.pipe(sock);
+sock.pipe(process.stdout);
+sock.on('error', () => process.exit(1));
+sock.on('close', () => process.exit(0));
+process.stdout.on('error', () => sock.destroy()); // the guest went away
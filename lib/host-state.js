@@ -0,0 +1,275 @@
+/**
+ * CarapaceOS — Host-wide state shared between runner processes
+ *
+ * Several Node processes can boot VMs on the same machine (ControlServers
+ * side by side on a CI host, a carapace-run in another terminal). They
+ * coordinate through a state directory instead of in-process counters:
+ *
+ *   <stateDir>/ports/<port>.lock — an SSH host port held by a live process
+ *   <stateDir>/vms/<id>.json     — a VM's QEMU pid, work dir and owning process
+ *
+ * A lock file is created exclusively (O_EXCL) and records the owner's pid.
+ * Locks whose owner has died are reclaimed, and a port is only handed out
+ * once it can actually be bound, so leftover QEMUs are skipped too. The VM
+ * registry lets carapace-gc (lib/gc.js) find what a crashed process left behind.
+ *
+ * The state directory is $CARAPACE_STATE_DIR, or <tmpdir>/carapace-state-<uid>.
+ * Entries in it decide which directories carapace-gc deletes and which
+ * processes it kills, so it is created 0700 and refused when another user
+ * owns it or can write to it.
+ *
+ * Usage:
+ *   import { reservePort } from './lib/host-state.js';
+ *   const lease = await reservePort({ range: [12200, 12299] });
+ *   ... lease.port ...
+ *   lease.release();
+ */
+
+import { mkdirSync, openSync, writeSync, closeSync, readFileSync, writeFileSync, unlinkSync, renameSync, linkSync, readdirSync, lstatSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+export const DEFAULT_SSH_PORT_RANGE = [12200, 12299];
+
+/**
+ * The host-wide state directory (created on demand by its users, see
+ * ensurePrivateDir()). One per user: other users' entries are not trusted.
+ * @returns {string}
+ */
+export function stateDir() {
+  return process.env.CARAPACE_STATE_DIR || join(tmpdir(), `carapace-state-${process.getuid?.() ?? 'user'}`);
+}
+
+/**
+ * Throw unless `path` is a real file or directory (not a symlink) owned by
+ * this user that group and others cannot write to.
+ * @param {string} path
+ * @param {string} [what='Path'] - how to name it in the error
+ * @returns {import('fs').Stats}
+ */
+export function checkPrivatePath(path, what = 'Path') {
+  const st = lstatSync(path);
+  if (st.isSymbolicLink()) throw new Error(`${what} ${path} is a symlink`);
+  const uid = process.getuid?.();
+  if (uid !== undefined && st.uid !== uid) throw new Error(`${what} ${path} is owned by uid ${st.uid}, not ${uid}`);
+  if (st.mode & 0o022) throw new Error(`${what} ${path} is writable by group or others`);
+  return st;
+}
+
+/**
+ * Create a directory (and missing parents) with mode 0700, then check it
+ * with checkPrivatePath(), so a directory another user made first is refused.
+ * @param {string} dir
+ * @param {string} [what='Directory']
+ * @returns {string} dir
+ */
+export function ensurePrivateDir(dir, what = 'Directory') {
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const st = checkPrivatePath(dir, what);
+  if (!st.isDirectory()) throw new Error(`${what} ${dir} is not a directory`);
+  return dir;
+}
+
+/**
+ * Parse a port range given as [min, max] or 'MIN-MAX'.
+ *   parsePortRange('13000-13499') → [13000, 13499]
+ * @param {string|number[]} value
+ * @returns {[number, number]}
+ */
+export function parsePortRange(value) {
+  let range = value;
+  if (typeof value === 'string') {
+    const m = /^(\d+)-(\d+)$/.exec(value.trim());
+    range = m ? [Number(m[1]), Number(m[2])] : null;
+  }
+  const valid = Array.isArray(range) && range.length === 2 &&
+    range.every(p => Number.isInteger(p) && p >= 1 && p <= 65535) && range[0] <= range[1];
+  if (!valid) throw new Error(`Invalid port range "${value}" (expected MIN-MAX, e.g. 12200-12299)`);
+  return [range[0], range[1]];
+}
+
+/**
+ * Whether a process exists (signal 0 probe).
+ * @param {number} pid
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM'; // exists, owned by another user
+  }
+}
+
+/** The parsed owner record of a lock file, or null while it is being written */
+function readLockOwner(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a lock whose owner was seen dead, without ever removing a lock
+ * another process created meanwhile: move it aside under a unique name
+ * first, and only delete it if it is still the same dead owner's lock.
+ */
+function reclaimStaleLock(lockPath, owner) {
+  const aside = `${lockPath}.${process.pid}.${randomBytes(3).toString('hex')}.stale`;
+  try {
+    renameSync(lockPath, aside);
+  } catch {
+    return; // someone else reclaimed it first
+  }
+  const moved = readLockOwner(aside);
+  if (moved?.pid === owner.pid && moved.createdAt === owner.createdAt) {
+    unlinkSync(aside);
+    return;
+  }
+  // A fresh lock replaced the stale one after we read it: put it back
+  // unless yet another lock has been created in its place
+  try { linkSync(aside, lockPath); } catch { /* EEXIST */ }
+  unlinkSync(aside);
+}
+
+/**
+ * Create the lock file for a port. Returns false if a live process holds it.
+ */
+function tryLock(lockPath) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+      closeSync(fd);
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const owner = readLockOwner(lockPath);
+    if (!owner) return false; // being written right now, or unreadable — leave it alone
+    if (isProcessAlive(owner.pid)) return false;
+    // Stale lock from a process that died without releasing it
+    reclaimStaleLock(lockPath, owner);
+  }
+  return false;
+}
+
+function canBind(port) {
+  return new Promise(resolve => {
+    const srv = createServer();
+    srv.unref();
+    srv.once('error', () => resolve(false));
+    // QEMU's SSH hostfwd listens on all interfaces
+    srv.listen(port, '0.0.0.0', () => srv.close(() => resolve(true)));
+  });
+}
+
+function releaseLock(lockPath) {
+  try {
+    const owner = JSON.parse(readFileSync(lockPath, 'utf8'));
+    if (owner.pid === process.pid) unlinkSync(lockPath);
+  } catch { /* already gone */ }
+}
+
+/**
+ * Reserve a free TCP port host-wide. Ports are tried from a random offset so
+ * concurrent callers rarely race for the same one.
+ *
+ * @param {object} [opts]
+ * @param {number[]} [opts.range=DEFAULT_SSH_PORT_RANGE] - [min, max], inclusive
+ * @param {Iterable<number>} [opts.exclude] - ports not to hand out
+ * @param {string} [opts.dir=stateDir()] - state directory
+ * @returns {Promise<{ port: number, release: () => void }>}
+ */
+export async function reservePort({ range = DEFAULT_SSH_PORT_RANGE, exclude = [], dir = stateDir() } = {}) {
+  const [min, max] = parsePortRange(range);
+  const skip = new Set(exclude);
+  ensurePrivateDir(dir, 'State directory');
+  const portsDir = ensurePrivateDir(join(dir, 'ports'), 'State directory');
+
+  const count = max - min + 1;
+  const offset = Math.floor(Math.random() * count);
+  for (let i = 0; i < count; i++) {
+    const port = min + (offset + i) % count;
+    if (skip.has(port)) continue;
+
+    const lockPath = join(portsDir, `${port}.lock`);
+    if (!tryLock(lockPath)) continue;
+    if (!(await canBind(port))) {
+      // Bound by something outside the lock protocol (e.g. a leftover QEMU)
+      releaseLock(lockPath);
+      continue;
+    }
+
+    let released = false;
+    return {
+      port,
+      release() {
+        if (released) return;
+        released = true;
+        releaseLock(lockPath);
+      },
+    };
+  }
+
+  const err = new Error(`No free port in range ${min}-${max}`);
+  err.code = 'EADDRINUSE';
+  throw err;
+}
+
+// ─── VM registry ──────────────────────────────────────────────────────────────
+
+/**
+ * Record (or update) a running VM, or one whose work dir was kept after
+ * shutdown (kept: true; carapace-gc leaves those alone unless asked).
+ *
+ * @param {{ id: string, workDir: string, qemuPid?: number|null, sshPort?: number|null, kept?: boolean }} vm
+ * @param {object} [opts]
+ * @param {string} [opts.dir=stateDir()] - state directory
+ */
+export function registerVM({ id, workDir, qemuPid = null, sshPort = null, kept = false }, { dir = stateDir() } = {}) {
+  ensurePrivateDir(dir, 'State directory');
+  const vmsDir = ensurePrivateDir(join(dir, 'vms'), 'State directory');
+  const entry = { id, workDir, qemuPid, sshPort, kept, ownerPid: process.pid, registeredAt: Date.now() };
+  // Write-then-rename so readers never see a partial entry
+  const tmp = join(vmsDir, `.${id}.${process.pid}.tmp`);
+  writeFileSync(tmp, JSON.stringify(entry));
+  renameSync(tmp, join(vmsDir, `${id}.json`));
+}
+
+/**
+ * Remove a VM from the registry (no-op if it isn't registered).
+ * @param {string} id
+ * @param {object} [opts]
+ * @param {string} [opts.dir=stateDir()]
+ */
+export function unregisterVM(id, { dir = stateDir() } = {}) {
+  try { unlinkSync(join(dir, 'vms', `${id}.json`)); } catch { /* not registered */ }
+}
+
+/**
+ * All registered VMs, including those whose owner has died. Entries that are
+ * not this user's own files (see checkPrivatePath()) are left out.
+ * @param {object} [opts]
+ * @param {string} [opts.dir=stateDir()]
+ * @returns {Array<{ id, workDir, qemuPid, sshPort, kept, ownerPid, registeredAt }>}
+ */
+export function listVMs({ dir = stateDir() } = {}) {
+  let names;
+  try { names = readdirSync(join(dir, 'vms')); } catch { return []; }
+  const vms = [];
+  for (const name of names) {
+    if (!name.endsWith('.json') || name.startsWith('.')) continue;
+    try {
+      const path = join(dir, 'vms', name);
+      checkPrivatePath(path, 'Registry entry');
+      const vm = JSON.parse(readFileSync(path, 'utf8'));
+      if (vm && typeof vm === 'object') vms.push(vm);
+    } catch { /* removed meanwhile, or not ours */ }
+  }
+  return vms;
+}
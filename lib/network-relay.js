@@ -0,0 +1,205 @@
+/**
+ * CarapaceOS — allowlist relay and network audit log
+ *
+ * In allowlist mode every allowed host:port has a guestfwd rule whose
+ * bridge (lib/guestfwd-bridge.js) connects to one of this relay's Unix
+ * sockets in the VM work dir. The relay opens the real connection from the
+ * host, so the host needs no netcat, and records each guest connection
+ * (destination, bytes each way, duration) once it closes.
+ *
+ * QEMU's chardev form of guestfwd carries one connection at a time, so the
+ * rules keep using cmd: with the bridge, one process per guest connection.
+ *
+ * NetworkLog appends those records, DNS queries and proxy decisions to a
+ * per-VM JSONL file: one JSON object per line with `time` (ISO 8601) and
+ * `type` ('connection', 'dns', 'proxy' or 'limit'). A chatty guest cannot
+ * fill the disk with it: past maxBytes the file is rotated to `<path>.1`.
+ *
+ * Usage:
+ *   import { NetworkRelay, NetworkLog } from './lib/network-relay.js';
+ *   const log = new NetworkLog('/tmp/carapace-.../network.jsonl');
+ *   const relay = new NetworkRelay([{ host: 'github.com', port: 443, guestAddr: '10.0.2.100', socketPath }]);
+ *   relay.on('connection', c => log.append('connection', c));
+ *   await relay.listen();
+ */
+
+import { createServer, connect } from 'net';
+import { EventEmitter } from 'events';
+import { existsSync, unlinkSync, appendFileSync, renameSync, statSync, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+
+// NetworkLog rotates its file past this size, keeping at most about twice it
+const DEFAULT_LOG_MAX_BYTES = 16 * 1024 * 1024;
+
+export class NetworkRelay extends EventEmitter {
+  /**
+   * Events:
+   *   'connection' ({ time, guest, host, port, bytesOut, bytesIn, durationMs, error? }) —
+   *     each guest connection once it has closed; bytesOut is guest → host
+   *
+   * @param {Array<{ host: string, port: number, guestAddr: string, socketPath: string }>} routes
+   * @param {object} [opts]
+   * @param {import('./egress-limits.js').EgressLimiter} [opts.limiter] - egress limits;
+   *   a connection it refuses is cut and recorded with the reason as its error
+   */
+  constructor(routes, { limiter = null } = {}) {
+    super();
+    this.routes = routes;
+    this.limiter = limiter;
+    this._servers = [];
+    this._sockets = new Set();
+  }
+
+  /** Relay one guest connection to its route's destination */
+  _relay(route, sock) {
+    const start = Date.now();
+    const record = {
+      time: new Date(start).toISOString(),
+      guest: `${route.guestAddr}:${route.port}`,
+      host: route.host,
+      port: route.port,
+      bytesOut: 0,
+      bytesIn: 0,
+    };
+    this._sockets.add(sock);
+    sock.on('error', () => {}); // the guest hung up
+    let upstream = null;
+    const lease = this.limiter?.open(route);
+    sock.on('close', () => {
+      upstream?.destroy();
+      lease?.release();
+      this._sockets.delete(sock);
+      this.emit('connection', { ...record, durationMs: Date.now() - start });
+    });
+    if (lease?.refused) {
+      record.error = lease.refused;
+      return sock.destroy();
+    }
+
+    // Half-open both ways, so a guest that shuts down its side still gets the reply
+    upstream = connect({ host: route.host, port: route.port, allowHalfOpen: true });
+    lease?.attach(sock, upstream);
+    sock.on('data', chunk => { record.bytesOut += chunk.length; });
+    upstream.on('data', chunk => { record.bytesIn += chunk.length; });
+    this._pipe(sock, upstream, route);
+    this._pipe(upstream, sock, route);
+
+    upstream.on('error', err => {
+      record.error ??= err.message;
+      sock.destroy();
+    });
+  }
+
+  _pipe(src, dst, dest) {
+    return this.limiter ? this.limiter.pipe(src, dst, dest) : src.pipe(dst);
+  }
+
+  /** Listen on every route's socket. The servers do not keep the process alive. */
+  async listen() {
+    if (this._servers.length > 0) throw new Error('Network relay is already listening');
+    for (const route of this.routes) {
+      if (existsSync(route.socketPath)) unlinkSync(route.socketPath);
+      const server = createServer({ allowHalfOpen: true }, sock => this._relay(route, sock));
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(route.socketPath, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+      server.unref();
+      this._servers.push({ server, socketPath: route.socketPath });
+    }
+  }
+
+  /** Stop listening and cut open connections; their records are emitted before this resolves. */
+  async close() {
+    const servers = this._servers;
+    this._servers = [];
+    const closed = [...this._sockets].map(sock => new Promise(resolve => {
+      sock.once('close', resolve);
+      sock.destroy();
+    }));
+    await Promise.all([
+      ...closed,
+      ...servers.map(({ server }) => new Promise(resolve => server.close(() => resolve()))),
+    ]);
+    for (const { socketPath } of servers) {
+      try { unlinkSync(socketPath); } catch { /* already gone */ }
+    }
+  }
+}
+
+/**
+ * Append-only JSONL audit log of a VM's network activity.
+ */
+export class NetworkLog {
+  /**
+   * @param {string} path
+   * @param {object} [opts]
+   * @param {number} [opts.maxBytes=16 MiB] - once the file would grow past this it moves
+   *   to `<path>.1`, replacing the previous one
+   */
+  constructor(path, { maxBytes = DEFAULT_LOG_MAX_BYTES } = {}) {
+    this.path = path;
+    this.maxBytes = maxBytes;
+    this._size = null; // of the current file; read from disk on the first append
+  }
+
+  /**
+   * Append one entry. `fields.time` (ISO 8601) defaults to now.
+   * @param {'connection'|'dns'|'proxy'|'limit'} type
+   * @param {object} fields
+   */
+  append(type, fields) {
+    const { time = new Date().toISOString(), ...rest } = fields;
+    const line = JSON.stringify({ time, type, ...rest }) + '\n';
+    const bytes = Buffer.byteLength(line);
+    try {
+      if (this._size === null) this._size = existsSync(this.path) ? statSync(this.path).size : 0;
+      if (this._size > 0 && this._size + bytes > this.maxBytes) {
+        renameSync(this.path, `${this.path}.1`);
+        this._size = 0;
+      }
+      appendFileSync(this.path, line);
+      this._size += bytes;
+    } catch (err) {
+      this._size = null; // unknown now; look again next time
+      throw err;
+    }
+  }
+
+  /**
+   * Entries oldest first, streamed from the rotated file and then the
+   * current one. A line cut short by a crash is skipped.
+   *
+   * @param {object} [opts]
+   * @param {string} [opts.type] - only entries of this type
+   * @param {string} [opts.since] - only entries with a later `time` (ISO 8601)
+   * @param {number} [opts.limit] - stop after this many entries
+   * @returns {Promise<object[]>}
+   */
+  async read({ type, since, limit = Infinity } = {}) {
+    const after = since === undefined ? null : Date.parse(since);
+    const entries = [];
+    for (const path of [`${this.path}.1`, this.path]) {
+      if (entries.length >= limit) break;
+      if (!existsSync(path)) continue;
+      const input = createReadStream(path, { encoding: 'utf8' });
+      try {
+        for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+          if (!line) continue;
+          let entry;
+          try { entry = JSON.parse(line); } catch { continue; } // torn write
+          if (type && entry.type !== type) continue;
+          if (after !== null && !(Date.parse(entry.time) > after)) continue;
+          entries.push(entry);
+          if (entries.length >= limit) break;
+        }
+      } finally {
+        input.destroy();
+      }
+    }
+    return entries;
+  }
+}
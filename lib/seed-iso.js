@@ -253,11 +253,19 @@ export function buildISO(files, outputPath, volumeLabel = 'cidata') {
  * @param {string} opts.outputPath - Where to write the ISO file
  * @param {string} [opts.hostname='carapaceos'] - VM hostname
  * @param {string} [opts.instanceId] - cloud-init instance-id (random if omitted)
- * @param {string[]} [opts.runcmd=[]] - Extra shell commands to run on first boot
+ * @param {string[]} [opts.runcmd=[]] - Extra shell commands to run on first boot (before the ready marker)
+ * @param {boolean} [opts.growRootfs=false] - Grow the root partition + filesystem to fill the disk
+ * @param {{ privateKey: string, publicKey: string }} [opts.hostKey] - ed25519 SSH host key to
+ *   install (generated on the host, so the host can pin it); replaces all other host keys
+ * @param {Array<{ path: string, content: string|Buffer, permissions?: string }>} [opts.files=[]] -
+ *   Files to write in the guest before runcmd (cloud-init write_files)
  */
-export function createSeedISO({ sshPublicKey, outputPath, hostname = 'carapaceos', instanceId, runcmd = [] }) {
+export function createSeedISO({ sshPublicKey, outputPath, hostname = 'carapaceos', instanceId, runcmd = [], growRootfs = false, hostKey, files = [] }) {
   if (!sshPublicKey) throw new Error('sshPublicKey is required');
   if (!outputPath) throw new Error('outputPath is required');
+  if (hostKey && !(hostKey.privateKey && hostKey.publicKey)) {
+    throw new Error('hostKey needs privateKey and publicKey');
+  }
 
   const iid = instanceId || `carapaceos-${Date.now()}`;
 
@@ -266,9 +274,16 @@ export function createSeedISO({ sshPublicKey, outputPath, hostname = 'carapaceos
     `local-hostname: ${hostname}`,
   ].join('\n') + '\n';
 
+  // Each command reports its own failure on the serial console, and the
+  // ready marker comes last — so the host sees "provisioned" or exactly
+  // which step broke without needing SSH.
   const runcmdLines = [
+    // sshd may have loaded the image's old host keys before cloud-init replaced them
+    ...(hostKey ? ['  - rc-service sshd reload || kill -HUP "$(cat /run/sshd.pid)"'] : []),
+    ...runcmd.map((cmd, i) =>
+      `  - ${JSON.stringify(`(${cmd}
+) || echo "CARAPACEOS_RUNCMD_FAILED ${i} rc=$?" > /dev/ttyS0`)}`),
     '  - echo "CARAPACEOS_READY" > /dev/ttyS0',
-    ...runcmd.map(cmd => `  - ${JSON.stringify(cmd)}`),
   ];
 
   const userData = [
@@ -276,6 +291,29 @@ export function createSeedISO({ sshPublicKey, outputPath, hostname = 'carapaceos
     'ssh_authorized_keys:',
     `  - ${sshPublicKey.trim()}`,
     'ssh_pwauth: false',
+    ...(hostKey ? [
+      'ssh_deletekeys: true',
+      'ssh_genkeytypes: []',
+      'ssh_keys:',
+      '  ed25519_private: |',
+      ...hostKey.privateKey.trim().split('\n').map(line => `    ${line}`),
+      `  ed25519_public: ${hostKey.publicKey.trim()}`,
+    ] : []),
+    ...(files.length > 0 ? [
+      'write_files:',
+      ...files.flatMap(f => [
+        `  - path: ${JSON.stringify(f.path)}`,
+        `    permissions: '${f.permissions ?? '0644'}'`,
+        '    encoding: b64',
+        `    content: ${Buffer.from(f.content).toString('base64')}`,
+      ]),
+    ] : []),
+    ...(growRootfs ? [
+      'growpart:',
+      '  mode: auto',
+      "  devices: ['/']",
+      'resize_rootfs: true',
+    ] : []),
     'runcmd:',
     ...runcmdLines,
   ].join('\n') + '\n';
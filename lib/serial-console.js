@@ -0,0 +1,120 @@
+/**
+ * CarapaceOS — Serial console tail
+ *
+ * QEMU writes the guest's ttyS0 to a file (`-serial file:boot.log`).
+ * SerialConsole follows that file while the VM runs, splits it into lines
+ * and keeps the most recent ones in memory, so boot() can react to what
+ * the guest prints (ready marker, kernel panic, cloud-init errors) and
+ * callers can inspect the console after the fact.
+ *
+ * Usage:
+ *   const serial = new SerialConsole('/tmp/carapace-x/boot.log');
+ *   serial.on('line', line => console.log('[console]', line));
+ *   serial.start();
+ *   ...
+ *   serial.stop();
+ *   serial.tail(20); // last 20 lines
+ */
+
+import { EventEmitter } from 'events';
+import { openSync, readSync, closeSync, fstatSync } from 'fs';
+
+const DEFAULT_POLL_MS = 100;
+const DEFAULT_MAX_LINES = 2000;
+const READ_CHUNK = 64 * 1024;
+
+// CSI escape sequences (colours, cursor movement) that the guest prints
+const ANSI_RE = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+export class SerialConsole extends EventEmitter {
+  /**
+   * @param {string} path - file QEMU writes the serial port to
+   * @param {object} [opts]
+   * @param {number} [opts.pollMs=100]     - how often to check for new output
+   * @param {number} [opts.maxLines=2000]  - lines kept in memory for tail()
+   */
+  constructor(path, { pollMs = DEFAULT_POLL_MS, maxLines = DEFAULT_MAX_LINES } = {}) {
+    super();
+    this.path = path;
+    this.pollMs = pollMs;
+    this.maxLines = maxLines;
+    this._lines = [];
+    this._partial = '';
+    this._offset = 0;
+    this._fd = null;
+    this._timer = null;
+  }
+
+  /**
+   * Start following the file. It may not exist yet (QEMU creates it).
+   */
+  start() {
+    if (this._timer) return this;
+    this._timer = setInterval(() => this.poll(), this.pollMs);
+    this._timer.unref();
+    return this;
+  }
+
+  /**
+   * Stop following. Reads whatever is left and flushes an unterminated
+   * last line.
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this.poll();
+    if (this._partial) {
+      this._pushLine(this._partial);
+      this._partial = '';
+    }
+    if (this._fd !== null) {
+      try { closeSync(this._fd); } catch { /* already closed */ }
+      this._fd = null;
+    }
+  }
+
+  /**
+   * Read any new output and emit complete lines.
+   */
+  poll() {
+    if (this._fd === null) {
+      try { this._fd = openSync(this.path, 'r'); } catch { return; }
+    }
+
+    let size;
+    try { size = fstatSync(this._fd).size; } catch { return; }
+    if (size < this._offset) this._offset = 0; // truncated (e.g. file reused)
+
+    const buf = Buffer.alloc(READ_CHUNK);
+    while (this._offset < size) {
+      const n = readSync(this._fd, buf, 0, buf.length, this._offset);
+      if (n <= 0) break;
+      this._offset += n;
+      this._consume(buf.toString('utf8', 0, n));
+    }
+  }
+
+  /**
+   * The last `n` console lines (all retained lines if omitted).
+   * @param {number} [n]
+   * @returns {string[]}
+   */
+  tail(n) {
+    return n === undefined ? this._lines.slice() : this._lines.slice(-n);
+  }
+
+  _consume(text) {
+    const parts = (this._partial + text).split('\n');
+    this._partial = parts.pop();
+    for (const part of parts) this._pushLine(part);
+  }
+
+  _pushLine(raw) {
+    const line = raw.replace(ANSI_RE, '').replace(/\r/g, '');
+    this._lines.push(line);
+    if (this._lines.length > this.maxLines) this._lines.splice(0, this._lines.length - this.maxLines);
+    this.emit('line', line);
+  }
+}
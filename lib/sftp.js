@@ -0,0 +1,718 @@
+/**
+ * CarapaceOS — In-process SFTP client
+ *
+ * Speaks SFTP protocol version 3 (draft-ietf-secsh-filexfer-02, the version
+ * OpenSSH implements) over the `sftp` subsystem of a regular `ssh` process,
+ * so it reuses the VM's key and ControlMaster connection and needs no extra
+ * dependencies.
+ *
+ * SftpClient is the wire protocol; RemoteFS is the fs-style API exposed as
+ * `runner.fs`, which connects lazily on first use.
+ *
+ * Usage:
+ *   await runner.fs.writeFile('/home/agent/config.json', JSON.stringify(cfg));
+ *   const text = await runner.fs.readFile('/etc/os-release', 'utf8');
+ *   const entries = await runner.fs.readdir('/home/agent/workspace');
+ *   if (await runner.fs.exists('/tmp/out')) await runner.fs.rm('/tmp/out', { recursive: true });
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { posix } from 'path';
+
+// ─── Protocol constants ──────────────────────────────────────────────────────
+
+const SFTP_VERSION = 3;
+
+export const FXP = {
+  INIT: 1,
+  VERSION: 2,
+  OPEN: 3,
+  CLOSE: 4,
+  READ: 5,
+  WRITE: 6,
+  LSTAT: 7,
+  FSTAT: 8,
+  SETSTAT: 9,
+  FSETSTAT: 10,
+  OPENDIR: 11,
+  READDIR: 12,
+  REMOVE: 13,
+  MKDIR: 14,
+  RMDIR: 15,
+  REALPATH: 16,
+  STAT: 17,
+  RENAME: 18,
+  READLINK: 19,
+  SYMLINK: 20,
+  STATUS: 101,
+  HANDLE: 102,
+  DATA: 103,
+  NAME: 104,
+  ATTRS: 105,
+  EXTENDED: 200,
+  EXTENDED_REPLY: 201,
+};
+
+export const OPEN_FLAGS = {
+  READ: 0x01,
+  WRITE: 0x02,
+  APPEND: 0x04,
+  CREAT: 0x08,
+  TRUNC: 0x10,
+  EXCL: 0x20,
+};
+
+export const ATTR = {
+  SIZE: 0x01,
+  UIDGID: 0x02,
+  PERMISSIONS: 0x04,
+  ACMODTIME: 0x08,
+  EXTENDED: 0x80000000,
+};
+
+export const STATUS = {
+  OK: 0,
+  EOF: 1,
+  NO_SUCH_FILE: 2,
+  PERMISSION_DENIED: 3,
+  FAILURE: 4,
+  BAD_MESSAGE: 5,
+  NO_CONNECTION: 6,
+  CONNECTION_LOST: 7,
+  OP_UNSUPPORTED: 8,
+};
+
+// Node-style error codes, so callers can check err.code like with node:fs
+const STATUS_CODES = {
+  [STATUS.NO_SUCH_FILE]: 'ENOENT',
+  [STATUS.PERMISSION_DENIED]: 'EACCES',
+  [STATUS.FAILURE]: 'EIO',
+  [STATUS.BAD_MESSAGE]: 'EPROTO',
+  [STATUS.NO_CONNECTION]: 'ENOTCONN',
+  [STATUS.CONNECTION_LOST]: 'ECONNRESET',
+  [STATUS.OP_UNSUPPORTED]: 'ENOTSUP',
+};
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+const S_IFLNK = 0o120000;
+
+const CHUNK_SIZE = 32 * 1024;  // OpenSSH's sftp-server accepts up to 256KB per request
+const WINDOW = 16;             // requests kept in flight during readFile/writeFile
+// Largest packet accepted from the server: a 256KB read reply plus its header
+const MAX_PACKET_LENGTH = 256 * 1024 + 1024;
+
+// ─── Packet encoding ─────────────────────────────────────────────────────────
+//
+// Exported (with the constants above) for tests that play the server side.
+
+export class PacketWriter {
+  constructor(type) {
+    this._parts = [Buffer.from([type])];
+  }
+
+  uint32(n) {
+    const b = Buffer.alloc(4);
+    b.writeUInt32BE(n >>> 0);
+    this._parts.push(b);
+    return this;
+  }
+
+  uint64(n) {
+    const b = Buffer.alloc(8);
+    b.writeBigUInt64BE(BigInt(n));
+    this._parts.push(b);
+    return this;
+  }
+
+  string(s) {
+    const data = Buffer.isBuffer(s) ? s : Buffer.from(s, 'utf8');
+    this.uint32(data.length);
+    this._parts.push(data);
+    return this;
+  }
+
+  attrs({ mode, size, uid, gid, atime, mtime } = {}) {
+    let flags = 0;
+    if (size !== undefined) flags |= ATTR.SIZE;
+    if (uid !== undefined && gid !== undefined) flags |= ATTR.UIDGID;
+    if (mode !== undefined) flags |= ATTR.PERMISSIONS;
+    if (atime !== undefined && mtime !== undefined) flags |= ATTR.ACMODTIME;
+    this.uint32(flags);
+    if (flags & ATTR.SIZE) this.uint64(size);
+    if (flags & ATTR.UIDGID) this.uint32(uid).uint32(gid);
+    if (flags & ATTR.PERMISSIONS) this.uint32(mode);
+    if (flags & ATTR.ACMODTIME) this.uint32(atime).uint32(mtime);
+    return this;
+  }
+
+  /** Length-prefixed packet, ready to write */
+  toBuffer() {
+    const body = Buffer.concat(this._parts);
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(body.length);
+    return Buffer.concat([len, body]);
+  }
+}
+
+export class PacketReader {
+  constructor(buf) {
+    this._buf = buf;
+    this._pos = 0;
+  }
+
+  byte() {
+    return this._buf[this._pos++];
+  }
+
+  uint32() {
+    const n = this._buf.readUInt32BE(this._pos);
+    this._pos += 4;
+    return n;
+  }
+
+  uint64() {
+    const n = this._buf.readBigUInt64BE(this._pos);
+    this._pos += 8;
+    return Number(n);
+  }
+
+  buffer() {
+    const len = this.uint32();
+    if (len > this._buf.length - this._pos) throw new RangeError('SFTP string runs past the end of the packet');
+    const b = this._buf.subarray(this._pos, this._pos + len);
+    this._pos += len;
+    return b;
+  }
+
+  string() {
+    return this.buffer().toString('utf8');
+  }
+
+  attrs() {
+    const flags = this.uint32();
+    const a = {};
+    if (flags & ATTR.SIZE) a.size = this.uint64();
+    if (flags & ATTR.UIDGID) { a.uid = this.uint32(); a.gid = this.uint32(); }
+    if (flags & ATTR.PERMISSIONS) a.mode = this.uint32();
+    if (flags & ATTR.ACMODTIME) { a.atime = this.uint32(); a.mtime = this.uint32(); }
+    if (flags & ATTR.EXTENDED) {
+      const count = this.uint32();
+      for (let i = 0; i < count; i++) { this.string(); this.string(); }
+    }
+    return a;
+  }
+
+  get remaining() {
+    return this._buf.length - this._pos;
+  }
+}
+
+// ─── Stats ───────────────────────────────────────────────────────────────────
+
+/**
+ * Convert SFTP attributes to a plain, JSON-friendly stat object with
+ * node:fs-style helpers.
+ */
+function toStats(attrs) {
+  const mode = attrs.mode ?? 0;
+  const fmt = mode & S_IFMT;
+  const type = fmt === S_IFDIR ? 'directory'
+    : fmt === S_IFREG ? 'file'
+      : fmt === S_IFLNK ? 'symlink'
+        : 'other';
+  const stats = {
+    type,
+    size: attrs.size ?? 0,
+    mode,
+    uid: attrs.uid ?? null,
+    gid: attrs.gid ?? null,
+    atime: attrs.atime !== undefined ? new Date(attrs.atime * 1000) : null,
+    mtime: attrs.mtime !== undefined ? new Date(attrs.mtime * 1000) : null,
+  };
+  Object.defineProperties(stats, {
+    isFile: { value: () => type === 'file' },
+    isDirectory: { value: () => type === 'directory' },
+    isSymbolicLink: { value: () => type === 'symlink' },
+  });
+  return stats;
+}
+
+function sftpError(status, message, op, path) {
+  const code = STATUS_CODES[status] ?? 'EIO';
+  const e = new Error(`${op} ${path}: ${message || code}`);
+  e.code = code;
+  e.status = status;
+  e.path = path;
+  return e;
+}
+
+// ─── SftpClient ──────────────────────────────────────────────────────────────
+
+/**
+ * SFTP v3 protocol client over a pair of streams.
+ *
+ * Requests are pipelined: each gets an id and resolves when the matching
+ * response arrives, so several can be in flight at once.
+ *
+ * Events:
+ *   'close' (err?: Error) - the connection ended; pending requests are rejected
+ */
+export class SftpClient extends EventEmitter {
+  /**
+   * @param {import('stream').Readable} input  - bytes from the server
+   * @param {import('stream').Writable} output - bytes to the server
+   */
+  constructor(input, output) {
+    super();
+    this._input = input;
+    this._output = output;
+    this._buf = Buffer.alloc(0);
+    this._nextId = 1;
+    this._pending = new Map(); // id → { resolve, reject }
+    this._versionWaiter = null;
+    this._closed = false;
+    this.extensions = {};
+    this.version = null;
+
+    input.on('data', chunk => this._onData(chunk));
+    input.on('end', () => this._onClose(new Error('SFTP connection closed')));
+    input.on('error', err => this._onClose(err));
+    output.on('error', err => this._onClose(err));
+  }
+
+  /**
+   * Start `ssh -s <sshArgs> sftp` and complete the SFTP handshake.
+   * @param {string[]} sshArgs - SSH args ending in user@host
+   * @returns {Promise<SftpClient>}
+   */
+  static async spawn(sshArgs) {
+    const proc = spawn('ssh', ['-s', ...sshArgs, 'sftp'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stderr = '';
+    proc.stderr.on('data', d => { stderr += d; });
+
+    const client = new SftpClient(proc.stdout, proc.stdin);
+    client._proc = proc;
+    const spawnFailed = new Promise((_, reject) => {
+      proc.on('error', reject);
+      proc.on('close', code => reject(new Error(`ssh sftp subsystem exited (code ${code}): ${stderr.trim()}`)));
+    });
+    spawnFailed.catch(() => {});
+
+    await Promise.race([client.init(), spawnFailed]);
+    return client;
+  }
+
+  get isOpen() {
+    return !this._closed;
+  }
+
+  /**
+   * Send SSH_FXP_INIT and wait for the server's version.
+   */
+  init() {
+    return new Promise((resolve, reject) => {
+      this._versionWaiter = { resolve, reject };
+      this._send(new PacketWriter(FXP.INIT).uint32(SFTP_VERSION));
+    });
+  }
+
+  /** Close the connection (and the ssh process, if spawned) */
+  close() {
+    if (this._closed) return;
+    this._output.end();
+    this._proc?.kill();
+    this._onClose(null);
+  }
+
+  // ─── Requests ──────────────────────────────────────────────────────────────
+
+  async open(path, flags, attrs = {}) {
+    const r = await this._request(FXP.OPEN, 'open', path, w => w.string(path).uint32(flags).attrs(attrs));
+    return r.buffer();
+  }
+
+  async closeHandle(handle) {
+    await this._request(FXP.CLOSE, 'close', '', w => w.string(handle));
+  }
+
+  /** @returns {Promise<Buffer|null>} data, or null at end of file */
+  async read(handle, offset, length) {
+    try {
+      const r = await this._request(FXP.READ, 'read', '', w => w.string(handle).uint64(offset).uint32(length));
+      return Buffer.from(r.buffer());
+    } catch (e) {
+      if (e.status === STATUS.EOF) return null;
+      throw e;
+    }
+  }
+
+  async write(handle, offset, data) {
+    await this._request(FXP.WRITE, 'write', '', w => w.string(handle).uint64(offset).string(data));
+  }
+
+  async stat(path) {
+    return (await this._request(FXP.STAT, 'stat', path, w => w.string(path))).attrs();
+  }
+
+  async lstat(path) {
+    return (await this._request(FXP.LSTAT, 'lstat', path, w => w.string(path))).attrs();
+  }
+
+  async opendir(path) {
+    return (await this._request(FXP.OPENDIR, 'opendir', path, w => w.string(path))).buffer();
+  }
+
+  /** @returns {Promise<Array<{ filename: string, longname: string, attrs: object }>|null>} null when done */
+  async readdir(handle, path = '') {
+    let r;
+    try {
+      r = await this._request(FXP.READDIR, 'readdir', path, w => w.string(handle));
+    } catch (e) {
+      if (e.status === STATUS.EOF) return null;
+      throw e;
+    }
+    const count = r.uint32();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      entries.push({ filename: r.string(), longname: r.string(), attrs: r.attrs() });
+    }
+    return entries;
+  }
+
+  async remove(path) {
+    await this._request(FXP.REMOVE, 'remove', path, w => w.string(path));
+  }
+
+  async mkdir(path, attrs = {}) {
+    await this._request(FXP.MKDIR, 'mkdir', path, w => w.string(path).attrs(attrs));
+  }
+
+  async rmdir(path) {
+    await this._request(FXP.RMDIR, 'rmdir', path, w => w.string(path));
+  }
+
+  async setstat(path, attrs) {
+    await this._request(FXP.SETSTAT, 'setstat', path, w => w.string(path).attrs(attrs));
+  }
+
+  async realpath(path) {
+    const r = await this._request(FXP.REALPATH, 'realpath', path, w => w.string(path));
+    r.uint32(); // count (always 1)
+    return r.string();
+  }
+
+  /**
+   * Rename, replacing newPath if it exists. Plain SFTP v3 RENAME refuses to
+   * overwrite, so this uses OpenSSH's posix-rename extension when offered.
+   */
+  async rename(oldPath, newPath) {
+    if (this.extensions['posix-rename@openssh.com']) {
+      await this._request(FXP.EXTENDED, 'rename', oldPath, w =>
+        w.string('posix-rename@openssh.com').string(oldPath).string(newPath));
+    } else {
+      await this._request(FXP.RENAME, 'rename', oldPath, w => w.string(oldPath).string(newPath));
+    }
+  }
+
+  // ─── Plumbing ──────────────────────────────────────────────────────────────
+
+  _send(writer) {
+    this._output.write(writer.toBuffer());
+  }
+
+  /**
+   * Send a request and resolve with a reader positioned after the id, or
+   * reject with an fs-style error for non-OK statuses.
+   */
+  _request(type, op, path, build) {
+    if (this._closed) return Promise.reject(sftpError(STATUS.NO_CONNECTION, 'not connected', op, path));
+    const id = this._nextId;
+    this._nextId = (this._nextId + 1) >>> 0 || 1;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject, op, path });
+      const w = new PacketWriter(type).uint32(id);
+      build(w);
+      this._send(w);
+    });
+  }
+
+  _onData(chunk) {
+    if (this._closed) return;
+    this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+    // The server runs in the guest: a packet that doesn't parse ends the
+    // connection instead of throwing out of this 'data' handler
+    try {
+      while (this._buf.length >= 4) {
+        const len = this._buf.readUInt32BE(0);
+        if (len > MAX_PACKET_LENGTH) throw new Error(`packet of ${len} bytes is over the ${MAX_PACKET_LENGTH} byte limit`);
+        if (this._buf.length < 4 + len) break;
+        const packet = this._buf.subarray(4, 4 + len);
+        this._buf = this._buf.subarray(4 + len);
+        this._onPacket(new PacketReader(packet));
+      }
+    } catch (err) {
+      this._buf = Buffer.alloc(0);
+      this._onClose(new Error(`SFTP protocol error: ${err.message}`));
+      this._output.end();
+      this._proc?.kill();
+    }
+  }
+
+  _onPacket(r) {
+    const type = r.byte();
+
+    if (type === FXP.VERSION) {
+      this.version = r.uint32();
+      while (r.remaining > 0) this.extensions[r.string()] = r.string();
+      this._versionWaiter?.resolve(this);
+      this._versionWaiter = null;
+      return;
+    }
+
+    const id = r.uint32();
+    const pending = this._pending.get(id);
+    if (!pending) return;
+
+    if (type === FXP.STATUS) {
+      // Parse first: a malformed status must still fail this request
+      const status = r.uint32();
+      const message = r.remaining >= 4 ? r.string() : '';
+      this._pending.delete(id);
+      if (status === STATUS.OK) pending.resolve(r);
+      else pending.reject(sftpError(status, message, pending.op, pending.path));
+      return;
+    }
+    this._pending.delete(id);
+    pending.resolve(r);
+  }
+
+  _onClose(err) {
+    if (this._closed) return;
+    this._closed = true;
+    const e = err ?? new Error('SFTP connection closed');
+    this._versionWaiter?.reject(e);
+    this._versionWaiter = null;
+    for (const { reject, op, path } of this._pending.values()) {
+      reject(sftpError(STATUS.CONNECTION_LOST, e.message, op, path));
+    }
+    this._pending.clear();
+    this.emit('close', err);
+  }
+}
+
+// ─── RemoteFS ────────────────────────────────────────────────────────────────
+
+/**
+ * fs/promises-style API for files inside a VM.
+ *
+ * Connects on first use via the given connect() function and reconnects
+ * transparently if the connection drops between calls.
+ */
+export class RemoteFS {
+  /**
+   * @param {() => Promise<SftpClient>} connect
+   */
+  constructor(connect) {
+    this._connect = connect;
+    this._client = null;
+    this._connecting = null;
+  }
+
+  async _sftp() {
+    if (this._client?.isOpen) return this._client;
+    if (!this._connecting) {
+      this._connecting = this._connect()
+        .then(client => { this._client = client; return client; })
+        .finally(() => { this._connecting = null; });
+    }
+    return this._connecting;
+  }
+
+  /** Close the SFTP connection (the next call reconnects) */
+  close() {
+    this._client?.close();
+    this._client = null;
+  }
+
+  /**
+   * Read a whole file.
+   * @param {string} path
+   * @param {string|{ encoding?: string }} [opts] - encoding, to get a string instead of a Buffer
+   * @returns {Promise<Buffer|string>}
+   */
+  async readFile(path, opts) {
+    const encoding = typeof opts === 'string' ? opts : opts?.encoding;
+    const sftp = await this._sftp();
+    const handle = await sftp.open(path, OPEN_FLAGS.READ);
+    const chunks = [];
+    try {
+      let offset = 0;
+      let eof = false;
+      while (!eof) {
+        // Keep WINDOW reads in flight; a short read means we're at EOF (or
+        // the server chose a smaller chunk) — resume from where it ended.
+        const reads = [];
+        for (let i = 0; i < WINDOW; i++) reads.push(sftp.read(handle, offset + i * CHUNK_SIZE, CHUNK_SIZE));
+        const results = await Promise.all(reads);
+        for (const data of results) {
+          if (!data) { eof = true; break; }
+          chunks.push(data);
+          offset += data.length;
+          if (data.length < CHUNK_SIZE) break;
+        }
+      }
+    } finally {
+      await sftp.closeHandle(handle).catch(() => {});
+    }
+    const buf = Buffer.concat(chunks);
+    return encoding ? buf.toString(encoding) : buf;
+  }
+
+  /**
+   * Write a whole file, creating or truncating it.
+   * @param {string} path
+   * @param {Buffer|string} data
+   * @param {object} [opts]
+   * @param {number} [opts.mode=0o644] - permissions for a newly created file
+   */
+  async writeFile(path, data, { mode = 0o644 } = {}) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const sftp = await this._sftp();
+    const handle = await sftp.open(path, OPEN_FLAGS.WRITE | OPEN_FLAGS.CREAT | OPEN_FLAGS.TRUNC, { mode });
+    try {
+      for (let start = 0; start < buf.length; start += CHUNK_SIZE * WINDOW) {
+        const writes = [];
+        for (let off = start; off < Math.min(buf.length, start + CHUNK_SIZE * WINDOW); off += CHUNK_SIZE) {
+          writes.push(sftp.write(handle, off, buf.subarray(off, off + CHUNK_SIZE)));
+        }
+        await Promise.all(writes);
+      }
+    } finally {
+      await sftp.closeHandle(handle).catch(() => {});
+    }
+  }
+
+  /**
+   * List a directory (without '.' and '..'), sorted by name.
+   * @param {string} path
+   * @param {object} [opts]
+   * @param {boolean} [opts.withStats=false] - return [{ name, ...stats }] instead of names
+   * @returns {Promise<string[]|object[]>}
+   */
+  async readdir(path, { withStats = false } = {}) {
+    const sftp = await this._sftp();
+    const handle = await sftp.opendir(path);
+    const entries = [];
+    try {
+      let batch;
+      while ((batch = await sftp.readdir(handle, path))) {
+        for (const e of batch) {
+          if (e.filename === '.' || e.filename === '..') continue;
+          entries.push(e);
+        }
+      }
+    } finally {
+      await sftp.closeHandle(handle).catch(() => {});
+    }
+    entries.sort((a, b) => (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0));
+    if (!withStats) return entries.map(e => e.filename);
+    return entries.map(e => ({ name: e.filename, ...toStats(e.attrs) }));
+  }
+
+  /**
+   * Stat a path, following symlinks.
+   * @returns {Promise<{ type: string, size: number, mode: number, uid: number, gid: number, atime: Date, mtime: Date }>}
+   */
+  async stat(path) {
+    return toStats(await (await this._sftp()).stat(path));
+  }
+
+  /** Stat a path without following symlinks. */
+  async lstat(path) {
+    return toStats(await (await this._sftp()).lstat(path));
+  }
+
+  /** @returns {Promise<boolean>} */
+  async exists(path) {
+    try {
+      await this.stat(path);
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      throw e;
+    }
+  }
+
+  /**
+   * Create a directory.
+   * @param {string} path
+   * @param {object} [opts]
+   * @param {boolean} [opts.recursive=false] - create parents; no error if it already exists
+   * @param {number} [opts.mode=0o755]
+   */
+  async mkdir(path, { recursive = false, mode = 0o755 } = {}) {
+    const sftp = await this._sftp();
+    if (!recursive) return sftp.mkdir(path, { mode });
+
+    const parts = posix.normalize(path).split('/');
+    let current = path.startsWith('/') ? '' : '.';
+    for (const part of parts) {
+      if (!part) continue;
+      current = `${current}/${part}`;
+      try {
+        await sftp.mkdir(current, { mode });
+      } catch (e) {
+        // Servers report "already exists" as a generic failure; check for ourselves
+        const existing = await sftp.stat(current).catch(() => null);
+        if (!existing || (existing.mode & S_IFMT) !== S_IFDIR) throw e;
+      }
+    }
+  }
+
+  /**
+   * Remove a file or directory.
+   * @param {string} path
+   * @param {object} [opts]
+   * @param {boolean} [opts.recursive=false] - remove directories and their contents
+   * @param {boolean} [opts.force=false]     - no error if the path doesn't exist
+   */
+  async rm(path, { recursive = false, force = false } = {}) {
+    const sftp = await this._sftp();
+    let attrs;
+    try {
+      attrs = await sftp.lstat(path);
+    } catch (e) {
+      if (force && e.code === 'ENOENT') return;
+      throw e;
+    }
+
+    if ((attrs.mode & S_IFMT) !== S_IFDIR) return sftp.remove(path);
+
+    if (!recursive) {
+      const e = new Error(`rm ${path}: is a directory (use { recursive: true })`);
+      e.code = 'EISDIR';
+      e.path = path;
+      throw e;
+    }
+    for (const name of await this.readdir(path)) {
+      await this.rm(posix.join(path, name), { recursive: true, force });
+    }
+    await sftp.rmdir(path);
+  }
+
+  /**
+   * Rename or move a path, replacing the destination if it exists
+   * (where the server supports it).
+   */
+  async rename(oldPath, newPath) {
+    return (await this._sftp()).rename(oldPath, newPath);
+  }
+
+  /** Change permissions. */
+  async chmod(path, mode) {
+    return (await this._sftp()).setstat(path, { mode });
+  }
+}
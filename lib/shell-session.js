@@ -0,0 +1,136 @@
+/**
+ * CarapaceOS — Interactive PTY shell sessions
+ *
+ * Wraps `ssh -tt` in a Duplex stream so agents can drive REPLs, `top`,
+ * or interactive installers inside a VM. Writes go to the remote
+ * terminal's input; reads return everything the terminal prints
+ * (stdout and stderr are merged by the PTY).
+ *
+ * A local ssh client only forwards window size changes from a local TTY,
+ * so resize() instead applies the new size to the remote PTY directly
+ * (`stty -F <pty> cols C rows R`). The kernel then delivers SIGWINCH to
+ * the foreground process, exactly as if a terminal emulator had resized.
+ *
+ * Usage:
+ *   const session = await runner.shell({ cols: 120, rows: 40 });
+ *   session.pipe(process.stdout);
+ *   session.write('top\n');
+ *   await session.resize(160, 50);
+ *   session.on('exit', code => console.log('shell exited', code));
+ */
+
+import { spawn } from 'child_process';
+import { Duplex } from 'stream';
+
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+const DEFAULT_TERM = 'xterm-256color';
+
+/** Quote a value as a single POSIX shell word */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function assertDimension(name, value) {
+  if (!Number.isInteger(value) || value < 1 || value > 1000) {
+    throw new Error(`ShellSession: ${name} must be an integer between 1 and 1000`);
+  }
+}
+
+export class ShellSession extends Duplex {
+  /**
+   * @param {object} opts
+   * @param {string[]} opts.sshArgs       - SSH args ending in user@host
+   * @param {(command: string) => Promise<object>} opts.exec - runs a side-channel command in the VM
+   * @param {number} [opts.cols=80]
+   * @param {number} [opts.rows=24]
+   * @param {string} [opts.term='xterm-256color'] - TERM for the remote terminal
+   * @param {string} [opts.shell]         - Shell to start (default: the user's login shell)
+   */
+  constructor({ sshArgs, exec, cols = DEFAULT_COLS, rows = DEFAULT_ROWS, term = DEFAULT_TERM, shell } = {}) {
+    super();
+    assertDimension('cols', cols);
+    assertDimension('rows', rows);
+
+    this.id = Math.random().toString(36).slice(2, 10);
+    this.cols = cols;
+    this.rows = rows;
+    this.exitCode = null;
+    this._exec = exec;
+    this._ttyFile = `/tmp/.carapace-tty-${this.id}`;
+
+    // Record the PTY path for resize(), apply the initial size, then hand
+    // the terminal over to the shell (exec keeps it the session leader).
+    const remoteCommand = [
+      `tty > ${this._ttyFile}`,
+      `stty cols ${cols} rows ${rows} 2>/dev/null`,
+      shell ? `exec ${shellQuote(shell)} -l` : 'exec "${SHELL:-/bin/sh}" -l',
+    ].join('; ');
+
+    this._proc = spawn('ssh', ['-tt', ...sshArgs, remoteCommand], {
+      env: { ...process.env, TERM: term },
+    });
+
+    this._proc.stdout.on('data', chunk => {
+      if (!this.push(chunk)) this._proc.stdout.pause();
+    });
+    // With -tt remote stderr arrives on stdout; local ssh diagnostics land here
+    this._proc.stderr.on('data', chunk => {
+      if (!this.push(chunk)) this._proc.stderr.pause();
+    });
+    this._proc.stdin.on('error', () => { /* remote side went away */ });
+
+    this._proc.on('error', err => this.destroy(err));
+    this._proc.on('close', code => {
+      this.exitCode = code;
+      this.push(null);
+      this.emit('exit', code);
+      this._cleanup();
+    });
+  }
+
+  /**
+   * Resize the remote terminal.
+   * @param {number} cols
+   * @param {number} rows
+   */
+  async resize(cols, rows) {
+    assertDimension('cols', cols);
+    assertDimension('rows', rows);
+    const r = await this._exec(`stty -F "$(cat ${this._ttyFile})" cols ${cols} rows ${rows}`);
+    if (r.code !== 0) throw new Error(`resize failed (exit ${r.code}): ${r.stderr}`);
+    this.cols = cols;
+    this.rows = rows;
+  }
+
+  /**
+   * Hang up the session (equivalent to closing the terminal window).
+   */
+  close() {
+    this.destroy();
+  }
+
+  _read() {
+    this._proc.stdout.resume();
+    this._proc.stderr.resume();
+  }
+
+  _write(chunk, encoding, callback) {
+    this._proc.stdin.write(chunk, encoding, callback);
+  }
+
+  _final(callback) {
+    this._proc.stdin.end(callback);
+  }
+
+  _destroy(err, callback) {
+    if (this._proc.exitCode === null && this._proc.signalCode === null) {
+      this._proc.kill('SIGTERM');
+    }
+    callback(err);
+  }
+
+  _cleanup() {
+    this._exec?.(`rm -f ${this._ttyFile}`).catch(() => {});
+  }
+}
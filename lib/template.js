@@ -0,0 +1,97 @@
+/**
+ * CarapaceOS — Boot templates
+ *
+ * A template is a VM saved while running: boot once, `savevm` the memory
+ * state into the overlay, and keep that overlay. New VMs start from a copy
+ * of it with `-loadvm` and are ready in a second or two instead of a full
+ * boot. Templates are created with runner.saveTemplate(dir) and used with
+ * `new CarapaceRunner({ template: dir })` or `new WarmPool({ template: dir })`.
+ *
+ * Layout of a template directory:
+ *   template.json — metadata (base image, memory, cpus, diskSize, accelerator)
+ *   disk.qcow2    — the overlay holding the internal snapshot (backed by the base image)
+ *   seed.iso      — the seed ISO attached when the template was saved
+ *   id_ed25519    — SSH key the template accepts; clones are re-keyed after restore
+ *   ssh_host_ed25519_key.pub — the saved guest's host key, pinned until the clone gets its own
+ *
+ * The restored VM must have the same virtual hardware as the saved one, so
+ * memory, cpus and diskSize come from the template.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+export const TEMPLATE_SNAPSHOT = 'carapace-template';
+const TEMPLATE_VERSION = 1;
+
+export const TEMPLATE_FILES = {
+  meta: 'template.json',
+  disk: 'disk.qcow2',
+  seed: 'seed.iso',
+  key: 'id_ed25519',
+  hostKey: 'ssh_host_ed25519_key.pub',
+};
+
+/**
+ * Read and validate a template directory.
+ *
+ * @param {string} dir
+ * @returns {{ dir: string, files: Object<string, string>, snapshot: string, baseImage: string,
+ *             memory: string, cpus: number, diskSize: string|null, kvm: boolean, createdAt: number }}
+ */
+export function loadTemplate(dir) {
+  const root = resolve(dir);
+  const files = Object.fromEntries(Object.entries(TEMPLATE_FILES).map(([k, name]) => [k, join(root, name)]));
+
+  if (!existsSync(files.meta)) throw new Error(`Not a template (no ${TEMPLATE_FILES.meta}): ${root}`);
+  let meta;
+  try {
+    meta = JSON.parse(readFileSync(files.meta, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid template metadata in ${files.meta}: ${e.message}`);
+  }
+  if (meta.version !== TEMPLATE_VERSION) {
+    throw new Error(`Unsupported template version ${meta.version} in ${root} (expected ${TEMPLATE_VERSION})`);
+  }
+  for (const key of ['disk', 'seed', 'key', 'hostKey']) {
+    if (!existsSync(files[key])) throw new Error(`Template is missing ${TEMPLATE_FILES[key]}: ${root}`);
+  }
+  if (!existsSync(meta.baseImage)) throw new Error(`Template base image not found: ${meta.baseImage}`);
+
+  return {
+    dir: root,
+    files,
+    snapshot: meta.snapshot,
+    baseImage: meta.baseImage,
+    memory: String(meta.memory),
+    cpus: meta.cpus,
+    diskSize: meta.diskSize ?? null,
+    kvm: Boolean(meta.kvm),
+    // Templates from before networkMode was recorded were provisioned without network seed files
+    networkMode: meta.networkMode ?? 'nat',
+    createdAt: meta.createdAt,
+  };
+}
+
+/**
+ * Write template.json (the data files must already be in place).
+ *
+ * @param {string} dir
+ * @param {{ baseImage: string, memory: string, cpus: number, diskSize: string|null, kvm: boolean }} meta
+ * @returns {object} the metadata written
+ */
+export function writeTemplateMeta(dir, { baseImage, memory, cpus, diskSize, kvm, networkMode = 'nat' }) {
+  const meta = {
+    version: TEMPLATE_VERSION,
+    snapshot: TEMPLATE_SNAPSHOT,
+    baseImage: resolve(baseImage),
+    memory: String(memory),
+    cpus,
+    diskSize: diskSize ?? null,
+    kvm,
+    networkMode,
+    createdAt: Date.now(),
+  };
+  writeFileSync(join(dir, TEMPLATE_FILES.meta), JSON.stringify(meta, null, 2) + '\n');
+  return meta;
+}
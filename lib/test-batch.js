@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for air-gapped batch jobs (lib/batch.js, runner.runBatch()).
+ * No QEMU required: the guest-side run script is executed locally against
+ * a results disk file, with `sudo` and `poweroff` stubbed out on PATH.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, statSync, chmodSync, rmSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { tmpdir, userInfo } from 'os';
+import { join } from 'path';
+import {
+  batchSeedFiles, batchStartCommand, createResultsDisk, resultsDiskQemuArgs, parseResults, readResultsDisk,
+  BATCH_DIR, RESULTS_DISK_SERIAL,
+} from './batch.js';
+import { CarapaceRunner, runIsolated } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+async function assertRejects(promise, expectedMsg) {
+  let err;
+  try { await promise; } catch (e) { err = e; }
+  if (!err) throw new Error(`Expected rejection (expected: "${expectedMsg}")`);
+  if (!err.message.includes(expectedMsg)) throw new Error(`Expected error containing "${expectedMsg}", got: "${err.message}"`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-batch-test-'));
+const USER = userInfo().username;
+
+// `sudo -n -H -u USER -- cmd...` → `cmd...`; poweroff does nothing
+const FAKE_BIN = join(TMP, 'bin');
+mkdirSync(FAKE_BIN);
+writeFileSync(join(FAKE_BIN, 'sudo'), '#!/bin/sh\nwhile [ "$1" != "--" ]; do shift; done\nshift\nexec "$@"\n');
+writeFileSync(join(FAKE_BIN, 'poweroff'), '#!/bin/sh\nexit 0\n');
+chmodSync(join(FAKE_BIN, 'sudo'), 0o755);
+chmodSync(join(FAKE_BIN, 'poweroff'), 0o755);
+
+let jobCounter = 0;
+
+/**
+ * Install a job the way the seed ISO would (BATCH_DIR mapped into a temp
+ * dir), run the guest script and parse the results disk.
+ */
+function runGuestJob(job) {
+  const dir = join(TMP, `job-${++jobCounter}`);
+  mkdirSync(dir);
+  for (const f of batchSeedFiles({ user: USER, timeoutMs: 10_000, ...job })) {
+    const path = f.path.startsWith(`${BATCH_DIR}/`) ? join(dir, f.path.slice(BATCH_DIR.length + 1)) : f.path;
+    writeFileSync(path, f.content);
+    chmodSync(path, parseInt(f.permissions, 8));
+  }
+  const disk = join(dir, 'results.img');
+  createResultsDisk(disk, job.maxOutput);
+  const console = execFileSync('sh', [join(dir, 'run.sh'), disk], {
+    encoding: 'utf8',
+    env: { ...process.env, PATH: `${FAKE_BIN}:${process.env.PATH}` },
+    timeout: 20_000,
+  });
+  return { result: readResultsDisk(disk), console };
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n📦 CarapaceOS Batch Job Tests\n');
+
+console.log('Guest run script');
+
+await test('Reports exit code, stdout, stderr and feeds stdin', () => {
+  const { result, console } = runGuestJob({
+    script: 'read line; echo "got $line"; echo oops >&2; exit 7',
+    stdin: 'hello\n',
+  });
+  assertEqual(result, { stdout: 'got hello', stderr: 'oops', code: 7, timedOut: false, truncated: false });
+  assert(console.includes('CARAPACEOS_BATCH_DONE code=7'), console);
+});
+
+await test('Input files are installed with their mode and readable by the job', () => {
+  const input = join(TMP, 'input.sh');
+  const { result } = runGuestJob({
+    script: `sh ${input} world`,
+    files: [{ path: input, content: 'echo "hello $1"\n', mode: 0o700 }],
+  });
+  assertEqual([result.stdout, result.code], ['hello world', 0]);
+  assertEqual(statSync(input).mode & 0o777, 0o700);
+});
+
+await test('Timed-out commands are killed and reported', () => {
+  const start = Date.now();
+  const { result } = runGuestJob({ script: 'echo started; sleep 5', timeoutMs: 1000 });
+  assertEqual(result, { stdout: 'started', stderr: '', code: null, timedOut: true, truncated: false, signal: 'SIGTERM' });
+  assert(Date.now() - start < 4000, `took ${Date.now() - start}ms`);
+});
+
+await test('Output beyond maxOutput is cut and flagged', () => {
+  const { result } = runGuestJob({ script: 'printf 0123456789abcdef; printf short >&2', maxOutput: 10 });
+  assertEqual([result.stdout, result.stderr, result.truncated], ['0123456789', 'short', true]);
+});
+
+console.log('\nSeed files / results disk');
+
+await test('batchSeedFiles() writes the job under BATCH_DIR', () => {
+  const files = batchSeedFiles({ script: 'make test', user: 'agent', timeoutMs: 90_500, files: [{ path: '/srv/in.txt', content: 'x' }] });
+  assertEqual(files.map(f => [f.path, f.permissions]), [
+    [`${BATCH_DIR}/run.sh`, '0755'],
+    [`${BATCH_DIR}/setup.sh`, '0644'],
+    [`${BATCH_DIR}/command.sh`, '0644'],
+    [`${BATCH_DIR}/stdin`, '0644'],
+    ['/srv/in.txt', '0644'],
+  ]);
+  assertEqual(files[1].content, "timeout=91\nmax_output=16777216\nuser='agent'\nchown 'agent' '/srv/in.txt'\n");
+  assertEqual(files[2].content, 'make test\n');
+  assert(batchStartCommand().startsWith(`setsid ${BATCH_DIR}/run.sh`), batchStartCommand());
+});
+
+await test('batchSeedFiles() rejects bad input files and limits', () => {
+  const bad = [
+    [{ files: [{ path: 'relative.txt', content: 'x' }] }, 'absolute guest paths'],
+    [{ files: [{ path: '/in.txt', content: 42 }] }, 'string or Buffer content'],
+    [{ maxOutput: 0 }, 'maxOutput'],
+  ];
+  for (const [opts, msg] of bad) {
+    let err;
+    try { batchSeedFiles({ script: 'true', user: 'agent', timeoutMs: 1000, ...opts }); } catch (e) { err = e; }
+    assert(err?.message.includes(msg), `${JSON.stringify(opts)}: ${err?.message}`);
+  }
+});
+
+await test('A blank results disk parses as "no results"', () => {
+  const disk = join(TMP, 'blank.img');
+  createResultsDisk(disk, 1024);
+  assertEqual(statSync(disk).size, 4096 + 2048);
+  assertEqual(readResultsDisk(disk), null);
+  assertEqual(parseResults(Buffer.from('CARAPACE-BATCH 1\ncode 0\n')), null, 'incomplete header');
+});
+
+await test('The results disk is a raw virtio-blk device with a known serial', () => {
+  const args = resultsDiskQemuArgs('/tmp/vm,1/results.img').join(' ');
+  assert(args.includes('file=/tmp/vm,,1/results.img,if=none,id=results,format=raw'), args);
+  assert(args.includes(`serial=${RESULTS_DISK_SERIAL}`), args);
+});
+
+console.log('\nrunner.runBatch() / runIsolated()');
+
+await test('runBatch() needs networkMode none, a valid user and an idle runner', async () => {
+  const image = '/tmp/fake-carapaceos.qcow2';
+  await assertRejects(new CarapaceRunner({ image }).runBatch('true'), 'use networkMode "none"');
+  await assertRejects(new CarapaceRunner({ image, networkMode: 'none' }).runBatch('true', { user: 'no body' }), 'Invalid user name');
+  const busy = new CarapaceRunner({ image, networkMode: 'none' });
+  busy._booted = true;
+  await assertRejects(busy.runBatch('true'), 'already running');
+});
+
+await test('runIsolated() with networkMode none runs a batch job', async () => {
+  const image = '/tmp/fake-carapaceos.qcow2';
+  // Fails in runBatch()'s validation, before anything is booted
+  await assertRejects(runIsolated('true', { image, networkMode: 'none', verbose: false, files: 'in.txt' }), 'files must be an array');
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
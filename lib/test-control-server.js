@@ -22,8 +22,16 @@ class MockVM {
   }
 
   async run(command, opts = {}) {
+    this._lastRunOpts = opts;
+    if (opts.argv) {
+      this._calls.push(opts.argv);
+      return { stdout: `argv:${JSON.stringify(opts.argv)}`, stderr: '', code: 0, duration: 5 };
+    }
     this._calls.push(command);
     if (command === 'exit 1') return { stdout: '', stderr: 'forced error', code: 1, duration: 5 };
+    if (command === 'sleep infinity') {
+      return { stdout: '', stderr: '', code: null, timedOut: true, signal: 'SIGTERM', duration: (opts.timeout ?? 120) * 1000 };
+    }
     if (command.startsWith('echo ')) {
       const text = command.slice(5).replace(/^"|"$/g, '').trim();
       return { stdout: text, stderr: '', code: 0, duration: 10 };
@@ -38,28 +46,161 @@ class MockVM {
   }
 
   /**
-   * Mock upload: reads localPath from host FS and stores it in _files under remotePath
+   * Mock runner.fs: files live in _files (path → Buffer)
    */
-  async upload(localPath, remotePath) {
-    const { readFileSync } = await import('fs');
-    const data = readFileSync(localPath);
-    this._files.set(remotePath, data);
+  get fs() {
+    return {
+      writeFile: async (path, data) => {
+        this._files.set(path, Buffer.from(data));
+      },
+      readFile: async (path) => {
+        if (!this._files.has(path)) {
+          const e = new Error(`open ${path}: No such file`);
+          e.code = 'ENOENT';
+          throw e;
+        }
+        return this._files.get(path);
+      },
+    };
+  }
+
+  async shutdown() {
+    this._booted = false;
+    this._vmNetwork?.leave(this);
   }
 
   /**
-   * Mock download: writes stored file from _files to localPath on host
-   * If path not found, simulates a not-found error.
+   * Mock tar transfer: stores the raw archive bytes per remote directory
    */
-  async download(remotePath, localPath) {
-    const { writeFileSync } = await import('fs');
-    if (!this._files.has(remotePath)) {
-      throw new Error(`No such file in VM: ${remotePath}`);
+  async extractArchive(remoteDir, tarStream) {
+    const chunks = [];
+    for await (const chunk of tarStream) chunks.push(chunk);
+    (this._archives ??= new Map()).set(remoteDir, Buffer.concat(chunks));
+  }
+
+  async createArchive(remoteDir, outStream, { include } = {}) {
+    const data = this._archives?.get(remoteDir);
+    this._lastArchiveInclude = include;
+    if (!data) {
+      outStream.end();
+      throw new Error(`tar exited 2: ${remoteDir}: Cannot open: No such file or directory`);
     }
-    writeFileSync(localPath, this._files.get(remotePath));
+    outStream.end(data);
   }
 
-  async shutdown() {
-    this._booted = false;
+  /**
+   * Mock background jobs: "echo X" jobs finish immediately with output X,
+   * anything else stays running until killed.
+   */
+  async startJob(command, opts = {}) {
+    this._jobs ??= new Map();
+    const id = `job-${this._jobs.size + 1}`;
+    const text = opts.argv ? opts.argv.join(' ') : command;
+    const finished = text.startsWith('echo ');
+    this._jobs.set(id, {
+      id,
+      command: text,
+      state: finished ? 'exited' : 'running',
+      pid: 1000 + this._jobs.size,
+      exitCode: finished ? 0 : null,
+      signal: null,
+      stdout: finished ? `${text.slice(5)}\n` : '',
+      stderr: '',
+    });
+    return this.jobStatus(id);
+  }
+
+  async jobStatus(id) {
+    if (!/^[a-z0-9-]+$/i.test(id)) throw new Error(`Invalid job id: ${JSON.stringify(id)}`);
+    const job = this._jobs?.get(id);
+    if (!job) return null;
+    const { stdout, stderr, ...status } = job;
+    return status;
+  }
+
+  async listJobs() {
+    return Promise.all([...(this._jobs?.keys() ?? [])].map(id => this.jobStatus(id)));
+  }
+
+  async jobLogs(id, { since = {} } = {}) {
+    const job = this._jobs?.get(id);
+    if (!job) return null;
+    return {
+      stdout: job.stdout.slice(since.stdout ?? 0),
+      stderr: job.stderr.slice(since.stderr ?? 0),
+      next: { stdout: job.stdout.length, stderr: job.stderr.length },
+    };
+  }
+
+  async killJob(id) {
+    const job = this._jobs?.get(id);
+    if (!job) return null;
+    const cancelled = job.state === 'running';
+    if (cancelled) Object.assign(job, { state: 'killed', signal: 'SIGTERM' });
+    return { ...await this.jobStatus(id), cancelled };
+  }
+
+  /**
+   * Mock port forwards: host ports count up from 20000; port 1 is "in use".
+   */
+  async forwardPort(guestPort, { hostPort } = {}) {
+    this._forwards ??= new Map();
+    if (!Number.isInteger(guestPort) || guestPort < 1 || guestPort > 65535) {
+      throw new Error('Invalid guestPort: must be an integer between 1 and 65535');
+    }
+    hostPort ??= 20000 + this._forwards.size;
+    if (hostPort === 1 || this._forwards.has(hostPort)) {
+      const e = new Error(`Host port ${hostPort} is already forwarded`);
+      e.code = 'EADDRINUSE';
+      throw e;
+    }
+    this._forwards.set(hostPort, { hostPort, guestPort, createdAt: Date.now() });
+    return hostPort;
+  }
+
+  listForwards() {
+    return [...(this._forwards?.values() ?? [])];
+  }
+
+  async removeForward(hostPort) {
+    return this._forwards?.delete(hostPort) ?? false;
+  }
+
+  /** Mock network audit log: one DNS query and one connection */
+  async networkLog({ type, since, limit } = {}) {
+    this._lastNetworkLogOpts = { since, limit };
+    const entries = [
+      { time: '2026-01-01T00:00:00.000Z', type: 'dns', name: 'github.com', qtype: 'A', rcode: 'NOERROR', answer: '10.0.2.100' },
+      { time: '2026-01-01T00:00:01.000Z', type: 'connection', guest: '10.0.2.100:443', host: 'github.com', port: 443, bytesOut: 517, bytesIn: 4096, durationMs: 120 },
+    ];
+    return type ? entries.filter(e => e.type === type) : entries;
+  }
+
+  /**
+   * Mock interactive shell: echoes input back, records resizes,
+   * and exits with code 0 when it receives "exit\n".
+   */
+  async shell({ cols = 80, rows = 24 } = {}) {
+    const { Duplex } = await import('stream');
+    const session = new Duplex({
+      read() {},
+      write(chunk, enc, cb) {
+        const text = chunk.toString();
+        if (text === 'exit\n') {
+          session.push(null);
+          session.emit('exit', 0);
+        } else {
+          session.push(`echo:${text}`);
+        }
+        cb();
+      },
+    });
+    session.cols = cols;
+    session.rows = rows;
+    session.resize = async (c, r) => { session.cols = c; session.rows = r; };
+    session.close = () => session.destroy();
+    this._lastShell = session;
+    return session;
   }
 
   // ─── Snapshot stubs ─────────────────────────────────────────────────────────
@@ -107,9 +248,16 @@ class MockWarmPool {
 
   async start() {}
 
-  async acquire({ timeoutMs } = {}) {
+  async acquire(opts = {}) {
     if (this._simulateExhausted) throw new Error('Pool exhausted');
+    this._lastAcquireOpts = opts;
     const vm = new MockVM(`mock-vm-${this._vmCounter++}`);
+    // Like a dedicated boot, which joins the network only once the runner is built
+    if (this._acquireDelayMs) await new Promise(resolve => setTimeout(resolve, this._acquireDelayMs));
+    if (opts.vmNetwork) {
+      opts.vmNetwork.join(vm, { hostname: opts.hostname });
+      vm._vmNetwork = opts.vmNetwork;
+    }
     this._acquired.push(vm);
     return vm;
   }
@@ -154,8 +302,7 @@ class TestControlServer extends OriginalControlServer {
     await this.pool.start();
 
     // Start HTTP server only
-    const { createServer } = await import('http');
-    this.server = createServer((req, res) => this._dispatch(req, res));
+    this.server = this._createServer();
     await new Promise((resolve, reject) => {
       this.server.listen(this.port, this.host, err => err ? reject(err) : resolve());
     });
@@ -275,6 +422,117 @@ await test('POST /vms/acquire increments activeVMs', async () => {
   assertEqual(health.activeVMs, 1, 'one active VM');
 });
 
+await test('POST /vms/acquire forwards resource overrides to the pool', async () => {
+  const res = await fetch(`${BASE}/vms/acquire`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      cpus: 4, memory: 2048, diskSize: '10G', ioLimits: { iops: 500 },
+    }),
+  });
+  assertEqual(res.status, 200, 'status');
+  const { vmId: bigId } = await res.json();
+  const opts = server.pool._lastAcquireOpts;
+  assertEqual(opts.cpus, 4, 'cpus');
+  assertEqual(opts.memory, '2048', 'memory');
+  assertEqual(opts.diskSize, '10G', 'diskSize');
+  assertEqual(opts.ioLimits.iops, 500, 'ioLimits');
+  await fetch(`${BASE}/vms/${bigId}/release`, { method: 'POST' });
+});
+
+await test('POST /vms/acquire takes egressLimits only when the pool relays traffic', async () => {
+  const acquire = () => fetch(`${BASE}/vms/acquire`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ egressLimits: { maxConnections: 4 } }),
+  });
+  const nat = await acquire();
+  assertEqual(nat.status, 400, 'nat pool');
+  assert((await nat.json()).error.includes('need networkMode "allowlist" or "proxy"'), 'explains why');
+
+  server.networkMode = 'proxy';
+  try {
+    const res = await acquire();
+    assertEqual(res.status, 200, 'proxy pool');
+    assertEqual(server.pool._lastAcquireOpts.egressLimits.maxConnections, 4, 'forwarded');
+    await fetch(`${BASE}/vms/${(await res.json()).vmId}/release`, { method: 'POST' });
+  } finally {
+    server.networkMode = 'nat';
+  }
+});
+
+await test('vmEgressLimits are validated when the server is created', () => {
+  let error;
+  try {
+    new TestControlServer({ image: '/fake/carapaceos.qcow2', vmEgressLimits: { bytesPerSecond: Number('abc') } });
+  } catch (e) {
+    error = e;
+  }
+  assert(error?.message.includes('Invalid vmEgressLimits: egressLimits.bytesPerSecond must be a positive integer'),
+    `Got: ${error?.message}`);
+});
+
+await test('POST /vms/acquire 400 on malformed resources', async () => {
+  for (const body of [{ cpus: 0 }, { memory: '1G' }, { diskSize: 'big' }, { ioLimits: { iops: -1 } },
+    { egressLimits: { maxBytes: 0 } }, { egressLimits: { bandwidth: 10 } }]) {
+    const res = await fetch(`${BASE}/vms/acquire`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assertEqual(res.status, 400, `status 400 for ${JSON.stringify(body)}`);
+  }
+});
+
+await test('POST /vms/acquire joins a named private network', async () => {
+  const acquire = body => fetch(`${BASE}/vms/acquire`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const server = await acquire({ network: 'team', hostname: 'server' }).then(r => r.json());
+  assertEqual(server.network.name, 'team', 'network name');
+  assertEqual(server.network.hostname, 'server', 'hostname');
+  assertEqual(server.network.ip, '192.168.77.10', 'first address');
+  const client = await acquire({ network: 'team' }).then(r => r.json());
+  assertEqual(client.network.hostname, 'team-2', 'default hostname');
+
+  assertEqual((await acquire({ network: 'team', hostname: 'server' })).status, 409, 'hostname taken');
+  assertEqual((await acquire({ hostname: 'server' })).status, 400, 'hostname without network');
+  assertEqual((await acquire({ network: 'Bad Name' })).status, 400, 'invalid network name');
+
+  const { networks } = await fetch(`${BASE}/networks`).then(r => r.json());
+  assertEqual(networks.length, 1, 'one network');
+  assertEqual(networks[0].members.map(m => `${m.vmId}=${m.hostname}`).join(), `${server.vmId}=server,${client.vmId}=team-2`, 'members');
+
+  await fetch(`${BASE}/vms/${server.vmId}/release`, { method: 'POST' });
+  await fetch(`${BASE}/vms/${client.vmId}/release`, { method: 'POST' });
+  assertEqual((await fetch(`${BASE}/networks`).then(r => r.json())).total, 0, 'empty network is dropped');
+});
+
+await test('POST /vms/acquire gives concurrent requests for one hostname a 409', async () => {
+  const acquire = body => fetch(`${BASE}/vms/acquire`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  server.pool._acquireDelayMs = 100;
+  try {
+    const responses = await Promise.all([
+      acquire({ network: 'race', hostname: 'db' }),
+      acquire({ network: 'race', hostname: 'db' }),
+      acquire({ network: 'race' }),
+    ]);
+    assertEqual(responses.map(r => r.status).join(), '200,409,200', 'statuses');
+    const vms = await Promise.all(responses.filter(r => r.ok).map(r => r.json()));
+    assertEqual(vms.map(v => v.network.hostname).join(), 'db,race-2', 'hostnames');
+    for (const { vmId: id } of vms) await fetch(`${BASE}/vms/${id}/release`, { method: 'POST' });
+    assertEqual((await fetch(`${BASE}/networks`).then(r => r.json())).total, 0, 'network dropped after the last VM');
+  } finally {
+    server.pool._acquireDelayMs = 0;
+  }
+});
+
 await test('GET /vms shows acquired VM', async () => {
   const body = await fetch(`${BASE}/vms`).then(r => r.json());
   assertEqual(body.total, 1, 'total=1');
@@ -314,6 +572,54 @@ await test('POST /vms/:id/run 400 if no command', async () => {
   assertEqual(res.status, 400, 'status 400');
 });
 
+await test('POST /vms/:id/run accepts argv, env, cwd, user and stdin', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      argv: ['grep', '-r', "it's; rm -rf /", '.'],
+      env: { DEBUG: '1', PORT: 8080 },
+      cwd: '/home/agent/workspace',
+      user: 'agent',
+      stdin: Buffer.from('input data').toString('base64'),
+      stdinEncoding: 'base64',
+      timeoutMs: 5000,
+    }),
+  });
+  assertEqual(res.status, 200, 'status');
+  const body = await res.json();
+  assertEqual(body.stdout, `argv:${JSON.stringify(['grep', '-r', "it's; rm -rf /", '.'])}`, 'argv passed through');
+  const opts = server.activeVMs.get(vmId).vm._lastRunOpts;
+  assertEqual(opts.env.PORT, '8080', 'env values stringified');
+  assertEqual(opts.cwd, '/home/agent/workspace', 'cwd');
+  assertEqual(opts.user, 'agent', 'user');
+  assertEqual(opts.timeout, 5, 'timeout in seconds');
+  assertEqual(Buffer.from(opts.stdin).toString(), 'input data', 'stdin decoded');
+});
+
+await test('POST /vms/:id/run 400 on malformed exec options', async () => {
+  const bad = [
+    { argv: 'ls -la' },
+    { argv: [] },
+    { command: 'ls', argv: ['ls'] },
+    { command: 'ls', env: ['A=1'] },
+    { command: 'ls', env: { 'A-B': '1' } },
+    { command: 'ls', env: { '1A': '1' } },
+    { command: 'ls', user: 'root; id' },
+    { command: 'ls', user: 0 },
+    { command: 'ls', cwd: 42 },
+    { command: 'ls', stdin: 'x', stdinEncoding: 'hex' },
+  ];
+  for (const body of bad) {
+    const res = await fetch(`${BASE}/vms/${vmId}/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assertEqual(res.status, 400, `status 400 for ${JSON.stringify(body)}`);
+  }
+});
+
 await test('POST /vms/:id/run 404 on unknown vmId', async () => {
   const res = await fetch(`${BASE}/vms/doesnotexist/run`, {
     method: 'POST',
@@ -352,6 +658,22 @@ await test('POST /vms/:id/pipeline stops on error when stopOnError=true', async
   const body = await res.json();
   assertEqual(body.stopped, true, 'stopped at error');
   assertEqual(body.results.length, 2, 'only 2 results (stopped at exit 1)');
+  assertEqual(body.stopReason, 'exit', 'stopReason');
+});
+
+await test('POST /vms/:id/pipeline reports timeouts distinctly from failures', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/pipeline`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ commands: ['echo ok', 'sleep infinity', 'echo later'], timeoutMs: 2000 }),
+  });
+  const body = await res.json();
+  assertEqual(body.stopped, true, 'stopped');
+  assertEqual(body.stopReason, 'timeout', 'stopReason');
+  assertEqual(body.results.length, 2, '2 results');
+  assertEqual(body.results[1].timedOut, true, 'result marked timedOut');
+  assertEqual(body.results[1].signal, 'SIGTERM', 'signal');
+  assertEqual(body.results[1].duration, 2000, 'per-command timeout applied');
 });
 
 await test('POST /vms/:id/pipeline 400 if commands missing', async () => {
@@ -363,6 +685,193 @@ await test('POST /vms/:id/pipeline 400 if commands missing', async () => {
   assertEqual(res.status, 400, 'status 400');
 });
 
+// ─── Directory archives ───────────────────────────────────────────────────────
+console.log('\nDirectory archives');
+
+await test('PUT then GET /vms/:id/archive round-trips a tar stream', async () => {
+  const archive = Buffer.alloc(10240, 7); // stand-in for real tar bytes
+  const put = await fetch(`${BASE}/vms/${vmId}/archive?path=/home/agent/workspace/repo`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/x-tar' },
+    body: archive,
+  });
+  assertEqual(put.status, 200, 'PUT status');
+  assertEqual((await put.json()).bytes, archive.length, 'bytes received');
+
+  const get = await fetch(`${BASE}/vms/${vmId}/archive?path=/home/agent/workspace/repo&include=src&include=package.json`);
+  assertEqual(get.status, 200, 'GET status');
+  assertEqual(get.headers.get('content-type'), 'application/x-tar', 'content type');
+  const body = Buffer.from(await get.arrayBuffer());
+  assert(body.equals(archive), 'same bytes back');
+  const include = server.activeVMs.get(vmId).vm._lastArchiveInclude;
+  assertEqual(include.join(','), 'src,package.json', 'include params passed');
+});
+
+await test('GET /vms/:id/archive 500 with JSON error for a missing directory', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/archive?path=/nope`);
+  assertEqual(res.status, 500, 'status');
+  const body = await res.json();
+  assert(body.error.includes('No such file'), `error: ${body.error}`);
+});
+
+await test('GET /vms/:id/archive 400 for include values outside the directory', async () => {
+  for (const include of ['/etc/passwd', '../secret', 'a/../../b', '']) {
+    const res = await fetch(`${BASE}/vms/${vmId}/archive?path=/home/agent/workspace/repo&include=src&include=${encodeURIComponent(include)}`);
+    assertEqual(res.status, 400, `include=${include}`);
+    assert((await res.json()).error.includes('include paths must be relative'), 'error message');
+  }
+});
+
+await test('Archive routes 400 without path', async () => {
+  assertEqual((await fetch(`${BASE}/vms/${vmId}/archive`)).status, 400, 'GET');
+  assertEqual((await fetch(`${BASE}/vms/${vmId}/archive`, { method: 'PUT', body: 'x' })).status, 400, 'PUT');
+});
+
+// ─── Background jobs ──────────────────────────────────────────────────────────
+console.log('\nBackground jobs');
+
+let jobId;
+
+await test('POST /vms/:id/jobs starts a job', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ command: 'npm run dev', cwd: '/home/agent/workspace' }),
+  });
+  assertEqual(res.status, 201, 'status 201');
+  const body = await res.json();
+  assertEqual(body.job.state, 'running', 'running');
+  jobId = body.job.id;
+  assert(jobId, 'has job id');
+});
+
+await test('POST /vms/:id/jobs 400 on missing command or unsupported options', async () => {
+  for (const body of [{}, { command: 'x', stdin: 'data' }, { command: 'x', timeoutMs: 1000 }, { argv: 'x' }]) {
+    const res = await fetch(`${BASE}/vms/${vmId}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assertEqual(res.status, 400, `status 400 for ${JSON.stringify(body)}`);
+  }
+});
+
+await test('GET /vms/:id/jobs lists jobs', async () => {
+  await fetch(`${BASE}/vms/${vmId}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ argv: ['echo', 'hello'] }),
+  });
+  const body = await fetch(`${BASE}/vms/${vmId}/jobs`).then(r => r.json());
+  assertEqual(body.jobs.length, 2, '2 jobs');
+  assertEqual(body.jobs[1].state, 'exited', 'echo job exited');
+});
+
+await test('GET /vms/:id/jobs/:job/logs returns output from offsets', async () => {
+  const all = await fetch(`${BASE}/vms/${vmId}/jobs/job-2/logs`).then(r => r.json());
+  assertEqual(all.stdout, 'hello\n', 'stdout');
+  assertEqual(all.next.stdout, 6, 'next offset');
+  const tail = await fetch(`${BASE}/vms/${vmId}/jobs/job-2/logs?stdout=3`).then(r => r.json());
+  assertEqual(tail.stdout, 'lo\n', 'stdout from offset');
+  const bad = await fetch(`${BASE}/vms/${vmId}/jobs/job-2/logs?stdout=-1`);
+  assertEqual(bad.status, 400, 'bad offset');
+});
+
+await test('POST /vms/:id/jobs/:job/cancel kills the job', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/jobs/${jobId}/cancel`, { method: 'POST' });
+  assertEqual(res.status, 200, 'status');
+  const body = await res.json();
+  assertEqual(body.job.state, 'killed', 'killed');
+  assertEqual(body.job.signal, 'SIGTERM', 'signal');
+  assertEqual(body.job.cancelled, true, 'cancelled');
+  const status = await fetch(`${BASE}/vms/${vmId}/jobs/${jobId}`).then(r => r.json());
+  assertEqual(status.job.state, 'killed', 'status reflects cancel');
+  const again = await fetch(`${BASE}/vms/${vmId}/jobs/${jobId}/cancel`, { method: 'POST' }).then(r => r.json());
+  assertEqual(again.job.cancelled, false, 'already finished: not counted again (see metrics)');
+});
+
+await test('Job routes 404 on unknown job or VM, 400 on invalid id', async () => {
+  assertEqual((await fetch(`${BASE}/vms/${vmId}/jobs/job-99`)).status, 404, 'status');
+  assertEqual((await fetch(`${BASE}/vms/${vmId}/jobs/job-99/logs`)).status, 404, 'logs');
+  assertEqual((await fetch(`${BASE}/vms/${vmId}/jobs/job-99/cancel`, { method: 'POST' })).status, 404, 'cancel');
+  assertEqual((await fetch(`${BASE}/vms/nope/jobs`)).status, 404, 'unknown VM');
+  assertEqual((await fetch(`${BASE}/vms/${vmId}/jobs/bad$id`)).status, 400, 'invalid id');
+});
+
+await test('GET /metrics counts jobs', async () => {
+  const text = await fetch(`${BASE}/metrics`).then(r => r.text());
+  assert(/^carapace_jobs_started_total 2$/m.test(text), 'started counter');
+  assert(/^carapace_jobs_cancelled_total 1$/m.test(text), 'cancelled counter');
+});
+
+// ─── Port forwarding ──────────────────────────────────────────────────────────
+console.log('\nPort forwarding');
+
+await test('POST /vms/:id/forwards forwards a guest port', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/forwards`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ guestPort: 3000 }),
+  });
+  assertEqual(res.status, 201, 'status 201');
+  const body = await res.json();
+  assertEqual(body.forward.hostPort, 20000, 'host port');
+  assertEqual(body.forward.guestPort, 3000, 'guest port');
+});
+
+await test('POST /vms/:id/forwards honours hostPort; 409 on conflict, 400 on bad input', async () => {
+  const post = body => fetch(`${BASE}/vms/${vmId}/forwards`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const res = await post({ guestPort: 8080, hostPort: 18080 });
+  assertEqual((await res.json()).forward.hostPort, 18080, 'explicit host port');
+  assertEqual((await post({ guestPort: 9090, hostPort: 18080 })).status, 409, 'duplicate');
+  assertEqual((await post({ guestPort: 9090, hostPort: 1 })).status, 409, 'in use');
+  assertEqual((await post({})).status, 400, 'missing guestPort');
+  assertEqual((await post({ guestPort: 'http' })).status, 400, 'invalid guestPort');
+});
+
+await test('GET /vms/:id/forwards lists forwards', async () => {
+  const body = await fetch(`${BASE}/vms/${vmId}/forwards`).then(r => r.json());
+  assertEqual(body.forwards.map(f => f.hostPort).join(','), '20000,18080', 'host ports');
+});
+
+await test('DELETE /vms/:id/forwards/:port removes a forward', async () => {
+  const res = await fetch(`${BASE}/vms/${vmId}/forwards/18080`, { method: 'DELETE' });
+  assertEqual(res.status, 200, 'status');
+  const again = await fetch(`${BASE}/vms/${vmId}/forwards/18080`, { method: 'DELETE' });
+  assertEqual(again.status, 404, 'already removed');
+  const body = await fetch(`${BASE}/vms/${vmId}/forwards`).then(r => r.json());
+  assertEqual(body.forwards.length, 1, 'one left');
+});
+
+// ─── Network log ──────────────────────────────────────────────────────────────
+console.log('\nNetwork log');
+
+await test('GET /vms/:id/network-log returns the audit log, filtered by type', async () => {
+  const body = await fetch(`${BASE}/vms/${vmId}/network-log`).then(r => r.json());
+  assertEqual(body.vmId, vmId, 'vmId');
+  assertEqual(body.entries.map(e => e.type).join(','), 'dns,connection', 'entry types');
+  const conns = await fetch(`${BASE}/vms/${vmId}/network-log?type=connection`).then(r => r.json());
+  assertEqual(conns.entries.length, 1, 'only connections');
+  assertEqual(conns.entries[0].host, 'github.com', 'destination');
+  assertEqual((await fetch(`${BASE}/vms/nope/network-log`)).status, 404, 'unknown VM');
+});
+
+await test('GET /vms/:id/network-log passes since and limit, and rejects bad values', async () => {
+  const vm = server.activeVMs.get(vmId).vm;
+  const since = '2026-01-01T00:00:00.000Z';
+  const ok = await fetch(`${BASE}/vms/${vmId}/network-log?since=${since}&limit=50`);
+  assertEqual(ok.status, 200, 'status');
+  assertEqual(vm._lastNetworkLogOpts.since, since, 'since');
+  assertEqual(vm._lastNetworkLogOpts.limit, 50, 'limit');
+  for (const query of ['since=yesterday', 'limit=0', 'limit=-1', 'limit=ten']) {
+    assertEqual((await fetch(`${BASE}/vms/${vmId}/network-log?${query}`)).status, 400, query);
+  }
+});
+
 // ─── Release ──────────────────────────────────────────────────────────────────
 console.log('\nRelease');
 
@@ -508,6 +1017,114 @@ await test('Release file-transfer VM', async () => {
   assertEqual(res.status, 200, 'released');
 });
 
+// ─── Interactive TTY (WebSocket) ──────────────────────────────────────────────
+console.log('\nInteractive TTY (WebSocket)');
+
+const { encodeFrame, FrameParser, Opcode } = await import('./websocket.js');
+const http = await import('http');
+
+/**
+ * Minimal WebSocket client: performs the upgrade and collects decoded frames.
+ * Resolves with { status, socket, frames, send, waitFor }, or just { status }
+ * when the server answers with a plain HTTP response.
+ */
+function openTTY(path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${BASE}${path}`, {
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': Buffer.from('carapace-test-key').toString('base64'),
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('response', res => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on('upgrade', (res, socket) => {
+      const parser = new FrameParser();
+      const frames = [];
+      const listeners = new Set();
+      socket.on('data', chunk => {
+        for (const f of parser.push(chunk)) {
+          frames.push(f);
+          for (const l of listeners) l();
+        }
+      });
+      const waitFor = (pred, timeoutMs = 2000) => new Promise((res2, rej2) => {
+        const check = () => {
+          const f = frames.find(pred);
+          if (f) { listeners.delete(check); clearTimeout(t); res2(f); }
+        };
+        const t = setTimeout(() => { listeners.delete(check); rej2(new Error('timed out waiting for frame')); }, timeoutMs);
+        listeners.add(check);
+        check();
+      });
+      const send = (opcode, data) => socket.write(encodeFrame(opcode, data, { mask: true }));
+      resolve({ status: res.statusCode, socket, frames, send, waitFor });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+let ttyVmId;
+
+await test('Acquire a VM for TTY tests', async () => {
+  const body = await fetch(`${BASE}/vms/acquire`, { method: 'POST' }).then(r => r.json());
+  ttyVmId = body.vmId;
+  assertEqual(body.endpoints.tty, `/vms/${ttyVmId}/tty`, 'acquire advertises tty endpoint');
+});
+
+await test('GET /vms/:id/tty upgrades and relays terminal I/O', async () => {
+  const ws = await openTTY(`/vms/${ttyVmId}/tty?cols=100&rows=30`);
+  assertEqual(ws.status, 101, 'switching protocols');
+  ws.send(Opcode.BINARY, 'ls\n');
+  const out = await ws.waitFor(f => f.opcode === Opcode.BINARY);
+  assertEqual(out.payload.toString(), 'echo:ls\n', 'output relayed');
+  ws.socket.destroy();
+});
+
+await test('GET /vms/:id/tty applies initial size and resize messages', async () => {
+  const ws = await openTTY(`/vms/${ttyVmId}/tty?cols=100&rows=30`);
+  const vm = server.activeVMs.get(ttyVmId).vm;
+  assertEqual(vm._lastShell.cols, 100, 'initial cols');
+  assertEqual(vm._lastShell.rows, 30, 'initial rows');
+  ws.send(Opcode.TEXT, JSON.stringify({ type: 'resize', cols: 132, rows: 43 }));
+  await new Promise(r => setTimeout(r, 50));
+  assertEqual(vm._lastShell.cols, 132, 'resized cols');
+  assertEqual(vm._lastShell.rows, 43, 'resized rows');
+  ws.socket.destroy();
+});
+
+await test('GET /vms/:id/tty sends exit message and closes when shell exits', async () => {
+  const ws = await openTTY(`/vms/${ttyVmId}/tty`);
+  ws.send(Opcode.TEXT, JSON.stringify({ type: 'input', data: 'exit\n' }));
+  const exitFrame = await ws.waitFor(f => f.opcode === Opcode.TEXT);
+  const msg = JSON.parse(exitFrame.payload.toString());
+  assertEqual(msg.type, 'exit', 'exit message type');
+  assertEqual(msg.code, 0, 'exit code');
+  await ws.waitFor(f => f.opcode === Opcode.CLOSE);
+  ws.socket.destroy();
+});
+
+await test('GET /vms/:id/tty 404 on unknown VM', async () => {
+  const ws = await openTTY('/vms/no-such-vm/tty');
+  assertEqual(ws.status, 404, 'status 404');
+});
+
+await test('GET /metrics counts TTY sessions', async () => {
+  const text = await fetch(`${BASE}/metrics`).then(r => r.text());
+  const m = text.match(/^carapace_tty_sessions_total (\d+)/m);
+  assert(m && parseInt(m[1]) >= 3, 'tty session counter');
+});
+
+await test('Release TTY VM', async () => {
+  const res = await fetch(`${BASE}/vms/${ttyVmId}/release`, { method: 'POST' });
+  assertEqual(res.status, 200, 'released');
+});
+
 // ─── Snapshot / Checkpoint API ────────────────────────────────────────────────
 console.log('\nSnapshot / Checkpoint API');
 
@@ -646,12 +1263,25 @@ await test('Metrics counters reflect operations', async () => {
   assert(restoreMatch, 'restore counter found');
   assert(parseInt(acquireMatch[1]) >= 1, 'at least 1 acquire');
   assert(parseInt(runMatch[1]) >= 2, 'at least 2 runs');
+  const timeoutMatch = text.match(/^carapace_run_timeouts_total (\d+)/m);
+  assert(timeoutMatch && parseInt(timeoutMatch[1]) >= 1, 'timeout counter counts the pipeline timeout');
   assert(parseInt(uploadMatch[1]) >= 2, 'at least 2 uploads');
   assert(parseInt(downloadMatch[1]) >= 1, 'at least 1 download');
   assert(parseInt(snapshotMatch[1]) >= 2, 'at least 2 snapshots saved');
   assert(parseInt(restoreMatch[1]) >= 1, 'at least 1 restore');
 });
 
+await test('Metrics summarise VM boot timelines', async () => {
+  server._recordBoot({ totalMs: 3000, phases: { seed: 500, overlay: 100, qemuStart: 400, guest: 1500, ssh: 500, shares: 0 } });
+  server._recordBoot({ totalMs: 2000, phases: { seed: 0, overlay: 100, qemuStart: 400, guest: 1000, ssh: 500, shares: 0 } });
+  server._recordBoot({ totalMs: null, phases: { seed: 100, overlay: null } }); // failed boot: ignored
+  const text = await fetch(`${BASE}/metrics`).then(r => r.text());
+  assertEqual(text.match(/^carapace_boot_seconds_sum (\S+)/m)?.[1], '5.000', 'boot sum');
+  assertEqual(text.match(/^carapace_boot_seconds_count (\d+)/m)?.[1], '2', 'boot count');
+  assertEqual(text.match(/^carapace_boot_phase_seconds_sum\{phase="guest"\} (\S+)/m)?.[1], '2.500', 'guest phase sum');
+  assertEqual(text.match(/^carapace_boot_phase_seconds_count\{phase="ssh"\} (\d+)/m)?.[1], '2', 'ssh phase count');
+});
+
 // ─── Results ─────────────────────────────────────────────────────────────────
 
 await server.stop();
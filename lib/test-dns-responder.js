@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the allowlist DNS responder (lib/dns-responder.js), the
+ * guestfwd bridge and the guest DNS stub (vm-image/carapace-dns.cjs).
+ * No QEMU required: the stub and bridge run locally.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { spawn } from 'child_process';
+import { createConnection, createServer } from 'net';
+import { createSocket } from 'dgram';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DnsResponder, parseQuery, dnsStubSeed, DNS_STUB_SCRIPT, DNS_STUB_PATH } from './dns-responder.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-dns-test-'));
+const RECORDS = { 'registry.npmjs.org': '10.0.2.100', 'github.com': '10.0.2.101' };
+
+const TYPES = { A: 1, AAAA: 28 };
+
+/** A recursion-desired query for one name */
+function query(name, type = 'A', id = 0x1234) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(0x0100, 2); // RD
+  header.writeUInt16BE(1, 4);
+  const labels = name.split('.').map(l => Buffer.concat([Buffer.from([l.length]), Buffer.from(l)]));
+  const tail = Buffer.alloc(5);
+  tail.writeUInt16BE(TYPES[type], 1);
+  tail.writeUInt16BE(1, 3);
+  return Buffer.concat([header, ...labels, tail]);
+}
+
+/** { id, rcode, answers: ['a.b.c.d'] } from a response */
+function decode(res) {
+  const { id, flags, questionEnd } = parseQuery(res);
+  const answers = [];
+  let offset = questionEnd;
+  for (let i = 0; i < res.readUInt16BE(6); i++) {
+    const len = res.readUInt16BE(offset + 10);
+    answers.push([...res.subarray(offset + 12, offset + 12 + len)].join('.'));
+    offset += 12 + len;
+  }
+  return { id, qr: Boolean(flags & 0x8000), rcode: flags & 0xf, answers };
+}
+
+function frame(msg) {
+  const prefix = Buffer.alloc(2);
+  prefix.writeUInt16BE(msg.length);
+  return Buffer.concat([prefix, msg]);
+}
+
+/** Read `count` framed DNS messages from a stream */
+function readFrames(stream, count) {
+  return new Promise((resolve, reject) => {
+    let buf = Buffer.alloc(0);
+    const frames = [];
+    stream.on('data', chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      while (buf.length >= 2 && buf.length >= 2 + buf.readUInt16BE(0)) {
+        frames.push(buf.subarray(2, 2 + buf.readUInt16BE(0)));
+        buf = buf.subarray(2 + buf.readUInt16BE(0));
+      }
+      if (frames.length >= count) resolve(frames);
+    });
+    stream.on('error', reject);
+  });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🧭 CarapaceOS DNS Responder Tests\n');
+
+console.log('DnsResponder.answer()');
+
+await test('Allowlisted names resolve to their guest addresses', () => {
+  const dns = new DnsResponder(RECORDS);
+  assertEqual(decode(dns.answer(query('registry.npmjs.org'))), { id: 0x1234, qr: true, rcode: 0, answers: ['10.0.2.100'] });
+  assertEqual(decode(dns.answer(query('GitHub.COM', 'A', 7))).answers, ['10.0.2.101'], 'case-insensitive');
+  assertEqual(dns.lookup('github.com.'), '10.0.2.101');
+});
+
+await test('Everything else is NXDOMAIN; AAAA for allowed names is empty', () => {
+  const dns = new DnsResponder(RECORDS);
+  assertEqual(decode(dns.answer(query('evil.com'))), { id: 0x1234, qr: true, rcode: 3, answers: [] });
+  assertEqual(decode(dns.answer(query('api.github.com'))).rcode, 3, 'subdomains are not allowed');
+  assertEqual(decode(dns.answer(query('github.com', 'AAAA'))), { id: 0x1234, qr: true, rcode: 0, answers: [] });
+});
+
+await test('Emits a query event per question; ignores garbage', () => {
+  const dns = new DnsResponder(RECORDS);
+  const seen = [];
+  dns.on('query', q => seen.push(q));
+  dns.answer(query('github.com'));
+  dns.answer(query('evil.com', 'AAAA'));
+  assertEqual(seen, [
+    { name: 'github.com', type: 'A', rcode: 'NOERROR', answer: '10.0.2.101' },
+    { name: 'evil.com', type: 'AAAA', rcode: 'NXDOMAIN', answer: null },
+  ]);
+  assertEqual(dns.answer(Buffer.from('nope')), null);
+  let err;
+  try { new DnsResponder({ 'github.com': 'github.com' }); } catch (e) { err = e; }
+  assert(err?.message.includes('needs an IPv4 address'), `Got: ${err?.message}`);
+});
+
+console.log('\nTransport');
+
+await test('Serves pipelined DNS-over-TCP queries on a Unix socket', async () => {
+  const dns = new DnsResponder(RECORDS);
+  const socketPath = join(TMP, 'dns.sock');
+  await dns.listen(socketPath);
+  try {
+    const sock = createConnection(socketPath);
+    const frames = readFrames(sock, 2);
+    sock.write(Buffer.concat([frame(query('github.com', 'A', 1)), frame(query('evil.com', 'A', 2))]));
+    const [a, b] = (await frames).map(decode);
+    assertEqual([a.id, a.answers, b.id, b.rcode], [1, ['10.0.2.101'], 2, 3]);
+    sock.destroy();
+  } finally {
+    await dns.close();
+  }
+});
+
+await test('The guestfwd bridge joins stdin/stdout to the socket', async () => {
+  const dns = new DnsResponder(RECORDS);
+  const socketPath = join(TMP, 'bridge.sock');
+  await dns.listen(socketPath);
+  try {
+    const bridge = spawn(process.execPath, [join(__dirname, 'guestfwd-bridge.js'), socketPath]);
+    const frames = readFrames(bridge.stdout, 1);
+    bridge.stdin.write(frame(query('registry.npmjs.org')));
+    assertEqual(decode((await frames)[0]).answers, ['10.0.2.100']);
+    bridge.stdin.end();
+    const code = await new Promise(resolve => bridge.on('exit', resolve));
+    assertEqual(code, 0, 'bridge exits when the guest hangs up');
+  } finally {
+    await dns.close();
+  }
+});
+
+await test('The guest stub answers UDP queries over one TCP connection', async () => {
+  const dns = new DnsResponder(RECORDS);
+  const connections = [];
+  const upstream = createServer(sock => {
+    connections.push(sock);
+    dns.serve(sock);
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  const stub = spawn(process.execPath, [
+    DNS_STUB_SCRIPT, '--listen', '127.0.0.1:0', '--upstream', `127.0.0.1:${upstream.address().port}`,
+  ]);
+  try {
+    const line = await new Promise((resolve, reject) => {
+      stub.stdout.once('data', d => resolve(d.toString()));
+      stub.once('exit', code => reject(new Error(`stub exited with ${code}`)));
+    });
+    const port = Number(/listening on [\d.]+:(\d+)/.exec(line)[1]);
+    const client = createSocket('udp4');
+    const ask = msg => new Promise(resolve => {
+      client.once('message', resolve);
+      client.send(msg, port, '127.0.0.1');
+    });
+    assertEqual(decode(await ask(query('github.com', 'A', 9))).answers, ['10.0.2.101']);
+    assertEqual(decode(await ask(query('evil.com', 'A', 10))).rcode, 3);
+
+    // Concurrent queries from several clients share the connection too
+    const others = [createSocket('udp4'), createSocket('udp4')];
+    const answers = await Promise.all(others.map((c, i) => new Promise(resolve => {
+      c.once('message', res => resolve(decode(res)));
+      c.send(query(i ? 'github.com' : 'registry.npmjs.org', 'A', 20 + i), port, '127.0.0.1');
+    })));
+    assertEqual(answers.map(a => [a.id, a.answers[0]]), [[20, '10.0.2.100'], [21, '10.0.2.101']]);
+    assertEqual(connections.length, 1, 'one upstream connection');
+
+    // A dropped connection is reopened by the next query
+    connections[0].destroy();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assertEqual(decode(await ask(query('github.com', 'A', 11))).answers, ['10.0.2.101']);
+    assertEqual(connections.length, 2, 'reconnected');
+    for (const c of [client, ...others]) c.close();
+  } finally {
+    stub.kill();
+    upstream.close();
+  }
+});
+
+console.log('\nCarapaceRunner (allowlist)');
+
+await test('The seed installs the stub and points resolv.conf at it', () => {
+  const seed = new CarapaceRunner({
+    image: '/tmp/fake-carapaceos.qcow2',
+    networkMode: 'allowlist',
+    networkAllow: [{ host: 'github.com', port: 443 }],
+  })._seedOptions();
+  assertEqual(seed.files.map(f => f.path), [DNS_STUB_PATH, '/etc/udhcpc/udhcpc.conf']);
+  assertEqual(seed.runcmd, dnsStubSeed().runcmd);
+  assert(seed.runcmd.some(c => c.includes('nameserver 127.0.0.1')), 'resolv.conf');
+  assertEqual(new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', networkMode: 'isolated' })._seedOptions().files, []);
+});
+
+await test('The runner answers for allowed hostnames and emits dns events', async () => {
+  const r = new CarapaceRunner({
+    image: '/tmp/fake-carapaceos.qcow2',
+    networkMode: 'allowlist',
+    networkAllow: [{ host: 'github.com', port: 443 }, { host: 'github.com', port: 22 }, { host: '192.0.2.10', port: 80 }],
+  });
+  r._dnsSocket = join(TMP, 'runner-dns.sock');
+  const events = [];
+  r.on('dns', q => events.push(q.name));
+  await r._startDns();
+  try {
+    const sock = createConnection(r._dnsSocket);
+    const frames = readFrames(sock, 1);
+    sock.write(frame(query('github.com')));
+    assertEqual(decode((await frames)[0]).answers, ['10.0.2.100']);
+    assertEqual(events, ['github.com']);
+    assertEqual(r._dns.lookup('192.0.2.10'), undefined, 'IP entries need no record');
+    sock.destroy();
+  } finally {
+    await r.shutdown(true);
+  }
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
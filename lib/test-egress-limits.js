@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for per-VM egress limits (lib/egress-limits.js) in the
+ * allowlist relay and the egress proxy. No QEMU required: traffic goes to
+ * local TCP servers.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { createConnection, createServer } from 'net';
+import { request } from 'http';
+import { PassThrough } from 'stream';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EgressLimiter, normalizeEgressLimits } from './egress-limits.js';
+import { NetworkRelay } from './network-relay.js';
+import { EgressProxy } from './egress-proxy.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, includes) {
+  let err;
+  try { fn(); } catch (e) { err = e; }
+  assert(err, 'Expected an error');
+  assert(err.message.includes(includes), `Got: ${err.message}`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-limits-test-'));
+
+/** A TCP server that echoes everything back */
+async function echoServer() {
+  const server = createServer(sock => {
+    sock.on('error', () => {});
+    sock.pipe(sock);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+function route(port, name) {
+  return { host: '127.0.0.1', port, guestAddr: '10.0.2.100', socketPath: join(TMP, `${name}.sock`) };
+}
+
+/** Connect to a relay socket; resolves once the relay has accepted (or cut) it */
+function open(socketPath) {
+  return new Promise((resolve, reject) => {
+    const sock = createConnection(socketPath, () => resolve(sock));
+    sock.on('error', reject);
+  });
+}
+
+const closed = sock => new Promise(resolve => (sock.destroyed ? resolve() : sock.once('close', resolve)));
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🧮 CarapaceOS Egress Limit Tests\n');
+
+console.log('Limits');
+
+await test('normalizeEgressLimits accepts positive integers and rejects the rest', () => {
+  assertEqual(normalizeEgressLimits(undefined), null);
+  assertEqual(normalizeEgressLimits({}), null);
+  assertEqual(normalizeEgressLimits({ maxBytes: 1024, maxConnections: 4 }), { maxBytes: 1024, maxConnections: 4 });
+  assertThrows(() => normalizeEgressLimits({ bandwidth: 10 }), 'Unknown egressLimits key "bandwidth"');
+  assertThrows(() => normalizeEgressLimits({ maxBytes: 0 }), 'egressLimits.maxBytes must be a positive integer');
+  assertThrows(() => normalizeEgressLimits({ bytesPerSecond: 1.5 }), 'positive integer');
+  assertThrows(() => normalizeEgressLimits([]), 'must be an object');
+});
+
+await test('maxConnections refuses one more and reports it', () => {
+  const limiter = new EgressLimiter({ maxConnections: 1 });
+  const hits = [];
+  limiter.on('limit', e => hits.push(e));
+  const first = limiter.open({ host: 'a.com', port: 443 });
+  assertEqual(first.refused, undefined);
+  assert(limiter.open({ host: 'b.com', port: 443 }).refused.includes('maxConnections (1)'), 'second is refused');
+  first.release();
+  assertEqual(limiter.open({ host: 'c.com', port: 443 }).refused, undefined, 'a released slot is free again');
+  assertEqual(hits, [{ limit: 'maxConnections', value: 1, host: 'b.com', port: 443, bytes: 0, connections: 1 }]);
+});
+
+await test('bytesPerSecond slows a stream down without cutting it', async () => {
+  const limiter = new EgressLimiter({ bytesPerSecond: 10_000 });
+  const src = new PassThrough();
+  const dst = new PassThrough();
+  let received = 0;
+  dst.on('data', d => { received += d.length; });
+  const start = Date.now();
+  limiter.pipe(src, dst);
+  for (let i = 0; i < 5; i++) src.write(Buffer.alloc(1000));
+  src.end();
+  await new Promise(resolve => dst.on('end', resolve));
+  assertEqual(received, 5000);
+  assert(Date.now() - start >= 380, `5000 B at 10000 B/s took ${Date.now() - start} ms`);
+  assertEqual(limiter.bytes, 5000);
+});
+
+console.log('\nRelay');
+
+await test('maxBytes cuts every open connection and refuses new ones', async () => {
+  const upstream = await echoServer();
+  const limiter = new EgressLimiter({ maxBytes: 1000 });
+  const hits = [];
+  limiter.on('limit', e => hits.push(e));
+  const relay = new NetworkRelay([route(upstream.address().port, 'bytes')], { limiter });
+  const records = [];
+  relay.on('connection', c => records.push(c));
+  await relay.listen();
+  try {
+    const idle = await open(relay.routes[0].socketPath);
+    const busy = await open(relay.routes[0].socketPath);
+    busy.on('data', () => {});
+    busy.write(Buffer.alloc(400)); // 800 B with the echo
+    await delay(100);
+    busy.write(Buffer.alloc(400));
+    await Promise.all([closed(idle), closed(busy)]);
+    assertEqual(hits.map(e => [e.limit, e.value]), [['maxBytes', 1000]]);
+
+    const late = await open(relay.routes[0].socketPath);
+    await closed(late);
+    await delay(50);
+    assert(records.at(-1).error.includes('maxBytes (1000)'), `Got: ${records.at(-1).error}`);
+    assertEqual(hits.length, 1, 'reported once per session');
+  } finally {
+    await relay.close();
+    upstream.close();
+  }
+});
+
+console.log('\nProxy');
+
+await test('A CONNECT past maxConnections is cut instead of tunnelled', async () => {
+  const upstream = await echoServer();
+  const { port } = upstream.address();
+  const limiter = new EgressLimiter({ maxConnections: 1 });
+  const proxy = new EgressProxy([{ host: '127.0.0.1', port }], { limiter });
+  const socketPath = join(TMP, 'proxy.sock');
+  await proxy.listen(socketPath);
+  const connectVia = () => new Promise((resolve, reject) => {
+    const req = request({ socketPath, method: 'CONNECT', path: `127.0.0.1:${port}` });
+    req.on('connect', (res, socket) => resolve({ status: res.statusCode, socket }));
+    req.on('error', err => resolve({ error: err.code }));
+    req.on('close', () => reject(new Error('closed without a reply')));
+    req.end();
+  });
+  try {
+    const first = await connectVia();
+    assertEqual(first.status, 200);
+    assertEqual(await connectVia(), { error: 'ECONNRESET' }, 'second tunnel');
+    first.socket.destroy();
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+console.log('\nCarapaceRunner');
+
+await test('egressLimits need allowlist or proxy mode', () => {
+  assertThrows(() => new CarapaceRunner({ image: '/tmp/fake.qcow2', egressLimits: { maxBytes: 1 } }),
+    'egressLimits need networkMode "allowlist" or "proxy"');
+  const r = new CarapaceRunner({
+    image: '/tmp/fake.qcow2',
+    networkMode: 'proxy',
+    networkAllow: ['*.github.com'],
+    egressLimits: { maxConnections: 2 },
+  });
+  assertEqual(r.info.network.limits, { maxConnections: 2 });
+});
+
+await test('A limit hit emits network:limit and lands in the network log', async () => {
+  const upstream = await echoServer();
+  const r = new CarapaceRunner({
+    image: '/tmp/fake.qcow2',
+    networkMode: 'allowlist',
+    networkAllow: [{ host: '127.0.0.1', port: upstream.address().port }],
+    egressLimits: { maxConnections: 1 },
+    networkLogPath: join(TMP, 'runner-network.jsonl'),
+  });
+  r._workDir = TMP;
+  const events = [];
+  r.on('network:limit', e => events.push(e));
+  await r._startRelay();
+  try {
+    const socketPath = r._allowlistRoutes()[0].socketPath;
+    const first = await open(socketPath);
+    const second = await open(socketPath);
+    await closed(second);
+    assertEqual(events.map(e => [e.limit, e.value, e.connections]), [['maxConnections', 1, 1]]);
+    assertEqual((await r.networkLog({ type: 'limit' })).map(e => e.limit), ['maxConnections']);
+    first.destroy();
+  } finally {
+    await r._relay.close();
+    upstream.close();
+  }
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the proxy-mode egress proxy (lib/egress-proxy.js).
+ * No QEMU required: the proxy serves on a Unix socket and forwards to
+ * local HTTP/TCP servers.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer as createHttpServer, request } from 'http';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join, basename } from 'path';
+import { EgressProxy, normalizeProxyRules, proxySeed, PROXY_URL, PROXY_PROFILE_PATH } from './egress-proxy.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, includes) {
+  let err;
+  try { fn(); } catch (e) { err = e; }
+  assert(err, 'Expected an error');
+  assert(err.message.includes(includes), `Got: ${err.message}`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-proxy-test-'));
+
+/** An HTTP server that echoes what it received */
+async function echoServer() {
+  const server = createHttpServer((req, res) => {
+    let body = '';
+    req.on('data', d => { body += d; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/** Send a request to the proxy socket like a proxy client would; resolves { status, body } */
+function viaProxy(socketPath, method, path, body) {
+  const headers = { 'Proxy-Connection': 'keep-alive' };
+  if (path.startsWith('http://')) headers.Host = new URL(path).host;
+  return new Promise((resolve, reject) => {
+    const req = request({ socketPath, method, path, headers }, res => {
+      let data = '';
+      res.on('data', d => { data += d; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/** CONNECT through the proxy socket; resolves { status, socket } */
+function connectVia(socketPath, target) {
+  return new Promise((resolve, reject) => {
+    const req = request({ socketPath, method: 'CONNECT', path: target });
+    req.on('connect', (res, socket) => resolve({ status: res.statusCode, socket }));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🚦 CarapaceOS Egress Proxy Tests\n');
+
+console.log('Rules');
+
+await test('normalizeProxyRules accepts hosts, wildcards and rule objects', () => {
+  assertEqual(normalizeProxyRules([
+    'Registry.npmjs.org.',
+    '*.github.com',
+    { host: 'api.example.com', port: 8443, methods: ['get'], paths: ['/v1/*'] },
+  ]), [
+    { host: 'registry.npmjs.org' },
+    { host: '*.github.com' },
+    { host: 'api.example.com', port: 8443, methods: ['GET'], paths: ['/v1/*'] },
+  ]);
+});
+
+await test('normalizeProxyRules rejects malformed entries', () => {
+  assertThrows(() => normalizeProxyRules(['github.*']), 'networkAllow[0].host');
+  assertThrows(() => normalizeProxyRules(['*']), 'networkAllow[0].host');
+  assertThrows(() => normalizeProxyRules(['ok.com', { host: 'a.com', port: 0 }]), 'networkAllow[1].port');
+  assertThrows(() => normalizeProxyRules([{ host: 'a.com', methods: [] }]), 'methods');
+  assertThrows(() => normalizeProxyRules([{ host: 'a.com', paths: ['v1'] }]), 'paths');
+});
+
+await test('check() matches wildcards, default ports and explicit ports', () => {
+  const p = new EgressProxy(['*.github.com', 'registry.npmjs.org', { host: 'db.example.com', port: 5432 }]);
+  assert(p.check({ method: 'CONNECT', host: 'api.github.com', port: 443 }).allowed, 'subdomain');
+  assert(p.check({ method: 'CONNECT', host: 'a.b.GITHUB.com', port: 443 }).allowed, 'nested subdomain');
+  assertEqual(p.check({ method: 'CONNECT', host: 'github.com', port: 443 }),
+    { allowed: false, reason: 'host github.com is not allowed' }, 'wildcard excludes the apex');
+  assertEqual(p.check({ method: 'CONNECT', host: 'evilgithub.com', port: 443 }).allowed, false);
+  assert(p.check({ method: 'GET', host: 'registry.npmjs.org', port: 80, path: '/' }).allowed, 'port 80');
+  assertEqual(p.check({ method: 'CONNECT', host: 'registry.npmjs.org', port: 22 }),
+    { allowed: false, reason: 'port 22 is not allowed for registry.npmjs.org' });
+  assert(p.check({ method: 'CONNECT', host: 'db.example.com', port: 5432 }).allowed, 'explicit port');
+  assertEqual(p.check({ method: 'CONNECT', host: 'db.example.com', port: 443 }).allowed, false);
+});
+
+await test('check() applies method/path rules to plain HTTP and refuses CONNECT', () => {
+  const p = new EgressProxy([{ host: 'api.example.com', methods: ['GET', 'HEAD'], paths: ['/v1/*', '/health'] }]);
+  assert(p.check({ method: 'GET', host: 'api.example.com', port: 80, path: '/v1/users' }).allowed);
+  assert(p.check({ method: 'HEAD', host: 'api.example.com', port: 80, path: '/health' }).allowed);
+  assertEqual(p.check({ method: 'POST', host: 'api.example.com', port: 80, path: '/v1/users' }),
+    { allowed: false, reason: 'POST /v1/users is not allowed for api.example.com' });
+  assertEqual(p.check({ method: 'GET', host: 'api.example.com', port: 80, path: '/v2/users' }).allowed, false);
+  assertEqual(p.check({ method: 'GET', host: 'api.example.com', port: 80, path: '/healthz' }).allowed, false);
+  assertEqual(p.check({ method: 'CONNECT', host: 'api.example.com', port: 443 }).allowed, false);
+});
+
+console.log('\nProxying');
+
+await test('Forwards allowed plain HTTP without hop-by-hop headers', async () => {
+  const upstream = await echoServer();
+  const { port } = upstream.address();
+  const proxy = new EgressProxy([{ host: '127.0.0.1', port, methods: ['POST'], paths: ['/api/*'] }], { vm: 'vm-1' });
+  const seen = [];
+  proxy.on('request', r => seen.push(r));
+  const socketPath = join(TMP, 'http.sock');
+  await proxy.listen(socketPath);
+  try {
+    const res = await viaProxy(socketPath, 'POST', `http://127.0.0.1:${port}/api/x?q=1`, 'payload');
+    assertEqual(res.status, 200);
+    const echoed = JSON.parse(res.body);
+    assertEqual([echoed.method, echoed.url, echoed.body], ['POST', '/api/x?q=1', 'payload']);
+    assert(!('proxy-connection' in echoed.headers), 'Proxy-Connection is not forwarded');
+    assertEqual(seen, [{ vm: 'vm-1', method: 'POST', host: '127.0.0.1', port, path: '/api/x', allowed: true }]);
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+await test('Denies other requests with 403 and reports why', async () => {
+  const upstream = await echoServer();
+  const { port } = upstream.address();
+  const proxy = new EgressProxy([{ host: '127.0.0.1', port, paths: ['/api/*'] }], { vm: 'vm-2' });
+  const seen = [];
+  proxy.on('request', r => seen.push(r));
+  const socketPath = join(TMP, 'deny.sock');
+  await proxy.listen(socketPath);
+  try {
+    const res = await viaProxy(socketPath, 'GET', `http://127.0.0.1:${port}/admin`);
+    assertEqual(res.status, 403);
+    assert(res.body.includes('GET /admin is not allowed'), `Got: ${res.body}`);
+    assertEqual((await viaProxy(socketPath, 'GET', `http://localhost:${port}/api/x`)).status, 403, 'other host');
+    assertEqual((await viaProxy(socketPath, 'GET', '/api/x')).status, 400, 'origin-form request');
+    assertEqual(seen.map(r => [r.vm, r.allowed]), [['vm-2', false], ['vm-2', false]]);
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+await test('Sends the URL host upstream and rejects a different Host header', async () => {
+  const upstream = await echoServer();
+  const { port } = upstream.address();
+  const proxy = new EgressProxy([{ host: 'localhost', port, paths: ['/public/*'] }]);
+  const socketPath = join(TMP, 'host.sock');
+  await proxy.listen(socketPath);
+  const get = headers => new Promise((resolve, reject) => {
+    const req = request({ socketPath, path: `http://localhost:${port}/public/x`, headers }, res => {
+      let data = '';
+      res.on('data', d => { data += d; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+  try {
+    const ok = await get({ Host: `LOCALHOST:${port}` });
+    assertEqual(ok.status, 200);
+    assertEqual(JSON.parse(ok.body).headers.host, `localhost:${port}`, 'Host comes from the URL');
+    const spoofed = await get({ Host: 'evil.example' });
+    assertEqual(spoofed.status, 400, 'mismatched Host');
+    assert(spoofed.body.includes('does not match'), `Got: ${spoofed.body}`);
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+await test('Tunnels allowed CONNECT and refuses the rest', async () => {
+  const echo = createServer(sock => sock.pipe(sock));
+  await new Promise(resolve => echo.listen(0, '127.0.0.1', resolve));
+  const { port } = echo.address();
+  const proxy = new EgressProxy([{ host: '127.0.0.1', port }]);
+  const socketPath = join(TMP, 'connect.sock');
+  await proxy.listen(socketPath);
+  try {
+    const { status, socket } = await connectVia(socketPath, `127.0.0.1:${port}`);
+    assertEqual(status, 200);
+    const reply = new Promise(resolve => socket.once('data', d => resolve(d.toString())));
+    socket.write('ping');
+    assertEqual(await reply, 'ping');
+    socket.destroy();
+
+    const denied = await new Promise((resolve, reject) => {
+      const req = request({ socketPath, method: 'CONNECT', path: `127.0.0.1:${port + 1}` });
+      req.on('connect', res => resolve(res.statusCode));
+      req.on('response', res => resolve(res.statusCode));
+      req.on('error', reject);
+      req.end();
+    });
+    assertEqual(denied, 403);
+  } finally {
+    await proxy.close();
+    echo.close();
+  }
+});
+
+console.log('\nGuest configuration');
+
+await test('proxySeed points env, git and npm at the proxy', () => {
+  const { files, runcmd } = proxySeed();
+  const byPath = Object.fromEntries(files.map(f => [f.path, f.content]));
+  assert(byPath[PROXY_PROFILE_PATH].includes(`export HTTPS_PROXY=${PROXY_URL}`), 'profile exports HTTPS_PROXY');
+  assert(byPath[PROXY_PROFILE_PATH].includes('export no_proxy=localhost,127.0.0.1'), 'profile exports no_proxy');
+  assert(byPath['/etc/gitconfig'].includes(`proxy = ${PROXY_URL}`), 'git http.proxy');
+  assert(byPath['/usr/etc/npmrc'].includes(`https-proxy=${PROXY_URL}`), 'npm https-proxy');
+  assert(runcmd[0].includes('SetEnv HTTP_PROXY='), 'sshd passes the variables to SSH sessions');
+});
+
+await test('The runner seeds proxy config and starts the proxy with its VM id', async () => {
+  const r = new CarapaceRunner({
+    image: '/tmp/fake-carapaceos.qcow2',
+    networkMode: 'proxy',
+    networkAllow: ['*.github.com'],
+    transport: 'serial',
+  });
+  const seed = r._seedOptions();
+  assert(seed.runcmd[0].startsWith(`. ${PROXY_PROFILE_PATH}; `), 'guest agent starts with the proxy variables');
+  assert(seed.files.some(f => f.path === '/etc/gitconfig'), 'gitconfig in the seed');
+
+  r._proxySocket = join(TMP, 'runner-proxy.sock');
+  const events = [];
+  r.on('proxy', e => events.push(e));
+  await r._startProxy();
+  try {
+    const res = await viaProxy(r._proxySocket, 'GET', 'http://example.com/');
+    assertEqual(res.status, 403);
+    assertEqual(events.map(e => [e.vm, e.host, e.allowed]), [[basename(r._workDir), 'example.com', false]]);
+  } finally {
+    await r.shutdown(true);
+  }
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,808 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for CarapaceRunner command execution — no QEMU required.
+ *
+ * A fake `ssh` shim is placed first on PATH: it ignores all SSH options and
+ * runs the remote command (its last argument) with the local /bin/sh.
+ * This exercises the real exec plumbing (spawn, streaming, exit codes)
+ * without a VM.
+ */
+
+import { CarapaceRunner } from './agent-runner.js';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync, mkdirSync, existsSync, readFileSync, statSync, symlinkSync, readlinkSync, lstatSync } from 'fs';
+import { execSync } from 'child_process';
+import { createServer } from 'net';
+import { Readable } from 'stream';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// ─── Fake ssh shim ────────────────────────────────────────────────────────────
+
+const SHIM_DIR = mkdtempSync(join(tmpdir(), 'carapace-shim-'));
+writeFileSync(join(SHIM_DIR, 'ssh'), [
+  '#!/bin/sh',
+  '# Fake ssh: run the last argument (the remote command) locally',
+  'for last; do :; done',
+  '# Like sshd, start the remote command in a new session (own process group)',
+  'exec setsid sh -c "$last"',
+  '',
+].join('\n'));
+chmodSync(join(SHIM_DIR, 'ssh'), 0o755);
+writeFileSync(join(SHIM_DIR, 'sudo'), [
+  '#!/bin/sh',
+  '# Fake sudo: record the -u target, drop the other options, exec the rest',
+  'while [ $# -gt 0 ]; do',
+  '  case "$1" in',
+  '    -u) export SUDO_TARGET="$2"; shift 2 ;;',
+  '    --) shift; break ;;',
+  '    -*) shift ;;',
+  '    *) break ;;',
+  '  esac',
+  'done',
+  'exec "$@"',
+  '',
+].join('\n'));
+chmodSync(join(SHIM_DIR, 'sudo'), 0o755);
+process.env.PATH = `${SHIM_DIR}:${process.env.PATH}`;
+// Background jobs keep their state under $HOME in the "guest"
+process.env.HOME = join(SHIM_DIR, 'home');
+mkdirSync(process.env.HOME);
+
+function makeBootedRunner(opts = {}) {
+  const runner = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', ...opts });
+  runner._booted = true;
+  runner._sshArgs = ['-p', '0', 'agent@127.0.0.1'];
+  return runner;
+}
+
+// ─── Test runner ──────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n⚙️  CarapaceOS Exec Tests\n');
+
+console.log('run()');
+
+await test('run() returns stdout, stderr, code and duration', async () => {
+  const r = makeBootedRunner();
+  const result = await r.run('echo out; echo err >&2; exit 3');
+  assertEqual(result.stdout, 'out');
+  assertEqual(result.stderr, 'err');
+  assertEqual(result.code, 3);
+  assert(typeof result.duration === 'number', 'has duration');
+});
+
+await test('run() throws when VM is not booted', async () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  let threw = false;
+  try { await r.run('true'); } catch (e) {
+    threw = true;
+    assert(e.message.includes('not booted'), `Got: ${e.message}`);
+  }
+  assert(threw, 'Should throw');
+});
+
+// ─── Streaming ────────────────────────────────────────────────────────────────
+
+console.log('\nStreaming output');
+
+await test('run() delivers chunks to onStdout/onStderr before completion', async () => {
+  const r = makeBootedRunner();
+  const out = [];
+  const err = [];
+  let firstChunkAt = null;
+  const result = await r.run('echo one; sleep 0.3; echo two; echo oops >&2', {
+    onStdout: d => { out.push(d); firstChunkAt ??= Date.now(); },
+    onStderr: d => err.push(d),
+  });
+  assertEqual(out.join(''), 'one\ntwo\n');
+  assertEqual(err.join(''), 'oops\n');
+  assert(Date.now() - firstChunkAt >= 200, 'first chunk arrived before the command finished');
+  assertEqual(result.stdout, 'one\ntwo', 'buffered stdout still returned');
+});
+
+await test('stream() yields chunks and returns { code, duration }', async () => {
+  const r = makeBootedRunner();
+  const it = r.stream('echo a; echo b >&2; exit 7');
+  const chunks = [];
+  let step;
+  while (!(step = await it.next()).done) chunks.push(step.value);
+
+  const stdout = chunks.filter(c => c.stream === 'stdout').map(c => c.data).join('');
+  const stderr = chunks.filter(c => c.stream === 'stderr').map(c => c.data).join('');
+  assertEqual(stdout, 'a\n');
+  assertEqual(stderr, 'b\n');
+  assertEqual(step.value.code, 7);
+  assert(typeof step.value.duration === 'number', 'has duration');
+});
+
+await test('stream() works with for await', async () => {
+  const r = makeBootedRunner();
+  let text = '';
+  for await (const { data } of r.stream('for i in 1 2 3; do echo $i; sleep 0.05; done')) {
+    text += data;
+  }
+  assertEqual(text, '1\n2\n3\n');
+});
+
+await test('Leaving a stream() loop early kills the command', async () => {
+  const r = makeBootedRunner();
+  const pidFile = join(SHIM_DIR, 'stream-child.pid');
+  const start = Date.now();
+  for await (const { data } of r.stream(`sleep 30 & echo $! > ${pidFile}; echo started; wait`)) {
+    assertEqual(data, 'started\n');
+    break;
+  }
+  assert(Date.now() - start < 10_000, `took ${Date.now() - start}ms`);
+  const child = parseInt(readFileSync(pidFile, 'utf8'));
+  await new Promise(res => setTimeout(res, 100));
+  assert(!processAlive(child), `background child ${child} still running`);
+});
+
+await test('run() with an aborted signal kills the command', async () => {
+  const r = makeBootedRunner();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 300);
+  const result = await r.run('echo $$; sleep 30', { signal: controller.signal });
+  assertEqual([result.aborted, result.timedOut, result.code, result.signal], [true, false, null, 'SIGTERM']);
+  assert(!processAlive(parseInt(result.stdout)), 'command still running');
+});
+
+await test('stream() rethrows when the VM is not booted', async () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  let threw = false;
+  try {
+    for await (const _ of r.stream('true')) { /* nothing */ }
+  } catch (e) {
+    threw = true;
+    assert(e.message.includes('not booted'), `Got: ${e.message}`);
+  }
+  assert(threw, 'Should throw');
+});
+
+// ─── Exec options ─────────────────────────────────────────────────────────────
+
+console.log('\nExec options');
+
+await test('argv array is passed without shell interpretation', async () => {
+  const r = makeBootedRunner();
+  const tricky = "it's $HOME; echo pwned `id` \"quoted\" * \\n";
+  const result = await r.run(['printf', '%s', tricky]);
+  assertEqual(result.stdout, tricky.trim());
+  assertEqual(result.code, 0);
+});
+
+await test('opts.argv works the same as an argv array', async () => {
+  const r = makeBootedRunner();
+  const result = await r.run(null, { argv: ['echo', 'a b', 'c'] });
+  assertEqual(result.stdout, 'a b c');
+});
+
+await test('env sets variables with safe quoting', async () => {
+  const r = makeBootedRunner();
+  const result = await r.run('printf "%s|%s" "$FOO" "$BAR"', { env: { FOO: "x'; exit 9; '", BAR: '$(id)' } });
+  assertEqual(result.stdout, "x'; exit 9; '|$(id)");
+  assertEqual(result.code, 0);
+});
+
+await test('cwd changes directory and fails cleanly when missing', async () => {
+  const r = makeBootedRunner();
+  const dir = join(SHIM_DIR, "dir with 'quotes'");
+  mkdirSync(dir);
+  const ok = await r.run(['pwd'], { cwd: dir });
+  assertEqual(ok.stdout, dir);
+  const missing = await r.run('echo should-not-run', { cwd: join(SHIM_DIR, 'missing') });
+  assertEqual(missing.code, 1, 'exit 1 when cwd missing');
+  assert(!missing.stdout.includes('should-not-run'), 'command did not run');
+});
+
+await test('stdin accepts a string, Buffer or stream', async () => {
+  const r = makeBootedRunner();
+  assertEqual((await r.run('cat', { stdin: 'from string' })).stdout, 'from string');
+  assertEqual((await r.run('cat', { stdin: Buffer.from('from buffer') })).stdout, 'from buffer');
+  assertEqual((await r.run('cat', { stdin: Readable.from(['from ', 'stream']) })).stdout, 'from stream');
+});
+
+await test('commands without stdin see EOF instead of hanging', async () => {
+  const r = makeBootedRunner();
+  const result = await r.run('cat; echo done', { timeout: 5 });
+  assertEqual(result.stdout, 'done');
+});
+
+await test('user runs the command through sudo -u', async () => {
+  const r = makeBootedRunner();
+  const result = await r.run(['sh', '-c', 'echo "$SUDO_TARGET:$GREETING"'], { user: 'builder', env: { GREETING: 'hi there' } });
+  assertEqual(result.stdout, 'builder:hi there');
+});
+
+await test('invalid exec options are rejected', async () => {
+  const r = makeBootedRunner();
+  const cases = [
+    [null, { argv: [] }, 'argv'],
+    ['ls', { argv: ['ls'] }, 'not both'],
+    ['ls', { env: { 'BAD-NAME': 'x' } }, 'env variable name'],
+    ['ls', { user: 'root; id' }, 'user name'],
+    ['ls', { stdin: 42 }, 'stdin'],
+  ];
+  for (const [command, opts, expected] of cases) {
+    let threw = false;
+    try { await r.run(command, opts); } catch (e) {
+      threw = true;
+      assert(e.message.includes(expected), `expected "${expected}", got "${e.message}"`);
+    }
+    assert(threw, `should reject ${JSON.stringify(opts)}`);
+  }
+});
+
+// ─── Timeouts ─────────────────────────────────────────────────────────────────
+
+console.log('\nTimeouts');
+
+// Zombies (exited but not yet reaped by init) count as dead
+function processAlive(pid) {
+  try {
+    return readFileSync(`/proc/${pid}/stat`, 'utf8').split(') ')[1][0] !== 'Z';
+  } catch {
+    return false;
+  }
+}
+
+await test('timeout kills the whole remote process tree', async () => {
+  const r = makeBootedRunner();
+  const pidFile = join(SHIM_DIR, 'grandchild.pid');
+  // A backgrounded grandchild would survive if only the ssh client were killed
+  const result = await r.run(`(sleep 30 & echo $! > ${pidFile}; wait) & sleep 30`, { timeout: 1 });
+  assertEqual(result.timedOut, true, 'timedOut');
+  assertEqual(result.code, null, 'code');
+  assertEqual(result.signal, 'SIGTERM', 'signal');
+  const grandchild = parseInt(readFileSync(pidFile, 'utf8'));
+  await new Promise(res => setTimeout(res, 100));
+  assert(!processAlive(grandchild), `grandchild ${grandchild} still running`);
+});
+
+await test('timeout escalates to SIGKILL when SIGTERM is ignored', async () => {
+  const r = makeBootedRunner();
+  const result = await r.run("trap '' TERM; while :; do sleep 0.1; done", { timeout: 1 });
+  assertEqual(result.timedOut, true, 'timedOut');
+  assertEqual(result.signal, 'SIGKILL', 'signal');
+});
+
+await test('runner stays usable after a timeout', async () => {
+  const r = makeBootedRunner();
+  await r.run('sleep 30', { timeout: 1 });
+  const result = await r.run('echo still-here');
+  assertEqual(result.stdout, 'still-here');
+  assertEqual(result.timedOut, false);
+});
+
+await test('process group files are removed once the command ends', async () => {
+  const r = makeBootedRunner();
+  const before = (await r.run('grep -l "^$$$" /tmp/.carapace-run-*.pid')).stdout;
+  assert(before.startsWith('/tmp/.carapace-run-'), `own pid file visible while running: ${before}`);
+  assert(!existsSync(before), 'removed after exit');
+
+  const killed = await r.run('echo $$; sleep 30', { timeout: 1 });
+  const leftover = (await r.run(`grep -l "^${killed.stdout}$" /tmp/.carapace-run-*.pid 2>/dev/null`)).stdout;
+  assertEqual(leftover, '', 'removed after timeout kill');
+});
+
+await test('runTask reports timeouts distinctly from failures', async () => {
+  const r = makeBootedRunner();
+  let error = null;
+  try {
+    await r.runTask([{ name: 'hang', command: 'sleep 30', opts: { timeout: 1 } }]);
+  } catch (e) { error = e; }
+  assert(error, 'runTask threw');
+  assert(error.message.includes('timed out'), `message: ${error.message}`);
+
+  const results = await r.runTask([{ name: 'hang', command: 'sleep 30', opts: { timeout: 1 }, optional: true }]);
+  assertEqual(results[0].timedOut, true, 'timedOut in step result');
+  assertEqual(results[0].success, false, 'not successful');
+});
+
+// ─── Background jobs ──────────────────────────────────────────────────────────
+
+console.log('\nBackground jobs');
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+async function waitForJob(r, id, pred, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const job = await r.jobStatus(id);
+    if (pred(job)) return job;
+    await sleep(100);
+  }
+  throw new Error(`job ${id} did not reach expected state`);
+}
+
+await test('startJob() runs in the background and reports running', async () => {
+  const r = makeBootedRunner();
+  const start = Date.now();
+  const job = await r.startJob('echo started; sleep 30');
+  assert(Date.now() - start < 5000, 'startJob returned before the command finished');
+  assert(job.id.startsWith('job-'), `id: ${job.id}`);
+  assertEqual(job.state, 'running', 'state');
+  assertEqual(job.command, 'echo started; sleep 30', 'command');
+  assert(job.pid > 0 && processAlive(job.pid), 'process group leader alive');
+  assert(job.startedAt, 'startedAt');
+  await r.killJob(job.id, { graceMs: 200 });
+});
+
+await test('job output is persisted and readable incrementally', async () => {
+  const r = makeBootedRunner();
+  const job = await r.startJob('echo one; echo err >&2; sleep 0.5; echo two');
+  const first = await waitForJob(r, job.id, () => true).then(() => r.jobLogs(job.id));
+  assert(first.stdout.startsWith('one'), `stdout: ${JSON.stringify(first.stdout)}`);
+
+  await waitForJob(r, job.id, j => j.state === 'exited');
+  const rest = await r.jobLogs(job.id, { since: first.next });
+  const all = await r.jobLogs(job.id);
+  assertEqual(all.stdout, 'one\ntwo\n', 'full stdout');
+  assertEqual(all.stderr, 'err\n', 'full stderr');
+  assertEqual(first.stdout + rest.stdout, all.stdout, 'incremental reads add up');
+  assertEqual(all.next.stdout, 8, 'next offset is the byte count');
+});
+
+await test('job log chunks never split a multi-byte character', async () => {
+  const r = makeBootedRunner();
+  // "é" is 2 bytes, "€" 3 and "🦀" 4; each is split across two writes, and
+  // the job waits for step-N before writing part N so every read lands mid-character
+  const steps = join(SHIM_DIR, 'utf8-steps');
+  mkdirSync(steps);
+  const parts = ['a\\303', '\\251\\342\\202', '\\254\\360\\237\\246', '\\200z'];
+  const job = await r.startJob(parts
+    .map((p, i) => `${i ? `while [ ! -e ${steps}/step-${i} ]; do sleep 0.05; done; ` : ''}printf '${p}'`)
+    .join('; '));
+  const chunks = [];
+  let next;
+  for (let i = 1; i <= parts.length; i++) {
+    let logs;
+    for (const start = Date.now(); Date.now() - start < 5000; await sleep(50)) {
+      logs = await r.jobLogs(job.id, { since: next });
+      if (logs.stdout) break;
+    }
+    chunks.push(logs.stdout);
+    next = logs.next;
+    if (i < parts.length) writeFileSync(join(steps, `step-${i}`), '');
+  }
+  await waitForJob(r, job.id, j => j.state === 'exited');
+  assertEqual(chunks, ['a', 'é', '€', '🦀z'], 'each read stops before the unfinished character');
+  assertEqual(next.stdout, 11, 'next counts every byte once the output is complete');
+});
+
+await test('job logs pass invalid trailing bytes through instead of holding them back', async () => {
+  const r = makeBootedRunner();
+  // 0xff and 0xc0 start no UTF-8 character, so no later write can complete them
+  for (const [bytes, length] of [['x\\377', 2], ['y\\300', 2], ['z\\370\\200', 3]]) {
+    const job = await r.startJob(`printf '${bytes}'`);
+    await waitForJob(r, job.id, j => j.state === 'exited');
+    const logs = await r.jobLogs(job.id);
+    assertEqual(logs.next.stdout, length, `next for ${bytes}`);
+    assert(logs.stdout.endsWith('\uFFFD'), `decoded as a replacement character: ${JSON.stringify(logs.stdout)}`);
+  }
+});
+
+await test('finished jobs report their exit code', async () => {
+  const r = makeBootedRunner();
+  const job = await r.startJob(['sh', '-c', 'exit 7']);
+  const done = await waitForJob(r, job.id, j => j.state === 'exited');
+  assertEqual(done.exitCode, 7, 'exitCode');
+  assertEqual(done.argv, ['sh', '-c', 'exit 7'], 'argv recorded');
+  assert(done.endedAt, 'endedAt');
+});
+
+await test('startJob() applies env and cwd', async () => {
+  const r = makeBootedRunner();
+  const job = await r.startJob('echo "$GREETING from $(pwd)"', { env: { GREETING: 'hi' }, cwd: SHIM_DIR });
+  await waitForJob(r, job.id, j => j.state === 'exited');
+  assertEqual((await r.jobLogs(job.id)).stdout, `hi from ${SHIM_DIR}\n`);
+});
+
+await test('killJob() kills the whole process group', async () => {
+  const r = makeBootedRunner();
+  const pidFile = join(SHIM_DIR, 'job-child.pid');
+  const job = await r.startJob(`sleep 30 & echo $! > ${pidFile}; wait`);
+  await waitForJob(r, job.id, () => existsSync(pidFile));
+  const child = parseInt(readFileSync(pidFile, 'utf8'));
+
+  const killed = await r.killJob(job.id, { graceMs: 500 });
+  assertEqual(killed.state, 'killed', 'state');
+  assertEqual(killed.signal, 'SIGTERM', 'signal');
+  assertEqual(killed.cancelled, true, 'cancelled');
+  await sleep(100);
+  assert(!processAlive(child), 'child process killed');
+  assert(!processAlive(job.pid), 'job process killed');
+
+  const again = await r.killJob(job.id);
+  assertEqual([again.state, again.cancelled], ['killed', false], 'killing again is a no-op');
+  const done = await r.startJob('true');
+  await waitForJob(r, done.id, j => j.state === 'exited');
+  assertEqual((await r.killJob(done.id)).cancelled, false, 'finished job not cancelled');
+});
+
+await test('listJobs() returns every job; unknown ids return null', async () => {
+  const r = makeBootedRunner();
+  const job = await r.startJob('true');
+  const jobs = await r.listJobs();
+  assert(jobs.length >= 5, `expected earlier jobs too, got ${jobs.length}`);
+  assert(jobs.some(j => j.id === job.id), 'new job listed');
+  assertEqual(await r.jobStatus('job-missing'), null, 'jobStatus');
+  assertEqual(await r.jobLogs('job-missing'), null, 'jobLogs');
+  assertEqual(await r.killJob('job-missing'), null, 'killJob');
+});
+
+await test('job ids are validated', async () => {
+  const r = makeBootedRunner();
+  for (const id of ['../etc', 'a b', '$(id)', '']) {
+    let threw = false;
+    try { await r.jobStatus(id); } catch (e) { threw = e.message.includes('Invalid job id'); }
+    assert(threw, `should reject ${JSON.stringify(id)}`);
+  }
+});
+
+// ─── Directory transfer ───────────────────────────────────────────────────────
+
+console.log('\nDirectory transfer');
+
+// "Remote" paths are local too, since the fake ssh runs commands on this host
+function makeTree(root) {
+  mkdirSync(join(root, 'src', 'lib'), { recursive: true });
+  mkdirSync(join(root, 'node_modules', 'dep'), { recursive: true });
+  writeFileSync(join(root, 'README.md'), '# project\n');
+  writeFileSync(join(root, 'src', 'lib', 'util.js'), 'export const x = 1;\n');
+  writeFileSync(join(root, 'run.sh'), '#!/bin/sh\necho hi\n');
+  chmodSync(join(root, 'run.sh'), 0o755);
+  symlinkSync('src/lib/util.js', join(root, 'util-link.js'));
+  writeFileSync(join(root, 'node_modules', 'dep', 'index.js'), '');
+  writeFileSync(join(root, 'debug.log'), 'noise\n');
+}
+
+await test('uploadDir() copies a tree preserving modes and symlinks', async () => {
+  const r = makeBootedRunner();
+  const src = join(SHIM_DIR, 'up-src');
+  const dest = join(SHIM_DIR, 'up-dest', 'nested');
+  makeTree(src);
+  const result = await r.uploadDir(src, dest);
+  assert(result.bytes > 0, 'bytes counted');
+  assertEqual(readFileSync(join(dest, 'src', 'lib', 'util.js'), 'utf8'), 'export const x = 1;\n', 'file content');
+  assertEqual(statSync(join(dest, 'run.sh')).mode & 0o777, 0o755, 'mode preserved');
+  assert(lstatSync(join(dest, 'util-link.js')).isSymbolicLink(), 'symlink preserved');
+  assertEqual(readlinkSync(join(dest, 'util-link.js')), 'src/lib/util.js', 'symlink target');
+});
+
+await test('uploadDir() honours exclude patterns', async () => {
+  const r = makeBootedRunner();
+  const dest = join(SHIM_DIR, 'up-exclude');
+  await r.uploadDir(join(SHIM_DIR, 'up-src'), dest, { exclude: ['node_modules', '*.log'] });
+  assert(existsSync(join(dest, 'README.md')), 'README copied');
+  assert(!existsSync(join(dest, 'node_modules')), 'node_modules excluded');
+  assert(!existsSync(join(dest, 'debug.log')), '*.log excluded');
+});
+
+await test('uploadDir({ gitignore: true }) skips ignored files', async () => {
+  const r = makeBootedRunner();
+  const src = join(SHIM_DIR, 'up-git');
+  makeTree(src);
+  writeFileSync(join(src, '.gitignore'), 'node_modules/\n*.log\n');
+  execSync('git init -q && git add README.md && git -c user.name=t -c user.email=t@t commit -qm init', { cwd: src });
+  writeFileSync(join(src, 'untracked.txt'), 'new\n');
+
+  const dest = join(SHIM_DIR, 'up-git-dest');
+  await r.uploadDir(src, dest, { gitignore: true, exclude: ['run.sh'] });
+  assert(existsSync(join(dest, 'README.md')), 'tracked file copied');
+  assert(existsSync(join(dest, 'untracked.txt')), 'untracked file copied');
+  assert(existsSync(join(dest, 'src', 'lib', 'util.js')), 'nested file copied');
+  assert(lstatSync(join(dest, 'util-link.js')).isSymbolicLink(), 'symlink copied');
+  assert(!existsSync(join(dest, 'node_modules')), 'ignored dir skipped');
+  assert(!existsSync(join(dest, 'debug.log')), 'ignored file skipped');
+  assert(!existsSync(join(dest, '.git')), '.git not copied');
+  assert(!existsSync(join(dest, 'run.sh')), 'exclude still applies');
+});
+
+await test('uploadDir({ gitignore: true }) outside a repository is an error', async () => {
+  const r = makeBootedRunner();
+  const src = mkdtempSync(join(tmpdir(), 'carapace-nogit-'));
+  try {
+    let error = null;
+    try { await r.uploadDir(src, join(SHIM_DIR, 'x'), { gitignore: true }); } catch (e) { error = e; }
+    assert(error?.message.includes('git work tree'), `message: ${error?.message}`);
+  } finally {
+    rmSync(src, { recursive: true, force: true });
+  }
+});
+
+await test('downloadDir() copies a tree back, optionally limited by include', async () => {
+  const r = makeBootedRunner();
+  const all = join(SHIM_DIR, 'down-all');
+  await r.downloadDir(join(SHIM_DIR, 'up-src'), all);
+  assertEqual(statSync(join(all, 'run.sh')).mode & 0o777, 0o755, 'mode preserved');
+  assert(lstatSync(join(all, 'util-link.js')).isSymbolicLink(), 'symlink preserved');
+
+  const some = join(SHIM_DIR, 'down-some');
+  const result = await r.downloadDir(join(SHIM_DIR, 'up-src'), some, { include: ['src', 'README.md'] });
+  assert(result.bytes > 0, 'bytes counted');
+  assert(existsSync(join(some, 'src', 'lib', 'util.js')), 'included dir');
+  assert(existsSync(join(some, 'README.md')), 'included file');
+  assert(!existsSync(join(some, 'run.sh')), 'other files skipped');
+});
+
+await test('downloadDir() reports missing remote paths and rejects escaping includes', async () => {
+  const r = makeBootedRunner();
+  let error = null;
+  try { await r.downloadDir(join(SHIM_DIR, 'does-not-exist'), join(SHIM_DIR, 'down-missing')); } catch (e) { error = e; }
+  assert(error?.message.includes('downloadDir failed'), `message: ${error?.message}`);
+
+  error = null;
+  try { await r.downloadDir(SHIM_DIR, join(SHIM_DIR, 'down-escape'), { include: ['../etc'] }); } catch (e) { error = e; }
+  assert(error?.message.includes('relative'), `message: ${error?.message}`);
+});
+
+// ─── SSH multiplexing ─────────────────────────────────────────────────────────
+
+console.log('\nSSH multiplexing');
+
+await test('multiplexing is on by default and uses a ControlPath in the work dir', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  assertEqual(r.multiplex, true);
+  const args = r._buildSshArgs();
+  assert(args.includes(`ControlPath=${r._workDir}/ssh.ctl`), `args: ${args.join(' ')}`);
+  assertEqual(args[args.length - 1], 'agent@127.0.0.1', 'destination is last');
+});
+
+await test('multiplex: false omits ControlPath', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', multiplex: false });
+  const args = r._buildSshArgs();
+  assert(!args.some(a => a.startsWith('ControlPath=')), `args: ${args.join(' ')}`);
+});
+
+await test('scp args share the control socket and use -P for the port', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  const args = r._buildScpArgs('a.txt', 'agent@127.0.0.1:/tmp/a.txt');
+  assert(args.includes(`ControlPath=${r._workDir}/ssh.ctl`), 'has ControlPath');
+  assertEqual(args[args.indexOf('-P') + 1], String(r._sshPort), 'port');
+  assertEqual(args.slice(-2), ['a.txt', 'agent@127.0.0.1:/tmp/a.txt'], 'source and destination');
+});
+
+// ─── Host key pinning ─────────────────────────────────────────────────────────
+
+console.log('\nHost key pinning');
+
+await test('ssh and scp check the host key strictly against the VM\'s known_hosts', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  for (const args of [r._buildSshArgs(), r._buildScpArgs('a', 'b')]) {
+    for (const opt of ['StrictHostKeyChecking=yes', `UserKnownHostsFile=${r._workDir}/known_hosts`,
+      'GlobalKnownHostsFile=/dev/null', `HostKeyAlias=${r._hostKeyAlias}`]) {
+      assert(args.includes(opt), `missing ${opt}: ${args.join(' ')}`);
+    }
+    assert(!args.includes('StrictHostKeyChecking=no'), 'no unchecked connections');
+  }
+});
+
+await test('_writeKnownHosts() pins one key under the VM\'s alias', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  mkdirSync(r._workDir, { recursive: true });
+  try {
+    r._writeKnownHosts('ssh-ed25519 AAAAfirst carapaceos-host\n');
+    r._writeKnownHosts('ssh-ed25519 AAAAsecond carapaceos-host');
+    assertEqual(readFileSync(r._knownHostsPath, 'utf8'), `${r._hostKeyAlias} ssh-ed25519 AAAAsecond\n`);
+    assert(r._hostKeyAlias.startsWith('carapace-'), r._hostKeyAlias);
+    let err;
+    try { r._writeKnownHosts('garbage'); } catch (e) { err = e; }
+    assert(err?.message.includes('Invalid SSH host key'), `Got: ${err?.message}`);
+  } finally {
+    rmSync(r._workDir, { recursive: true, force: true });
+  }
+});
+
+// ─── Port forwarding ──────────────────────────────────────────────────────────
+
+console.log('\nPort forwarding');
+
+/**
+ * Minimal QMP server: greets, accepts qmp_capabilities and records every
+ * human-monitor-command line. hostfwd_add for host port 1 fails the way
+ * QEMU reports it (as HMP text, not a QMP error).
+ */
+async function startFakeQMP() {
+  const socketPath = join(SHIM_DIR, `qmp-${Math.random().toString(36).slice(2, 7)}.sock`);
+  const commands = [];
+  const server = createServer(sock => {
+    sock.write(JSON.stringify({ QMP: { version: {}, capabilities: [] } }) + '\n');
+    let buf = '';
+    sock.on('data', chunk => {
+      buf += chunk;
+      const lines = buf.split('\n');
+      buf = lines.pop();
+      for (const line of lines) {
+        const msg = JSON.parse(line);
+        if (msg.execute === 'qmp_capabilities') {
+          sock.write(JSON.stringify({ return: {} }) + '\n');
+          continue;
+        }
+        const cmdLine = msg.arguments['command-line'];
+        commands.push(cmdLine);
+        const out = cmdLine.includes('127.0.0.1:1-') ? "Could not set up host forwarding rule 'tcp:127.0.0.1:1-:80'\r\n" : '';
+        sock.write(JSON.stringify({ return: out }) + '\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return { socketPath, commands, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+await test('forwardPort() adds a hostfwd rule on a free loopback port', async () => {
+  const qmp = await startFakeQMP();
+  try {
+    const r = makeBootedRunner();
+    r._qmpSocket = qmp.socketPath;
+    const hostPort = await r.forwardPort(3000);
+    assert(Number.isInteger(hostPort) && hostPort > 0, `hostPort: ${hostPort}`);
+    assertEqual(qmp.commands, [`hostfwd_add net0 tcp:127.0.0.1:${hostPort}-:3000`]);
+    assertEqual(r.listForwards().map(f => [f.hostPort, f.guestPort]), [[hostPort, 3000]]);
+  } finally {
+    await qmp.close();
+  }
+});
+
+await test('forwardPort() honours hostPort and rejects duplicates', async () => {
+  const qmp = await startFakeQMP();
+  try {
+    const r = makeBootedRunner();
+    r._qmpSocket = qmp.socketPath;
+    assertEqual(await r.forwardPort(8080, { hostPort: 18080 }), 18080);
+    let code = null;
+    try { await r.forwardPort(9090, { hostPort: 18080 }); } catch (e) { code = e.code; }
+    assertEqual(code, 'EADDRINUSE');
+    assertEqual(qmp.commands.length, 1, 'duplicate never reaches QEMU');
+  } finally {
+    await qmp.close();
+  }
+});
+
+await test('forwardPort() surfaces QEMU failures and validates ports', async () => {
+  const qmp = await startFakeQMP();
+  try {
+    const r = makeBootedRunner();
+    r._qmpSocket = qmp.socketPath;
+    let err = null;
+    try { await r.forwardPort(80, { hostPort: 1 }); } catch (e) { err = e; }
+    assert(err && err.message.includes('hostfwd_add failed'), `Got: ${err?.message}`);
+    assertEqual(err.code, 'EADDRINUSE');
+    assertEqual(r.listForwards(), [], 'failed forward is not recorded');
+
+    err = null;
+    try { await r.forwardPort(70000); } catch (e) { err = e; }
+    assert(err && err.message.includes('Invalid guestPort'), `Got: ${err?.message}`);
+  } finally {
+    await qmp.close();
+  }
+});
+
+await test('removeForward() and shutdown() remove hostfwd rules', async () => {
+  const qmp = await startFakeQMP();
+  try {
+    const r = makeBootedRunner();
+    r._qmpSocket = qmp.socketPath;
+    await r.forwardPort(80, { hostPort: 18081 });
+    await r.forwardPort(81, { hostPort: 18082 });
+    assertEqual(await r.removeForward(18081), true);
+    assertEqual(await r.removeForward(18081), false, 'second remove is a no-op');
+    await r.shutdown();
+    assertEqual(qmp.commands.slice(2), [
+      'hostfwd_remove net0 tcp:127.0.0.1:18081',
+      'hostfwd_remove net0 tcp:127.0.0.1:18082',
+    ]);
+    assertEqual(r.listForwards(), []);
+  } finally {
+    await qmp.close();
+  }
+});
+
+await test('forwardPort() requires a network device', async () => {
+  const r = makeBootedRunner({ networkMode: 'none' });
+  let threw = false;
+  try { await r.forwardPort(80); } catch (e) {
+    threw = true;
+    assert(e.message.includes('network device'), `Got: ${e.message}`);
+  }
+  assert(threw, 'Should throw');
+});
+
+// ─── Interactive shell ────────────────────────────────────────────────────────
+
+console.log('\nInteractive shell');
+
+await test('shell() returns a duplex session that runs input and reports exit', async () => {
+  const r = makeBootedRunner();
+  const session = await r.shell({ shell: 'sh', cols: 100, rows: 30 });
+  let output = '';
+  session.on('data', d => { output += d; });
+  const exited = new Promise(resolve => session.on('exit', resolve));
+  session.write('echo hello-from-pty\n');
+  session.end('exit 3\n');
+  const code = await exited;
+  assert(output.includes('hello-from-pty'), `output: ${JSON.stringify(output)}`);
+  assertEqual(code, 3, 'exit code');
+  assertEqual(session.exitCode, 3, 'exitCode property');
+});
+
+await test('shell() runs opts.shell as one word', async () => {
+  const r = makeBootedRunner();
+  const marker = join(SHIM_DIR, 'shell-injected');
+  const session = await r.shell({ shell: `sh; touch ${marker}; sh` });
+  session.resume();
+  const code = await new Promise(resolve => session.on('exit', resolve));
+  assert(code !== 0, 'no such shell');
+  assert(!existsSync(marker), 'shell value was run as a command line');
+});
+
+await test('shell() applies backpressure to ssh stderr too', async () => {
+  const r = makeBootedRunner();
+  const session = await r.shell({ shell: 'sh' });
+  session.end('head -c 200000 /dev/zero >&2; exit 0\n');
+  // Nobody reads yet: the session buffer fills and stderr must be paused
+  const start = Date.now();
+  while (!session._proc.stderr.isPaused() && Date.now() - start < 5000) {
+    await new Promise(res => setTimeout(res, 20));
+  }
+  assert(session._proc.stderr.isPaused(), 'stderr paused while the reader is behind');
+  let bytes = 0;
+  session.on('data', d => { bytes += d.length; });
+  await new Promise(resolve => session.on('end', resolve));
+  assertEqual(bytes, 200000, 'all output delivered after resuming');
+});
+
+await test('shell() rejects invalid dimensions', async () => {
+  const r = makeBootedRunner();
+  let threw = false;
+  try { await r.shell({ cols: 0 }); } catch (e) {
+    threw = true;
+    assert(e.message.includes('cols'), `Got: ${e.message}`);
+  }
+  assert(threw, 'Should throw');
+});
+
+await test('shell() throws when VM is not booted', async () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  let threw = false;
+  try { await r.shell(); } catch { threw = true; }
+  assert(threw, 'Should throw');
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(SHIM_DIR, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
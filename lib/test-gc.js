@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the VM registry and orphan reaper (lib/gc.js).
+ *
+ * Uses a temporary state dir and temp dir; child Node processes stand in
+ * for QEMU, and dead pids for crashed owners. No QEMU required.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, utimesSync, rmSync, symlinkSync, chmodSync } from 'fs';
+import { spawn, spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { collectGarbage } from './gc.js';
+import { registerVM, unregisterVM, listVMs, isProcessAlive } from './host-state.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-gc-test-'));
+const STATE = join(TMP, 'state');
+const WORK = join(TMP, 'tmp'); // stands in for os.tmpdir()
+mkdirSync(WORK);
+
+const HOUR = 60 * 60 * 1000;
+let dirCounter = 0;
+const children = [];
+
+function gc(opts = {}) {
+  return collectGarbage({ dir: STATE, tmpDir: WORK, ...opts });
+}
+
+/** A work dir as boot() creates it, optionally `ageMs` old. */
+function makeWorkDir(ageMs = 0) {
+  const dir = join(WORK, `carapace-${Date.now()}-${String(++dirCounter).padStart(5, 'a')}`);
+  mkdirSync(dir);
+  writeFileSync(join(dir, 'overlay.qcow2'), Buffer.alloc(4096));
+  age(dir, ageMs);
+  return dir;
+}
+
+function age(path, ageMs) {
+  const t = (Date.now() - ageMs) / 1000;
+  utimesSync(path, t, t);
+}
+
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+// Node under a QEMU binary name, so `ps` shows a qemu-system command line
+const QEMU_BIN = join(TMP, 'qemu-system-x86_64');
+symlinkSync(process.execPath, QEMU_BIN);
+
+/** A long-running process whose command line uses `workDir`, like QEMU's. */
+function fakeQemu(workDir, binary = QEMU_BIN) {
+  const child = spawn(binary, ['-e', 'setTimeout(() => {}, 30000)', `file=${workDir}/overlay.qcow2`], { stdio: 'ignore' });
+  children.push(child);
+  return child;
+}
+
+function register(workDir, { ownerPid, qemuPid = null }) {
+  const id = workDir.split('/').pop();
+  registerVM({ id, workDir, qemuPid }, { dir: STATE });
+  if (ownerPid !== undefined) {
+    // registerVM records the calling process; rewrite the owner as a crashed one
+    writeFileSync(join(STATE, 'vms', `${id}.json`),
+      JSON.stringify({ id, workDir, qemuPid, sshPort: null, ownerPid, registeredAt: Date.now() }));
+  }
+  return id;
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🧹 CarapaceOS Garbage Collection Tests\n');
+
+console.log('VM registry');
+
+await test('registerVM() / listVMs() / unregisterVM()', () => {
+  const dir = join(TMP, 'registry');
+  registerVM({ id: 'vm-a', workDir: '/tmp/carapace-1-aaaaa', qemuPid: 123, sshPort: 12200 }, { dir });
+  registerVM({ id: 'vm-a', workDir: '/tmp/carapace-1-aaaaa', qemuPid: 456, sshPort: 12200 }, { dir });
+  const vms = listVMs({ dir });
+  assertEqual(vms.map(v => [v.id, v.qemuPid, v.ownerPid]), [['vm-a', 456, process.pid]], 'updated in place');
+  unregisterVM('vm-a', { dir });
+  assertEqual(listVMs({ dir }), []);
+  unregisterVM('vm-a', { dir }); // no-op
+});
+
+await test('The runner registers at boot and unregisters on shutdown', async () => {
+  process.env.CARAPACE_STATE_DIR = STATE;
+  try {
+    const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+    r._register();
+    const entry = listVMs({ dir: STATE }).find(v => v.workDir === r._workDir);
+    assert(entry, 'registered');
+    assertEqual(entry.ownerPid, process.pid);
+    await r.shutdown();
+    assert(!listVMs({ dir: STATE }).some(v => v.workDir === r._workDir), 'unregistered');
+
+    const kept = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+    mkdirSync(kept._workDir, { recursive: true }); // boot() would have created it
+    kept._register();
+    await kept.shutdown(true);
+    const keptEntry = listVMs({ dir: STATE }).find(v => v.workDir === kept._workDir);
+    assertEqual([keptEntry?.kept, keptEntry?.qemuPid], [true, null], 'a kept work dir stays registered as kept');
+    unregisterVM(keptEntry.id, { dir: STATE });
+    rmSync(kept._workDir, { recursive: true, force: true });
+  } finally {
+    delete process.env.CARAPACE_STATE_DIR;
+  }
+});
+
+console.log('\ncollectGarbage()');
+
+await test('Kills the QEMU of a dead owner and removes its work dir', async () => {
+  const workDir = makeWorkDir();
+  const qemu = fakeQemu(workDir);
+  const id = register(workDir, { ownerPid: deadPid(), qemuPid: qemu.pid });
+  const exited = new Promise(r => qemu.once('exit', r));
+
+  const report = await gc();
+  await exited;
+  assertEqual(report.killed, [qemu.pid]);
+  assert(report.removedDirs.includes(workDir), 'work dir reported');
+  assert(!existsSync(workDir), 'work dir removed');
+  assert(!listVMs({ dir: STATE }).some(v => v.id === id), 'entry removed');
+  assert(report.freedBytes >= 4096, `freedBytes: ${report.freedBytes}`);
+});
+
+await test('Never kills a reused pid that is not the VM\'s QEMU', async () => {
+  const workDir = makeWorkDir();
+  register(workDir, { ownerPid: deadPid(), qemuPid: process.pid });
+  const report = await gc();
+  assertEqual(report.killed, []);
+  assert(!existsSync(workDir), 'orphaned work dir still removed');
+});
+
+await test('Leaves VMs of live owners alone, however old', async () => {
+  const workDir = makeWorkDir(48 * HOUR);
+  const id = register(workDir, {}); // owned by this process
+  const report = await gc();
+  assert(existsSync(workDir), 'work dir kept');
+  assert(!report.removedDirs.includes(workDir));
+  unregisterVM(id, { dir: STATE });
+  rmSync(workDir, { recursive: true });
+});
+
+await test('Leaves kept work dirs alone unless removeKept is set', async () => {
+  const workDir = makeWorkDir(48 * HOUR);
+  const id = workDir.split('/').pop();
+  registerVM({ id, workDir, kept: true }, { dir: STATE });
+  const vanished = join(WORK, 'carapace-1-gone0');
+  registerVM({ id: 'carapace-1-gone0', workDir: vanished, kept: true }, { dir: STATE });
+
+  const report = await gc();
+  assert(existsSync(workDir), 'kept dir survives');
+  assert(!report.removedDirs.includes(workDir), 'not reported');
+  assert(!listVMs({ dir: STATE }).some(v => v.id === 'carapace-1-gone0'), 'entry of a dir deleted by hand is dropped');
+
+  const again = await gc({ removeKept: true });
+  assert(again.removedDirs.includes(workDir) && !existsSync(workDir), 'removeKept deletes it');
+  assert(!listVMs({ dir: STATE }).some(v => v.id === id), 'entry removed');
+});
+
+await test('Only acts on entries for this user\'s carapace work dirs in the temp dir', async () => {
+  const outside = mkdtempSync(join(TMP, 'victim-'));
+  const misnamed = join(WORK, 'important');
+  mkdirSync(misnamed);
+  const shared = makeWorkDir();
+  chmodSync(shared, 0o777);
+  const planted = ['/', outside, join(outside, 'carapace-1-aaaaa'), misnamed, shared, 42];
+  planted.forEach((workDir, i) => registerVM({ id: `planted-${i}`, workDir, qemuPid: null }, { dir: STATE }));
+  // A dead owner and a live pid that names the work dir but is not QEMU
+  const notQemu = fakeQemu(makeWorkDir(), process.execPath);
+  const workDir = makeWorkDir();
+  const id = register(workDir, { ownerPid: deadPid(), qemuPid: notQemu.pid });
+  await new Promise(r => setTimeout(r, 200));
+
+  const report = await gc();
+  assertEqual(report.failed.length, planted.length, `failed: ${JSON.stringify(report.failed)}`);
+  assert(report.failed.every(f => f.error.startsWith('Registry entry planted-')), 'reported per entry');
+  assert(existsSync(outside) && existsSync(misnamed) && existsSync(shared), 'nothing outside the rules is removed');
+  assertEqual(report.killed, [], 'a process that is not QEMU is never killed');
+  assert(isProcessAlive(notQemu.pid), 'still alive');
+  assert(!existsSync(workDir) && !listVMs({ dir: STATE }).some(v => v.id === id), 'valid entries are still reaped');
+  planted.forEach((_, i) => unregisterVM(`planted-${i}`, { dir: STATE }));
+  notQemu.kill();
+  chmodSync(shared, 0o755);
+});
+
+await test('Refuses a state dir or registry entries others can write', async () => {
+  const dir = join(TMP, 'open-state');
+  mkdirSync(dir, { mode: 0o777 });
+  chmodSync(dir, 0o777);
+  let error;
+  try { await gc({ dir }); } catch (e) { error = e; }
+  assert(error?.message.includes('writable by group or others'), `Got: ${error?.message}`);
+
+  const workDir = makeWorkDir();
+  const id = register(workDir, { ownerPid: deadPid() });
+  chmodSync(join(STATE, 'vms', `${id}.json`), 0o666);
+  assert(!listVMs({ dir: STATE }).some(v => v.id === id), 'a writable entry is not listed');
+  await gc();
+  assert(existsSync(workDir), 'and not acted on');
+  unregisterVM(id, { dir: STATE });
+});
+
+await test('Removes stale unregistered work dirs unless young or in use', async () => {
+  const stale = makeWorkDir(2 * HOUR);
+  const young = makeWorkDir(60 * 1000);
+  const inUse = makeWorkDir(2 * HOUR);
+  const qemu = fakeQemu(inUse);
+  await new Promise(r => setTimeout(r, 200)); // let it show up in ps
+  const report = await gc();
+  assert(!existsSync(stale), 'stale dir removed');
+  assert(existsSync(young), 'young dir kept');
+  assert(existsSync(inUse), 'dir in a process command line kept');
+  assertEqual(report.removedDirs, [stale]);
+  qemu.kill();
+});
+
+await test('Removes boot logs older than logMaxAgeMs and nothing else', async () => {
+  const oldLog = join(WORK, 'carapace-1700000000000.log');
+  const newLog = join(WORK, 'carapace-1800000000000.log');
+  const other = join(WORK, 'carapace-console-abc123');
+  writeFileSync(oldLog, 'boot');
+  writeFileSync(newLog, 'boot');
+  mkdirSync(other);
+  age(oldLog, 3 * HOUR);
+  age(other, 48 * HOUR);
+
+  const report = await gc({ logMaxAgeMs: 2 * HOUR });
+  assertEqual(report.removedLogs, [oldLog]);
+  assert(existsSync(newLog) && existsSync(other), 'other files untouched');
+});
+
+await test('dryRun reports without changing anything', async () => {
+  const workDir = makeWorkDir();
+  const qemu = fakeQemu(workDir);
+  await new Promise(r => setTimeout(r, 200));
+  const id = register(workDir, { ownerPid: deadPid(), qemuPid: qemu.pid });
+
+  const report = await gc({ dryRun: true });
+  assertEqual(report.killed, [qemu.pid]);
+  assert(report.removedDirs.includes(workDir));
+  assert(isProcessAlive(qemu.pid), 'process not killed');
+  assert(existsSync(workDir), 'work dir kept');
+  assert(listVMs({ dir: STATE }).some(v => v.id === id), 'entry kept');
+  qemu.kill();
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+for (const child of children) if (child.exitCode === null && child.signalCode === null) child.kill();
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
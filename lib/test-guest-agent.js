@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the virtio-serial guest agent (vm-image/carapace-agent.cjs)
+ * and its host client (lib/guest-agent.js). No QEMU required: the agent
+ * runs locally with --stdio behind a Unix socket, standing in for QEMU's
+ * virtio-serial chardev.
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, statSync, chmodSync, rmSync } from 'fs';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { Readable } from 'stream';
+import { EventEmitter } from 'events';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  GuestAgentClient, connectGuestAgent, guestAgentQemuArgs, GUEST_AGENT_SCRIPT, GUEST_AGENT_PATH, GUEST_AGENT_PORT,
+} from './guest-agent.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+async function assertRejects(promise, expectedMsg) {
+  let err;
+  try { await promise; } catch (e) { err = e; }
+  if (!err) throw new Error(`Expected rejection (expected: "${expectedMsg}")`);
+  if (!err.message.includes(expectedMsg)) throw new Error(`Expected error containing "${expectedMsg}", got: "${err.message}"`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-agent-test-'));
+const agents = [];
+
+/**
+ * A Unix socket like QEMU's chardev: each connection is piped to a fresh
+ * guest agent process speaking the protocol on its stdio.
+ */
+async function startAgentSocket() {
+  const socketPath = join(TMP, `agent-${agents.length}.sock`);
+  const server = createServer(sock => {
+    const agent = spawn(process.execPath, [GUEST_AGENT_SCRIPT, '--stdio'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    agents.push(agent);
+    sock.pipe(agent.stdin);
+    agent.stdout.pipe(sock);
+    sock.on('error', () => {});
+    sock.on('close', () => agent.kill());
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return { socketPath, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const bridge = await startAgentSocket();
+const client = await connectGuestAgent(bridge.socketPath, { timeoutMs: 10_000 });
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🔌 CarapaceOS Guest Agent Tests\n');
+
+console.log('Protocol');
+
+await test('ping() answers with the agent version', async () => {
+  assertEqual(await client.ping(), { version: 1 });
+});
+
+await test('exec() returns stdout, stderr and the exit code', async () => {
+  const r = await client.exec('echo out; echo err >&2; exit 3');
+  assertEqual([r.stdout, r.stderr, r.code, r.timedOut], ['out', 'err', 3, false]);
+});
+
+await test('exec() streams output to callbacks and feeds stdin', async () => {
+  const chunks = [];
+  const r = await client.exec('cat; echo done >&2', {
+    stdin: 'hello from the host\n',
+    onStdout: c => chunks.push(['out', c]),
+    onStderr: c => chunks.push(['err', c]),
+  });
+  assertEqual(r.stdout, 'hello from the host');
+  assertEqual(chunks, [['out', 'hello from the host\n'], ['err', 'done\n']]);
+  assertEqual((await client.exec('wc -c', { stdin: Readable.from([Buffer.alloc(5000)]) })).stdout, '5000');
+});
+
+await test('exec() timeouts kill the whole process group', async () => {
+  const start = Date.now();
+  const r = await client.exec('sleep 30 & sleep 30', { timeoutMs: 300 });
+  assertEqual([r.code, r.timedOut, r.signal], [null, true, 'SIGTERM']);
+  assert(Date.now() - start < 5000, `took ${Date.now() - start}ms`);
+});
+
+await test('writeFile() / readFile() round-trip binary data and modes', async () => {
+  const path = join(TMP, 'guest-file.bin');
+  const data = Buffer.from([0, 1, 2, 255, 10, 13]);
+  await client.writeFile(path, data, { mode: 0o600 });
+  assertEqual(statSync(path).mode & 0o777, 0o600);
+  assertEqual([...await client.readFile(path)], [...data]);
+  await assertRejects(client.readFile(join(TMP, 'missing')), 'No such file');
+});
+
+await test('Unknown methods are JSON-RPC errors', async () => {
+  await assertRejects(client.call('reboot'), 'Method not found: reboot');
+});
+
+await test('connectGuestAgent() gives up when no agent answers', async () => {
+  await assertRejects(connectGuestAgent(join(TMP, 'nobody.sock'), { timeoutMs: 600 }), 'did not respond within 0.6s');
+});
+
+await test('Pending calls fail when the connection drops', async () => {
+  const other = await GuestAgentClient.connect(bridge.socketPath);
+  const call = other.exec('sleep 5');
+  setTimeout(() => other.close(), 100);
+  await assertRejects(call, 'connection closed');
+});
+
+/** An agent socket whose "guest" answers every request with reply(id) */
+async function fakeGuest(reply) {
+  const socketPath = join(TMP, `fake-${Math.random().toString(36).slice(2)}.sock`);
+  const server = createServer(sock => {
+    sock.on('error', () => {});
+    sock.on('data', d => {
+      for (const line of d.toString().split('\n').filter(Boolean)) sock.write(reply(JSON.parse(line).id));
+    });
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return { socketPath, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+await test('A malformed message from the guest closes the connection instead of throwing', async () => {
+  const cases = [
+    ['null', () => 'null\n', 'message is not an object'],
+    ['an array', () => '[1]\n', 'message is not an object'],
+    ['output without data', id => `${JSON.stringify({ method: 'output', params: { id, stream: 'stdout' } })}\n`,
+      'malformed output notification'],
+    ['a bad stream name', id => `${JSON.stringify({ method: 'output', params: { id, stream: '__proto__', data: '' } })}\n`,
+      'malformed output notification'],
+    ['a notification without params', () => '{"method":"output","params":null}\n', 'malformed notification'],
+  ];
+  for (const [what, reply, message] of cases) {
+    const guest = await fakeGuest(reply);
+    const agent = await GuestAgentClient.connect(guest.socketPath);
+    await assertRejects(agent.exec('true', { timeoutMs: 2000 }), `bad message (${message})`);
+    assert(agent.closed, `closed after ${what}`);
+    await guest.close();
+  }
+});
+
+await test('A line longer than maxLineLength closes the connection', async () => {
+  const guest = await fakeGuest(() => 'x'.repeat(4096));
+  const agent = await GuestAgentClient.connect(guest.socketPath, { maxLineLength: 1024 });
+  await assertRejects(agent.ping({ timeoutMs: 2000 }), 'line longer than 1024 bytes');
+  await guest.close();
+});
+
+console.log('\nCarapaceRunner({ transport })');
+
+await test('networkMode none selects the guest agent', () => {
+  const image = '/tmp/fake-carapaceos.qcow2';
+  assertEqual(new CarapaceRunner({ image }).transport, 'ssh');
+  assertEqual(new CarapaceRunner({ image, networkMode: 'none' }).info.transport, 'serial');
+  assertEqual(new CarapaceRunner({ image, transport: 'serial' }).networkMode, 'nat');
+  let err;
+  try { new CarapaceRunner({ image, transport: 'carrier-pigeon' }); } catch (e) { err = e; }
+  assert(err?.message.includes('Invalid transport'), `Got: ${err?.message}`);
+  err = null;
+  try { new CarapaceRunner({ image, networkMode: 'none', transport: 'ssh' }); } catch (e) { err = e; }
+  assert(err?.message.includes('use transport "serial"'), `Got: ${err?.message}`);
+});
+
+await test('The seed installs and starts the agent; QEMU gets the serial port', () => {
+  const serial = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', networkMode: 'none' });
+  const seed = serial._seedOptions();
+  assertEqual(seed.files.map(f => [f.path, f.permissions]), [[GUEST_AGENT_PATH, '0755']]);
+  assertEqual(seed.files[0].content, readFileSync(GUEST_AGENT_SCRIPT, 'utf8'));
+  assert(seed.runcmd[0].startsWith(`setsid ${GUEST_AGENT_PATH}`), seed.runcmd[0]);
+  assertEqual(new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' })._seedOptions(), { runcmd: [], files: [], growRootfs: false });
+
+  const args = guestAgentQemuArgs(serial._agentSocket).join(' ');
+  assert(args.includes(`path=${serial._agentSocket},server=on,wait=off`), args);
+  assert(args.includes(`name=${GUEST_AGENT_PORT}`), args);
+});
+
+/** A runner that looks booted over the serial transport, talking to the local agent. */
+async function makeSerialRunner() {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', networkMode: 'none' });
+  r._agentSocket = bridge.socketPath;
+  r._qemuProc = Object.assign(new EventEmitter(), { exitCode: null, kill() {} });
+  await r._connectAgent();
+  r._booted = true;
+  return r;
+}
+
+await test('run() goes through the agent with the usual exec options', async () => {
+  const r = await makeSerialRunner();
+  try {
+    const res = await r.run('echo "$GREETING from $(pwd)"; exit 2', { env: { GREETING: 'hi' }, cwd: TMP });
+    assertEqual([res.stdout, res.code], [`hi from ${TMP}`, 2]);
+    assert(typeof res.duration === 'number', 'duration');
+    assertEqual((await r.run(['printf', '%s', 'a b'])).stdout, 'a b');
+    const slow = await r.run('sleep 10', { timeout: 0.3 });
+    assert(slow.timedOut && slow.code === null, JSON.stringify(slow));
+  } finally {
+    r._agent.close();
+  }
+});
+
+await test('upload() / download() use the agent; SSH-only features say so', async () => {
+  const r = await makeSerialRunner();
+  try {
+    const local = join(TMP, 'script.sh');
+    writeFileSync(local, '#!/bin/sh\necho ok\n');
+    chmodSync(local, 0o755);
+    const remote = join(TMP, 'uploaded.sh');
+    await r.upload(local, remote);
+    assertEqual(statSync(remote).mode & 0o777, 0o755, 'mode kept');
+    const back = join(TMP, 'downloaded.sh');
+    await r.download(remote, back);
+    assertEqual(readFileSync(back, 'utf8'), '#!/bin/sh\necho ok\n');
+
+    await assertRejects(r.shell(), 'shell() needs the SSH transport');
+    let err;
+    try { r.fs; } catch (e) { err = e; }
+    assert(err?.message.includes('runner.fs needs the SSH transport'), `Got: ${err?.message}`);
+  } finally {
+    r._agent.close();
+  }
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+client.close();
+await bridge.close();
+for (const agent of agents) if (agent.exitCode === null) agent.kill();
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for host-wide SSH port reservation (lib/host-state.js).
+ *
+ * Uses a temporary state directory and real sockets; a second Node process
+ * stands in for another ControlServer on the same host. No QEMU required.
+ */
+
+import { mkdtempSync, writeFileSync, existsSync, readFileSync, readdirSync, rmSync, statSync, mkdirSync, chmodSync } from 'fs';
+import { createServer } from 'net';
+import { spawn, spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { reservePort, parsePortRange, stateDir } from './host-state.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, expectedMsg) {
+  let threw = false;
+  try { fn(); } catch (e) {
+    threw = true;
+    if (expectedMsg && !e.message.includes(expectedMsg)) {
+      throw new Error(`Expected error containing "${expectedMsg}", got: "${e.message}"`);
+    }
+  }
+  if (!threw) throw new Error(`Expected function to throw (expected: "${expectedMsg}")`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-state-test-'));
+let dirCounter = 0;
+
+function newStateDir() {
+  return join(TMP, `state-${++dirCounter}`);
+}
+
+/** A free port range of `size` ports, probed so the tests don't hit busy ports. */
+async function freeRange(size) {
+  for (let base = 30000 + Math.floor(Math.random() * 20000); ; base += size) {
+    const leases = [];
+    try {
+      for (let p = base; p < base + size; p++) {
+        leases.push(await reservePort({ range: [p, p], dir: newStateDir() }));
+      }
+      return [base, base + size - 1];
+    } catch {
+      // part of this range is busy — try the next one
+    } finally {
+      for (const l of leases) l.release();
+    }
+  }
+}
+
+function listen(port) {
+  return new Promise((resolve, reject) => {
+    const srv = createServer();
+    srv.once('error', reject);
+    srv.listen(port, '0.0.0.0', () => resolve(srv));
+  });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🔒 CarapaceOS Host State Tests\n');
+
+console.log('parsePortRange()');
+
+await test('Accepts MIN-MAX strings and [min, max] arrays', () => {
+  assertEqual(parsePortRange('13000-13499'), [13000, 13499]);
+  assertEqual(parsePortRange([12200, 12200]), [12200, 12200]);
+});
+
+await test('Rejects malformed or inverted ranges', () => {
+  assertThrows(() => parsePortRange('13000'), 'Invalid port range');
+  assertThrows(() => parsePortRange('13499-13000'), 'Invalid port range');
+  assertThrows(() => parsePortRange([0, 10]), 'Invalid port range');
+  assertThrows(() => parsePortRange([1, 70000]), 'Invalid port range');
+});
+
+console.log('\nreservePort()');
+
+await test('Hands out distinct ports and writes lock files', async () => {
+  const dir = newStateDir();
+  const range = await freeRange(3);
+  const leases = [];
+  for (let i = 0; i < 3; i++) leases.push(await reservePort({ range, dir }));
+  const ports = leases.map(l => l.port).sort();
+  assertEqual(new Set(ports).size, 3, 'distinct ports');
+  for (const { port } of leases) {
+    const owner = JSON.parse(readFileSync(join(dir, 'ports', `${port}.lock`), 'utf8'));
+    assertEqual(owner.pid, process.pid, 'lock records our pid');
+  }
+  leases[0].release();
+  assert(!existsSync(join(dir, 'ports', `${leases[0].port}.lock`)), 'release removes the lock');
+  leases.slice(1).forEach(l => l.release());
+});
+
+await test('The state dir is created private and refused when others can write it', async () => {
+  const dir = newStateDir();
+  const range = await freeRange(1);
+  (await reservePort({ range, dir })).release();
+  assertEqual(statSync(dir).mode & 0o777, 0o700, 'state dir mode');
+  assertEqual(statSync(join(dir, 'ports')).mode & 0o777, 0o700, 'ports dir mode');
+
+  const open = newStateDir();
+  mkdirSync(open);
+  chmodSync(open, 0o777);
+  let err;
+  try { await reservePort({ range, dir: open }); } catch (e) { err = e; }
+  assert(err?.message.includes(`State directory ${open} is writable by group or others`), `Got: ${err?.message}`);
+
+  const saved = process.env.CARAPACE_STATE_DIR;
+  delete process.env.CARAPACE_STATE_DIR;
+  assertEqual(stateDir(), join(tmpdir(), `carapace-state-${process.getuid()}`), 'one default per user');
+  if (saved !== undefined) process.env.CARAPACE_STATE_DIR = saved;
+});
+
+await test('Rejects with EADDRINUSE when the range is exhausted', async () => {
+  const dir = newStateDir();
+  const range = await freeRange(1);
+  const lease = await reservePort({ range, dir });
+  let err;
+  try { await reservePort({ range, dir }); } catch (e) { err = e; }
+  assert(err, 'second reservation should fail');
+  assertEqual(err.code, 'EADDRINUSE');
+  assert(err.message.includes(`${range[0]}-${range[1]}`), err.message);
+  lease.release();
+  const again = await reservePort({ range, dir });
+  assertEqual(again.port, range[0], 'port reusable after release');
+  again.release();
+});
+
+await test('Reclaims locks left by dead processes', async () => {
+  const dir = newStateDir();
+  const [port] = await freeRange(1);
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  await reservePort({ range: [port, port], dir }).then(l => l.release()); // creates ports/
+  writeFileSync(join(dir, 'ports', `${port}.lock`), JSON.stringify({ pid: deadPid, createdAt: 0 }));
+  const lease = await reservePort({ range: [port, port], dir });
+  assertEqual(lease.port, port);
+  lease.release();
+});
+
+await test('Processes reclaiming the same stale lock at once get it exactly once', async () => {
+  const dir = newStateDir();
+  const [port] = await freeRange(1);
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  await reservePort({ range: [port, port], dir }).then(l => l.release());
+  writeFileSync(join(dir, 'ports', `${port}.lock`), JSON.stringify({ pid: deadPid, createdAt: 0 }));
+  // Each child waits for the go file, then tries the port and holds it until exit
+  const go = join(dir, 'go');
+  const script = `
+    import { existsSync } from 'fs';
+    import { reservePort } from ${JSON.stringify(new URL('./host-state.js', import.meta.url).href)};
+    while (!existsSync(${JSON.stringify(go)})) await new Promise(r => setTimeout(r, 5));
+    try {
+      await reservePort({ range: [${port}, ${port}], dir: ${JSON.stringify(dir)} });
+      console.log('won');
+    } catch {
+      console.log('lost');
+    }
+    setTimeout(() => {}, 1000);
+  `;
+  const children = Array.from({ length: 4 }, () =>
+    spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'pipe', 'inherit'] }));
+  const outcomes = children.map(child => new Promise(resolve => {
+    let out = '';
+    child.stdout.on('data', d => { out += d; });
+    child.once('exit', () => resolve(out.trim()));
+  }));
+  writeFileSync(go, '');
+  const results = await Promise.all(outcomes);
+  assertEqual(results.filter(r => r === 'won').length, 1, `outcomes ${results.join(',')}`);
+  assertEqual(readdirSync(join(dir, 'ports')).filter(n => n.endsWith('.stale')), [], 'nothing left aside');
+});
+
+await test('Skips ports bound outside the lock protocol', async () => {
+  const dir = newStateDir();
+  const range = await freeRange(2);
+  const srv = await listen(range[0]); // e.g. a leftover QEMU
+  try {
+    for (let i = 0; i < 4; i++) {
+      const lease = await reservePort({ range, dir });
+      assertEqual(lease.port, range[1], 'bound port skipped');
+      lease.release();
+    }
+  } finally {
+    await new Promise(r => srv.close(r));
+  }
+});
+
+await test('Honours exclude', async () => {
+  const range = await freeRange(2);
+  const lease = await reservePort({ range, dir: newStateDir(), exclude: [range[0]] });
+  assertEqual(lease.port, range[1]);
+  lease.release();
+});
+
+await test('Another process holding a port is respected', async () => {
+  const dir = newStateDir();
+  const [port] = await freeRange(1);
+  const script = `
+    import { reservePort } from ${JSON.stringify(new URL('./host-state.js', import.meta.url).href)};
+    await reservePort({ range: [${port}, ${port}], dir: ${JSON.stringify(dir)} });
+    console.log('locked');
+    setTimeout(() => {}, 10000);
+  `;
+  const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'pipe', 'inherit'] });
+  try {
+    await new Promise((resolve, reject) => {
+      child.stdout.once('data', resolve);
+      child.once('exit', code => reject(new Error(`child exited with ${code}`)));
+    });
+    let err;
+    try { await reservePort({ range: [port, port], dir }); } catch (e) { err = e; }
+    assertEqual(err?.code, 'EADDRINUSE', 'port held by the other process');
+  } finally {
+    child.kill();
+    await new Promise(r => child.exitCode !== null ? r() : child.once('exit', r));
+  }
+  const lease = await reservePort({ range: [port, port], dir });
+  assertEqual(lease.port, port, 'reclaimed once the other process is gone');
+  lease.release();
+});
+
+console.log('\nCarapaceRunner');
+
+await test('sshPortRange comes from opts or CARAPACE_SSH_PORT_RANGE', () => {
+  const image = '/tmp/fake-carapaceos.qcow2';
+  assertEqual(new CarapaceRunner({ image }).sshPortRange, [12200, 12299], 'default');
+  assertEqual(new CarapaceRunner({ image, sshPortRange: '14000-14099' }).sshPortRange, [14000, 14099]);
+  process.env.CARAPACE_SSH_PORT_RANGE = '15000-15009';
+  try {
+    assertEqual(new CarapaceRunner({ image }).sshPortRange, [15000, 15009], 'env');
+  } finally {
+    delete process.env.CARAPACE_SSH_PORT_RANGE;
+  }
+  assertThrows(() => new CarapaceRunner({ image, sshPortRange: 'lots' }), 'Invalid port range');
+});
+
+await test('No SSH port is reserved before boot()', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  assertEqual(r.info.sshPort, null);
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the allowlist relay and network audit log
+ * (lib/network-relay.js). No QEMU required: the relay forwards to local
+ * TCP servers and the guestfwd bridge runs locally.
+ */
+
+import { mkdtempSync, rmSync, appendFileSync, statSync } from 'fs';
+import { spawn } from 'child_process';
+import { createConnection, createServer } from 'net';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { NetworkRelay, NetworkLog } from './network-relay.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+async function assertRejects(promise, expectedMsg) {
+  let err;
+  try { await promise; } catch (e) { err = e; }
+  if (!err) throw new Error(`Expected rejection (expected: "${expectedMsg}")`);
+  if (!err.message.includes(expectedMsg)) throw new Error(`Expected error containing "${expectedMsg}", got: "${err.message}"`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-relay-test-'));
+
+/**
+ * A TCP server that reads until the client shuts down its side, then
+ * answers with the request upper-cased (so half-close must work).
+ */
+async function shoutServer() {
+  const server = createServer({ allowHalfOpen: true }, sock => {
+    let data = '';
+    sock.on('data', d => { data += d; });
+    sock.on('end', () => sock.end(data.toUpperCase()));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/** A port nothing listens on */
+async function closedPort() {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+function route(port, name) {
+  return { host: '127.0.0.1', port, guestAddr: '10.0.2.100', socketPath: join(TMP, `${name}.sock`) };
+}
+
+/** Write `data`, half-close, and collect the reply until the relay closes */
+function exchange(socketPath, data) {
+  return new Promise((resolve, reject) => {
+    const sock = createConnection({ path: socketPath, allowHalfOpen: true });
+    let reply = '';
+    sock.on('data', d => { reply += d; });
+    sock.on('close', () => resolve(reply));
+    sock.on('error', reject);
+    sock.end(data);
+  });
+}
+
+const nextConnection = relay => new Promise(resolve => relay.once('connection', resolve));
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n📡 CarapaceOS Network Relay Tests\n');
+
+console.log('NetworkRelay');
+
+await test('Relays a connection and records destination, bytes and duration', async () => {
+  const upstream = await shoutServer();
+  const relay = new NetworkRelay([route(upstream.address().port, 'shout')]);
+  await relay.listen();
+  try {
+    const recorded = nextConnection(relay);
+    assertEqual(await exchange(relay.routes[0].socketPath, 'hello relay'), 'HELLO RELAY');
+    const c = await recorded;
+    assertEqual(
+      [c.guest, c.host, c.port, c.bytesOut, c.bytesIn, c.error],
+      ['10.0.2.100:' + upstream.address().port, '127.0.0.1', upstream.address().port, 11, 11, undefined],
+    );
+    assert(Number.isInteger(c.durationMs) && c.durationMs >= 0, 'durationMs');
+    assert(!Number.isNaN(Date.parse(c.time)), 'time is ISO 8601');
+  } finally {
+    await relay.close();
+    upstream.close();
+  }
+});
+
+await test('Records a failed connection with its error', async () => {
+  const relay = new NetworkRelay([route(await closedPort(), 'refused')]);
+  await relay.listen();
+  try {
+    const recorded = nextConnection(relay);
+    assertEqual(await exchange(relay.routes[0].socketPath, 'x'), '', 'guest sees the connection close');
+    assert((await recorded).error.includes('ECONNREFUSED'), 'error recorded');
+  } finally {
+    await relay.close();
+  }
+});
+
+await test('close() cuts open connections and still records them', async () => {
+  const upstream = await shoutServer();
+  const relay = new NetworkRelay([route(upstream.address().port, 'open')]);
+  await relay.listen();
+  const seen = [];
+  relay.on('connection', c => seen.push(c));
+  const sock = createConnection(relay.routes[0].socketPath);
+  sock.on('error', () => {});
+  sock.write('pending');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await relay.close();
+  upstream.close();
+  assertEqual(seen.map(c => c.bytesOut), [7], 'recorded before close() resolved');
+});
+
+await test('Works behind the guestfwd bridge', async () => {
+  const upstream = await shoutServer();
+  const relay = new NetworkRelay([route(upstream.address().port, 'bridged')]);
+  await relay.listen();
+  try {
+    const bridge = spawn(process.execPath, [join(__dirname, 'guestfwd-bridge.js'), relay.routes[0].socketPath]);
+    let out = '';
+    bridge.stdout.on('data', d => { out += d; });
+    const recorded = nextConnection(relay);
+    bridge.stdin.end('via qemu');
+    assertEqual(await new Promise(resolve => bridge.on('exit', resolve)), 0, 'bridge exit code');
+    assertEqual(out, 'VIA QEMU');
+    assertEqual((await recorded).bytesIn, 8);
+  } finally {
+    await relay.close();
+    upstream.close();
+  }
+});
+
+console.log('\nNetworkLog');
+
+await test('Appends JSONL entries and reads them back, skipping torn lines', async () => {
+  const log = new NetworkLog(join(TMP, 'network.jsonl'));
+  assertEqual(await log.read(), [], 'missing file reads as empty');
+  log.append('dns', { name: 'github.com', qtype: 'A', rcode: 'NOERROR', answer: '10.0.2.100' });
+  log.append('connection', { time: '2026-01-01T00:00:00.000Z', host: 'github.com', port: 443 });
+  appendFileSync(log.path, '{"time":"2026-01-01T00:00:0');
+  const entries = await log.read();
+  assertEqual(entries.map(e => e.type), ['dns', 'connection']);
+  assertEqual(entries[1], { time: '2026-01-01T00:00:00.000Z', type: 'connection', host: 'github.com', port: 443 });
+  assert(!Number.isNaN(Date.parse(entries[0].time)), 'time defaults to now');
+});
+
+await test('Filters by type, since and limit', async () => {
+  const log = new NetworkLog(join(TMP, 'filtered.jsonl'));
+  for (let i = 0; i < 6; i++) {
+    log.append(i % 2 ? 'dns' : 'connection', { time: `2026-01-01T00:00:0${i}.000Z`, n: i });
+  }
+  assertEqual((await log.read({ type: 'dns' })).map(e => e.n), [1, 3, 5]);
+  assertEqual((await log.read({ since: '2026-01-01T00:00:03.000Z' })).map(e => e.n), [4, 5], 'strictly after');
+  assertEqual((await log.read({ limit: 2 })).map(e => e.n), [0, 1], 'oldest first');
+  assertEqual((await log.read({ type: 'connection', since: '2026-01-01T00:00:00.000Z', limit: 1 })).map(e => e.n), [2]);
+});
+
+await test('Rotates to <path>.1 past maxBytes, and reads across both files', async () => {
+  const path = join(TMP, 'rotated.jsonl');
+  const log = new NetworkLog(path, { maxBytes: 200 });
+  for (let i = 0; i < 10; i++) log.append('dns', { time: `2026-01-01T00:00:0${i}.000Z`, n: i });
+  assert(statSync(path).size <= 200, `current file is ${statSync(path).size} bytes`);
+  assert(statSync(`${path}.1`).size <= 200, 'rotated file');
+  const kept = (await log.read()).map(e => e.n);
+  assert(kept.length > 0 && kept.length < 10, `kept ${kept}`);
+  assertEqual(kept, Array.from({ length: kept.length }, (_, i) => 10 - kept.length + i), 'newest entries, in order');
+  // A new NetworkLog on an existing file picks up its size
+  new NetworkLog(path, { maxBytes: 200 }).append('dns', { n: 10 });
+  assert(statSync(path).size <= 200, 'rotated again');
+});
+
+console.log('\nCarapaceRunner (allowlist)');
+
+await test('networkLog() records relayed connections and DNS queries', async () => {
+  const upstream = await shoutServer();
+  const r = new CarapaceRunner({
+    image: '/tmp/fake-carapaceos.qcow2',
+    networkMode: 'allowlist',
+    networkAllow: [{ host: '127.0.0.1', port: upstream.address().port }],
+    networkLogPath: join(TMP, 'runner-network.jsonl'),
+  });
+  r._workDir = TMP; // relay sockets live in the work dir
+  r._dnsSocket = join(TMP, 'runner-dns.sock');
+  const events = [];
+  r.on('connection', c => events.push(c.host));
+  await r._startRelay();
+  await r._startDns();
+  try {
+    const recorded = new Promise(resolve => r.once('connection', resolve));
+    assertEqual(await exchange(r._allowlistRoutes()[0].socketPath, 'ping'), 'PING');
+    await recorded;
+    r._dns.emit('query', { name: 'evil.com', type: 'A', rcode: 'NXDOMAIN', answer: null });
+    assertEqual(events, ['127.0.0.1']);
+    assertEqual((await r.networkLog()).map(e => e.type), ['connection', 'dns']);
+    assertEqual((await r.networkLog({ type: 'connection' }))[0].bytesIn, 4);
+    assertEqual((await r.networkLog({ type: 'dns' }))[0].qtype, 'A');
+    assertEqual((await r.networkLog({ limit: 1 })).length, 1);
+    await assertRejects(r.networkLog({ since: 'yesterday' }), 'Invalid since');
+    await assertRejects(r.networkLog({ limit: 0 }), 'Invalid limit');
+  } finally {
+    await r._relay.close();
+    await r._dns.close();
+    upstream.close();
+  }
+  assertEqual((await new NetworkLog(join(TMP, 'runner-network.jsonl')).read()).length, 2, 'log kept at networkLogPath');
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -6,8 +6,14 @@
  * without booting any actual VMs (no QEMU required).
  */
 
+import { execFileSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import { CarapaceRunner } from './agent-runner.js';
 
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
 let passed = 0;
 let failed = 0;
 const errors = [];
@@ -122,6 +128,20 @@ await test('Rejects allowlist mode with undefined networkAllow', () => {
   );
 });
 
+await test('Accepts networkMode: proxy with rules', () => {
+  const r = makeRunner({
+    networkMode: 'proxy',
+    networkAllow: ['Registry.npmjs.org', { host: '*.github.com', methods: ['get'] }],
+  });
+  assertEqual(r.networkMode, 'proxy');
+  assertEqual(r.networkAllow, [{ host: 'registry.npmjs.org' }, { host: '*.github.com', methods: ['GET'] }]);
+});
+
+await test('Rejects proxy mode without rules or with bad patterns', () => {
+  assertThrows(() => makeRunner({ networkMode: 'proxy' }), 'requires at least one entry');
+  assertThrows(() => makeRunner({ networkMode: 'proxy', networkAllow: ['github.*'] }), 'networkAllow[0].host');
+});
+
 await test('Accepts dnsServer option', () => {
   const r = makeRunner({
     networkMode: 'allowlist',
@@ -178,10 +198,14 @@ await test('allowlist mode: restrict=on + guestfwd rules', () => {
   const netdev = args[1];
   assert(netdev.includes('restrict=on'), 'Should have restrict=on');
   assert(netdev.includes('hostfwd=tcp::'), 'SSH forward should still be present');
+  const [npm, github] = r._allowlistRoutes();
   assert(netdev.includes('guestfwd=tcp:10.0.2.100:443'), 'First guestfwd at 10.0.2.100');
-  assert(netdev.includes('netcat registry.npmjs.org 443'), 'First rule forwards to npmjs');
+  assert(netdev.includes(`guestfwd-bridge.js' '${npm.socketPath}'`), 'First rule goes to its relay socket');
+  assertEqual([npm.host, npm.port], ['registry.npmjs.org', 443], 'First route forwards to npmjs');
   assert(netdev.includes('guestfwd=tcp:10.0.2.101:443'), 'Second guestfwd at 10.0.2.101');
-  assert(netdev.includes('netcat github.com 443'), 'Second rule forwards to github');
+  assert(netdev.includes(`guestfwd-bridge.js' '${github.socketPath}'`), 'Second rule goes to its relay socket');
+  assertEqual([github.host, github.port], ['github.com', 443], 'Second route forwards to github');
+  assert(!netdev.includes('netcat'), 'No netcat on the host');
 });
 
 await test('allowlist mode with DNS override', () => {
@@ -211,6 +235,66 @@ await test('allowlist with different ports', () => {
   assert(netdev.includes('guestfwd=tcp:10.0.2.101:5432'), 'Second rule on port 5432');
 });
 
+await test('allowlist: ports of the same host share one address', () => {
+  const r = makeRunner({
+    networkMode: 'allowlist',
+    networkAllow: [
+      { host: 'github.com', port: 443 },
+      { host: 'registry.npmjs.org', port: 443 },
+      { host: 'GitHub.com', port: 22 },
+    ],
+  });
+  const netdev = r._buildNetArgs()[1];
+
+  assert(netdev.includes('guestfwd=tcp:10.0.2.100:443'), 'github.com:443 at 10.0.2.100');
+  assert(netdev.includes('guestfwd=tcp:10.0.2.100:22'), 'github.com:22 shares 10.0.2.100');
+  assert(netdev.includes('guestfwd=tcp:10.0.2.101:443'), 'npmjs gets the next address');
+  assert(!netdev.includes('10.0.2.102'), 'No third address');
+});
+
+await test('allowlist: DNS is forwarded to the runner\'s responder', () => {
+  const r = makeRunner({ networkMode: 'allowlist', networkAllow: [{ host: 'github.com', port: 443 }] });
+  const netdev = r._buildNetArgs()[1];
+
+  assert(netdev.includes('guestfwd=tcp:10.0.2.99:53-cmd:'), 'DNS guestfwd at 10.0.2.99:53');
+  assert(netdev.includes(`guestfwd-bridge.js' '${r._dnsSocket}'`), 'Bridged to the responder socket');
+  assert(!makeRunner({ networkMode: 'isolated' })._buildNetArgs()[1].includes('10.0.2.99'), 'isolated has no DNS rule');
+});
+
+await test('guestfwd commands survive commas, spaces and quotes in paths', () => {
+  const r = makeRunner({ networkMode: 'allowlist', networkAllow: [{ host: 'github.com', port: 443 }] });
+  r._workDir = join(tmpdir(), "carapace odd,dir it's");
+  r._dnsSocket = join(r._workDir, 'dns.sock');
+  const netdev = r._buildNetArgs()[1];
+
+  // Split the -netdev value the way QEMU does: a doubled comma is a literal one
+  const options = [''];
+  for (let i = 0; i < netdev.length; i++) {
+    if (netdev[i] !== ',') options[options.length - 1] += netdev[i];
+    else if (netdev[i + 1] === ',') options[options.length - 1] += netdev[i++];
+    else options.push('');
+  }
+  const commands = options.filter(o => o.startsWith('guestfwd=')).map(o => o.slice(o.indexOf('-cmd:') + 5));
+  assertEqual(commands.length, 2, 'relay and DNS rules');
+  const sockets = [r._allowlistRoutes()[0].socketPath, r._dnsSocket];
+  commands.forEach((command, i) => {
+    // QEMU hands the command to /bin/sh -c
+    const argv = execFileSync('sh', ['-c', `for a in ${command}; do printf '%s\\0' "$a"; done`], { encoding: 'utf8' });
+    assertEqual(argv.split('\0').slice(0, -1), [process.execPath, join(__dirname, 'guestfwd-bridge.js'), sockets[i]]);
+  });
+});
+
+await test('proxy mode: restrict=on + one guestfwd to the egress proxy', () => {
+  const r = makeRunner({ networkMode: 'proxy', networkAllow: ['*.github.com'] });
+  const netdev = r._buildNetArgs()[1];
+
+  assert(netdev.includes('restrict=on'), 'Should have restrict=on');
+  assert(netdev.includes(`hostfwd=tcp::${r._sshPort}-:22`), 'SSH forward should still be present');
+  assert(netdev.includes(`guestfwd=tcp:10.0.2.98:3128-cmd:'${process.execPath}' `), 'Proxy guestfwd at 10.0.2.98:3128');
+  assert(netdev.includes(`guestfwd-bridge.js' '${r._proxySocket}'`), 'Bridged to the proxy socket');
+  assertEqual(netdev.match(/guestfwd=/g).length, 1, 'No other way out');
+});
+
 await test('SSH port is included in all modes except none', () => {
   for (const mode of ['nat', 'isolated']) {
     const r = makeRunner({ networkMode: mode });
@@ -240,6 +324,14 @@ await test('info.network includes allowlist when set', () => {
   assertEqual(r.info.network.allowlist, ['npmjs.org:443']);
 });
 
+await test('info.network lists proxy rules without default ports', () => {
+  const r = makeRunner({
+    networkMode: 'proxy',
+    networkAllow: ['*.github.com', { host: 'db.example.com', port: 5432 }],
+  });
+  assertEqual(r.info.network.allowlist, ['*.github.com', 'db.example.com:5432']);
+});
+
 await test('info.network omits allowlist when empty', () => {
   const r = makeRunner({ networkMode: 'nat' });
   assertEqual(r.info.network.allowlist, undefined);
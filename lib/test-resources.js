@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for CarapaceOS VM resource options (cpus, diskSize, ioLimits).
+ *
+ * Tests constructor validation and the generated QEMU arguments without
+ * booting any actual VMs (no QEMU required; a fake qemu-img stands in for
+ * overlay creation).
+ */
+
+import { mkdtempSync, writeFileSync, chmodSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CarapaceRunner, createOverlay } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, expectedMsg) {
+  let threw = false;
+  try { fn(); } catch (e) {
+    threw = true;
+    if (expectedMsg && !e.message.includes(expectedMsg)) {
+      throw new Error(`Expected error containing "${expectedMsg}", got: "${e.message}"`);
+    }
+  }
+  if (!threw) throw new Error(`Expected function to throw (expected: "${expectedMsg}")`);
+}
+
+// ─── Helper: create a runner without booting ─────────────────────────────────
+
+const FAKE_IMAGE = '/tmp/fake-carapaceos.qcow2';
+
+function makeRunner(opts = {}) {
+  return new CarapaceRunner({ image: FAKE_IMAGE, ...opts });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🧮 CarapaceOS VM Resource Tests\n');
+
+console.log('cpus');
+
+await test('Defaults to one vCPU', () => {
+  assertEqual(makeRunner().cpus, 1);
+});
+
+await test('Accepts cpus and reports it in info', () => {
+  const r = makeRunner({ cpus: 4 });
+  assertEqual(r.info.cpus, 4);
+});
+
+await test('Rejects non-integer or zero cpus', () => {
+  assertThrows(() => makeRunner({ cpus: 0 }), 'cpus must be a positive integer');
+  assertThrows(() => makeRunner({ cpus: 1.5 }), 'cpus must be a positive integer');
+  assertThrows(() => makeRunner({ cpus: '2' }), 'cpus must be a positive integer');
+});
+
+console.log('\ndiskSize');
+
+await test('No diskSize by default', () => {
+  const r = makeRunner();
+  assertEqual(r.diskSize, null);
+  assertEqual(r.info.diskSize, undefined);
+});
+
+await test('Normalises size suffixes and byte counts', () => {
+  assertEqual(makeRunner({ diskSize: '10g' }).diskSize, '10G');
+  assertEqual(makeRunner({ diskSize: 4294967296 }).diskSize, '4294967296');
+});
+
+await test('Rejects malformed sizes', () => {
+  for (const diskSize of ['10GB', '-1G', '0', '1.5G', 'big']) {
+    assertThrows(() => makeRunner({ diskSize }), 'Invalid diskSize');
+  }
+});
+
+await test('createOverlay() refuses a diskSize below the base image\'s virtual size', () => {
+  // Fake qemu-img: a 2 GiB base image; `create` records its arguments
+  const dir = mkdtempSync(join(tmpdir(), 'carapace-qemu-img-'));
+  writeFileSync(join(dir, 'qemu-img'), [
+    '#!/bin/sh',
+    'if [ "$1" = info ]; then echo \'{ "virtual-size": 2147483648, "format": "qcow2" }\'; exit 0; fi',
+    `echo "$@" > ${join(dir, 'created')}`,
+    '',
+  ].join('\n'));
+  chmodSync(join(dir, 'qemu-img'), 0o755);
+  const savedPath = process.env.PATH;
+  process.env.PATH = `${dir}:${savedPath}`;
+  try {
+    const overlay = join(dir, 'overlay.qcow2');
+    assertThrows(() => createOverlay(FAKE_IMAGE, overlay, '1G'), 'diskSize 1G is smaller than the base image');
+    assertThrows(() => createOverlay(FAKE_IMAGE, overlay, '1073741824'), 'smaller than the base image');
+    assert(!existsSync(join(dir, 'created')), 'no overlay created');
+    createOverlay(FAKE_IMAGE, overlay, '2G');
+    assert(readFileSync(join(dir, 'created'), 'utf8').trim().endsWith(`${overlay} 2G`), 'same size is fine');
+    createOverlay(FAKE_IMAGE, overlay, '10G');
+    assert(readFileSync(join(dir, 'created'), 'utf8').trim().endsWith(`${overlay} 10G`), 'grown');
+  } finally {
+    process.env.PATH = savedPath;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+console.log('\nioLimits');
+
+await test('No throttling by default', () => {
+  const r = makeRunner();
+  assertEqual(r._buildDriveArgs(), ['-drive', `file=${r._overlayImage},if=virtio,format=qcow2`]);
+});
+
+await test('Limits become throttling options in a shared group', () => {
+  const r = makeRunner({ ioLimits: { iopsRead: 1000, iopsWrite: 200, bps: 50 * 1024 * 1024 } });
+  const [, spec] = r._buildDriveArgs();
+  assert(spec.includes(',throttling.iops-read=1000'), spec);
+  assert(spec.includes(',throttling.iops-write=200'), spec);
+  assert(spec.includes(',throttling.bps-total=52428800'), spec);
+  assert(spec.endsWith(',throttling.group=carapace-io'), spec);
+});
+
+await test('Rejects unknown keys and non-positive values', () => {
+  assertThrows(() => makeRunner({ ioLimits: { iopz: 10 } }), 'Unknown ioLimits key');
+  assertThrows(() => makeRunner({ ioLimits: { iops: 0 } }), 'positive integer');
+  assertThrows(() => makeRunner({ ioLimits: [] }), 'must be an object');
+});
+
+await test('Rejects a total limit combined with read/write limits', () => {
+  assertThrows(() => makeRunner({ ioLimits: { iops: 100, iopsRead: 50 } }), 'cannot be combined');
+  assertThrows(() => makeRunner({ ioLimits: { bps: 100, bpsWrite: 50 } }), 'cannot be combined');
+});
+
+await test('info.ioLimits reflects the configured limits', () => {
+  assertEqual(makeRunner({ ioLimits: { iops: 300 } }).info.ioLimits, { iops: 300 });
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
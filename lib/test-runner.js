@@ -124,6 +124,26 @@ console.log(JSON.stringify(info, null, 2));
       console.log(`  ❌ Node.js failed: ${nodeResult.stderr}`);
     }
 
+    console.log('');
+
+    // Per-command latency: direct connection vs multiplexed (ControlMaster)
+    console.log('⏱️  Measuring per-command SSH latency...');
+    const LATENCY_SAMPLES = 10;
+    const measure = async () => {
+      const start = Date.now();
+      for (let i = 0; i < LATENCY_SAMPLES; i++) await runner.run('true', { timeout: 15 });
+      return (Date.now() - start) / LATENCY_SAMPLES;
+    };
+    const muxArgs = runner._sshArgs;
+    runner._sshArgs = muxArgs.filter((a, i) =>
+      !a.startsWith('ControlPath=') && !muxArgs[i + 1]?.startsWith('ControlPath='));
+    const directMs = await measure();
+    runner._sshArgs = muxArgs;
+    const muxMs = await measure();
+    console.log(`  Direct:      ${directMs.toFixed(0)}ms/command`);
+    console.log(`  Multiplexed: ${muxMs.toFixed(0)}ms/command (master ${runner.info.multiplexed ? 'up' : 'down'})`);
+    if (directMs > 0) console.log(`  Speedup:     ${(directMs / muxMs).toFixed(1)}x`);
+
     console.log('');
     console.log('🎉 All tests complete!');
     
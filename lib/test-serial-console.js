@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for serial console tracking — no QEMU required.
+ *
+ * Lines are appended to a file standing in for QEMU's `-serial file:`
+ * output, exercising SerialConsole and the runner's boot readiness logic.
+ */
+
+import { SerialConsole } from './serial-console.js';
+import { CarapaceRunner } from './agent-runner.js';
+import { mkdtempSync, writeFileSync, appendFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+const delay = ms => new Promise(r => setTimeout(r, ms));
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-console-'));
+let logCounter = 0;
+
+function newLogPath() {
+  return join(TMP, `boot-${++logCounter}.log`);
+}
+
+/**
+ * A runner whose console follows `path`, as boot() would set it up.
+ */
+function makeRunner(path, opts = {}) {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', sshTimeout: 2, ...opts });
+  r._startConsole(path);
+  return r;
+}
+
+async function expectBootError(promise, text) {
+  try {
+    await promise;
+  } catch (e) {
+    assert(e.message.includes(text), `Got: ${e.message}`);
+    return e;
+  }
+  throw new Error(`Expected boot to fail with "${text}"`);
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n📟 CarapaceOS Serial Console Tests\n');
+
+console.log('SerialConsole');
+
+await test('Emits complete lines as the file grows', async () => {
+  const path = newLogPath();
+  const serial = new SerialConsole(path, { pollMs: 10 });
+  const lines = [];
+  serial.on('line', l => lines.push(l));
+  serial.start();
+  await delay(30); // file does not exist yet
+  writeFileSync(path, 'first\r\nsec');
+  await delay(40);
+  assertEqual(lines, ['first'], 'partial line held back');
+  appendFileSync(path, 'ond\n\x1b[1;32mgreen\x1b[0m\n');
+  await delay(40);
+  serial.stop();
+  assertEqual(lines, ['first', 'second', 'green']);
+});
+
+await test('stop() flushes an unterminated last line', () => {
+  const path = newLogPath();
+  writeFileSync(path, 'a\nb');
+  const serial = new SerialConsole(path);
+  serial.start();
+  serial.stop();
+  assertEqual(serial.tail(), ['a', 'b']);
+});
+
+await test('tail(n) keeps only the last maxLines lines', () => {
+  const path = newLogPath();
+  writeFileSync(path, Array.from({ length: 10 }, (_, i) => `line ${i}`).join('\n') + '\n');
+  const serial = new SerialConsole(path, { maxLines: 5 });
+  serial.poll();
+  assertEqual(serial.tail().length, 5);
+  assertEqual(serial.tail(2), ['line 8', 'line 9']);
+});
+
+console.log('\nBoot readiness');
+
+await test('Resolves on the ready marker and records cloud-init state', async () => {
+  const path = newLogPath();
+  writeFileSync(path, 'Booting Linux...\n');
+  const r = makeRunner(path);
+  const seen = [];
+  r.on('console', l => seen.push(l));
+  const ready = r._waitForReady();
+  appendFileSync(path, 'CARAPACEOS_READY\nCloud-init v. 24.1 finished at Thu, 01 Jan 2026\n');
+  await ready;
+  await delay(150);
+  r._console.stop();
+  assert(seen.includes('CARAPACEOS_READY'), `console events: ${JSON.stringify(seen)}`);
+  assertEqual(r.info.cloudInit, { ready: true, finished: true, errors: [] });
+});
+
+await test('Fails fast on a kernel panic with the last console lines', async () => {
+  const path = newLogPath();
+  writeFileSync(path, '');
+  const r = makeRunner(path, { sshTimeout: 30 });
+  const start = Date.now();
+  const ready = r._waitForReady();
+  appendFileSync(path, 'VFS: Unable to mount root fs\nKernel panic - not syncing: VFS\n');
+  const e = await expectBootError(ready, 'Kernel panic');
+  r._console.stop();
+  assert(Date.now() - start < 5000, 'did not wait for the timeout');
+  assertEqual(e.consoleTail.slice(-2), ['VFS: Unable to mount root fs', 'Kernel panic - not syncing: VFS']);
+  assert(e.message.includes('VFS: Unable to mount root fs'), 'message includes console tail');
+});
+
+await test('Fails on a failed runcmd step and on cloud-init errors', async () => {
+  let path = newLogPath();
+  writeFileSync(path, '');
+  let r = makeRunner(path);
+  let ready = r._waitForReady();
+  appendFileSync(path, 'CARAPACEOS_RUNCMD_FAILED 0 rc=32\n');
+  await expectBootError(ready, 'runcmd step 0 failed');
+  r._console.stop();
+  assertEqual(r.cloudInit.errors, ['CARAPACEOS_RUNCMD_FAILED 0 rc=32']);
+
+  path = newLogPath();
+  writeFileSync(path, '');
+  r = makeRunner(path);
+  ready = r._waitForReady();
+  appendFileSync(path, 'cloud-init[812]: 2026-01-01 WARNING: Failed to run module write_files\n');
+  await expectBootError(ready, 'cloud-init reported an error');
+  r._console.stop();
+});
+
+await test('Times out with the console tail when nothing happens', async () => {
+  const path = newLogPath();
+  writeFileSync(path, 'SeaBIOS\n');
+  const r = makeRunner(path, { sshTimeout: 0.3 });
+  const e = await expectBootError(r._waitForReady(), 'not ready');
+  r._console.stop();
+  assertEqual(e.consoleTail, ['SeaBIOS']);
+});
+
+await test('QEMU exit during boot is reported', async () => {
+  const path = newLogPath();
+  writeFileSync(path, '');
+  const r = makeRunner(path);
+  const ready = r._waitForReady();
+  r._onBootEvent({ error: 'QEMU exited with code 1: invalid fsdev' });
+  await expectBootError(ready, 'invalid fsdev');
+  r._console.stop();
+});
+
+await test('consoleLog() returns the console, optionally only the last lines', () => {
+  const path = newLogPath();
+  writeFileSync(path, 'one\ntwo\nthree\n');
+  const r = makeRunner(path);
+  assertEqual(r.consoleLog(), 'one\ntwo\nthree');
+  assertEqual(r.consoleLog({ lines: 1 }), 'three');
+  r._console.stop();
+  assertEqual(new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' }).consoleLog(), '', 'empty before boot');
+});
+
+await test('bootTimeline reports per-phase durations', () => {
+  const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+  assertEqual(r.bootTimeline, null, 'null before boot');
+  r._bootMarks = { start: 1000, seed: 1200, overlay: 1250, qemuStart: 1400, guest: 4400 };
+  assertEqual(r.info.bootTimeline, {
+    startedAt: 1000,
+    totalMs: null,
+    phases: { seed: 200, overlay: 50, qemuStart: 150, guest: 3000, ssh: null, shares: null },
+  }, 'unfinished boot');
+  r._bootMarks.ssh = 5000;
+  r._bootMarks.shares = 5000;
+  assertEqual(r.bootTimeline.totalMs, 4000);
+  assertEqual(r.bootTimeline.phases.ssh, 600);
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
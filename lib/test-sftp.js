@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the SFTP client and runner.fs — no QEMU required.
+ *
+ * A fake `ssh` shim is placed first on PATH. For `ssh -s … sftp` it starts
+ * this file in --serve mode: a minimal SFTP v3 server over stdin/stdout,
+ * backed by the local filesystem. runner.fs then exercises the real client
+ * end to end (spawn, handshake, pipelined requests, error mapping).
+ */
+
+import {
+  mkdtempSync, writeFileSync, chmodSync, rmSync, mkdirSync, readFileSync, existsSync,
+  openSync, closeSync, readSync, writeSync, fstatSync, lstatSync, statSync, readdirSync,
+  unlinkSync, rmdirSync, renameSync, symlinkSync, realpathSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { PassThrough } from 'stream';
+
+import { PacketWriter, PacketReader, FXP, STATUS, OPEN_FLAGS, SftpClient } from './sftp.js';
+
+// ─── Fake SFTP server (--serve mode) ──────────────────────────────────────────
+
+/**
+ * Serve SFTP v3 on the given streams, backed by the local filesystem.
+ * Offers posix-rename@openssh.com unless noExtensions is set.
+ */
+function serveSftp(input, output, { noExtensions = false } = {}) {
+  const handles = new Map();
+  let nextHandle = 1;
+  let buf = Buffer.alloc(0);
+
+  const send = w => output.write(w.toBuffer());
+  const status = (id, code, msg = '') => send(new PacketWriter(FXP.STATUS).uint32(id).uint32(code).string(msg).string(''));
+  const attrsOf = st => ({
+    size: st.size, uid: st.uid, gid: st.gid, mode: st.mode,
+    atime: Math.floor(st.atimeMs / 1000), mtime: Math.floor(st.mtimeMs / 1000),
+  });
+  const fail = (id, e) => status(id, e.code === 'ENOENT' ? STATUS.NO_SUCH_FILE
+    : e.code === 'EACCES' ? STATUS.PERMISSION_DENIED : STATUS.FAILURE, e.message);
+
+  function handle(r) {
+    const type = r.byte();
+    if (type === FXP.INIT) {
+      const w = new PacketWriter(FXP.VERSION).uint32(3);
+      if (!noExtensions) w.string('posix-rename@openssh.com').string('1');
+      return send(w);
+    }
+    const id = r.uint32();
+    try {
+      switch (type) {
+        case FXP.OPEN: {
+          const path = r.string();
+          const pflags = r.uint32();
+          const attrs = r.attrs();
+          let flags = (pflags & OPEN_FLAGS.WRITE) ? ((pflags & OPEN_FLAGS.READ) ? 'r+' : 'w') : 'r';
+          if (flags === 'w' && !(pflags & OPEN_FLAGS.TRUNC)) flags = 'a';
+          const fd = openSync(path, flags, attrs.mode ?? 0o644);
+          const h = String(nextHandle++);
+          handles.set(h, { fd });
+          return send(new PacketWriter(FXP.HANDLE).uint32(id).string(h));
+        }
+        case FXP.CLOSE: {
+          const key = r.string();
+          const h = handles.get(key);
+          if (h?.fd !== undefined) closeSync(h.fd);
+          handles.delete(key);
+          return status(id, STATUS.OK);
+        }
+        case FXP.READ: {
+          const h = handles.get(r.string());
+          const offset = r.uint64();
+          // Cap below the client's chunk size to exercise short-read handling
+          const len = Math.min(r.uint32(), 20000);
+          const data = Buffer.alloc(len);
+          const n = readSync(h.fd, data, 0, len, offset);
+          if (n === 0) return status(id, STATUS.EOF);
+          return send(new PacketWriter(FXP.DATA).uint32(id).string(data.subarray(0, n)));
+        }
+        case FXP.WRITE: {
+          const h = handles.get(r.string());
+          const offset = r.uint64();
+          const data = r.buffer();
+          writeSync(h.fd, data, 0, data.length, offset);
+          return status(id, STATUS.OK);
+        }
+        case FXP.STAT:
+        case FXP.LSTAT: {
+          const path = r.string();
+          const st = type === FXP.STAT ? statSync(path) : lstatSync(path);
+          return send(new PacketWriter(FXP.ATTRS).uint32(id).attrs(attrsOf(st)));
+        }
+        case FXP.FSTAT: {
+          const h = handles.get(r.string());
+          return send(new PacketWriter(FXP.ATTRS).uint32(id).attrs(attrsOf(fstatSync(h.fd))));
+        }
+        case FXP.SETSTAT: {
+          const path = r.string();
+          const attrs = r.attrs();
+          if (attrs.mode !== undefined) chmodSync(path, attrs.mode & 0o7777);
+          return status(id, STATUS.OK);
+        }
+        case FXP.OPENDIR: {
+          const path = r.string();
+          const names = ['.', '..', ...readdirSync(path)];
+          const h = String(nextHandle++);
+          handles.set(h, { dir: path, names });
+          return send(new PacketWriter(FXP.HANDLE).uint32(id).string(h));
+        }
+        case FXP.READDIR: {
+          const h = handles.get(r.string());
+          if (h.names.length === 0) return status(id, STATUS.EOF);
+          // Small batches so the client has to loop
+          const batch = h.names.splice(0, 3);
+          const w = new PacketWriter(FXP.NAME).uint32(id).uint32(batch.length);
+          for (const name of batch) {
+            w.string(name).string(name).attrs(attrsOf(lstatSync(join(h.dir, name))));
+          }
+          return send(w);
+        }
+        case FXP.REMOVE: unlinkSync(r.string()); return status(id, STATUS.OK);
+        case FXP.MKDIR: {
+          const path = r.string();
+          mkdirSync(path, { mode: r.attrs().mode ?? 0o777 });
+          return status(id, STATUS.OK);
+        }
+        case FXP.RMDIR: rmdirSync(r.string()); return status(id, STATUS.OK);
+        case FXP.REALPATH: {
+          const path = realpathSync(r.string());
+          return send(new PacketWriter(FXP.NAME).uint32(id).uint32(1).string(path).string(path).attrs({}));
+        }
+        case FXP.RENAME: {
+          const from = r.string();
+          const to = r.string();
+          // Plain v3 rename refuses to overwrite, like OpenSSH's server
+          if (existsSync(to)) return status(id, STATUS.FAILURE, 'target exists');
+          renameSync(from, to);
+          return status(id, STATUS.OK);
+        }
+        case FXP.EXTENDED: {
+          const name = r.string();
+          if (name !== 'posix-rename@openssh.com' || noExtensions) return status(id, STATUS.OP_UNSUPPORTED);
+          renameSync(r.string(), r.string());
+          return status(id, STATUS.OK);
+        }
+        default:
+          return status(id, STATUS.OP_UNSUPPORTED);
+      }
+    } catch (e) {
+      fail(id, e);
+    }
+  }
+
+  input.on('data', chunk => {
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= 4 && buf.length >= 4 + buf.readUInt32BE(0)) {
+      const len = buf.readUInt32BE(0);
+      handle(new PacketReader(buf.subarray(4, 4 + len)));
+      buf = buf.subarray(4 + len);
+    }
+  });
+}
+
+if (process.argv.includes('--serve')) {
+  serveSftp(process.stdin, process.stdout, { noExtensions: process.env.FAKE_SFTP_NO_EXT === '1' });
+} else {
+  await runTests();
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+async function runTests() {
+  const { CarapaceRunner } = await import('./agent-runner.js');
+
+  const SHIM_DIR = mkdtempSync(join(tmpdir(), 'carapace-sftp-'));
+  writeFileSync(join(SHIM_DIR, 'ssh'), [
+    '#!/bin/sh',
+    '# Fake ssh: "-s … sftp" starts the fake SFTP server; anything else runs locally',
+    'for arg; do',
+    `  [ "$arg" = "-s" ] && exec node ${JSON.stringify(fileURLToPath(import.meta.url))} --serve`,
+    'done',
+    'for last; do :; done',
+    'exec sh -c "$last"',
+    '',
+  ].join('\n'));
+  chmodSync(join(SHIM_DIR, 'ssh'), 0o755);
+  process.env.PATH = `${SHIM_DIR}:${process.env.PATH}`;
+
+  const ROOT = join(SHIM_DIR, 'guest');
+  mkdirSync(ROOT);
+
+  function makeBootedRunner() {
+    const runner = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+    runner._booted = true;
+    runner._sshArgs = ['-p', '0', 'agent@127.0.0.1'];
+    return runner;
+  }
+
+  let passed = 0;
+  let failed = 0;
+  const errors = [];
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`  ❌ ${name}: ${e.message}`);
+      errors.push({ name, error: e.message });
+      failed++;
+    }
+  }
+
+  function assert(cond, msg) {
+    if (!cond) throw new Error(msg || 'Assertion failed');
+  }
+
+  function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+  }
+
+  async function assertRejects(fn, code, msg) {
+    let error = null;
+    try { await fn(); } catch (e) { error = e; }
+    assert(error, `${msg}: expected rejection`);
+    assertEqual(error.code, code, `${msg}: error code`);
+  }
+
+  console.log('\n📁 CarapaceOS SFTP / runner.fs Tests\n');
+
+  const runner = makeBootedRunner();
+  const fs = runner.fs;
+
+  // ─── Protocol ──────────────────────────────────────────────────────────────
+
+  console.log('Protocol');
+
+  await test('SftpClient negotiates version 3 and reads extensions', async () => {
+    const toServer = new PassThrough();
+    const toClient = new PassThrough();
+    serveSftp(toServer, toClient);
+    const client = new SftpClient(toClient, toServer);
+    await client.init();
+    assertEqual(client.version, 3, 'version');
+    assert(client.extensions['posix-rename@openssh.com'], 'posix-rename advertised');
+    client.close();
+  });
+
+  await test('pending requests reject when the connection drops', async () => {
+    const toServer = new PassThrough();
+    const toClient = new PassThrough();
+    const client = new SftpClient(toClient, toServer);
+    const pending = client.stat('/anything'); // no server: never answered
+    toClient.end();
+    await assertRejects(() => pending, 'ECONNRESET', 'stat');
+    await assertRejects(() => client.stat('/x'), 'ENOTCONN', 'after close');
+  });
+
+  await test('malformed or oversized packets close the connection instead of throwing', async () => {
+    const packet = (type, body) => {
+      const header = Buffer.alloc(5);
+      header.writeUInt32BE(body.length + 1);
+      header[4] = type;
+      return Buffer.concat([header, body]);
+    };
+    const connect = () => {
+      const toClient = new PassThrough();
+      return { toClient, client: new SftpClient(toClient, new PassThrough()) };
+    };
+    const protocolError = async (promise, what) => {
+      let error = null;
+      try { await promise; } catch (e) { error = e; }
+      assert(error?.message.includes('SFTP protocol error'), `${what}: ${error?.message}`);
+    };
+
+    // STATUS with an id but no status code
+    let { toClient, client } = connect();
+    let pending = client.stat('/x');
+    toClient.write(packet(FXP.STATUS, Buffer.from([0, 0, 0, 1, 0])));
+    await protocolError(pending, 'short STATUS');
+    assert(!client.isOpen, 'closed');
+
+    // VERSION whose extension name is cut off
+    ({ toClient, client } = connect());
+    pending = client.init();
+    toClient.write(packet(FXP.VERSION, Buffer.from([0, 0, 0, 3, 0, 0, 0, 100, 97, 98])));
+    await protocolError(pending, 'cut VERSION');
+
+    // A length prefix far beyond any real reply is refused before buffering
+    ({ toClient, client } = connect());
+    pending = client.stat('/x');
+    toClient.write(Buffer.from([0x7f, 0xff, 0xff, 0xff, FXP.DATA]));
+    await protocolError(pending, 'huge length');
+  });
+
+  // ─── Files ─────────────────────────────────────────────────────────────────
+
+  console.log('\nFiles');
+
+  await test('writeFile() then readFile() round-trips strings and Buffers', async () => {
+    await fs.writeFile(join(ROOT, 'hello.txt'), 'hello, world\n');
+    assertEqual(await fs.readFile(join(ROOT, 'hello.txt'), 'utf8'), 'hello, world\n', 'string');
+    assertEqual(readFileSync(join(ROOT, 'hello.txt'), 'utf8'), 'hello, world\n', 'on disk');
+
+    const binary = Buffer.from([0, 1, 2, 255, 254, 10, 13]);
+    await fs.writeFile(join(ROOT, 'bin.dat'), binary);
+    const back = await fs.readFile(join(ROOT, 'bin.dat'));
+    assert(Buffer.isBuffer(back) && back.equals(binary), 'binary round trip');
+  });
+
+  await test('large files are transferred intact across many chunks', async () => {
+    const big = Buffer.alloc(3 * 1024 * 1024 + 12345);
+    for (let i = 0; i < big.length; i++) big[i] = (i * 31 + (i >> 9)) & 0xff;
+    await fs.writeFile(join(ROOT, 'big.bin'), big);
+    assert(readFileSync(join(ROOT, 'big.bin')).equals(big), 'written correctly');
+    assert((await fs.readFile(join(ROOT, 'big.bin'))).equals(big), 'read back correctly');
+  });
+
+  await test('writeFile() truncates and applies mode', async () => {
+    await fs.writeFile(join(ROOT, 'trunc.txt'), 'a much longer original');
+    await fs.writeFile(join(ROOT, 'trunc.txt'), 'short');
+    assertEqual(readFileSync(join(ROOT, 'trunc.txt'), 'utf8'), 'short', 'truncated');
+    await fs.writeFile(join(ROOT, 'script.sh'), '#!/bin/sh\n', { mode: 0o755 });
+    assertEqual(statSync(join(ROOT, 'script.sh')).mode & 0o777, 0o755, 'mode');
+  });
+
+  await test('empty files read back as empty', async () => {
+    await fs.writeFile(join(ROOT, 'empty'), '');
+    assertEqual((await fs.readFile(join(ROOT, 'empty'))).length, 0);
+  });
+
+  await test('readFile() of a missing file rejects with ENOENT', async () => {
+    await assertRejects(() => fs.readFile(join(ROOT, 'nope.txt')), 'ENOENT', 'readFile');
+  });
+
+  // ─── Metadata ──────────────────────────────────────────────────────────────
+
+  console.log('\nMetadata');
+
+  await test('stat() reports type, size and mode', async () => {
+    const st = await fs.stat(join(ROOT, 'hello.txt'));
+    assertEqual(st.type, 'file', 'type');
+    assertEqual(st.size, 13, 'size');
+    assert(st.isFile() && !st.isDirectory(), 'helpers');
+    assert(st.mtime instanceof Date, 'mtime is a Date');
+    assertEqual((await fs.stat(ROOT)).type, 'directory', 'dir type');
+  });
+
+  await test('lstat() does not follow symlinks; stat() does', async () => {
+    symlinkSync('hello.txt', join(ROOT, 'link.txt'));
+    assertEqual((await fs.lstat(join(ROOT, 'link.txt'))).type, 'symlink', 'lstat');
+    assertEqual((await fs.stat(join(ROOT, 'link.txt'))).type, 'file', 'stat');
+  });
+
+  await test('exists() is true for files and dirs, false for missing paths', async () => {
+    assertEqual(await fs.exists(join(ROOT, 'hello.txt')), true, 'file');
+    assertEqual(await fs.exists(ROOT), true, 'dir');
+    assertEqual(await fs.exists(join(ROOT, 'missing')), false, 'missing');
+  });
+
+  await test('chmod() changes permissions', async () => {
+    await fs.chmod(join(ROOT, 'hello.txt'), 0o600);
+    assertEqual(statSync(join(ROOT, 'hello.txt')).mode & 0o777, 0o600);
+  });
+
+  // ─── Directories ───────────────────────────────────────────────────────────
+
+  console.log('\nDirectories');
+
+  await test('readdir() lists names sorted, without . and ..', async () => {
+    const names = await fs.readdir(ROOT);
+    assertEqual(names, [...names].sort(), 'sorted');
+    assert(!names.includes('.') && !names.includes('..'), 'no dot entries');
+    assert(names.includes('hello.txt') && names.includes('big.bin'), 'has files');
+  });
+
+  await test('readdir({ withStats: true }) includes types', async () => {
+    mkdirSync(join(ROOT, 'sub'));
+    const entries = await fs.readdir(ROOT, { withStats: true });
+    assertEqual(entries.find(e => e.name === 'sub').type, 'directory', 'dir');
+    assertEqual(entries.find(e => e.name === 'link.txt').type, 'symlink', 'symlink');
+    assertEqual(entries.find(e => e.name === 'empty').size, 0, 'size');
+  });
+
+  await test('mkdir() creates a directory; recursive creates parents and tolerates existing', async () => {
+    await fs.mkdir(join(ROOT, 'single'));
+    assert(statSync(join(ROOT, 'single')).isDirectory(), 'single');
+    await fs.mkdir(join(ROOT, 'a', 'b', 'c'), { recursive: true });
+    assert(statSync(join(ROOT, 'a', 'b', 'c')).isDirectory(), 'nested');
+    await fs.mkdir(join(ROOT, 'a', 'b'), { recursive: true });
+    await assertRejects(() => fs.mkdir(join(ROOT, 'single')), 'EIO', 'existing without recursive');
+    await assertRejects(() => fs.mkdir(join(ROOT, 'hello.txt', 'x'), { recursive: true }), 'EIO', 'through a file');
+  });
+
+  await test('rm() removes files; directories need recursive', async () => {
+    await fs.rm(join(ROOT, 'trunc.txt'));
+    assert(!existsSync(join(ROOT, 'trunc.txt')), 'file removed');
+
+    writeFileSync(join(ROOT, 'a', 'b', 'c', 'deep.txt'), 'x');
+    await assertRejects(() => fs.rm(join(ROOT, 'a')), 'EISDIR', 'dir without recursive');
+    await fs.rm(join(ROOT, 'a'), { recursive: true });
+    assert(!existsSync(join(ROOT, 'a')), 'tree removed');
+
+    await assertRejects(() => fs.rm(join(ROOT, 'gone')), 'ENOENT', 'missing');
+    await fs.rm(join(ROOT, 'gone'), { force: true });
+  });
+
+  await test('rename() moves and replaces existing targets', async () => {
+    await fs.writeFile(join(ROOT, 'old.txt'), 'old');
+    await fs.writeFile(join(ROOT, 'new.txt'), 'stale');
+    await fs.rename(join(ROOT, 'old.txt'), join(ROOT, 'new.txt'));
+    assert(!existsSync(join(ROOT, 'old.txt')), 'source gone');
+    assertEqual(readFileSync(join(ROOT, 'new.txt'), 'utf8'), 'old', 'target replaced');
+  });
+
+  await test('rename() without posix-rename falls back to plain RENAME', async () => {
+    process.env.FAKE_SFTP_NO_EXT = '1';
+    const plain = makeBootedRunner();
+    try {
+      await plain.fs.writeFile(join(ROOT, 'p1.txt'), '1');
+      await plain.fs.rename(join(ROOT, 'p1.txt'), join(ROOT, 'p2.txt'));
+      assert(existsSync(join(ROOT, 'p2.txt')), 'renamed');
+    } finally {
+      delete process.env.FAKE_SFTP_NO_EXT;
+      plain.fs.close();
+    }
+  });
+
+  // ─── Lifecycle ─────────────────────────────────────────────────────────────
+
+  console.log('\nLifecycle');
+
+  await test('runner.fs reuses one connection and reconnects after close()', async () => {
+    assert(runner.fs === fs, 'same RemoteFS instance');
+    const client = await fs._sftp();
+    await fs.stat(ROOT);
+    assert((await fs._sftp()) === client, 'connection reused');
+    fs.close();
+    assert((await fs.exists(join(ROOT, 'hello.txt'))), 'works after reconnect');
+    assert((await fs._sftp()) !== client, 'new connection');
+  });
+
+  await test('runner.fs throws before boot', async () => {
+    const r = new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2' });
+    let threw = false;
+    try { r.fs; } catch { threw = true; }
+    assert(threw, 'should throw');
+  });
+
+  fs.close();
+  rmSync(SHIM_DIR, { recursive: true, force: true });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  if (errors.length > 0) {
+    console.log('\nFailed tests:');
+    for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+  }
+  process.exit(failed === 0 ? 0 : 1);
+}
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for CarapaceOS shared host directories (virtio-9p).
+ *
+ * Tests opts.shares validation, _buildShareArgs(), the seed ISO mount
+ * commands and CLI share specs without booting any actual VMs (no QEMU
+ * required).
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { CarapaceRunner, parseShareSpec } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, expectedMsg) {
+  let threw = false;
+  try { fn(); } catch (e) {
+    threw = true;
+    if (expectedMsg && !e.message.includes(expectedMsg)) {
+      throw new Error(`Expected error containing "${expectedMsg}", got: "${e.message}"`);
+    }
+  }
+  if (!threw) throw new Error(`Expected function to throw (expected: "${expectedMsg}")`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const FAKE_IMAGE = '/tmp/fake-carapaceos.qcow2';
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-shares-'));
+const SRC = join(TMP, 'src');
+const OUT = join(TMP, 'out,dir');
+mkdirSync(SRC);
+mkdirSync(OUT);
+writeFileSync(join(TMP, 'file.txt'), 'not a directory\n');
+
+function makeRunner(opts = {}) {
+  return new CarapaceRunner({ image: FAKE_IMAGE, ...opts });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n📂 CarapaceOS Shared Directory Tests\n');
+
+console.log('Validation');
+
+await test('No shares by default', () => {
+  const r = makeRunner();
+  assertEqual(r.shares, []);
+  assertEqual(r._buildShareArgs(), []);
+  assertEqual(r._shareMountCommands(), []);
+});
+
+await test('Shares default to read-only and get sequential tags', () => {
+  const r = makeRunner({ shares: [
+    { hostPath: SRC, guestPath: '/src' },
+    { hostPath: OUT, guestPath: '/out/', readonly: false },
+  ] });
+  assertEqual(r.shares, [
+    { hostPath: SRC, guestPath: '/src', readonly: true, tag: 'share0' },
+    { hostPath: OUT, guestPath: '/out', readonly: false, tag: 'share1' },
+  ]);
+});
+
+await test('Relative hostPath is resolved', () => {
+  const r = makeRunner({ shares: [{ hostPath: '.', guestPath: '/src' }] });
+  assertEqual(r.shares[0].hostPath, resolve('.'));
+});
+
+await test('Rejects missing hostPath', () => {
+  assertThrows(() => makeRunner({ shares: [{ hostPath: join(TMP, 'nope'), guestPath: '/x' }] }), 'does not exist');
+});
+
+await test('Rejects hostPath that is not a directory', () => {
+  assertThrows(() => makeRunner({ shares: [{ hostPath: join(TMP, 'file.txt'), guestPath: '/x' }] }), 'not a directory');
+});
+
+await test('Rejects relative or root guestPath', () => {
+  assertThrows(() => makeRunner({ shares: [{ hostPath: SRC, guestPath: 'src' }] }), 'absolute path');
+  assertThrows(() => makeRunner({ shares: [{ hostPath: SRC, guestPath: '/' }] }), 'absolute path');
+});
+
+await test('Rejects duplicate guestPath', () => {
+  assertThrows(() => makeRunner({ shares: [
+    { hostPath: SRC, guestPath: '/work' },
+    { hostPath: OUT, guestPath: '/work/' },
+  ] }), 'used twice');
+});
+
+await test('Rejects non-boolean readonly', () => {
+  assertThrows(() => makeRunner({ shares: [{ hostPath: SRC, guestPath: '/src', readonly: 'yes' }] }), 'readonly must be a boolean');
+});
+
+console.log('\n_buildShareArgs()');
+
+await test('Read-only share uses fsdev readonly=on', () => {
+  const r = makeRunner({ shares: [{ hostPath: SRC, guestPath: '/src' }] });
+  assertEqual(r._buildShareArgs(), [
+    '-fsdev', `local,id=fsshare0,path=${SRC},security_model=none,readonly=on`,
+    '-device', 'virtio-9p-pci,fsdev=fsshare0,mount_tag=share0',
+  ]);
+});
+
+await test('Writable share omits readonly and escapes commas in the path', () => {
+  const r = makeRunner({ shares: [{ hostPath: OUT, guestPath: '/out', readonly: false }] });
+  const fsdev = r._buildShareArgs()[1];
+  assert(fsdev.includes(`path=${OUT.replace(',', ',,')},`), `path not escaped: ${fsdev}`);
+  assert(!fsdev.includes('readonly'), 'writable share must not be readonly');
+});
+
+console.log('\nGuest mounts');
+
+await test('Mount commands mount each tag at its guestPath', () => {
+  const r = makeRunner({ shares: [
+    { hostPath: SRC, guestPath: '/src' },
+    { hostPath: OUT, guestPath: "/it's out", readonly: false },
+  ] });
+  assertEqual(r._shareMountCommands(), [
+    "mkdir -p '/src' && mount -t 9p -o trans=virtio,version=9p2000.L,msize=524288,ro share0 '/src'",
+    "mkdir -p '/it'\\''s out' && mount -t 9p -o trans=virtio,version=9p2000.L,msize=524288 share1 '/it'\\''s out'",
+  ]);
+});
+
+await test('info.shares lists shares without internal tags', () => {
+  const r = makeRunner({ shares: [{ hostPath: SRC, guestPath: '/src' }] });
+  assertEqual(r.info.shares, [{ hostPath: SRC, guestPath: '/src', readonly: true }]);
+});
+
+console.log('\nparseShareSpec()');
+
+await test('Parses HOST:GUEST as read-only', () => {
+  assertEqual(parseShareSpec('./repo:/src'), { hostPath: './repo', guestPath: '/src', readonly: true });
+});
+
+await test('Parses :rw and :ro suffixes', () => {
+  assertEqual(parseShareSpec('/tmp/out:/out:rw').readonly, false);
+  assertEqual(parseShareSpec('/tmp/out:/out:ro').readonly, true);
+});
+
+await test('Rejects specs without a guest path', () => {
+  assertThrows(() => parseShareSpec('/tmp/out'), 'Invalid share');
+  assertThrows(() => parseShareSpec('/tmp/out:out'), 'Invalid share');
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
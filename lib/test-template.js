@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for CarapaceOS boot templates (lib/template.js and
+ * runner.saveTemplate()). A fake QMP socket stands in for QEMU, so no VM
+ * is booted.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, statSync, rmSync } from 'fs';
+import { createServer } from 'net';
+import { EventEmitter } from 'events';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadTemplate, writeTemplateMeta, TEMPLATE_SNAPSHOT } from './template.js';
+import { CarapaceRunner } from './agent-runner.js';
+import { WarmPool } from './warm-pool.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, expectedMsg) {
+  let threw = false;
+  try { fn(); } catch (e) {
+    threw = true;
+    if (expectedMsg && !e.message.includes(expectedMsg)) {
+      throw new Error(`Expected error containing "${expectedMsg}", got: "${e.message}"`);
+    }
+  }
+  if (!threw) throw new Error(`Expected function to throw (expected: "${expectedMsg}")`);
+}
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const TMP = mkdtempSync(join(tmpdir(), 'carapace-template-test-'));
+const BASE = join(TMP, 'base.qcow2');
+writeFileSync(BASE, 'base image');
+let dirCounter = 0;
+
+/** A complete template directory, as saveTemplate() leaves it. */
+function makeTemplateDir(meta = {}) {
+  const dir = join(TMP, `tpl-${++dirCounter}`);
+  mkdirSync(dir);
+  for (const name of ['disk.qcow2', 'seed.iso', 'id_ed25519']) writeFileSync(join(dir, name), name);
+  writeFileSync(join(dir, 'ssh_host_ed25519_key.pub'), 'ssh-ed25519 AAAAtemplatehost carapaceos-host\n');
+  writeTemplateMeta(dir, { baseImage: BASE, memory: '1024', cpus: 2, diskSize: null, kvm: false, ...meta });
+  return dir;
+}
+
+/**
+ * A fake QMP socket: `savevm` replies with `savevmOutput`, `quit` makes the
+ * fake QEMU process exit.
+ */
+async function startFakeQMP(proc, { savevmOutput = '' } = {}) {
+  const socketPath = join(TMP, `qmp-${++dirCounter}.sock`);
+  const commands = [];
+  const server = createServer(sock => {
+    sock.write(JSON.stringify({ QMP: { version: {}, capabilities: [] } }) + '\n');
+    let buf = '';
+    sock.on('data', chunk => {
+      buf += chunk;
+      const lines = buf.split('\n');
+      buf = lines.pop();
+      for (const line of lines) {
+        const msg = JSON.parse(line);
+        if (msg.execute === 'qmp_capabilities') {
+          sock.write(JSON.stringify({ return: {} }) + '\n');
+        } else if (msg.execute === 'quit') {
+          commands.push('quit');
+          sock.write(JSON.stringify({ return: {} }) + '\n');
+          setTimeout(() => { proc.exitCode = 0; proc.emit('exit', 0); }, 10);
+        } else {
+          commands.push(msg.arguments['command-line']);
+          sock.write(JSON.stringify({ return: savevmOutput }) + '\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return { socketPath, commands, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/** A runner that looks booted: work dir files in place, QEMU faked. */
+function makeBootedRunner() {
+  const r = new CarapaceRunner({ image: BASE, memory: '768', cpus: 2, multiplex: false });
+  mkdirSync(r._workDir, { recursive: true });
+  writeFileSync(r._overlayImage, 'overlay with vmstate');
+  writeFileSync(r._seedISO, 'seed');
+  writeFileSync(r._sshKeyPath, 'private key');
+  r._writeKnownHosts('ssh-ed25519 AAAAsavedhost carapaceos-host');
+  r._booted = true;
+  r._kvm = false;
+  r._qemuProc = Object.assign(new EventEmitter(), { exitCode: null, kill() {} });
+  r.run = async () => ({ stdout: '', stderr: '', code: 0 });
+  return r;
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🧊 CarapaceOS Boot Template Tests\n');
+
+console.log('loadTemplate()');
+
+await test('Loads metadata and file paths', () => {
+  const dir = makeTemplateDir();
+  const t = loadTemplate(dir);
+  assertEqual([t.snapshot, t.baseImage, t.memory, t.cpus, t.diskSize, t.kvm],
+    [TEMPLATE_SNAPSHOT, BASE, '1024', 2, null, false]);
+  assertEqual(t.files.disk, join(dir, 'disk.qcow2'));
+});
+
+await test('Rejects directories that are not templates', () => {
+  assertThrows(() => loadTemplate(join(TMP, 'nope')), 'Not a template');
+  const dir = makeTemplateDir();
+  rmSync(join(dir, 'seed.iso'));
+  assertThrows(() => loadTemplate(dir), 'missing seed.iso');
+});
+
+await test('Rejects unknown versions and a missing base image', () => {
+  let dir = makeTemplateDir();
+  const metaPath = join(dir, 'template.json');
+  writeFileSync(metaPath, JSON.stringify({ ...JSON.parse(readFileSync(metaPath, 'utf8')), version: 99 }));
+  assertThrows(() => loadTemplate(dir), 'Unsupported template version 99');
+  dir = makeTemplateDir({ baseImage: join(TMP, 'gone.qcow2') });
+  assertThrows(() => loadTemplate(dir), 'base image not found');
+});
+
+console.log('\nCarapaceRunner({ template })');
+
+await test('Takes image, memory, cpus and diskSize from the template', () => {
+  const dir = makeTemplateDir({ diskSize: '10G' });
+  const r = new CarapaceRunner({ template: dir });
+  assertEqual([r.baseImage, r.memory, r.cpus, r.diskSize], [BASE, '1024', 2, '10G']);
+  assertEqual(r.info.template, dir);
+});
+
+await test('Rejects hardware that differs from the template', () => {
+  const dir = makeTemplateDir();
+  assertThrows(() => new CarapaceRunner({ template: dir, memory: '2048' }), 'memory 2048 does not match template');
+  assertThrows(() => new CarapaceRunner({ template: dir, cpus: 4 }), 'cpus 4 does not match');
+  assertThrows(() => new CarapaceRunner({ template: dir, image: join(TMP, 'other.qcow2') }), 'image');
+  assertThrows(() => new CarapaceRunner({ template: dir, networkMode: 'none' }), 'need networking');
+  assertThrows(() => new CarapaceRunner({ template: dir, shares: [{ hostPath: TMP, guestPath: '/src' }] }), 'shares');
+});
+
+await test('Rejects a network mode whose guest setup the template lacks', () => {
+  const nat = makeTemplateDir();
+  assertEqual(loadTemplate(nat).networkMode, 'nat');
+  assertEqual(new CarapaceRunner({ template: nat, networkMode: 'isolated' }).networkMode, 'isolated', 'same seed');
+  assertThrows(() => new CarapaceRunner({
+    template: nat, networkMode: 'allowlist', networkAllow: [{ host: 'registry.npmjs.org', port: 443 }],
+  }), 'networkMode allowlist does not match template');
+  assertThrows(() => new CarapaceRunner({ template: nat, networkMode: 'proxy', networkAllow: ['registry.npmjs.org'] }),
+    'networkMode proxy does not match template');
+
+  const proxy = makeTemplateDir({ networkMode: 'proxy' });
+  assertEqual(new CarapaceRunner({ template: proxy, networkMode: 'proxy', networkAllow: ['*.github.com'] }).networkMode, 'proxy');
+  assertThrows(() => new CarapaceRunner({ template: proxy }), 'networkMode nat does not match template');
+  assertThrows(() => new CarapaceRunner({
+    template: proxy, networkMode: 'allowlist', networkAllow: [{ host: 'github.com', port: 443 }],
+  }), 'networkMode allowlist does not match template');
+});
+
+await test('Clone refresh re-keys and renames the guest', () => {
+  const r = new CarapaceRunner({ template: makeTemplateDir() });
+  const cmd = r._cloneRefreshCommand('ssh-ed25519 AAAAnew carapaceos-ephemeral', 'ssh-ed25519 AAAAnewhost carapaceos-host');
+  assert(/^umask 077 && printf '%s\\n' 'ssh-ed25519 AAAAnew carapaceos-ephemeral' > ~\/\.ssh\/authorized_keys/.test(cmd), cmd);
+  assert(/^carapaceos-[0-9a-f]{8}$/.test(r.hostname), `hostname: ${r.hostname}`);
+  for (const part of [`hostname ${r.hostname}`, '/var/lib/cloud/data/instance-id', '/dev/urandom', 'date -s @',
+    'cat > /etc/ssh/ssh_host_ed25519_key', 'AAAAnewhost', 'rc-service sshd reload']) {
+    assert(cmd.includes(part), `missing "${part}"`);
+  }
+  assert(!cmd.includes('ssh-keygen'), 'host key comes from the host, not generated in the guest');
+  const first = r.hostname;
+  r._cloneRefreshCommand('ssh-ed25519 AAAAnew', 'ssh-ed25519 AAAAnewhost');
+  assert(r.hostname !== first, 'each refresh picks a new hostname');
+});
+
+await test('Clones pin the template\'s host key until they are re-keyed', () => {
+  const dir = makeTemplateDir();
+  const r = new CarapaceRunner({ template: dir });
+  mkdirSync(r._workDir, { recursive: true });
+  try {
+    r._writeKnownHosts(readFileSync(loadTemplate(dir).files.hostKey, 'utf8'));
+    assertEqual(readFileSync(r._knownHostsPath, 'utf8'), `${r._hostKeyAlias} ssh-ed25519 AAAAtemplatehost\n`);
+    const dirWithoutKey = makeTemplateDir();
+    rmSync(join(dirWithoutKey, 'ssh_host_ed25519_key.pub'));
+    assertThrows(() => loadTemplate(dirWithoutKey), 'missing ssh_host_ed25519_key.pub');
+  } finally {
+    rmSync(r._workDir, { recursive: true, force: true });
+  }
+});
+
+console.log('\nsaveTemplate()');
+
+await test('Saves the VM state, copies its files and shuts the VM down', async () => {
+  const r = makeBootedRunner();
+  const qmp = await startFakeQMP(r._qemuProc);
+  const dir = join(TMP, 'saved');
+  try {
+    r._qmpSocket = qmp.socketPath;
+    const meta = await r.saveTemplate(dir);
+    assertEqual(qmp.commands, [`savevm ${TEMPLATE_SNAPSHOT}`, 'quit']);
+    assertEqual([meta.dir, meta.memory, meta.cpus, meta.kvm], [dir, '768', 2, false]);
+    assertEqual(readFileSync(join(dir, 'disk.qcow2'), 'utf8'), 'overlay with vmstate');
+    assertEqual(statSync(join(dir, 'id_ed25519')).mode & 0o777, 0o600, 'key mode');
+    assertEqual(readFileSync(join(dir, 'ssh_host_ed25519_key.pub'), 'utf8'), 'ssh-ed25519 AAAAsavedhost\n', 'pinned host key');
+    assert(!r.info.booted, 'runner no longer booted');
+    assert(!existsSync(r._workDir), 'work dir cleaned up');
+    const t = loadTemplate(dir);
+    assertEqual([t.memory, t.cpus, t.baseImage, t.networkMode], ['768', 2, BASE, 'nat']);
+  } finally {
+    await qmp.close();
+  }
+});
+
+await test('Fails on savevm errors and never overwrites a template', async () => {
+  const r = makeBootedRunner();
+  const qmp = await startFakeQMP(r._qemuProc, { savevmOutput: 'Error: State blocked by non-migratable device\r\n' });
+  try {
+    r._qmpSocket = qmp.socketPath;
+    let err;
+    try { await r.saveTemplate(join(TMP, 'blocked')); } catch (e) { err = e; }
+    assert(err?.message.includes('savevm failed: Error: State blocked'), `Got: ${err?.message}`);
+    assert(!existsSync(join(TMP, 'blocked', 'template.json')), 'nothing written');
+
+    err = null;
+    try { await r.saveTemplate(makeTemplateDir()); } catch (e) { err = e; }
+    assert(err?.message.includes('Template already exists'), `Got: ${err?.message}`);
+  } finally {
+    await qmp.close();
+    rmSync(r._workDir, { recursive: true, force: true });
+  }
+});
+
+await test('Requires a booted VM', async () => {
+  let err;
+  try { await new CarapaceRunner({ image: BASE }).saveTemplate(join(TMP, 'x')); } catch (e) { err = e; }
+  assert(err?.message.includes('not booted'), `Got: ${err?.message}`);
+});
+
+console.log('\nWarmPool({ template })');
+
+await test('Pool VMs restore the template; other hardware boots normally', () => {
+  const dir = makeTemplateDir();
+  const pool = new WarmPool({ image: BASE, template: dir, memory: '512' });
+  assertEqual([pool.memory, pool.cpus], ['1024', 2], 'hardware from the template');
+  const runner = pool._createRunner();
+  assertEqual(runner.template?.dir, dir);
+  assertEqual(pool._customResources({ cpus: 2 }), null, 'template hardware uses warm VMs');
+
+  const created = [];
+  pool._createRunner = overrides => { created.push(overrides); throw new Error('stop here'); };
+  pool._acquireDedicated({ cpus: 4 }).catch(() => {});
+  assert('template' in created[0] && created[0].template === undefined, 'dedicated VM skips the template');
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+rmSync(TMP, { recursive: true, force: true });
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
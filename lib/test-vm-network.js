@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for private VM networks (lib/vm-network.js).
+ * No QEMU required: runners are built but never booted.
+ */
+
+import { VMNetwork, hostsCommand } from './vm-network.js';
+import { CarapaceRunner } from './agent-runner.js';
+
+let passed = 0;
+let failed = 0;
+const errors = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    errors.push({ name, error: e.message });
+    failed++;
+  }
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, msg) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${msg || 'assertEqual'}: got ${a}, expected ${e}`);
+}
+
+function assertThrows(fn, includes) {
+  let err;
+  try { fn(); } catch (e) { err = e; }
+  assert(err, 'Expected an error');
+  assert(err.message.includes(includes), `Got: ${err.message}`);
+}
+
+const makeRunner = (opts = {}) => new CarapaceRunner({ image: '/tmp/fake-carapaceos.qcow2', ...opts });
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+console.log('\n🔗 CarapaceOS VM Network Tests\n');
+
+console.log('Addresses');
+
+await test('Members get addresses and hostnames in join order; a freed slot is reused', () => {
+  const lan = new VMNetwork('team');
+  const [a, b, c] = [{}, {}, {}];
+  assertEqual(lan.join(a, { hostname: 'server' }).ip, '192.168.77.10');
+  assertEqual(lan.join(b), { hostname: 'team-2', ip: '192.168.77.11', mac: lan.memberOf(b).mac });
+  lan.leave(a);
+  assertEqual(lan.join(c).ip, '192.168.77.10', 'lowest free address');
+  assertEqual(lan.members.map(m => m.hostname), ['team-1', 'team-2']);
+  assert(new Set(lan.members.map(m => m.mac)).size === 2, 'MACs are unique on the segment');
+});
+
+await test('Rejects bad names, taken hostnames, overlapping subnets and full networks', () => {
+  assertThrows(() => new VMNetwork('Team_1'), 'Invalid network name');
+  assertThrows(() => new VMNetwork('team', { subnet: '10.0.0.0/16' }), 'overlaps the QEMU user network');
+  assertThrows(() => new VMNetwork('team', { subnet: '192.168.77.1/24' }), 'host bits are set');
+  assertThrows(() => new VMNetwork('team', { mcast: '192.168.0.1:5000' }), 'Invalid mcast');
+  const lan = new VMNetwork('team', { subnet: '172.30.0.0/28' });
+  lan.join({}, { hostname: 'server' });
+  assertThrows(() => lan.join({}, { hostname: 'server' }), 'already taken');
+  assertThrows(() => lan.join({}, { hostname: 'bad name' }), 'Invalid hostname');
+  for (let i = 1; i < lan.maxMembers; i++) lan.join({});
+  assertEqual(lan.members.at(-1).ip, '172.30.0.14');
+  assertThrows(() => lan.join({}), 'is full');
+});
+
+console.log('\nGuest configuration');
+
+await test('Each network has its own multicast group; members get a NIC on it', () => {
+  const lan = new VMNetwork('team', { mcast: '239.255.7.7:23456' });
+  const vm = {};
+  const { mac } = lan.join(vm);
+  assertEqual(lan.qemuArgs(vm), [
+    '-netdev', 'socket,id=lan0,mcast=239.255.7.7:23456,localaddr=127.0.0.1',
+    '-device', `virtio-net,netdev=lan0,mac=${mac}`,
+  ]);
+  assert(new VMNetwork('team').mcast !== new VMNetwork('team').mcast, 'same name, different segment');
+  assertThrows(() => lan.qemuArgs({}), 'not on network "team"');
+});
+
+await test('hostsCommand replaces only its own network\'s lines', () => {
+  assertEqual(hostsCommand('team', [{ ip: '192.168.77.10', hostname: 'server' }]),
+    "sed -i '/ # carapace-vmnetwork team$/d' /etc/hosts && " +
+    "printf '%s\\n' '192.168.77.10 server # carapace-vmnetwork team' >> /etc/hosts");
+});
+
+console.log('\nCarapaceRunner');
+
+await test('A runner on a network seeds its hostname, address and peers', async () => {
+  const lan = new VMNetwork('team');
+  const server = makeRunner({ vmNetwork: lan, hostname: 'server' });
+  const client = makeRunner({ vmNetwork: lan, networkMode: 'isolated' });
+  const seed = client._seedOptions();
+  assertEqual(seed.hostname, 'team-2');
+  assert(seed.runcmd[0].includes('ip addr add 192.168.77.11/24'), `Got: ${seed.runcmd[0]}`);
+  assert(seed.runcmd[1].includes("'192.168.77.10 server # carapace-vmnetwork team'"), 'server in /etc/hosts');
+  const { mac } = lan.memberOf(client);
+  assertEqual(client.info.network.vmNetwork, { name: 'team', hostname: 'team-2', ip: '192.168.77.11', mac });
+  assertEqual(client.info.network.mode, 'isolated', 'internet access still follows networkMode');
+  assertEqual(makeRunner()._seedOptions().hostname, undefined, 'no network, default hostname');
+
+  await server.shutdown(true);
+  assertEqual(lan.members.map(m => m.hostname), ['team-2'], 'shutdown() frees the address');
+  await client.shutdown(true);
+});
+
+await test('vmNetwork and hostname are validated', () => {
+  assertThrows(() => makeRunner({ hostname: 'server' }), 'hostname needs a vmNetwork');
+  assertThrows(() => makeRunner({ vmNetwork: { name: 'team' } }), 'vmNetwork must be a VMNetwork');
+  const lan = new VMNetwork('team');
+  makeRunner({ vmNetwork: lan, hostname: 'server' });
+  assertThrows(() => makeRunner({ vmNetwork: lan, hostname: 'server' }), 'already taken');
+});
+
+await test('syncHosts() updates /etc/hosts on booted members as root', async () => {
+  const lan = new VMNetwork('team');
+  const calls = [];
+  const member = (booted, code = 0) => ({
+    _booted: booted,
+    async run(command, opts) {
+      calls.push([command, opts.user]);
+      return { code };
+    },
+  });
+  lan.join(member(true));
+  lan.join(member(false));
+  lan.join(member(true, 1), { hostname: 'flaky' });
+  assertEqual(await lan.syncHosts(), ['flaky']);
+  assertEqual(calls.length, 2, 'only booted members');
+  assert(calls.every(([cmd, user]) => cmd === hostsCommand('team', lan.members) && user === 'root'));
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (errors.length > 0) {
+  console.log('\nFailed tests:');
+  for (const e of errors) console.log(`  ❌ ${e.name}: ${e.error}`);
+}
+process.exit(failed === 0 ? 0 : 1);
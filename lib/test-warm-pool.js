@@ -7,6 +7,14 @@
  */
 
 import { WarmPool } from './warm-pool.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// pool.start() reaps orphans host-wide; keep it to a scratch state/temp dir
+const SCRATCH = mkdtempSync(join(tmpdir(), 'carapace-pool-test-'));
+process.env.CARAPACE_STATE_DIR = join(SCRATCH, 'state');
+process.env.TMPDIR = SCRATCH;
 
 // ─── Mock runner factory ──────────────────────────────────────────────────────
 
@@ -323,8 +331,107 @@ await test('maxWarmAgeMs evicts stale warm VMs', async () => {
   await pool.stop();
 });
 
+// 15. Custom resources boot a dedicated VM
+await test('acquire() with different resources boots a dedicated VM', async () => {
+  const pool = patchPool(new WarmPool({ image: './fake.qcow2', size: 1, cpus: 2, verbose: false }));
+  const created = [];
+  pool._createRunner = overrides => { created.push(overrides); return makeMockRunner(); };
+  await pool.start();
+
+  const same = await pool.acquire({ cpus: 2, memory: 512 });
+  assert(created.length === 0, 'matching resources use a warm VM');
+
+  const big = await pool.acquire({ cpus: 4, diskSize: '10G' });
+  assert(JSON.stringify(created) === JSON.stringify([{ cpus: 4, diskSize: '10G' }]), `overrides: ${JSON.stringify(created)}`);
+  assert(big._booted, 'dedicated VM is booted');
+  assert(pool.stats().active === 2, `active=${pool.stats().active}`);
+
+  await pool.release(big);
+  assert(big._shutdown, 'dedicated VM destroyed on release');
+  await pool.release(same);
+  await pool.stop();
+});
+
+// 16. Dedicated VMs respect maxSize
+await test('acquire() with custom resources rejects at maxSize', async () => {
+  const pool = patchPool(new WarmPool({ image: './fake.qcow2', size: 1, maxSize: 1, verbose: false }));
+  pool._createRunner = () => makeMockRunner();
+  await pool.start();
+  let threw = false;
+  try { await pool.acquire({ cpus: 8 }); } catch (err) {
+    threw = err.message.includes('capacity');
+  }
+  assert(threw, 'should reject with capacity error');
+  await pool.stop();
+});
+
+// 17. slot:warm carries the runner's boot timeline
+await test('slot:warm includes the boot timeline', async () => {
+  const timeline = { startedAt: 1, totalMs: 900, phases: { seed: 100, guest: 800 } };
+  const pool = new WarmPool({ image: './fake.qcow2', size: 1, verbose: false });
+  pool._createRunner = () => Object.assign(makeMockRunner(), { bootTimeline: timeline });
+  const events = [];
+  pool.on('slot:warm', e => events.push(e));
+  await pool.start();
+  assert(events.length === 1, `warm events: ${events.length}`);
+  assert(events[0].bootTimeline === timeline, 'bootTimeline passed through');
+  assert(typeof events[0].bootMs === 'number', 'bootMs still reported');
+  await pool.stop();
+});
+
+// 18. start() reaps what crashed processes left behind
+await test('start() runs garbage collection unless gc: false', async () => {
+  let pool = patchPool(new WarmPool({ image: './fake.qcow2', size: 1, verbose: false }));
+  const reports = [];
+  pool.on('pool:gc', r => reports.push(r));
+  await pool.start();
+  assert(reports.length === 1, `gc events: ${reports.length}`);
+  assert(Array.isArray(reports[0].removedDirs), 'report shape');
+  await pool.stop();
+
+  pool = patchPool(new WarmPool({ image: './fake.qcow2', size: 1, verbose: false, gc: false }));
+  pool.on('pool:gc', r => reports.push(r));
+  await pool.start();
+  assert(reports.length === 1, 'gc skipped');
+  await pool.stop();
+});
+
+// 19. Egress limits reach each runner
+await test('egressLimits are passed to every runner', () => {
+  const pool = new WarmPool({
+    image: './fake.qcow2',
+    networkMode: 'allowlist',
+    networkAllow: [{ host: 'registry.npmjs.org', port: 443 }],
+    egressLimits: { maxBytes: 1024, maxConnections: 2 },
+  });
+  const limits = pool._createRunner().egressLimits;
+  assert(limits.maxBytes === 1024 && limits.maxConnections === 2, `runner limits: ${JSON.stringify(limits)}`);
+  const overrides = pool._customResources({ egressLimits: { maxConnections: 8 } });
+  assert(overrides?.egressLimits?.maxConnections === 8, 'other limits boot a dedicated VM');
+  assert(pool._customResources({ egressLimits: { maxBytes: 1024, maxConnections: 2 } }) === null, 'same limits use a warm VM');
+});
+
+// 20. VMs on a private network are booted for the caller
+await test('acquire() with a vmNetwork boots a dedicated VM on it', async () => {
+  const pool = patchPool(new WarmPool({ image: './fake.qcow2', size: 1, verbose: false }));
+  const created = [];
+  pool._createRunner = overrides => { created.push(overrides); return makeMockRunner(); };
+  await pool.start();
+
+  const lan = { name: 'team' };
+  const runner = await pool.acquire({ vmNetwork: lan, hostname: 'server' });
+  assert(created.length === 1 && created[0].vmNetwork === lan, 'runner created with the network');
+  assert(created[0].hostname === 'server', 'hostname passed on');
+  assert(runner._booted, 'dedicated VM is booted');
+
+  await pool.release(runner);
+  await pool.stop();
+});
+
 // ─── Summary ──────────────────────────────────────────────────────────────────
 
+rmSync(SCRATCH, { recursive: true, force: true });
+
 console.log(`\n${'─'.repeat(40)}`);
 console.log(`Results: ${passed} passed, ${failed} failed`);
 
@@ -0,0 +1,194 @@
+/**
+ * CarapaceOS — private L2 networks between VMs
+ *
+ * A VMNetwork joins a group of CarapaceRunners on a private Ethernet
+ * segment: each member gets a second NIC on a QEMU socket netdev that
+ * shares one multicast group on the host loopback. Members get
+ * deterministic addresses (the subnet's .10, .11, ... in join order, a
+ * freed slot is reused first) and hostnames, and every member's /etc/hosts
+ * lists all of them. Internet access still goes through each VM's own
+ * first NIC and follows its networkMode; the segment has no gateway.
+ *
+ * Any process on the host can join the multicast group, so the segment
+ * separates VMs from each other, not from the host.
+ *
+ * Usage:
+ *   import { VMNetwork } from './lib/vm-network.js';
+ *   const lan = new VMNetwork('team');
+ *   const server = new CarapaceRunner({ image, vmNetwork: lan, hostname: 'server' });
+ *   const client = new CarapaceRunner({ image, vmNetwork: lan }); // team-2
+ *   await Promise.all([server.boot(), client.boot()]);
+ *   await client.run('curl http://server:8080/');
+ */
+
+import { randomBytes } from 'crypto';
+
+const NAME_RE = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const DEFAULT_SUBNET = '192.168.77.0/24';
+const FIRST_HOST = 10; // members start at the subnet's .10
+const HOSTS_TAG = '# carapace-vmnetwork';
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+}
+
+function intToIp(n) {
+  return [24, 16, 8, 0].map(shift => Math.floor(n / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Parse 'A.B.C.D/LEN' (LEN 16-28) into { base, prefixLength }.
+ */
+function parseSubnet(subnet) {
+  const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(subnet);
+  if (!m || m.slice(1, 5).some(o => Number(o) > 255)) {
+    throw new Error(`Invalid subnet "${subnet}" (expected A.B.C.D/LEN)`);
+  }
+  const prefixLength = Number(m[5]);
+  if (prefixLength < 16 || prefixLength > 28) throw new Error('subnet prefix length must be between 16 and 28');
+  const size = 2 ** (32 - prefixLength);
+  const base = ipToInt(m.slice(1, 5).join('.'));
+  if (base % size !== 0) throw new Error(`Invalid subnet "${subnet}": host bits are set`);
+  const slirp = ipToInt('10.0.2.0');
+  if (base < slirp + 256 && slirp < base + size) {
+    throw new Error(`subnet ${subnet} overlaps the QEMU user network (10.0.2.0/24)`);
+  }
+  return { base, prefixLength, size };
+}
+
+/**
+ * Guest shell command that rewrites this network's lines in /etc/hosts.
+ * @param {string} name - network name
+ * @param {Array<{ ip: string, hostname: string }>} members
+ */
+export function hostsCommand(name, members) {
+  const tag = `${HOSTS_TAG} ${name}`;
+  const lines = members.map(m => `${m.ip} ${m.hostname} ${tag}`);
+  return `sed -i '/ ${tag}$/d' /etc/hosts && printf '%s\\n' ${lines.map(l => `'${l}'`).join(' ')} >> /etc/hosts`;
+}
+
+export class VMNetwork {
+  /**
+   * @param {string} name - network name; default hostnames are NAME-1, NAME-2, ...
+   * @param {object} [opts]
+   * @param {string} [opts.subnet='192.168.77.0/24'] - addresses for the members
+   * @param {string} [opts.mcast] - multicast group 'ADDR:PORT' (default: random in 239.255.0.0/16)
+   */
+  constructor(name, opts = {}) {
+    if (typeof name !== 'string' || !NAME_RE.test(name)) {
+      throw new Error(`Invalid network name "${name}" (lowercase letters, digits and dashes)`);
+    }
+    this.name = name;
+    this.subnet = opts.subnet ?? DEFAULT_SUBNET;
+    const { base, prefixLength, size } = parseSubnet(this.subnet);
+    this._base = base;
+    this.prefixLength = prefixLength;
+    this.maxMembers = size - FIRST_HOST - 1; // no broadcast address
+    // A random group per network keeps two networks with the same name apart
+    const id = randomBytes(4);
+    this.mcast = opts.mcast ?? `239.255.${id[0]}.${id[1] || 1}:${20000 + (id.readUInt16BE(2) % 10000)}`;
+    if (!/^2(2[4-9]|3\d)\.\d{1,3}\.\d{1,3}\.\d{1,3}:\d{1,5}$/.test(this.mcast)) {
+      throw new Error(`Invalid mcast "${this.mcast}" (expected a multicast ADDR:PORT)`);
+    }
+    this._macPrefix = `52:54:${id[2].toString(16).padStart(2, '0')}`;
+    /** @type {Map<number, { index: number, hostname: string, ip: string, mac: string, runner: object }>} */
+    this._members = new Map();
+  }
+
+  /** Members by address, lowest first: [{ hostname, ip, mac }] */
+  get members() {
+    return [...this._members.values()]
+      .sort((a, b) => a.index - b.index)
+      .map(({ hostname, ip, mac }) => ({ hostname, ip, mac }));
+  }
+
+  /**
+   * Reserve an address and hostname for a runner. CarapaceRunner calls this
+   * for opts.vmNetwork; shutdown() calls leave().
+   *
+   * @param {object} runner
+   * @param {{ hostname?: string }} [opts]
+   * @returns {{ hostname: string, ip: string, mac: string }}
+   */
+  join(runner, { hostname } = {}) {
+    if (this.memberOf(runner)) throw new Error(`VM is already on network "${this.name}"`);
+    let index = 0;
+    while (this._members.has(index)) index++;
+    if (index >= this.maxMembers) throw new Error(`Network "${this.name}" is full (${this.maxMembers} VMs)`);
+    hostname ??= `${this.name}-${index + 1}`;
+    if (!NAME_RE.test(hostname)) {
+      throw new Error(`Invalid hostname "${hostname}" (lowercase letters, digits and dashes)`);
+    }
+    if ([...this._members.values()].some(m => m.hostname === hostname)) {
+      throw new Error(`Hostname "${hostname}" is already taken on network "${this.name}"`);
+    }
+    const member = {
+      index,
+      hostname,
+      ip: intToIp(this._base + FIRST_HOST + index),
+      mac: `${this._macPrefix}:${((index >> 8) & 0xff).toString(16).padStart(2, '0')}:${(index & 0xff).toString(16).padStart(2, '0')}:01`,
+      runner,
+    };
+    this._members.set(index, member);
+    return { hostname: member.hostname, ip: member.ip, mac: member.mac };
+  }
+
+  /** Free a runner's address and hostname */
+  leave(runner) {
+    const member = this.memberOf(runner);
+    if (member) this._members.delete(member.index);
+  }
+
+  memberOf(runner) {
+    return [...this._members.values()].find(m => m.runner === runner) ?? null;
+  }
+
+  /**
+   * QEMU arguments for a member's NIC on this segment.
+   * @returns {string[]}
+   */
+  qemuArgs(runner) {
+    const { mac } = this._member(runner);
+    return [
+      '-netdev', `socket,id=lan0,mcast=${this.mcast},localaddr=127.0.0.1`,
+      '-device', `virtio-net,netdev=lan0,mac=${mac}`,
+    ];
+  }
+
+  /**
+   * Seed runcmd that brings up a member's NIC (found by its MAC) and
+   * fills /etc/hosts with the members known so far.
+   * @returns {string[]}
+   */
+  seedCommands(runner) {
+    const { ip, mac } = this._member(runner);
+    return [
+      `dev=$(basename "$(dirname "$(grep -l '^${mac}$' /sys/class/net/*/address)")") && ` +
+        `ip link set "$dev" up && ip addr add ${ip}/${this.prefixLength} dev "$dev"`,
+      hostsCommand(this.name, this.members),
+    ];
+  }
+
+  /**
+   * Bring /etc/hosts on every booted member up to date, e.g. after another
+   * VM joined. Members that cannot be reached are skipped.
+   * @returns {Promise<string[]>} hostnames that could not be updated
+   */
+  async syncHosts() {
+    const command = hostsCommand(this.name, this.members);
+    const failed = [];
+    await Promise.all([...this._members.values()]
+      .filter(m => m.runner._booted)
+      .map(async m => {
+        const r = await m.runner.run(command, { user: 'root', timeout: 30 }).catch(err => ({ code: -1, stderr: err.message }));
+        if (r.code !== 0) failed.push(m.hostname);
+      }));
+    return failed;
+  }
+
+  _member(runner) {
+    const member = this.memberOf(runner);
+    if (!member) throw new Error(`VM is not on network "${this.name}"`);
+    return member;
+  }
+}
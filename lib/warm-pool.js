@@ -28,12 +28,19 @@
  */
 
 import { CarapaceRunner } from './agent-runner.js';
+import { loadTemplate } from './template.js';
+import { collectGarbage } from './gc.js';
 import { EventEmitter } from 'events';
 
 const DEFAULT_POOL_SIZE = 2;
 const DEFAULT_MAX_ACQUIRE_WAIT = 120_000; // 2 min max wait if pool is empty
 const DEFAULT_MAX_SIZE = 8;               // hard cap on concurrent VMs
 
+// Per-VM resources that acquire() may override (→ dedicated VM)
+const RESOURCE_KEYS = ['memory', 'cpus', 'diskSize', 'ioLimits', 'egressLimits'];
+// Overrides a template clone can take; the rest need a full boot
+const TEMPLATE_SAFE_KEYS = ['ioLimits', 'egressLimits'];
+
 /**
  * Pool states for each slot
  */
@@ -56,6 +63,7 @@ class PoolSlot {
     this.warmAt = null;
     this.acquiredAt = null;
     this.error = null;
+    this.dedicated = false; // booted for one acquire() with custom resources
   }
 
   get age() { return Date.now() - this.createdAt; }
@@ -72,8 +80,18 @@ export class WarmPool extends EventEmitter {
    * @param {number} [opts.size=2] - Target number of warm VMs to maintain
    * @param {number} [opts.maxSize=8] - Hard cap on total concurrent VMs
    * @param {string} [opts.memory='512'] - Memory per VM in MB
+   * @param {number} [opts.cpus=1] - vCPUs per VM
+   * @param {string} [opts.diskSize] - Overlay disk size per VM (e.g. '10G')
+   * @param {object} [opts.ioLimits] - Disk throttling per VM: { iops, iopsRead, iopsWrite, bps, bpsRead, bpsWrite }
+   * @param {object} [opts.egressLimits] - Network egress limits per VM session: { maxBytes, bytesPerSecond,
+   *   maxConnections } (networkMode 'allowlist' or 'proxy')
    * @param {number} [opts.maxAcquireWaitMs=120000] - Max wait if pool is empty
    * @param {number} [opts.maxWarmAgeMs] - Max age for a warm VM (refreshed if stale)
+   * @param {Array}  [opts.shares=[]] - Host directories to share: [{ hostPath, guestPath, readonly }]
+   * @param {string|number[]} [opts.sshPortRange] - Host SSH ports for the pool's VMs ('MIN-MAX')
+   * @param {string} [opts.template] - Boot template dir: VMs restore it instead of booting;
+   *   memory, cpus and diskSize come from the template
+   * @param {boolean} [opts.gc=true] - Reap VMs and work dirs left by crashed processes on start()
    * @param {boolean} [opts.verbose=false] - Log activity to stderr
    */
   constructor(opts = {}) {
@@ -84,16 +102,29 @@ export class WarmPool extends EventEmitter {
     this.image = opts.image;
     this.targetSize = Math.max(1, opts.size ?? DEFAULT_POOL_SIZE);
     this.maxSize = Math.max(this.targetSize, opts.maxSize ?? DEFAULT_MAX_SIZE);
-    this.memory = opts.memory ?? '512';
+    this.template = opts.template ?? null;
+    const template = this.template ? loadTemplate(this.template) : null;
+    this.memory = template?.memory ?? opts.memory ?? '512';
+    this.cpus = template?.cpus ?? opts.cpus ?? 1;
+    this.diskSize = template?.diskSize ?? opts.diskSize ?? null;
+    this.ioLimits = opts.ioLimits ?? null;
+    this.egressLimits = opts.egressLimits ?? null;
     this.maxAcquireWaitMs = opts.maxAcquireWaitMs ?? DEFAULT_MAX_ACQUIRE_WAIT;
     this.maxWarmAgeMs = opts.maxWarmAgeMs ?? null; // null = no age limit
     this.verbose = opts.verbose ?? false;
+    this.gc = opts.gc ?? true;
 
     // Network isolation options — forwarded to each CarapaceRunner
     this.networkMode = opts.networkMode ?? 'nat';
     this.networkAllow = opts.networkAllow ?? [];
     this.dnsServer = opts.dnsServer ?? null;
 
+    // Shared host directories — every VM in the pool mounts the same set
+    this.shares = opts.shares ?? [];
+
+    // SSH ports are reserved host-wide, so pools in different processes can share a range
+    this.sshPortRange = opts.sshPortRange ?? undefined;
+
     /** @type {Map<string, PoolSlot>} */
     this._slots = new Map();
     this._slotCounter = 0;
@@ -120,6 +151,16 @@ export class WarmPool extends EventEmitter {
 
     this._log(`Starting pool (target=${this.targetSize}, max=${this.maxSize})`);
 
+    // Clean up after crashed processes before adding VMs of our own
+    if (this.gc) {
+      try {
+        const report = await collectGarbage({ log: msg => this._log(msg) });
+        this.emit('pool:gc', report);
+      } catch (err) {
+        this._log(`Garbage collection failed: ${err.message}`);
+      }
+    }
+
     // Kick off initial fill immediately (no delay on first fill)
     await this._refill();
 
@@ -171,14 +212,32 @@ export class WarmPool extends EventEmitter {
    * Acquire a pre-booted VM from the pool.
    * Returns immediately if a warm VM is available; otherwise waits up to maxAcquireWaitMs.
    *
+   * Asking for resources (memory, cpus, diskSize, ioLimits, egressLimits) that differ from
+   * the pool's boots a dedicated VM instead — it counts towards maxSize and
+   * is destroyed by release() like any other.
+   *
    * @param {object} [opts]
    * @param {number} [opts.timeoutMs] - Override max wait time for this call
+   * @param {string} [opts.memory]    - Memory in MB
+   * @param {number} [opts.cpus]      - vCPUs
+   * @param {string} [opts.diskSize]  - Overlay disk size (e.g. '10G')
+   * @param {object} [opts.ioLimits]  - Disk throttling
+   * @param {object} [opts.egressLimits] - Network egress limits
+   * @param {import('./vm-network.js').VMNetwork} [opts.vmNetwork] - Private VM network to join
+   *   (always a dedicated VM: the second NIC is there from boot)
+   * @param {string} [opts.hostname]  - Hostname on opts.vmNetwork
    * @returns {CarapaceRunner} A booted, ready-to-use runner
    */
   async acquire(opts = {}) {
     if (!this._started) throw new Error('WarmPool not started. Call pool.start() first.');
     if (this._stopping) throw new Error('WarmPool is stopping');
 
+    const resources = this._customResources(opts);
+    if (opts.vmNetwork) {
+      return this._acquireDedicated({ ...resources, vmNetwork: opts.vmNetwork, hostname: opts.hostname });
+    }
+    if (resources) return this._acquireDedicated(resources);
+
     const timeoutMs = opts.timeoutMs ?? this.maxAcquireWaitMs;
 
     // Try to grab a warm slot immediately
@@ -274,6 +333,83 @@ export class WarmPool extends EventEmitter {
     this.emit('log', msg);
   }
 
+  /**
+   * Resource overrides in acquire() opts that differ from the pool's, or null.
+   */
+  _customResources(opts) {
+    const overrides = {};
+    for (const key of RESOURCE_KEYS) {
+      if (opts[key] === undefined) continue;
+      const value = key === 'memory' ? String(opts[key]) : opts[key];
+      if (JSON.stringify(value) !== JSON.stringify(this[key])) overrides[key] = value;
+    }
+    return Object.keys(overrides).length ? overrides : null;
+  }
+
+  async _acquireDedicated(resources) {
+    if (this.stats().total >= this.maxSize) {
+      throw new Error(`WarmPool at capacity (maxSize=${this.maxSize}) — cannot boot a dedicated VM`);
+    }
+
+    const slotId = `slot-${++this._slotCounter}`;
+    const slot = new PoolSlot(slotId);
+    slot.dedicated = true;
+    // Other hardware than the template's means a full boot
+    const overrides = this.template && Object.keys(resources).some(k => !TEMPLATE_SAFE_KEYS.includes(k))
+      ? { ...resources, template: undefined }
+      : resources;
+    slot.runner = this._createRunner(overrides); // validates before we reserve the slot
+    this._slots.set(slotId, slot);
+    const { vmNetwork, ...described } = resources;
+    if (vmNetwork) described.vmNetwork = vmNetwork.name;
+    this._log(`Booting dedicated slot ${slotId} (${JSON.stringify(described)})...`);
+    this.emit('slot:booting', { slotId, dedicated: true });
+
+    try {
+      await slot.runner.boot();
+    } catch (err) {
+      this._slots.delete(slotId);
+      this.emit('slot:error', { slotId, error: err.message });
+      await slot.runner.shutdown().catch(() => {});
+      throw err;
+    }
+
+    if (this._stopping) {
+      this._slots.delete(slotId);
+      await slot.runner.shutdown().catch(() => {});
+      throw new Error('WarmPool stopped');
+    }
+
+    slot.state = SlotState.ACTIVE;
+    slot.acquiredAt = Date.now();
+    this.emit('pool:acquired', {
+      slotId, warmAgeMs: 0, dedicated: true, bootTimeline: slot.runner.bootTimeline ?? null,
+    });
+    return slot.runner;
+  }
+
+  /**
+   * Create (but don't boot) a runner with the pool's options plus overrides.
+   */
+  _createRunner(overrides = {}) {
+    return new CarapaceRunner({
+      image: this.image,
+      memory: this.memory,
+      cpus: this.cpus,
+      diskSize: this.diskSize ?? undefined,
+      ioLimits: this.ioLimits ?? undefined,
+      egressLimits: this.egressLimits ?? undefined,
+      verbose: false,
+      networkMode: this.networkMode,
+      networkAllow: this.networkAllow,
+      dnsServer: this.dnsServer,
+      shares: this.shares,
+      sshPortRange: this.sshPortRange,
+      template: this.template ?? undefined,
+      ...overrides,
+    });
+  }
+
   _findWarmSlot() {
     // Find oldest warm slot (FIFO — first-in gets used first to avoid stale VMs)
     let oldest = null;
@@ -331,7 +467,10 @@ export class WarmPool extends EventEmitter {
     if (this._stopping) return;
 
     const s = this.stats();
-    const needed = this.targetSize - s.warm - s.booting;
+    // Dedicated VMs boot for a specific caller and never become warm
+    const dedicatedBooting = [...this._slots.values()]
+      .filter(slot => slot.dedicated && slot.state === SlotState.BOOTING).length;
+    const needed = this.targetSize - s.warm - (s.booting - dedicatedBooting);
     const canBoot = this.maxSize - s.total;
     const toStart = Math.min(needed, canBoot);
 
@@ -358,14 +497,7 @@ export class WarmPool extends EventEmitter {
     this._log(`Booting slot ${slotId}...`);
     const bootStart = Date.now();
 
-    const runner = new CarapaceRunner({
-      image: this.image,
-      memory: this.memory,
-      verbose: false,
-      networkMode: this.networkMode,
-      networkAllow: this.networkAllow,
-      dnsServer: this.dnsServer,
-    });
+    const runner = this._createRunner();
     slot.runner = runner;
 
     try {
@@ -383,7 +515,8 @@ export class WarmPool extends EventEmitter {
       slot.state = SlotState.WARM;
       slot.warmAt = Date.now();
       this._log(`Slot ${slotId} warm (boot took ${bootMs}ms)`);
-      this.emit('slot:warm', { slotId, bootMs });
+      // bootTimeline: per-phase durations from CarapaceRunner (see BOOT_PHASES)
+      this.emit('slot:warm', { slotId, bootMs, bootTimeline: runner.bootTimeline ?? null });
 
       // Serve any waiting callers
       this._serveWaiters();
@@ -0,0 +1,299 @@
+/**
+ * CarapaceOS — Minimal WebSocket (RFC 6455) server support
+ *
+ * Just enough of the protocol to attach interactive sessions to the
+ * ControlServer without pulling in a dependency: the opening handshake,
+ * frame encoding/decoding, fragmentation, ping/pong and close.
+ *
+ * Usage (inside an http.Server 'upgrade' handler):
+ *   import { acceptWebSocket } from './lib/websocket.js';
+ *
+ *   server.on('upgrade', (req, socket, head) => {
+ *     const ws = acceptWebSocket(req, socket, head);
+ *     if (!ws) return; // handshake rejected (400 already sent)
+ *     ws.on('message', (data, isBinary) => ws.send(data));
+ *   });
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024; // 16MB per (reassembled) message
+
+export const Opcode = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA,
+};
+
+// ─── Framing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Encode a single WebSocket frame.
+ * Servers send unmasked frames; clients must set mask: true.
+ *
+ * @param {number} opcode
+ * @param {Buffer|string} [payload]
+ * @param {object} [opts]
+ * @param {boolean} [opts.mask=false]
+ * @param {boolean} [opts.fin=true]
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), { mask = false, fin = true } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  const len = data.length;
+
+  let header;
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = (fin ? 0x80 : 0x00) | opcode;
+
+  if (!mask) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const key = randomBytes(4);
+  const masked = Buffer.alloc(len);
+  for (let i = 0; i < len; i++) masked[i] = data[i] ^ key[i & 3];
+  return Buffer.concat([header, key, masked]);
+}
+
+/**
+ * Incremental frame decoder. Feed raw socket chunks in with push();
+ * complete frames come back as { fin, opcode, masked, payload }.
+ */
+export class FrameParser {
+  constructor() {
+    this._buf = Buffer.alloc(0);
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @returns {Array<{ fin: boolean, opcode: number, masked: boolean, payload: Buffer }>}
+   */
+  push(chunk) {
+    this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+    const frames = [];
+
+    while (this._buf.length >= 2) {
+      const b0 = this._buf[0];
+      const b1 = this._buf[1];
+      const masked = (b1 & 0x80) !== 0;
+      let len = b1 & 0x7F;
+      let offset = 2;
+
+      if (len === 126) {
+        if (this._buf.length < 4) break;
+        len = this._buf.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (this._buf.length < 10) break;
+        const big = this._buf.readBigUInt64BE(2);
+        if (big > BigInt(MAX_MESSAGE_BYTES)) throw new Error('WebSocket frame too large');
+        len = Number(big);
+        offset = 10;
+      }
+
+      if (len > MAX_MESSAGE_BYTES) throw new Error('WebSocket frame too large');
+
+      const keyLen = masked ? 4 : 0;
+      if (this._buf.length < offset + keyLen + len) break;
+
+      const key = masked ? this._buf.subarray(offset, offset + 4) : null;
+      const payload = Buffer.from(this._buf.subarray(offset + keyLen, offset + keyLen + len));
+      if (key) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= key[i & 3];
+      }
+
+      frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0F, masked, payload });
+      this._buf = this._buf.subarray(offset + keyLen + len);
+    }
+
+    return frames;
+  }
+}
+
+// ─── Connection ──────────────────────────────────────────────────────────────
+
+/**
+ * Server side of an accepted WebSocket connection.
+ *
+ * Events:
+ *   'message' (data: string|Buffer, isBinary: boolean)
+ *   'close'   (code: number, reason: string)
+ *   'error'   (err: Error)
+ */
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this._parser = new FrameParser();
+    this._fragments = null; // { opcode, chunks, size } while reassembling
+    this._closeSent = false;
+    this._closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this._onData(chunk));
+    // HTTP server sockets allow half-open; finish closing when the peer does
+    socket.on('end', () => socket.end());
+    socket.on('close', () => this._finish(1006, ''));
+    socket.on('error', err => this.emit('error', err));
+
+    if (head && head.length) this._onData(head);
+  }
+
+  get isOpen() {
+    return !this._closed && !this._closeSent;
+  }
+
+  /**
+   * Send a message. Strings go out as text frames, Buffers as binary.
+   * @param {string|Buffer} data
+   */
+  send(data) {
+    if (!this.isOpen) return;
+    const opcode = typeof data === 'string' ? Opcode.TEXT : Opcode.BINARY;
+    this.socket.write(encodeFrame(opcode, data));
+  }
+
+  /**
+   * Start the closing handshake.
+   * @param {number} [code=1000]
+   * @param {string} [reason='']
+   */
+  close(code = 1000, reason = '') {
+    if (this._closeSent || this._closed) return;
+    this._closeSent = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(encodeFrame(Opcode.CLOSE, payload));
+    this.socket.end();
+  }
+
+  _onData(chunk) {
+    let frames;
+    try {
+      frames = this._parser.push(chunk);
+    } catch (e) {
+      this.close(1009, e.message);
+      return;
+    }
+
+    for (const frame of frames) {
+      // Clients MUST mask every frame (RFC 6455 §5.1)
+      if (!frame.masked) {
+        this.close(1002, 'Client frames must be masked');
+        return;
+      }
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case Opcode.PING:
+        if (this.isOpen) this.socket.write(encodeFrame(Opcode.PONG, payload));
+        return;
+      case Opcode.PONG:
+        return;
+      case Opcode.CLOSE: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+        this.close(code === 1005 ? 1000 : code);
+        this._finish(code, reason);
+        return;
+      }
+      case Opcode.TEXT:
+      case Opcode.BINARY:
+        this._fragments = { opcode, chunks: [payload], size: payload.length };
+        break;
+      case Opcode.CONTINUATION:
+        if (!this._fragments) {
+          this.close(1002, 'Unexpected continuation frame');
+          return;
+        }
+        this._fragments.chunks.push(payload);
+        this._fragments.size += payload.length;
+        if (this._fragments.size > MAX_MESSAGE_BYTES) {
+          this.close(1009, 'Message too large');
+          return;
+        }
+        break;
+      default:
+        this.close(1002, `Unknown opcode ${opcode}`);
+        return;
+    }
+
+    if (!fin) return;
+
+    const { opcode: msgOpcode, chunks } = this._fragments;
+    this._fragments = null;
+    const data = Buffer.concat(chunks);
+    if (msgOpcode === Opcode.TEXT) {
+      this.emit('message', data.toString('utf8'), false);
+    } else {
+      this.emit('message', data, true);
+    }
+  }
+
+  _finish(code, reason) {
+    if (this._closed) return;
+    this._closed = true;
+    this.emit('close', code, reason);
+  }
+}
+
+// ─── Handshake ───────────────────────────────────────────────────────────────
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a client key.
+ * @param {string} key
+ */
+export function acceptKey(key) {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Complete the server side of the opening handshake.
+ * Writes a 400 response and returns null if the request is not a valid
+ * WebSocket upgrade.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} [head]
+ * @returns {WebSocketConnection|null}
+ */
+export function acceptWebSocket(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+  if (upgrade !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '',
+    '',
+  ].join('\r\n'));
+
+  return new WebSocketConnection(socket, head);
+}
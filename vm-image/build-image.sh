@@ -77,6 +77,8 @@ echo "🦞 Setting up CarapaceOS agent environment..."
 
 # Install Node.js and essential tools
 apk add --no-cache nodejs npm git curl bash jq
+# growpart and resize2fs, for cloud-init to grow / when a runner sets diskSize
+apk add --no-cache cloud-utils-growpart e2fsprogs-extra
 
 # Create agent user (non-root)
 adduser -D -s /bin/bash -h /home/agent agent
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * CarapaceOS guest agent — JSON-RPC over virtio-serial
+ *
+ * Runs inside the guest (installed as /usr/local/bin/carapace-agent through
+ * the seed ISO) and lets the host run commands and move files without SSH or
+ * a network device. The host side is lib/guest-agent.js; QEMU exposes the
+ * port as a Unix socket in the VM work dir.
+ *
+ * Protocol: one JSON-RPC 2.0 message per line.
+ *   ping                                 → { version }
+ *   exec { command, stdin?, timeoutMs? } → { code, signal, timedOut }
+ *     output arrives first as notifications:
+ *     { method: 'output', params: { id, stream: 'stdout'|'stderr', data } }
+ *   readFile { path }                    → { data }
+ *   writeFile { path, data, mode? }      → {}
+ * stdin and data are base64. Commands and file access run as the `agent`
+ * user when it exists, like SSH sessions; a timed-out command's whole
+ * process group is killed.
+ *
+ * Usage: carapace-agent [--port NAME] [--stdio]
+ *   --stdio speaks the protocol on stdin/stdout (for tests)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const VERSION = 1;
+const DEFAULT_PORT = 'org.carapaceos.agent.0';
+const RUN_AS = 'agent';
+const KILL_GRACE_MS = 2000;
+const REOPEN_DELAY_MS = 250;
+
+function lookupUser(name) {
+  try {
+    for (const line of fs.readFileSync('/etc/passwd', 'utf8').split('\n')) {
+      const [user, , uid, gid, , home] = line.split(':');
+      if (user === name) return { uid: Number(uid), gid: Number(gid), home };
+    }
+  } catch { /* no passwd file */ }
+  return null;
+}
+
+/**
+ * Device node of a named virtio-serial port. /dev/virtio-ports/<name> is a
+ * udev symlink; under mdev, look the name up in sysfs instead.
+ */
+function findPort(name) {
+  const link = `/dev/virtio-ports/${name}`;
+  if (fs.existsSync(link)) return link;
+  try {
+    for (const vport of fs.readdirSync('/sys/class/virtio-ports')) {
+      const portName = fs.readFileSync(`/sys/class/virtio-ports/${vport}/name`, 'utf8').trim();
+      if (portName === name) return `/dev/${vport}`;
+    }
+  } catch { /* no virtio-serial ports */ }
+  return null;
+}
+
+// ─── Methods ─────────────────────────────────────────────────────────────────
+
+const runAs = process.getuid?.() === 0 ? lookupUser(RUN_AS) : null;
+const spawnOpts = runAs ? {
+  uid: runAs.uid,
+  gid: runAs.gid,
+  cwd: fs.existsSync(runAs.home) ? runAs.home : '/',
+  env: { ...process.env, HOME: runAs.home, USER: RUN_AS, LOGNAME: RUN_AS },
+} : {};
+
+function killGroup(pid, signal) {
+  try { process.kill(-pid, signal); } catch { /* already gone */ }
+}
+
+/** Run argv as the agent user; resolves { code, stdout, stderr } (Buffers). */
+function runCollect(argv, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(argv[0], argv.slice(1), spawnOpts);
+    const out = [];
+    const err = [];
+    child.stdout.on('data', d => out.push(d));
+    child.stderr.on('data', d => err.push(d));
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout: Buffer.concat(out), stderr: Buffer.concat(err) }));
+  });
+}
+
+const methods = {
+  async ping() {
+    return { version: VERSION };
+  },
+
+  exec(params, notify) {
+    const { command, stdin, timeoutMs } = params;
+    if (typeof command !== 'string' || !command) throw new Error('command must be a non-empty string');
+    return new Promise((resolve, reject) => {
+      // Own process group, so a timeout takes down everything it started
+      const child = spawn('/bin/sh', ['-c', command], { ...spawnOpts, detached: true });
+      let timedOut = false;
+      let signalSent = null;
+      let killTimer = null;
+      const timer = timeoutMs > 0 ? setTimeout(() => {
+        timedOut = true;
+        signalSent = 'SIGTERM';
+        killGroup(child.pid, 'SIGTERM');
+        killTimer = setTimeout(() => {
+          signalSent = 'SIGKILL';
+          killGroup(child.pid, 'SIGKILL');
+        }, KILL_GRACE_MS);
+      }, timeoutMs) : null;
+
+      for (const stream of ['stdout', 'stderr']) {
+        child[stream].on('data', chunk => notify('output', { stream, data: chunk.toString('base64') }));
+      }
+      child.stdin.on('error', () => {}); // the command may exit without reading its input
+      child.stdin.end(stdin ? Buffer.from(stdin, 'base64') : undefined);
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        resolve(timedOut ? { code: null, signal: signalSent, timedOut } : { code, signal, timedOut });
+      });
+    });
+  },
+
+  async readFile({ path }) {
+    if (typeof path !== 'string' || !path) throw new Error('path must be a non-empty string');
+    const r = await runCollect(['cat', '--', path]);
+    if (r.code !== 0) throw new Error(r.stderr.toString().trim() || `cannot read ${path}`);
+    return { data: r.stdout.toString('base64') };
+  },
+
+  async writeFile({ path, data = '', mode }) {
+    if (typeof path !== 'string' || !path) throw new Error('path must be a non-empty string');
+    const script = mode === undefined ? 'cat > "$1"' : 'cat > "$1" && chmod "$2" "$1"';
+    const argv = ['/bin/sh', '-c', script, 'sh', path];
+    if (mode !== undefined) argv.push(Number(mode).toString(8));
+    const r = await runCollect(argv, Buffer.from(data, 'base64'));
+    if (r.code !== 0) throw new Error(r.stderr.toString().trim() || `cannot write ${path}`);
+    return {};
+  },
+};
+
+// ─── Transport ───────────────────────────────────────────────────────────────
+
+/**
+ * Serve requests read from `input`; replies go through `write(string)`.
+ */
+function serve(input, write) {
+  const send = msg => write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\n');
+
+  async function handle(line) {
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return send({ id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    const id = msg.id ?? null;
+    if (!Object.hasOwn(methods, msg.method)) {
+      return send({ id, error: { code: -32601, message: `Method not found: ${msg.method}` } });
+    }
+    const notify = (method, params) => send({ method, params: { id, ...params } });
+    try {
+      send({ id, result: await methods[msg.method](msg.params || {}, notify) });
+    } catch (e) {
+      send({ id, error: { code: -32000, message: e.message } });
+    }
+  }
+
+  let buf = '';
+  input.setEncoding('utf8');
+  input.on('data', chunk => {
+    buf += chunk;
+    const lines = buf.split('\n');
+    buf = lines.pop();
+    for (const line of lines) if (line.trim()) handle(line);
+  });
+}
+
+function writeAll(fd, data) {
+  const buf = Buffer.from(data);
+  let offset = 0;
+  return new Promise(resolve => {
+    const next = () => {
+      if (offset >= buf.length) return resolve();
+      fs.write(fd, buf, offset, buf.length - offset, null, (err, n) => {
+        if (err) return resolve(); // host went away; the reply is lost
+        offset += n;
+        next();
+      });
+    };
+    next();
+  });
+}
+
+/**
+ * Serve on a virtio-serial port. A read hits EOF whenever the host side
+ * disconnects; the port is then reopened for the next connection.
+ */
+function servePort(name) {
+  const path = findPort(name);
+  if (!path) {
+    setTimeout(() => servePort(name), 1000); // device not probed yet
+    return;
+  }
+  const fd = fs.openSync(path, 'r+');
+  let queue = Promise.resolve();
+  const input = fs.createReadStream(null, { fd, autoClose: false });
+  serve(input, data => { queue = queue.then(() => writeAll(fd, data)); });
+
+  let closed = false;
+  const reopen = () => {
+    if (closed) return;
+    closed = true;
+    queue.then(() => {
+      try { fs.closeSync(fd); } catch { /* already closed */ }
+      setTimeout(() => servePort(name), REOPEN_DELAY_MS);
+    });
+  };
+  input.on('end', reopen);
+  input.on('error', reopen);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes('--stdio')) {
+    serve(process.stdin, data => process.stdout.write(data));
+  } else {
+    const i = args.indexOf('--port');
+    servePort(i >= 0 ? args[i + 1] : DEFAULT_PORT);
+  }
+}
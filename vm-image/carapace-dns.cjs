@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * CarapaceOS DNS stub — the guest's resolver in allowlist mode
+ *
+ * SLIRP drops all guest UDP under restrict=on, so the guest cannot query a
+ * nameserver directly. This stub listens for UDP queries (resolv.conf points
+ * at it) and forwards them over one TCP connection to the host's DNS
+ * responder (lib/dns-responder.js), which a guestfwd rule exposes at
+ * 10.0.2.99:53.
+ * Installed as /usr/local/bin/carapace-dns through the seed ISO.
+ *
+ * Usage: carapace-dns [--listen HOST:PORT] [--upstream HOST:PORT]
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+
+const QUERY_TIMEOUT_MS = 5000;
+
+function parseHostPort(value, what) {
+  const m = /^(.+):(\d+)$/.exec(value || '');
+  if (!m) {
+    console.error(`carapace-dns: ${what} must be HOST:PORT, got ${JSON.stringify(value)}`);
+    process.exit(2);
+  }
+  return { host: m[1], port: Number(m[2]) };
+}
+
+/** SERVFAIL for a query we could not forward, so the client doesn't wait out its timeout */
+function servfail(query) {
+  if (query.length < 12) return null;
+  const res = Buffer.from(query);
+  res.writeUInt16BE(0x8000 | (query.readUInt16BE(2) & 0x7900) | 0x0080 | 2, 2);
+  res.writeUInt16BE(0, 6);
+  res.writeUInt16BE(0, 8);
+  res.writeUInt16BE(0, 10);
+  return res;
+}
+
+/**
+ * The DNS-over-TCP connection to the host responder. Every query shares one
+ * connection (each host-side connection is a guestfwd bridge process), which
+ * is reopened on the next query after it drops. The responder answers in
+ * order, so replies are matched to queries first in, first out.
+ */
+class Upstream {
+  constructor({ host, port }) {
+    this.host = host;
+    this.port = port;
+    this._conn = null; // { sock, pending: [callback], buf }
+  }
+
+  /** Send one query; callback(err, response) */
+  query(query, callback) {
+    if (!this._conn) this._connect();
+    const conn = this._conn;
+    conn.pending.push(callback);
+    conn.sock.setTimeout(QUERY_TIMEOUT_MS);
+    const prefix = Buffer.alloc(2);
+    prefix.writeUInt16BE(query.length);
+    conn.sock.write(Buffer.concat([prefix, query]));
+  }
+
+  _connect() {
+    const sock = net.connect(this.port, this.host);
+    const conn = { sock, pending: [], buf: Buffer.alloc(0) };
+    this._conn = conn;
+    sock.on('data', chunk => {
+      conn.buf = Buffer.concat([conn.buf, chunk]);
+      while (conn.buf.length >= 2 && conn.buf.length >= 2 + conn.buf.readUInt16BE(0)) {
+        const len = conn.buf.readUInt16BE(0);
+        const res = conn.buf.subarray(2, 2 + len);
+        conn.buf = conn.buf.subarray(2 + len);
+        conn.pending.shift()?.(null, res);
+      }
+      if (conn.pending.length === 0) sock.setTimeout(0); // an idle connection may stay open
+    });
+    sock.on('timeout', () => this._drop(conn, new Error('timeout')));
+    sock.on('error', err => this._drop(conn, err));
+    sock.on('close', () => this._drop(conn, new Error('connection closed')));
+  }
+
+  /** Fail a connection's outstanding queries; the next query opens a new one */
+  _drop(conn, err) {
+    if (this._conn === conn) this._conn = null;
+    conn.sock.destroy();
+    for (const callback of conn.pending.splice(0)) callback(err);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const opt = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : fallback;
+  };
+  const listen = parseHostPort(opt('--listen', '127.0.0.1:53'), '--listen');
+  const upstream = new Upstream(parseHostPort(opt('--upstream', '10.0.2.99:53'), '--upstream'));
+
+  const server = dgram.createSocket('udp4');
+  server.on('message', (query, rinfo) => {
+    // Too short to be a query. The responder would hang up on it and fail the
+    // other queries on the shared connection.
+    if (query.length < 12) return;
+    upstream.query(query, (err, res) => {
+      const reply = err ? servfail(query) : res;
+      if (reply) server.send(reply, rinfo.port, rinfo.address);
+    });
+  });
+  server.on('error', err => {
+    console.error(`carapace-dns: ${err.message}`);
+    process.exit(1);
+  });
+  server.bind(listen.port, listen.host, () => {
+    const { address, port } = server.address();
+    console.log(`carapace-dns listening on ${address}:${port}, upstream ${upstream.host}:${upstream.port}`);
+  });
+}
+
+if (require.main === module) main();